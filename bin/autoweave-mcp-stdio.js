@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Point d'entrée stdio du serveur MCP unifié
+ * Lancé par un hôte MCP (Claude Desktop, IDE...) : stdout porte le protocole, les logs vont sur stderr
+ */
+
+const { Logger } = require('../src/utils/logger');
+
+// Must happen before anything logs
+Logger.setOutput('stderr');
+
+const UnifiedAutoWeaveMCPServer = require('../src/mcp/unified-autoweave-mcp-server');
+const { StdioTransport } = require('../src/mcp/transports/stdio-transport');
+
+async function main() {
+    const logger = new Logger('MCPStdio');
+    const server = new UnifiedAutoWeaveMCPServer(null);
+    await server.initialize();
+
+    const transport = new StdioTransport(server.createDispatcher());
+    server.connectTransport(transport);
+
+    const shutdown = async (signal) => {
+        logger.shutdown(`Received ${signal}, closing stdio transport`);
+        await transport.close();
+        await server.shutdown();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    await transport.start();
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Failed to start AutoWeave MCP stdio server:', error);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,1037 @@
+const { Logger } = require('../utils/logger');
+const { WorkloadGenerator } = require('./workload-generator');
+
+const PLATFORMS = ['kubernetes', 'docker-compose', 'helm'];
+const ENGINES = ['argocd', 'flux'];
+const FLUX_NAMESPACE = 'flux-system';
+const DEFAULT_REPOSITORY = 'https://github.com/your-org/your-gitops-repo';
+
+/**
+ * GitOpsGenerator - Génère la configuration GitOps d'une application à partir de ses images
+ * et des dernières versions résolues par FreshSourcesService.
+ * Plateformes : kubernetes (Kustomize), docker-compose, helm (chart complet)
+ * Moteurs de livraison : Argo CD (Application) ou Flux (GitRepository + Kustomization/HelmRelease)
+ * Environnements : base Kustomize + overlays, values-<env>.yaml (Helm) ou fichiers override (Compose)
+ * Composants : une image ("redis:7.2") ou une spécification complète (voir WorkloadGenerator)
+ *
+ * Le résultat `manifests` associe un chemin relatif à gitops.path à son contenu :
+ * un objet (document YAML), un tableau d'objets (YAML multi-documents)
+ * ou une chaîne (fichier texte, ex. templates Helm).
+ */
+class GitOpsGenerator {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('GitOpsGenerator');
+        this.workloads = options.workloads || new WorkloadGenerator();
+    }
+
+    /**
+     * Images to resolve with FreshSourcesService.findLatestVersions(): only components without tag or digest
+     */
+    getVersionRequirements(application) {
+        return {
+            docker: (application.components || [])
+                .map(component => this.parseImage(this.imageOf(component)))
+                .filter(image => !image.tag && !image.digest)
+                .map(image => image.repository)
+        };
+    }
+
+    /**
+     * input: { application: { name, type?, namespace?, version?, components },
+     *          gitops?: { repository?, branch?, path?, engine? }, platform?, environments?, write? }
+     * With `write`, the result carries the plan for GitOpsRepositoryWriter in `write`.
+     * freshVersions: result of FreshSourcesService.findLatestVersions()
+     */
+    generate(input, freshVersions = {}) {
+        const { application, gitops = {} } = input;
+        const platform = input.platform || 'kubernetes';
+        const engine = gitops.engine || 'argocd';
+        if (!PLATFORMS.includes(platform)) {
+            throw new Error(`Unsupported GitOps platform: ${platform}`);
+        }
+        if (!ENGINES.includes(engine)) {
+            throw new Error(`Unsupported GitOps engine: ${engine}`);
+        }
+
+        const components = this.resolveComponents(application.components || [], freshVersions);
+        const context = {
+            application,
+            gitops,
+            platform,
+            engine,
+            components,
+            name: this.sanitizeName(application.name),
+            namespace: application.namespace || 'default',
+            path: gitops.path || `apps/${application.name}`,
+            environments: this.normalizeEnvironments(input.environments || [], application)
+        };
+        context.write = input.write ? this.planWrite(input.write, context) : null;
+
+        this.logger.info(`Generating ${platform} configuration for ${application.name} (${components.length} components, ${context.environments.length || 'no'} environments)`);
+
+        const generated = platform === 'docker-compose'
+            ? this.generateCompose(context)
+            : platform === 'helm'
+                ? this.generateHelm(context)
+                : this.generateKubernetes(context);
+
+        return {
+            platform,
+            engine: platform === 'docker-compose' ? null : engine,
+            environments: context.environments.map(environment => environment.name),
+            versions: freshVersions,
+            ...generated,
+            ...(context.write ? { write: context.write } : {})
+        };
+    }
+
+    /**
+     * "nginx", "bitnami/redis:7.2", "registry:5000/app", "nginx:1.25@sha256:…" -> { repository, tag, digest, name }
+     */
+    parseImage(image) {
+        // Le digest suit "@" ; le tag est après le dernier ":" du dernier segment (pas le port du registre)
+        const digestIndex = image.indexOf('@');
+        const reference = digestIndex >= 0 ? image.slice(0, digestIndex) : image;
+        const digest = digestIndex >= 0 ? image.slice(digestIndex + 1) : null;
+
+        const lastSegment = reference.split('/').pop();
+        const tagIndex = lastSegment.lastIndexOf(':');
+        const tag = tagIndex > 0 ? lastSegment.slice(tagIndex + 1) : null;
+        const repository = tag ? reference.slice(0, reference.length - tag.length - 1) : reference;
+
+        return {
+            repository,
+            tag,
+            digest,
+            name: this.sanitizeName(repository.split('/').pop())
+        };
+    }
+
+    imageOf(component) {
+        return typeof component === 'string' ? component : component.image;
+    }
+
+    /**
+     * Pin each component (explicit tag or digest, otherwise the latest tag found in the registry)
+     * and complete its spec with the defaults of its image
+     */
+    resolveComponents(components, freshVersions) {
+        const seen = new Set();
+
+        return components.map(component => {
+            const spec = typeof component === 'string' ? { image: component } : component;
+            const image = this.parseImage(spec.image);
+            const name = spec.name ? this.sanitizeName(spec.name) : image.name;
+            if (seen.has(name)) {
+                throw new Error(`Duplicate GitOps component: ${name} (set a distinct "name" on the component)`);
+            }
+            seen.add(name);
+
+            // Un digest épingle déjà l'image : le tag (optionnel) n'est alors que descriptif
+            const tag = image.tag || (image.digest ? null : freshVersions.docker?.[image.repository]?.latest || 'latest');
+            if (tag === 'latest') {
+                this.logger.warn(`No version resolved for ${image.repository}, falling back to the floating "latest" tag`);
+            }
+
+            return {
+                name,
+                repository: image.repository,
+                tag,
+                digest: image.digest,
+                image: `${image.repository}${tag ? `:${tag}` : ''}${image.digest ? `@${image.digest}` : ''}`,
+                ...this.workloads.resolve(image, spec)
+            };
+        });
+    }
+
+    /**
+     * "prod" or { name, namespace?, replicas? (number or { component: number }), resources?, imageTags? }
+     * Namespace by default: <application namespace or name>-<environment>
+     */
+    normalizeEnvironments(environments, application) {
+        const baseNamespace = application.namespace || this.sanitizeName(application.name);
+        const seen = new Set();
+
+        return environments.map(environment => {
+            const spec = typeof environment === 'string' ? { name: environment } : environment;
+            const name = this.sanitizeName(spec.name);
+            if (seen.has(name)) {
+                throw new Error(`Duplicate GitOps environment: ${name}`);
+            }
+            seen.add(name);
+
+            return {
+                name,
+                namespace: spec.namespace || `${baseNamespace}-${name}`,
+                replicas: spec.replicas,
+                resources: spec.resources || null,
+                imageTags: spec.imageTags || {}
+            };
+        });
+    }
+
+    replicasFor(environment, component) {
+        const { replicas } = environment;
+        return typeof replicas === 'object' && replicas !== null ? replicas[component.name] : replicas;
+    }
+
+    sanitizeName(name) {
+        return String(name)
+            .toLowerCase()
+            .replace(/[^a-z0-9-]/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '')
+            .substring(0, 63);
+    }
+
+    /**
+     * Plan for GitOpsRepositoryWriter: a new branch off the GitOps branch and a generated commit message
+     */
+    planWrite(write, context) {
+        const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+        return {
+            repository: write.repository,
+            path: context.path,
+            branch: write.branch || `autoweave/${context.name}-${stamp}`,
+            baseBranch: write.baseBranch || context.gitops.branch || 'main',
+            message: write.message || this.commitMessage(context),
+            prune: Boolean(write.prune),
+            push: write.push !== false,
+            workdir: write.workdir || null,
+            author: write.author || null
+        };
+    }
+
+    commitMessage(context) {
+        const { application, components, environments, platform, engine } = context;
+        return [
+            `Generate ${platform} GitOps configuration for ${application.name}`,
+            '',
+            `Platform: ${platform}${platform === 'docker-compose' ? '' : ` (${engine})`}`,
+            ...(environments.length > 0 ? [`Environments: ${environments.map(environment => environment.name).join(', ')}`] : []),
+            'Components:',
+            ...components.map(component => `- ${component.name}: ${component.image}`),
+            '',
+            'Generated by AutoWeave generate-gitops'
+        ].join('\n');
+    }
+
+    /**
+     * Numbered steps: publish the files (by hand, or by merging the branch written to the repository), then deploy
+     */
+    instructions(context, { save, check = null, deploy }) {
+        const { write } = context;
+        const publish = !write
+            ? [`Create directory: ${context.path}`, save]
+            : write.branch === write.baseBranch
+                ? [`Review the commit on branch ${write.branch}`]
+                : [`Review the diff and merge branch ${write.branch} into ${write.baseBranch}`];
+        if (check) {
+            publish.push(check);
+        }
+        if (!write) {
+            publish.push('Commit and push to your GitOps repository');
+        }
+        return [...publish, ...deploy].map((step, index) => `${index + 1}. ${step}`);
+    }
+
+    labels(context, environment = null) {
+        const labels = {
+            'autoweave.io/generated': 'true'
+        };
+        if (context.application.type) {
+            labels['autoweave.io/type'] = context.application.type;
+        }
+        if (environment) {
+            labels['autoweave.io/environment'] = environment;
+        }
+        return labels;
+    }
+
+    /**
+     * Objets de livraison du moteur GitOps, un par cible (environnement ou application)
+     * target: { name, path, namespace, environment?, valueFiles? }
+     */
+    generateDelivery(context, targets) {
+        const objects = context.engine === 'flux'
+            ? [
+                this.generateFluxGitRepository(context),
+                ...targets.map(target => (context.platform === 'helm'
+                    ? this.generateFluxHelmRelease(context, target)
+                    : this.generateFluxKustomization(context, target)))
+            ]
+            : targets.map(target => this.generateArgoApplication(context, target));
+
+        return {
+            file: context.engine === 'flux' ? 'flux.yaml' : 'application.yaml',
+            content: objects.length === 1 ? objects[0] : objects
+        };
+    }
+
+    deliveryInstructions(context, file) {
+        return context.engine === 'flux'
+            ? `Apply ${file} to the cluster (kubectl apply -f ${context.path}/${file}) or commit it under your Flux cluster directory`
+            : `Apply the ${file} to your ArgoCD instance`;
+    }
+
+    /**
+     * Application Argo CD pointant sur un répertoire du dépôt GitOps
+     */
+    generateArgoApplication(context, target) {
+        const { gitops } = context;
+        const source = {
+            repoURL: gitops.repository || DEFAULT_REPOSITORY,
+            targetRevision: gitops.branch || 'main',
+            path: target.path
+        };
+        if (target.valueFiles) {
+            source.helm = { valueFiles: target.valueFiles };
+        }
+
+        return {
+            apiVersion: 'argoproj.io/v1alpha1',
+            kind: 'Application',
+            metadata: {
+                name: target.name,
+                namespace: 'argocd',
+                labels: this.labels(context, target.environment)
+            },
+            spec: {
+                project: 'default',
+                source,
+                destination: {
+                    server: 'https://kubernetes.default.svc',
+                    namespace: target.namespace
+                },
+                syncPolicy: {
+                    automated: {
+                        prune: true,
+                        selfHeal: true
+                    },
+                    syncOptions: [
+                        'CreateNamespace=true'
+                    ]
+                }
+            }
+        };
+    }
+
+    generateFluxGitRepository(context) {
+        const { gitops } = context;
+        return {
+            apiVersion: 'source.toolkit.fluxcd.io/v1',
+            kind: 'GitRepository',
+            metadata: {
+                name: context.name,
+                namespace: FLUX_NAMESPACE,
+                labels: this.labels(context)
+            },
+            spec: {
+                interval: '1m',
+                url: gitops.repository || DEFAULT_REPOSITORY,
+                ref: {
+                    branch: gitops.branch || 'main'
+                }
+            }
+        };
+    }
+
+    generateFluxKustomization(context, target) {
+        return {
+            apiVersion: 'kustomize.toolkit.fluxcd.io/v1',
+            kind: 'Kustomization',
+            metadata: {
+                name: target.name,
+                namespace: FLUX_NAMESPACE,
+                labels: this.labels(context, target.environment)
+            },
+            spec: {
+                interval: '10m',
+                path: `./${target.path}`,
+                prune: true,
+                wait: true,
+                timeout: '5m',
+                sourceRef: {
+                    kind: 'GitRepository',
+                    name: context.name
+                }
+            }
+        };
+    }
+
+    /**
+     * HelmRelease installant le chart depuis le GitRepository ; valuesFiles relatifs à la racine du dépôt
+     */
+    generateFluxHelmRelease(context, target) {
+        return {
+            apiVersion: 'helm.toolkit.fluxcd.io/v2',
+            kind: 'HelmRelease',
+            metadata: {
+                name: target.name,
+                namespace: FLUX_NAMESPACE,
+                labels: this.labels(context, target.environment)
+            },
+            spec: {
+                interval: '10m',
+                releaseName: target.name,
+                targetNamespace: target.namespace,
+                install: {
+                    createNamespace: true
+                },
+                chart: {
+                    spec: {
+                        chart: `./${context.path}`,
+                        reconcileStrategy: 'Revision',
+                        sourceRef: {
+                            kind: 'GitRepository',
+                            name: context.name,
+                            namespace: FLUX_NAMESPACE
+                        },
+                        valuesFiles: target.valueFiles.map(file => `./${context.path}/${file}`)
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Kustomize : un répertoire plat, ou base/ + overlays/<env>/ quand des environnements sont déclarés
+     */
+    generateKubernetes(context) {
+        const { environments, path } = context;
+        const manifests = {};
+        const targets = [];
+
+        if (environments.length === 0) {
+            Object.assign(manifests, this.generateKustomizeBase(context, ''));
+            targets.push({ name: context.name, path, namespace: context.namespace });
+        } else {
+            Object.assign(manifests, this.generateKustomizeBase(context, 'base/'));
+            for (const environment of environments) {
+                Object.assign(manifests, this.generateKustomizeOverlay(context, environment));
+                targets.push({
+                    name: `${context.name}-${environment.name}`,
+                    path: `${path}/overlays/${environment.name}`,
+                    namespace: environment.namespace,
+                    environment: environment.name
+                });
+            }
+        }
+
+        const delivery = this.generateDelivery(context, targets);
+        manifests[delivery.file] = delivery.content;
+
+        return {
+            gitops: delivery.content,
+            manifests,
+            instructions: this.instructions(context, {
+                save: 'Save each manifest to its respective file',
+                deploy: [
+                    this.deliveryInstructions(context, delivery.file),
+                    ...(environments.length > 0
+                        ? [`Promote by editing the overlays (${environments.map(environment => `overlays/${environment.name}`).join(', ')})`]
+                        : [])
+                ]
+            })
+        };
+    }
+
+    generateKustomizeBase(context, directory) {
+        const { components, namespace } = context;
+        const manifests = {};
+        const kustomization = {
+            apiVersion: 'kustomize.config.k8s.io/v1beta1',
+            kind: 'Kustomization',
+            resources: components.map(component => `${component.name}.yaml`)
+        };
+
+        // Sans overlays, le namespace de l'application est porté par la kustomization elle-même
+        if (!directory && namespace !== 'default') {
+            kustomization.namespace = namespace;
+            kustomization.resources.unshift('namespace.yaml');
+            manifests['namespace.yaml'] = this.generateNamespace(namespace);
+        }
+
+        manifests[`${directory}kustomization.yaml`] = kustomization;
+        for (const component of components) {
+            manifests[`${directory}${component.name}.yaml`] = this.workloads.generate(component);
+        }
+        return manifests;
+    }
+
+    /**
+     * Overlay d'un environnement : namespace, replicas, tags d'images et patch des ressources.
+     * Pour un composant autoscalé, les replicas de l'environnement deviennent le minimum du HPA.
+     */
+    generateKustomizeOverlay(context, environment) {
+        const { components } = context;
+        const directory = `overlays/${environment.name}/`;
+        const manifests = {
+            [`${directory}namespace.yaml`]: this.generateNamespace(environment.namespace)
+        };
+
+        const kustomization = {
+            apiVersion: 'kustomize.config.k8s.io/v1beta1',
+            kind: 'Kustomization',
+            namespace: environment.namespace,
+            resources: ['../../base', 'namespace.yaml'],
+            labels: [{
+                pairs: { 'autoweave.io/environment': environment.name }
+            }]
+        };
+
+        const patches = [];
+        const replicas = [];
+        for (const component of components) {
+            const count = this.replicasFor(environment, component);
+            if (count === undefined) {
+                continue;
+            }
+            if (!component.autoscaling) {
+                replicas.push({ name: component.name, count });
+                continue;
+            }
+
+            const file = `autoscaling-${component.name}.yaml`;
+            patches.push({ path: file });
+            manifests[`${directory}${file}`] = {
+                apiVersion: 'autoscaling/v2',
+                kind: 'HorizontalPodAutoscaler',
+                metadata: { name: component.name },
+                spec: {
+                    minReplicas: count,
+                    maxReplicas: Math.max(count, component.autoscaling.maxReplicas)
+                }
+            };
+        }
+        if (replicas.length > 0) {
+            kustomization.replicas = replicas;
+        }
+
+        const images = components
+            .filter(component => environment.imageTags[component.name])
+            .map(component => ({ name: component.repository, newTag: String(environment.imageTags[component.name]) }));
+        if (images.length > 0) {
+            kustomization.images = images;
+        }
+
+        if (environment.resources) {
+            for (const component of components) {
+                patches.push({ path: `resources-${component.name}.yaml` });
+                manifests[`${directory}resources-${component.name}.yaml`] = {
+                    apiVersion: 'apps/v1',
+                    kind: 'Deployment',
+                    metadata: { name: component.name },
+                    spec: {
+                        template: {
+                            spec: {
+                                containers: [{ name: component.name, resources: structuredClone(environment.resources) }]
+                            }
+                        }
+                    }
+                };
+            }
+        }
+        if (patches.length > 0) {
+            kustomization.patches = patches;
+        }
+
+        manifests[`${directory}kustomization.yaml`] = kustomization;
+        return manifests;
+    }
+
+    generateNamespace(name) {
+        return {
+            apiVersion: 'v1',
+            kind: 'Namespace',
+            metadata: {
+                name,
+                labels: { 'autoweave.io/generated': 'true' }
+            }
+        };
+    }
+
+    /**
+     * docker-compose.yaml (Compose Specification) : un service par composant sur un réseau dédié,
+     * plus un fichier docker-compose.<env>.yaml par environnement.
+     * Les Secrets référencés en bloc deviennent des env_file optionnels <secret>.env (non versionnés).
+     */
+    generateCompose(context) {
+        const { application, components, environments, path } = context;
+        const network = context.name;
+        const services = {};
+
+        for (const component of components) {
+            const service = {
+                image: component.image,
+                restart: 'unless-stopped'
+            };
+            if (component.ports.length > 0) {
+                service.expose = component.ports.map(port => String(port.containerPort));
+            }
+            const environment = component.env.filter(variable => variable.value !== undefined);
+            if (environment.length > 0) {
+                service.environment = Object.fromEntries(environment.map(variable => [variable.name, variable.value]));
+            }
+            if (environment.length < component.env.length) {
+                this.logger.warn(`Secret key references of ${component.name} have no Docker Compose equivalent and are skipped`);
+            }
+            if (component.envFrom.length > 0) {
+                service.env_file = component.envFrom.map(source => ({ path: `${source.secretRef.name}.env`, required: false }));
+            }
+            service.networks = [network];
+            service.labels = {
+                'autoweave.io/generated': 'true',
+                'autoweave.io/application': application.name
+            };
+            services[component.name] = service;
+        }
+
+        const manifests = {
+            'docker-compose.yaml': {
+                name: network,
+                services,
+                networks: {
+                    [network]: {}
+                }
+            }
+        };
+        for (const environment of environments) {
+            manifests[`docker-compose.${environment.name}.yaml`] = this.generateComposeOverride(context, environment);
+        }
+
+        const files = environment => `-f ${path}/docker-compose.yaml${environment ? ` -f ${path}/docker-compose.${environment.name}.yaml` : ''}`;
+        return {
+            gitops: null,
+            manifests,
+            instructions: this.instructions(context, {
+                save: `Save ${Object.keys(manifests).join(', ')} in it`,
+                deploy: [
+                    environments.length > 0
+                        ? `Deploy an environment with: docker compose ${files(environments[0])} up -d`
+                        : `Deploy with: docker compose ${files(null)} up -d`
+                ]
+            })
+        };
+    }
+
+    generateComposeOverride(context, environment) {
+        const services = {};
+
+        for (const component of context.components) {
+            const service = {};
+            const tag = environment.imageTags[component.name];
+            if (tag) {
+                service.image = `${component.repository}:${tag}`;
+            }
+
+            const deploy = {};
+            const replicas = this.replicasFor(environment, component);
+            if (replicas !== undefined) {
+                deploy.replicas = replicas;
+            }
+            if (environment.resources) {
+                deploy.resources = {
+                    limits: this.toComposeResources(environment.resources.limits),
+                    reservations: this.toComposeResources(environment.resources.requests)
+                };
+            }
+            if (Object.keys(deploy).length > 0) {
+                service.deploy = deploy;
+            }
+
+            services[component.name] = service;
+        }
+
+        return {
+            name: `${context.name}-${environment.name}`,
+            services
+        };
+    }
+
+    /**
+     * Kubernetes quantities -> Compose: cpu "500m" -> "0.5", memory "256Mi" -> "256M"
+     */
+    toComposeResources(quantities) {
+        if (!quantities) {
+            return undefined;
+        }
+
+        const resources = {};
+        if (quantities.cpu !== undefined) {
+            const cpu = String(quantities.cpu);
+            resources.cpus = cpu.endsWith('m') ? String(parseInt(cpu, 10) / 1000) : cpu;
+        }
+        if (quantities.memory !== undefined) {
+            resources.memory = String(quantities.memory).replace(/([KMGT])i$/, '$1');
+        }
+        return resources;
+    }
+
+    /**
+     * Chart Helm : Chart.yaml, values.yaml (images épinglées), values-<env>.yaml par environnement
+     * et templates Deployment/Service/Ingress/HPA/PDB itérant sur .Values.components
+     */
+    generateHelm(context) {
+        const { application, components, environments, path } = context;
+        const chartName = context.name;
+        const values = { components: {} };
+
+        for (const component of components) {
+            values.components[component.name] = {
+                image: {
+                    repository: component.repository,
+                    tag: component.tag || '',
+                    digest: component.digest || '',
+                    pullPolicy: 'IfNotPresent'
+                },
+                replicaCount: component.replicas,
+                ports: component.ports,
+                env: component.env,
+                envFrom: component.envFrom,
+                readinessProbe: component.probes?.readiness || null,
+                livenessProbe: component.probes?.liveness || null,
+                resources: component.resources,
+                podSecurityContext: component.podSecurityContext,
+                securityContext: component.securityContext,
+                writablePaths: component.writablePaths,
+                service: {
+                    type: 'ClusterIP'
+                },
+                ingress: component.ingress
+                    ? { enabled: true, ...component.ingress }
+                    : { enabled: false },
+                autoscaling: component.autoscaling
+                    ? { enabled: true, ...component.autoscaling }
+                    : { enabled: false },
+                podDisruptionBudget: component.disruptionBudget
+                    ? { enabled: true, ...component.disruptionBudget }
+                    : { enabled: false }
+            };
+        }
+
+        const manifests = {
+            'Chart.yaml': {
+                apiVersion: 'v2',
+                name: chartName,
+                description: `Helm chart for ${application.name}, generated by AutoWeave`,
+                type: 'application',
+                version: '0.1.0',
+                appVersion: String(application.version || components[0]?.tag || '1.0.0')
+            },
+            'values.yaml': values,
+            '.helmignore': ['.git/', '.DS_Store', '*.swp', '*.bak', '*.tmp', '*.orig', '*~', 'application.yaml', 'flux.yaml'].join('\n') + '\n',
+            'templates/_helpers.tpl': this.helmHelpersTemplate(chartName),
+            'templates/deployment.yaml': this.helmDeploymentTemplate(chartName),
+            'templates/service.yaml': this.helmServiceTemplate(chartName),
+            'templates/ingress.yaml': this.helmIngressTemplate(chartName),
+            'templates/hpa.yaml': this.helmAutoscalingTemplate(chartName),
+            'templates/pdb.yaml': this.helmDisruptionBudgetTemplate(chartName),
+            'templates/NOTES.txt': this.helmNotesTemplate()
+        };
+
+        const targets = environments.length === 0
+            ? [{ name: chartName, path, namespace: context.namespace, valueFiles: ['values.yaml'] }]
+            : environments.map(environment => {
+                manifests[`values-${environment.name}.yaml`] = this.generateHelmEnvironmentValues(context, environment);
+                return {
+                    name: `${chartName}-${environment.name}`,
+                    path,
+                    namespace: environment.namespace,
+                    environment: environment.name,
+                    valueFiles: ['values.yaml', `values-${environment.name}.yaml`]
+                };
+            });
+
+        const delivery = this.generateDelivery(context, targets);
+        manifests[delivery.file] = delivery.content;
+
+        return {
+            gitops: delivery.content,
+            manifests,
+            instructions: this.instructions(context, {
+                save: 'Save each file to its respective path (templates/ included)',
+                check: `Check the chart with: helm lint ${path}`,
+                deploy: [
+                    `${this.deliveryInstructions(context, delivery.file)}, or install directly: helm install ${chartName} ${path}${environments.length > 0 ? ` -f ${path}/values-${environments[0].name}.yaml` : ''}`
+                ]
+            })
+        };
+    }
+
+    /**
+     * values-<env>.yaml : seules les valeurs qui diffèrent de values.yaml
+     */
+    generateHelmEnvironmentValues(context, environment) {
+        const values = { components: {} };
+
+        for (const component of context.components) {
+            const overrides = {};
+            const replicas = this.replicasFor(environment, component);
+            if (replicas !== undefined && component.autoscaling) {
+                overrides.autoscaling = {
+                    minReplicas: replicas,
+                    maxReplicas: Math.max(replicas, component.autoscaling.maxReplicas)
+                };
+            } else if (replicas !== undefined) {
+                overrides.replicaCount = replicas;
+            }
+            if (environment.resources) {
+                // Copie par composant : un objet partagé serait sérialisé en ancre/alias YAML
+                overrides.resources = structuredClone(environment.resources);
+            }
+            if (environment.imageTags[component.name]) {
+                // Le tag de l'environnement remplace aussi le digest de la base
+                overrides.image = { tag: String(environment.imageTags[component.name]), digest: '' };
+            }
+            values.components[component.name] = overrides;
+        }
+
+        return values;
+    }
+
+    helmHelpersTemplate(chartName) {
+        return `{{/*
+Full name of a component: <release>-<component>, truncated to 63 characters.
+Called with (dict "root" $ "name" <component> "component" <values>).
+*/}}
+{{- define "${chartName}.fullname" -}}
+{{- printf "%s-%s" .root.Release.Name .name | trunc 63 | trimSuffix "-" -}}
+{{- end -}}
+
+{{- define "${chartName}.selectorLabels" -}}
+app.kubernetes.io/name: {{ .name }}
+app.kubernetes.io/instance: {{ .root.Release.Name }}
+{{- end -}}
+
+{{- define "${chartName}.labels" -}}
+{{ include "${chartName}.selectorLabels" . }}
+app.kubernetes.io/part-of: {{ .root.Chart.Name }}
+app.kubernetes.io/version: {{ .component.image.tag | quote }}
+app.kubernetes.io/managed-by: {{ .root.Release.Service }}
+helm.sh/chart: {{ printf "%s-%s" .root.Chart.Name .root.Chart.Version }}
+autoweave.io/generated: "true"
+{{- end -}}
+
+{{/*
+Image reference: <repository>[:<tag>][@<digest>]. Called with the component's image values.
+*/}}
+{{- define "${chartName}.image" -}}
+{{- .repository }}{{ with .tag }}:{{ . }}{{ end }}{{ with .digest }}@{{ . }}{{ end -}}
+{{- end -}}
+`;
+    }
+
+    helmDeploymentTemplate(chartName) {
+        return `{{- range $name, $component := .Values.components }}
+{{- $ctx := dict "root" $ "name" $name "component" $component }}
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: {{ include "${chartName}.fullname" $ctx }}
+  labels:
+    {{- include "${chartName}.labels" $ctx | nindent 4 }}
+spec:
+  {{- if not $component.autoscaling.enabled }}
+  replicas: {{ $component.replicaCount }}
+  {{- end }}
+  selector:
+    matchLabels:
+      {{- include "${chartName}.selectorLabels" $ctx | nindent 6 }}
+  template:
+    metadata:
+      labels:
+        {{- include "${chartName}.selectorLabels" $ctx | nindent 8 }}
+    spec:
+      automountServiceAccountToken: false
+      {{- with $component.podSecurityContext }}
+      securityContext:
+        {{- toYaml . | nindent 8 }}
+      {{- end }}
+      containers:
+        - name: {{ $name }}
+          image: "{{ include "${chartName}.image" $component.image }}"
+          imagePullPolicy: {{ $component.image.pullPolicy }}
+          {{- with $component.ports }}
+          ports:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.env }}
+          env:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.envFrom }}
+          envFrom:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.readinessProbe }}
+          readinessProbe:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.livenessProbe }}
+          livenessProbe:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.resources }}
+          resources:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          {{- with $component.securityContext }}
+          securityContext:
+            {{- toYaml . | nindent 12 }}
+          {{- end }}
+          volumeMounts:
+            - name: tmp
+              mountPath: /tmp
+            {{- range $index, $path := $component.writablePaths }}
+            - name: writable-{{ add $index 1 }}
+              mountPath: {{ $path }}
+            {{- end }}
+      volumes:
+        - name: tmp
+          emptyDir: {}
+        {{- range $index, $path := $component.writablePaths }}
+        - name: writable-{{ add $index 1 }}
+          emptyDir: {}
+        {{- end }}
+{{- end }}
+`;
+    }
+
+    helmServiceTemplate(chartName) {
+        return `{{- range $name, $component := .Values.components }}
+{{- if $component.ports }}
+{{- $ctx := dict "root" $ "name" $name "component" $component }}
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: {{ include "${chartName}.fullname" $ctx }}
+  labels:
+    {{- include "${chartName}.labels" $ctx | nindent 4 }}
+spec:
+  type: {{ $component.service.type }}
+  selector:
+    {{- include "${chartName}.selectorLabels" $ctx | nindent 4 }}
+  ports:
+    {{- range $component.ports }}
+    - name: {{ .name }}
+      port: {{ .containerPort }}
+      targetPort: {{ .name }}
+      protocol: {{ .protocol }}
+    {{- end }}
+{{- end }}
+{{- end }}
+`;
+    }
+
+    helmIngressTemplate(chartName) {
+        return `{{- range $name, $component := .Values.components }}
+{{- if $component.ingress.enabled }}
+{{- $ctx := dict "root" $ "name" $name "component" $component }}
+{{- $ingress := $component.ingress }}
+---
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: {{ include "${chartName}.fullname" $ctx }}
+  labels:
+    {{- include "${chartName}.labels" $ctx | nindent 4 }}
+  {{- with $ingress.annotations }}
+  annotations:
+    {{- toYaml . | nindent 4 }}
+  {{- end }}
+spec:
+  {{- with $ingress.className }}
+  ingressClassName: {{ . }}
+  {{- end }}
+  {{- with $ingress.tls }}
+  tls:
+    - hosts:
+        - {{ $ingress.host | quote }}
+      secretName: {{ .secretName }}
+  {{- end }}
+  rules:
+    - host: {{ $ingress.host | quote }}
+      http:
+        paths:
+          - path: {{ $ingress.path }}
+            pathType: Prefix
+            backend:
+              service:
+                name: {{ include "${chartName}.fullname" $ctx }}
+                port:
+                  {{- if kindIs "string" $ingress.port }}
+                  name: {{ $ingress.port }}
+                  {{- else }}
+                  number: {{ $ingress.port }}
+                  {{- end }}
+{{- end }}
+{{- end }}
+`;
+    }
+
+    helmAutoscalingTemplate(chartName) {
+        return `{{- range $name, $component := .Values.components }}
+{{- if $component.autoscaling.enabled }}
+{{- $ctx := dict "root" $ "name" $name "component" $component }}
+---
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: {{ include "${chartName}.fullname" $ctx }}
+  labels:
+    {{- include "${chartName}.labels" $ctx | nindent 4 }}
+spec:
+  scaleTargetRef:
+    apiVersion: apps/v1
+    kind: Deployment
+    name: {{ include "${chartName}.fullname" $ctx }}
+  minReplicas: {{ $component.autoscaling.minReplicas }}
+  maxReplicas: {{ $component.autoscaling.maxReplicas }}
+  metrics:
+    - type: Resource
+      resource:
+        name: cpu
+        target:
+          type: Utilization
+          averageUtilization: {{ $component.autoscaling.targetCPUUtilizationPercentage }}
+{{- end }}
+{{- end }}
+`;
+    }
+
+    helmDisruptionBudgetTemplate(chartName) {
+        return `{{- range $name, $component := .Values.components }}
+{{- if $component.podDisruptionBudget.enabled }}
+{{- $ctx := dict "root" $ "name" $name "component" $component }}
+---
+apiVersion: policy/v1
+kind: PodDisruptionBudget
+metadata:
+  name: {{ include "${chartName}.fullname" $ctx }}
+  labels:
+    {{- include "${chartName}.labels" $ctx | nindent 4 }}
+spec:
+  {{- toYaml (omit $component.podDisruptionBudget "enabled") | nindent 2 }}
+  selector:
+    matchLabels:
+      {{- include "${chartName}.selectorLabels" $ctx | nindent 6 }}
+{{- end }}
+{{- end }}
+`;
+    }
+
+    helmNotesTemplate() {
+        return `{{ .Chart.Name }} {{ .Chart.AppVersion }} is installed as release {{ .Release.Name }} in namespace {{ .Release.Namespace }}.
+
+Components:
+{{- range $name, $component := .Values.components }}
+  - {{ $name }}: {{ $component.image.repository }}{{ with $component.image.tag }}:{{ . }}{{ end }}{{ with $component.image.digest }}@{{ . }}{{ end }}
+{{- end }}
+`;
+    }
+}
+
+module.exports = { GitOpsGenerator, PLATFORMS, ENGINES };
\ No newline at end of file
@@ -0,0 +1,340 @@
+const { GitOpsGenerator } = require('./gitops-generator');
+
+// Agent type d'exemple : une API sur un registre privé, un cache résolu par FreshSources, un front épinglé par digest
+const DIGEST = 'sha256:0f3c4b6d8e1a2b5c7d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c';
+const APPLICATION = {
+    name: 'support-agent',
+    type: 'agent',
+    namespace: 'agents',
+    components: [
+        { image: 'registry.local:5000/team/agent-api:1.4.2', name: 'api', env: { LOG_LEVEL: 'info' }, secrets: ['agent-api'] },
+        'redis',
+        { image: `nginx:1.25@${DIGEST}`, ingress: 'support.example.com' }
+    ]
+};
+const FRESH_VERSIONS = { docker: { redis: { latest: '7.2.4' } } };
+const GITOPS = { repository: 'https://git.example.com/ops.git', branch: 'live' };
+
+const byKind = (documents, kind) => documents.find(document => document.kind === kind);
+
+describe('GitOpsGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new GitOpsGenerator();
+        jest.spyOn(generator.logger, 'info').mockImplementation(() => {});
+        jest.spyOn(generator.logger, 'warn').mockImplementation(() => {});
+    });
+
+    describe('images', () => {
+        test('parses registry ports, tags and digests', () => {
+            expect(generator.parseImage('registry.local:5000/team/agent-api:1.4.2')).toEqual({
+                repository: 'registry.local:5000/team/agent-api',
+                tag: '1.4.2',
+                digest: null,
+                name: 'agent-api'
+            });
+            expect(generator.parseImage('registry.local:5000/app')).toEqual({ repository: 'registry.local:5000/app', tag: null, digest: null, name: 'app' });
+            expect(generator.parseImage(`nginx:1.25@${DIGEST}`)).toEqual({ repository: 'nginx', tag: '1.25', digest: DIGEST, name: 'nginx' });
+            expect(generator.parseImage(`registry.local:5000/nginx@${DIGEST}`)).toEqual({ repository: 'registry.local:5000/nginx', tag: null, digest: DIGEST, name: 'nginx' });
+        });
+
+        test('only asks FreshSources for the images without tag or digest', () => {
+            const application = { components: [...APPLICATION.components, `registry.local:5000/web@${DIGEST}`, 'bitnami/postgresql'] };
+
+            expect(generator.getVersionRequirements(application)).toEqual({ docker: ['redis', 'bitnami/postgresql'] });
+        });
+
+        test('pins each component to its tag, digest or latest resolved version', () => {
+            const [api, redis, nginx] = generator.resolveComponents(APPLICATION.components, FRESH_VERSIONS);
+
+            expect(api).toMatchObject({ name: 'api', repository: 'registry.local:5000/team/agent-api', tag: '1.4.2', image: 'registry.local:5000/team/agent-api:1.4.2' });
+            expect(redis).toMatchObject({ name: 'redis', tag: '7.2.4', image: 'redis:7.2.4' });
+            expect(nginx).toMatchObject({ name: 'nginx', tag: '1.25', digest: DIGEST, image: `nginx:1.25@${DIGEST}` });
+
+            const [floating, pinned] = generator.resolveComponents(['memcached', `web@${DIGEST}`], {});
+            expect(floating.image).toBe('memcached:latest');
+            expect(generator.logger.warn).toHaveBeenCalledWith('No version resolved for memcached, falling back to the floating "latest" tag');
+            expect(pinned).toMatchObject({ tag: null, image: `web@${DIGEST}` });
+        });
+
+        test('rejects two components with the same name', () => {
+            expect(() => generator.resolveComponents(['redis:7', 'bitnami/redis:7'], {})).toThrow('Duplicate GitOps component: redis');
+        });
+    });
+
+    describe('kubernetes', () => {
+        test('generates a flat Kustomize directory and an Argo CD Application', () => {
+            const result = generator.generate({ application: APPLICATION, gitops: GITOPS }, FRESH_VERSIONS);
+
+            expect(result).toMatchObject({ platform: 'kubernetes', engine: 'argocd', environments: [], versions: FRESH_VERSIONS });
+            expect(Object.keys(result.manifests)).toEqual(['namespace.yaml', 'kustomization.yaml', 'api.yaml', 'redis.yaml', 'nginx.yaml', 'application.yaml']);
+            expect(result.manifests['kustomization.yaml']).toEqual({
+                apiVersion: 'kustomize.config.k8s.io/v1beta1',
+                kind: 'Kustomization',
+                resources: ['namespace.yaml', 'api.yaml', 'redis.yaml', 'nginx.yaml'],
+                namespace: 'agents'
+            });
+            expect(result.manifests['namespace.yaml'].metadata.name).toBe('agents');
+
+            const api = result.manifests['api.yaml'];
+            expect(api.map(document => document.kind)).toEqual(['Deployment', 'Service', 'PodDisruptionBudget']);
+            expect(byKind(api, 'Deployment').spec.template.spec.containers[0]).toMatchObject({
+                image: 'registry.local:5000/team/agent-api:1.4.2',
+                env: [{ name: 'LOG_LEVEL', value: 'info' }],
+                envFrom: [{ secretRef: { name: 'agent-api' } }]
+            });
+            expect(byKind(result.manifests['nginx.yaml'], 'Deployment').spec.template.spec.containers[0].image).toBe(`nginx:1.25@${DIGEST}`);
+            expect(byKind(result.manifests['nginx.yaml'], 'Ingress').spec.rules[0].host).toBe('support.example.com');
+
+            expect(result.gitops).toBe(result.manifests['application.yaml']);
+            expect(result.gitops).toMatchObject({
+                kind: 'Application',
+                metadata: { name: 'support-agent', namespace: 'argocd', labels: { 'autoweave.io/generated': 'true', 'autoweave.io/type': 'agent' } },
+                spec: {
+                    source: { repoURL: GITOPS.repository, targetRevision: 'live', path: 'apps/support-agent' },
+                    destination: { namespace: 'agents' }
+                }
+            });
+            expect(result.instructions).toEqual([
+                '1. Create directory: apps/support-agent',
+                '2. Save each manifest to its respective file',
+                '3. Commit and push to your GitOps repository',
+                '4. Apply the application.yaml to your ArgoCD instance'
+            ]);
+        });
+
+        test('generates a base and one overlay per environment', () => {
+            const result = generator.generate({
+                application: APPLICATION,
+                environments: [
+                    'staging',
+                    { name: 'prod', namespace: 'agents-live', replicas: { api: 3 }, imageTags: { api: '1.5.0' }, resources: { limits: { cpu: '1' } } }
+                ]
+            }, FRESH_VERSIONS);
+
+            expect(result.environments).toEqual(['staging', 'prod']);
+            expect(result.manifests['base/kustomization.yaml'].resources).toEqual(['api.yaml', 'redis.yaml', 'nginx.yaml']);
+            expect(result.manifests['namespace.yaml']).toBeUndefined();
+            expect(result.manifests['overlays/staging/kustomization.yaml']).toEqual({
+                apiVersion: 'kustomize.config.k8s.io/v1beta1',
+                kind: 'Kustomization',
+                namespace: 'agents-staging',
+                resources: ['../../base', 'namespace.yaml'],
+                labels: [{ pairs: { 'autoweave.io/environment': 'staging' } }]
+            });
+            expect(result.manifests['overlays/prod/kustomization.yaml']).toMatchObject({
+                namespace: 'agents-live',
+                replicas: [{ name: 'api', count: 3 }],
+                images: [{ name: 'registry.local:5000/team/agent-api', newTag: '1.5.0' }],
+                patches: [{ path: 'resources-api.yaml' }, { path: 'resources-redis.yaml' }, { path: 'resources-nginx.yaml' }]
+            });
+            expect(result.manifests['overlays/prod/resources-api.yaml'].spec.template.spec.containers).toEqual([{ name: 'api', resources: { limits: { cpu: '1' } } }]);
+            expect(result.gitops.map(application => [application.metadata.name, application.spec.source.path, application.spec.destination.namespace])).toEqual([
+                ['support-agent-staging', 'apps/support-agent/overlays/staging', 'agents-staging'],
+                ['support-agent-prod', 'apps/support-agent/overlays/prod', 'agents-live']
+            ]);
+        });
+
+        test('turns environment replicas into the HPA minimum of an autoscaled component', () => {
+            const application = { name: 'web', components: [{ image: 'nginx:1.25', autoscaling: { maxReplicas: 4 } }] };
+
+            const result = generator.generate({ application, environments: [{ name: 'prod', replicas: 6 }] });
+
+            expect(result.manifests['overlays/prod/kustomization.yaml'].replicas).toBeUndefined();
+            expect(result.manifests['overlays/prod/autoscaling-nginx.yaml'].spec).toEqual({ minReplicas: 6, maxReplicas: 6 });
+        });
+
+        test('delivers through Flux with a GitRepository and one Kustomization per target', () => {
+            const result = generator.generate({ application: APPLICATION, gitops: { ...GITOPS, engine: 'flux' }, environments: ['prod'] }, FRESH_VERSIONS);
+
+            expect(result.engine).toBe('flux');
+            expect(result.manifests['application.yaml']).toBeUndefined();
+            const [repository, kustomization] = result.manifests['flux.yaml'];
+            expect(repository).toMatchObject({
+                apiVersion: 'source.toolkit.fluxcd.io/v1',
+                kind: 'GitRepository',
+                metadata: { name: 'support-agent', namespace: 'flux-system' },
+                spec: { url: GITOPS.repository, ref: { branch: 'live' } }
+            });
+            expect(kustomization).toMatchObject({
+                apiVersion: 'kustomize.toolkit.fluxcd.io/v1',
+                kind: 'Kustomization',
+                metadata: { name: 'support-agent-prod', labels: { 'autoweave.io/environment': 'prod' } },
+                spec: { path: './apps/support-agent/overlays/prod', prune: true, sourceRef: { kind: 'GitRepository', name: 'support-agent' } }
+            });
+            expect(result.instructions).toContain('4. Apply flux.yaml to the cluster (kubectl apply -f apps/support-agent/flux.yaml) or commit it under your Flux cluster directory');
+        });
+
+        test('plans the repository write and rejects unknown platforms and engines', () => {
+            const result = generator.generate({ application: APPLICATION, write: { repository: '/srv/ops', branch: 'autoweave/support' } }, FRESH_VERSIONS);
+
+            expect(result.write).toMatchObject({ repository: '/srv/ops', path: 'apps/support-agent', branch: 'autoweave/support', baseBranch: 'main', prune: false, push: true });
+            expect(result.write.message).toContain(`- nginx: nginx:1.25@${DIGEST}`);
+            expect(result.instructions[0]).toBe('1. Review the diff and merge branch autoweave/support into main');
+
+            expect(() => generator.generate({ application: APPLICATION, platform: 'nomad' })).toThrow('Unsupported GitOps platform: nomad');
+            expect(() => generator.generate({ application: APPLICATION, gitops: { engine: 'spinnaker' } })).toThrow('Unsupported GitOps engine: spinnaker');
+        });
+    });
+
+    describe('helm', () => {
+        test('pins images and ports in values.yaml and ships the chart templates', () => {
+            const result = generator.generate({ application: { ...APPLICATION, version: '2.0.0' }, platform: 'helm', gitops: GITOPS }, FRESH_VERSIONS);
+            const { components } = result.manifests['values.yaml'];
+
+            expect(Object.keys(result.manifests)).toEqual([
+                'Chart.yaml', 'values.yaml', '.helmignore',
+                'templates/_helpers.tpl', 'templates/deployment.yaml', 'templates/service.yaml', 'templates/ingress.yaml',
+                'templates/hpa.yaml', 'templates/pdb.yaml', 'templates/NOTES.txt',
+                'application.yaml'
+            ]);
+            expect(result.manifests['Chart.yaml']).toMatchObject({ apiVersion: 'v2', name: 'support-agent', version: '0.1.0', appVersion: '2.0.0' });
+            expect(components.api.image).toEqual({ repository: 'registry.local:5000/team/agent-api', tag: '1.4.2', digest: '', pullPolicy: 'IfNotPresent' });
+            expect(components.nginx.image).toEqual({ repository: 'nginx', tag: '1.25', digest: DIGEST, pullPolicy: 'IfNotPresent' });
+            expect(components.api).toMatchObject({
+                replicaCount: 1,
+                env: [{ name: 'LOG_LEVEL', value: 'info' }],
+                envFrom: [{ secretRef: { name: 'agent-api' } }],
+                service: { type: 'ClusterIP' },
+                ingress: { enabled: false },
+                autoscaling: { enabled: false },
+                podDisruptionBudget: { enabled: true, maxUnavailable: 1 }
+            });
+            expect(components.nginx.ingress).toMatchObject({ enabled: true, host: 'support.example.com', port: 'http' });
+
+            const templates = result.manifests;
+            expect(templates['templates/_helpers.tpl']).toContain('{{- define "support-agent.image" -}}');
+            expect(templates['templates/deployment.yaml']).toContain('image: "{{ include "support-agent.image" $component.image }}"');
+            expect(templates['templates/service.yaml']).toContain('targetPort: {{ .name }}');
+            expect(templates['templates/NOTES.txt']).toContain('{{ with $component.image.digest }}@{{ . }}{{ end }}');
+            expect(result.gitops.spec.source).toEqual({ repoURL: GITOPS.repository, targetRevision: 'live', path: 'apps/support-agent', helm: { valueFiles: ['values.yaml'] } });
+            expect(result.instructions).toContain('3. Check the chart with: helm lint apps/support-agent');
+        });
+
+        test('names every port, from the image profile or the Ingress', () => {
+            const application = {
+                name: 'ports',
+                components: [
+                    'redis:7.2',
+                    { image: 'registry.local:5000/agent:1.0', name: 'plain', ports: [8080, 9090] },
+                    { image: 'registry.local:5000/agent:1.0', name: 'public', ports: [3000], ingress: 'agent.example.com' },
+                    { image: 'rabbitmq:3.13', ports: [15672, { containerPort: 5672, name: 'broker' }] }
+                ]
+            };
+
+            const { components } = generator.generate({ application, platform: 'helm' }).manifests['values.yaml'];
+
+            expect(components.redis.ports).toEqual([{ name: 'redis', containerPort: 6379, protocol: 'TCP' }]);
+            expect(components.plain.ports.map(port => port.name)).toEqual(['tcp', 'port-9090']);
+            expect(components.public.ports.map(port => port.name)).toEqual(['http']);
+            expect(components.public.ingress.port).toBe('http');
+            expect(components.rabbitmq.ports.map(port => port.name)).toEqual(['management', 'broker']);
+            components.plain.ports.forEach(port => expect(port.name.length).toBeLessThanOrEqual(15));
+        });
+
+        test('writes per-environment values and a Flux HelmRelease per environment', () => {
+            const application = { ...APPLICATION, components: [...APPLICATION.components, { image: 'grafana/grafana:11.0.0', autoscaling: { maxReplicas: 4 } }] };
+
+            const result = generator.generate({
+                application,
+                platform: 'helm',
+                gitops: { ...GITOPS, engine: 'flux' },
+                environments: [{ name: 'prod', replicas: { api: 3, grafana: 2 }, imageTags: { nginx: '1.27' }, resources: { limits: { memory: '1Gi' } } }]
+            }, FRESH_VERSIONS);
+
+            const { components } = result.manifests['values-prod.yaml'];
+            expect(components.api).toEqual({ replicaCount: 3, resources: { limits: { memory: '1Gi' } } });
+            expect(components.grafana).toEqual({ autoscaling: { minReplicas: 2, maxReplicas: 4 }, resources: { limits: { memory: '1Gi' } } });
+            expect(components.nginx.image).toEqual({ tag: '1.27', digest: '' });
+            expect(components.api.resources).not.toBe(components.redis.resources);
+
+            const [, release] = result.manifests['flux.yaml'];
+            expect(release).toMatchObject({
+                apiVersion: 'helm.toolkit.fluxcd.io/v2',
+                kind: 'HelmRelease',
+                metadata: { name: 'support-agent-prod', namespace: 'flux-system' },
+                spec: {
+                    targetNamespace: 'agents-prod',
+                    chart: { spec: { chart: './apps/support-agent', valuesFiles: ['./apps/support-agent/values.yaml', './apps/support-agent/values-prod.yaml'] } }
+                }
+            });
+        });
+    });
+
+    describe('docker-compose', () => {
+        test('generates one service per component on a dedicated network', () => {
+            const application = {
+                ...APPLICATION,
+                components: [
+                    { ...APPLICATION.components[0], secrets: ['agent-api', { secret: 'db', key: 'password', env: 'DB_PASSWORD' }] },
+                    ...APPLICATION.components.slice(1)
+                ]
+            };
+
+            const result = generator.generate({ application, platform: 'docker-compose', gitops: GITOPS }, FRESH_VERSIONS);
+
+            expect(result).toMatchObject({ platform: 'docker-compose', engine: null, gitops: null });
+            expect(Object.keys(result.manifests)).toEqual(['docker-compose.yaml']);
+            expect(result.manifests['docker-compose.yaml']).toEqual({
+                name: 'support-agent',
+                services: {
+                    api: {
+                        image: 'registry.local:5000/team/agent-api:1.4.2',
+                        restart: 'unless-stopped',
+                        expose: ['8080'],
+                        environment: { LOG_LEVEL: 'info' },
+                        env_file: [{ path: 'agent-api.env', required: false }],
+                        networks: ['support-agent'],
+                        labels: { 'autoweave.io/generated': 'true', 'autoweave.io/application': 'support-agent' }
+                    },
+                    redis: {
+                        image: 'redis:7.2.4',
+                        restart: 'unless-stopped',
+                        expose: ['6379'],
+                        networks: ['support-agent'],
+                        labels: { 'autoweave.io/generated': 'true', 'autoweave.io/application': 'support-agent' }
+                    },
+                    nginx: {
+                        image: `nginx:1.25@${DIGEST}`,
+                        restart: 'unless-stopped',
+                        expose: ['80'],
+                        networks: ['support-agent'],
+                        labels: { 'autoweave.io/generated': 'true', 'autoweave.io/application': 'support-agent' }
+                    }
+                },
+                networks: { 'support-agent': {} }
+            });
+            expect(generator.logger.warn).toHaveBeenCalledWith('Secret key references of api have no Docker Compose equivalent and are skipped');
+            expect(result.instructions).toEqual([
+                '1. Create directory: apps/support-agent',
+                '2. Save docker-compose.yaml in it',
+                '3. Commit and push to your GitOps repository',
+                '4. Deploy with: docker compose -f apps/support-agent/docker-compose.yaml up -d'
+            ]);
+        });
+
+        test('writes an override file per environment with tags, replicas and Compose resources', () => {
+            const result = generator.generate({
+                application: APPLICATION,
+                platform: 'docker-compose',
+                environments: [{ name: 'prod', replicas: { api: 2 }, imageTags: { api: '1.5.0' }, resources: { requests: { cpu: '250m', memory: '256Mi' }, limits: { cpu: '2', memory: '1Gi' } } }]
+            }, FRESH_VERSIONS);
+
+            const override = result.manifests['docker-compose.prod.yaml'];
+            expect(override.name).toBe('support-agent-prod');
+            expect(override.services.api).toEqual({
+                image: 'registry.local:5000/team/agent-api:1.5.0',
+                deploy: {
+                    replicas: 2,
+                    resources: {
+                        limits: { cpus: '2', memory: '1G' },
+                        reservations: { cpus: '0.25', memory: '256M' }
+                    }
+                }
+            });
+            expect(override.services.redis.image).toBeUndefined();
+            expect(result.instructions).toContain('4. Deploy an environment with: docker compose -f apps/support-agent/docker-compose.yaml -f apps/support-agent/docker-compose.prod.yaml up -d');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('yaml');
+const { Logger } = require('../utils/logger');
+const { CommandRunner, CommandError } = require('../utils/command-runner');
+
+const DEFAULT_AUTHOR = { name: 'AutoWeave', email: 'autoweave@localhost' };
+const MAX_DIFF_SIZE = 5 * 1024 * 1024;
+
+class GitOpsWriteError extends Error {
+    constructor(message, code = 'GITOPS_WRITE_ERROR', details = {}) {
+        super(message);
+        this.name = 'GitOpsWriteError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * GitOpsRepositoryWriter - Écrit les manifests générés dans un dépôt git local
+ * Clone le dépôt (bare ou non) dans un répertoire de travail, crée une branche depuis baseBranch,
+ * y rend les manifests en YAML sous `path`, commit puis pousse la branche vers le dépôt d'origine.
+ * Aucun accès réseau pour un dépôt local ; le dépôt d'origine n'a jamais son checkout modifié.
+ * Options de confinement : `repositories` (seuls dépôts acceptés, chemins ou URLs ; tous sans la liste)
+ * et `workdirRoot` (racine des workdir demandés ; sans elle, aucun workdir n'est accepté).
+ */
+class GitOpsRepositoryWriter {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('GitOpsRepositoryWriter');
+        this.repositories = options.repositories || null;
+        this.workdirRoot = options.workdirRoot ? path.resolve(options.workdirRoot) : null;
+        // La racine du runner confine les workdir (resolvePath) ; git est toujours lancé avec -C
+        this.runner = options.runner || new CommandRunner({
+            root: this.workdirRoot || undefined,
+            logger: this.logger.child('git'),
+            allowedCommands: ['git'],
+            timeout: options.timeout || 60000,
+            maxOutput: MAX_DIFF_SIZE
+        });
+    }
+
+    /**
+     * Manifests ({ relative path: object | object[] | string }) -> { relative path: file content }
+     */
+    render(manifests) {
+        const files = {};
+        for (const [file, content] of Object.entries(manifests)) {
+            files[file] = typeof content === 'string'
+                ? content
+                : Array.isArray(content)
+                    ? content.map(document => yaml.stringify(document)).join('---\n')
+                    : yaml.stringify(content);
+        }
+        return files;
+    }
+
+    /**
+     * plan: { repository, path, branch, baseBranch, message, prune?, push?, workdir?, author? }
+     * (see GitOpsGenerator.planWrite) plus the generated manifests.
+     * Resolves { repository, branch, baseBranch, path, changed, commit, files, diff, pushed, workdir }.
+     */
+    async write(plan, manifests, options = {}) {
+        const directory = this.checkPath(plan.path);
+        const files = this.render(manifests);
+        Object.keys(files).forEach(file => this.checkPath(path.posix.join(directory, file)));
+
+        await this.checkRepository(plan.repository);
+        const workdir = plan.workdir ? await this.resolveWorkdir(plan.workdir) : await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-gitops-'));
+        const git = (args, gitOptions = {}) => this.git(workdir, args, { ...gitOptions, signal: options.signal });
+
+        try {
+            await this.git(null, ['clone', '--quiet', '--no-tags', '--', plan.repository, workdir], { signal: options.signal });
+            await this.checkoutBranch(git, plan);
+            // Les fichiers sont résolus depuis le chemin réel du clone
+            const root = await fs.realpath(workdir);
+
+            if (plan.prune) {
+                await this.prune(git, root, directory, files);
+            }
+            for (const [file, content] of Object.entries(files)) {
+                const target = await this.resolveTarget(root, path.posix.join(directory, file));
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, content);
+            }
+
+            await git(['add', '--all', '--', directory]);
+            const status = await git(['diff', '--cached', '--name-status', '--no-renames']);
+            const changes = status.stdout.split('\n').filter(Boolean).map(line => {
+                const [change, file] = line.split('\t');
+                return { status: change, path: file };
+            });
+
+            const result = {
+                repository: plan.repository,
+                branch: plan.branch,
+                baseBranch: plan.baseBranch,
+                path: directory,
+                changed: changes.length > 0,
+                commit: null,
+                files: changes,
+                diff: '',
+                pushed: false,
+                workdir: plan.workdir ? workdir : null
+            };
+            if (!result.changed) {
+                this.logger.info(`No changes to commit under ${directory} of ${plan.repository}`);
+                return result;
+            }
+
+            const diff = await git(['diff', '--cached', '--no-color', '--no-ext-diff', '--no-renames'], { allowTruncated: true });
+            result.diff = diff.stdout;
+            if (diff.truncated) {
+                result.diffTruncated = true;
+            }
+
+            await git(['commit', '--quiet', '-m', plan.message], {
+                env: await this.identity(git, plan.author)
+            });
+            result.commit = (await git(['rev-parse', 'HEAD'])).stdout.trim();
+
+            if (plan.push !== false) {
+                await git(['push', '--quiet', 'origin', `refs/heads/${plan.branch}:refs/heads/${plan.branch}`]);
+                result.pushed = true;
+            }
+
+            this.logger.success(`📝 Committed ${changes.length} files to ${plan.branch} (${result.commit.slice(0, 12)})${result.pushed ? ` and pushed to ${plan.repository}` : ''}`);
+            return result;
+        } finally {
+            if (!plan.workdir) {
+                await fs.rm(workdir, { recursive: true, force: true });
+            }
+        }
+    }
+
+    /**
+     * New branch off origin/<baseBranch>; an orphan branch when the repository has no commit yet
+     */
+    async checkoutBranch(git, plan) {
+        if (await this.refExists(git, `refs/remotes/origin/${plan.branch}`)) {
+            throw new GitOpsWriteError(`Branch ${plan.branch} already exists in ${plan.repository}`, 'BRANCH_EXISTS', { branch: plan.branch });
+        }
+
+        if (await this.refExists(git, `refs/remotes/origin/${plan.baseBranch}`)) {
+            await git(['checkout', '--quiet', '-b', plan.branch, `origin/${plan.baseBranch}`]);
+            return;
+        }
+
+        const refs = await git(['for-each-ref', '--count=1', 'refs/remotes/origin']);
+        if (refs.stdout.trim()) {
+            throw new GitOpsWriteError(`Base branch ${plan.baseBranch} not found in ${plan.repository}`, 'BASE_BRANCH_NOT_FOUND', { baseBranch: plan.baseBranch });
+        }
+        await git(['checkout', '--quiet', '--orphan', plan.branch]);
+    }
+
+    async refExists(git, ref) {
+        const result = await git(['rev-parse', '--verify', '--quiet', ref], { allowFailure: true });
+        return result.code === 0;
+    }
+
+    /**
+     * Remove tracked files under the directory that are no longer generated
+     */
+    async prune(git, root, directory, files) {
+        const generated = new Set(Object.keys(files).map(file => path.posix.join(directory, file)));
+        const tracked = await git(['ls-files', '-z', '--', directory]);
+        const stale = tracked.stdout.split('\0').filter(file => file && !generated.has(file));
+
+        // Un lien symbolique suivi est supprimé lui-même, jamais sa cible
+        const targets = await Promise.all(stale.map(file => this.resolveTarget(root, file, { followLast: false })));
+        await Promise.all(targets.map(target => fs.rm(target, { force: true })));
+        if (stale.length > 0) {
+            this.logger.info(`Pruning ${stale.length} files no longer generated under ${directory}`);
+        }
+    }
+
+    /**
+     * Explicit author, otherwise the git configuration, otherwise the AutoWeave identity
+     */
+    async identity(git, author) {
+        if (!author) {
+            const configured = await git(['config', 'user.email'], { allowFailure: true });
+            if (configured.code === 0 && configured.stdout.trim()) {
+                return undefined;
+            }
+        }
+
+        const { name, email } = author || DEFAULT_AUTHOR;
+        return {
+            GIT_AUTHOR_NAME: name,
+            GIT_AUTHOR_EMAIL: email,
+            GIT_COMMITTER_NAME: name,
+            GIT_COMMITTER_EMAIL: email
+        };
+    }
+
+    /**
+     * Absolute path of a repository file under the clone's real path. A symlink on the way
+     * (committed in the repository, it may point anywhere) is refused: writing or deleting
+     * through it would reach files outside the clone. followLast: false allows the file
+     * itself to be a symlink, for deletions.
+     */
+    async resolveTarget(root, file, options = {}) {
+        const parts = file.split('/');
+        let current = root;
+        for (const [index, part] of parts.entries()) {
+            current = path.join(current, part);
+            if (options.followLast === false && index === parts.length - 1) {
+                break;
+            }
+
+            let stats;
+            try {
+                stats = await fs.lstat(current);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return path.join(root, ...parts);
+                }
+                throw error;
+            }
+            if (stats.isSymbolicLink()) {
+                throw new GitOpsWriteError(`Refusing to write through the symlink ${parts.slice(0, index + 1).join('/')}`, 'SYMLINK_IN_PATH', {
+                    path: file,
+                    symlink: parts.slice(0, index + 1).join('/')
+                });
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Refuse a repository outside the configured list (local paths compared by real path)
+     */
+    async checkRepository(repository) {
+        if (!this.repositories) {
+            return;
+        }
+
+        const wanted = await this.normalizeRepository(repository);
+        const allowed = await Promise.all(this.repositories.map(candidate => this.normalizeRepository(candidate)));
+        if (!allowed.includes(wanted)) {
+            throw new GitOpsWriteError(`Repository not allowed: ${repository}`, 'REPOSITORY_NOT_ALLOWED', { repository });
+        }
+    }
+
+    async normalizeRepository(repository) {
+        // URL (https://, ssh://, file://) ou syntaxe scp (git@host:org/repo) : comparée telle quelle
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(repository) || /^[^/]+@[^/]+:/.test(repository)) {
+            return repository.replace(/\/+$/, '');
+        }
+        try {
+            return await fs.realpath(repository);
+        } catch (error) {
+            return path.resolve(repository);
+        }
+    }
+
+    /**
+     * Requested working tree: a directory strictly inside workdirRoot, symlinks resolved
+     */
+    async resolveWorkdir(workdir) {
+        if (!this.workdirRoot) {
+            throw new GitOpsWriteError('No workdir root is configured: workdir is not allowed', 'WORKDIR_NOT_ALLOWED', { workdir });
+        }
+
+        let resolved;
+        try {
+            resolved = await this.runner.resolvePath(workdir);
+        } catch (error) {
+            if (error instanceof CommandError) {
+                throw new GitOpsWriteError(`Workdir outside ${this.workdirRoot}: ${workdir}`, 'WORKDIR_NOT_ALLOWED', { workdir });
+            }
+            throw error;
+        }
+        if (resolved === await fs.realpath(this.workdirRoot)) {
+            throw new GitOpsWriteError(`Workdir must be a directory inside ${this.workdirRoot}`, 'WORKDIR_NOT_ALLOWED', { workdir });
+        }
+        return resolved;
+    }
+
+    /**
+     * Relative POSIX path that stays inside the repository
+     */
+    checkPath(target) {
+        const normalized = path.posix.normalize(String(target || '').replace(/\\/g, '/')).replace(/\/+$/, '');
+        if (!normalized || normalized === '.' || path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+            throw new GitOpsWriteError(`Invalid GitOps path: ${target}`, 'INVALID_PATH', { path: target });
+        }
+        return normalized;
+    }
+
+    async git(workdir, args, options = {}) {
+        const argv = workdir ? ['-C', workdir, ...args] : args;
+        const result = await this.runner.run('git', argv, {
+            signal: options.signal,
+            env: { GIT_TERMINAL_PROMPT: '0', ...(options.env || {}) }
+        });
+
+        if (result.code !== 0 && !options.allowFailure && !(options.allowTruncated && result.truncated)) {
+            throw new GitOpsWriteError(`git ${args[0]} failed: ${result.stderr.trim() || `exit code ${result.code}`}`, 'GIT_FAILED', {
+                command: `git ${args.join(' ')}`,
+                exitCode: result.code
+            });
+        }
+        return result;
+    }
+}
+
+module.exports = { GitOpsRepositoryWriter, GitOpsWriteError };
\ No newline at end of file
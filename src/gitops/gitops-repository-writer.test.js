@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GitOpsRepositoryWriter, GitOpsWriteError } = require('./gitops-repository-writer');
+
+const AUTHOR = { name: 'Test', email: 'test@example.com' };
+const IDENTITY = {
+    GIT_AUTHOR_NAME: AUTHOR.name,
+    GIT_AUTHOR_EMAIL: AUTHOR.email,
+    GIT_COMMITTER_NAME: AUTHOR.name,
+    GIT_COMMITTER_EMAIL: AUTHOR.email
+};
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, env: { ...process.env, ...IDENTITY }, encoding: 'utf8' }).trim();
+}
+
+/**
+ * Bare repository whose main branch holds the given files ({ path: content | { symlink } })
+ */
+async function bareRepository(root, files = {}) {
+    const bare = path.join(root, 'origin.git');
+    const seed = path.join(root, 'seed');
+    git(root, 'init', '--quiet', '--bare', '--initial-branch=main', bare);
+    git(root, 'clone', '--quiet', bare, seed);
+    git(seed, 'checkout', '--quiet', '-b', 'main');
+
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(seed, file);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        if (typeof content === 'object') {
+            await fs.symlink(content.symlink, target);
+        } else {
+            await fs.writeFile(target, content);
+        }
+    }
+    git(seed, 'add', '--all');
+    git(seed, 'commit', '--quiet', '--allow-empty', '-m', 'seed');
+    git(seed, 'push', '--quiet', 'origin', 'main');
+    return bare;
+}
+
+describe('GitOpsRepositoryWriter', () => {
+    let root;
+    let writer;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-writer-test-'));
+        writer = new GitOpsRepositoryWriter();
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    const plan = (repository, overrides = {}) => ({
+        repository,
+        path: 'apps/web',
+        branch: 'autoweave/web',
+        baseBranch: 'main',
+        message: 'Generate web',
+        author: AUTHOR,
+        ...overrides
+    });
+
+    test('commits the rendered manifests to a new branch and pushes it', async () => {
+        const bare = await bareRepository(root, { 'README.md': 'repo\n' });
+
+        const result = await writer.write(plan(bare), {
+            'deployment.yaml': { kind: 'Deployment', metadata: { name: 'web' } },
+            'kustomization.yaml': 'resources:\n  - deployment.yaml\n'
+        });
+
+        expect(result.changed).toBe(true);
+        expect(result.pushed).toBe(true);
+        expect(result.files).toEqual([
+            { status: 'A', path: 'apps/web/deployment.yaml' },
+            { status: 'A', path: 'apps/web/kustomization.yaml' }
+        ]);
+        expect(git(root, '--git-dir', bare, 'rev-parse', 'autoweave/web')).toBe(result.commit);
+        expect(git(root, '--git-dir', bare, 'show', 'autoweave/web:apps/web/deployment.yaml')).toContain('kind: Deployment');
+        expect(git(root, '--git-dir', bare, 'log', '-1', '--format=%an', 'autoweave/web')).toBe('Test');
+    });
+
+    test('prunes tracked files that are no longer generated', async () => {
+        const bare = await bareRepository(root, { 'apps/web/old.yaml': 'old\n', 'apps/other/keep.yaml': 'keep\n' });
+
+        const result = await writer.write(plan(bare, { prune: true }), { 'new.yaml': 'new\n' });
+
+        expect(result.files).toEqual([
+            { status: 'A', path: 'apps/web/new.yaml' },
+            { status: 'D', path: 'apps/web/old.yaml' }
+        ]);
+        expect(git(root, '--git-dir', bare, 'ls-tree', '-r', '--name-only', 'autoweave/web').split('\n')).toEqual([
+            'apps/other/keep.yaml',
+            'apps/web/new.yaml'
+        ]);
+    });
+
+    test('refuses an existing branch', async () => {
+        const bare = await bareRepository(root);
+        await writer.write(plan(bare), { 'a.yaml': 'a\n' });
+
+        await expect(writer.write(plan(bare), { 'a.yaml': 'b\n' })).rejects.toMatchObject({ code: 'BRANCH_EXISTS' });
+    });
+
+    test('refuses paths leaving the repository', async () => {
+        const bare = await bareRepository(root);
+
+        await expect(writer.write(plan(bare, { path: '../outside' }), { 'a.yaml': 'a\n' })).rejects.toMatchObject({ code: 'INVALID_PATH' });
+        await expect(writer.write(plan(bare), { '../../a.yaml': 'a\n' })).rejects.toBeInstanceOf(GitOpsWriteError);
+    });
+
+    test('never writes through a symlink committed in the repository', async () => {
+        const outside = path.join(root, 'outside');
+        await fs.mkdir(outside);
+        const bare = await bareRepository(root, { 'apps/evil': { symlink: outside } });
+
+        await expect(writer.write(plan(bare, { path: 'apps/evil' }), { 'nginx.yaml': 'kind: Deployment\n' }))
+            .rejects.toMatchObject({ code: 'SYMLINK_IN_PATH', details: { symlink: 'apps/evil' } });
+        expect(await fs.readdir(outside)).toEqual([]);
+    });
+
+    test('never deletes through a symlinked file when pruning', async () => {
+        const outside = path.join(root, 'secret.yaml');
+        await fs.writeFile(outside, 'secret\n');
+        const bare = await bareRepository(root, { 'apps/web/link.yaml': { symlink: outside } });
+
+        const result = await writer.write(plan(bare, { prune: true }), { 'new.yaml': 'new\n' });
+
+        expect(result.files).toContainEqual({ status: 'D', path: 'apps/web/link.yaml' });
+        expect(await fs.readFile(outside, 'utf8')).toBe('secret\n');
+    });
+
+    test('refuses repositories outside the allowed list', async () => {
+        const bare = await bareRepository(root);
+        const restricted = new GitOpsRepositoryWriter({ repositories: [path.join(root, 'other.git')] });
+
+        await expect(restricted.write(plan(bare), { 'a.yaml': 'a\n' })).rejects.toMatchObject({ code: 'REPOSITORY_NOT_ALLOWED' });
+        expect(git(root, '--git-dir', bare, 'branch', '--list', 'autoweave/web')).toBe('');
+
+        const allowed = new GitOpsRepositoryWriter({ repositories: [bare] });
+        await expect(allowed.write(plan(bare), { 'a.yaml': 'a\n' })).resolves.toMatchObject({ pushed: true });
+    });
+
+    test('keeps the working tree inside the workdir root', async () => {
+        const bare = await bareRepository(root);
+        const workdirRoot = path.join(root, 'workdirs');
+        await fs.mkdir(workdirRoot);
+        await fs.symlink(root, path.join(workdirRoot, 'escape'));
+        const confined = new GitOpsRepositoryWriter({ workdirRoot });
+
+        await expect(writer.write(plan(bare, { workdir: path.join(root, 'tree') }), { 'a.yaml': 'a\n' }))
+            .rejects.toMatchObject({ code: 'WORKDIR_NOT_ALLOWED' });
+        for (const workdir of ['../tree', 'escape/tree', '.']) {
+            await expect(confined.write(plan(bare, { workdir }), { 'a.yaml': 'a\n' }))
+                .rejects.toMatchObject({ code: 'WORKDIR_NOT_ALLOWED' });
+        }
+
+        const result = await confined.write(plan(bare, { workdir: 'web' }), { 'a.yaml': 'a\n' });
+        expect(result.workdir).toBe(path.join(await fs.realpath(workdirRoot), 'web'));
+    });
+});
\ No newline at end of file
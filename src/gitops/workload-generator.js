@@ -0,0 +1,484 @@
+const DEFAULT_RESOURCES = {
+    requests: { cpu: '100m', memory: '128Mi' },
+    limits: { cpu: '500m', memory: '512Mi' }
+};
+
+/**
+ * Défauts par image (nom de l'image sans registre ni tag) : ports, type de sonde,
+ * répertoires inscriptibles (emptyDir, le système de fichiers racine étant en lecture seule),
+ * utilisateur non-root de l'image. Les images officielles nginx/httpd démarrent en root.
+ */
+const IMAGE_PROFILES = {
+    nginx: {
+        ports: [{ name: 'http', containerPort: 80 }],
+        probe: { type: 'http', path: '/' },
+        writablePaths: ['/var/cache/nginx', '/var/run'],
+        root: true,
+        capabilities: ['CHOWN', 'SETGID', 'SETUID', 'NET_BIND_SERVICE']
+    },
+    httpd: {
+        ports: [{ name: 'http', containerPort: 80 }],
+        probe: { type: 'http', path: '/' },
+        writablePaths: ['/usr/local/apache2/logs'],
+        root: true,
+        capabilities: ['CHOWN', 'SETGID', 'SETUID', 'NET_BIND_SERVICE']
+    },
+    redis: {
+        ports: [{ name: 'redis', containerPort: 6379 }],
+        probe: { type: 'tcp' },
+        writablePaths: ['/data'],
+        runAsUser: 999
+    },
+    postgres: {
+        ports: [{ name: 'postgres', containerPort: 5432 }],
+        probe: { type: 'exec', command: ['pg_isready', '-U', 'postgres'] },
+        writablePaths: ['/var/lib/postgresql/data', '/var/run/postgresql'],
+        runAsUser: 999
+    },
+    mysql: {
+        ports: [{ name: 'mysql', containerPort: 3306 }],
+        probe: { type: 'tcp' },
+        writablePaths: ['/var/lib/mysql', '/var/run/mysqld'],
+        runAsUser: 999
+    },
+    mariadb: {
+        ports: [{ name: 'mysql', containerPort: 3306 }],
+        probe: { type: 'tcp' },
+        writablePaths: ['/var/lib/mysql', '/run/mysqld'],
+        runAsUser: 999
+    },
+    mongo: {
+        ports: [{ name: 'mongo', containerPort: 27017 }],
+        probe: { type: 'tcp' },
+        writablePaths: ['/data/db', '/data/configdb'],
+        runAsUser: 999
+    },
+    rabbitmq: {
+        ports: [{ name: 'amqp', containerPort: 5672 }, { name: 'management', containerPort: 15672 }],
+        probe: { type: 'tcp' },
+        writablePaths: ['/var/lib/rabbitmq'],
+        runAsUser: 999
+    },
+    memcached: {
+        ports: [{ name: 'memcache', containerPort: 11211 }],
+        probe: { type: 'tcp' },
+        runAsUser: 11211
+    },
+    elasticsearch: {
+        ports: [{ name: 'http', containerPort: 9200 }],
+        probe: { type: 'http', path: '/_cluster/health?local=true' },
+        writablePaths: ['/usr/share/elasticsearch/data', '/usr/share/elasticsearch/logs'],
+        runAsUser: 1000
+    },
+    grafana: {
+        ports: [{ name: 'http', containerPort: 3000 }],
+        probe: { type: 'http', path: '/api/health' },
+        writablePaths: ['/var/lib/grafana'],
+        runAsUser: 472
+    },
+    prometheus: {
+        ports: [{ name: 'http', containerPort: 9090 }],
+        probe: { type: 'http', path: '/-/ready' },
+        writablePaths: ['/prometheus'],
+        runAsUser: 65534
+    }
+};
+
+// Port sans nom : nommé http avec un Ingress, tcp sinon (voir portName)
+const DEFAULT_PROFILE = {
+    ports: [{ containerPort: 8080 }],
+    probe: { type: 'tcp' }
+};
+
+/**
+ * WorkloadGenerator - Deployment durci, Service, Ingress, HPA et PDB d'un composant
+ *
+ * Spécification d'un composant (tout est optionnel sauf l'image) :
+ * { image, name?, replicas?, ports?, env?, secrets?, probes?, resources?, securityContext?,
+ *   ingress?: { host, path?, port?, className?, tls?, annotations? },
+ *   autoscaling?: { minReplicas?, maxReplicas, targetCPUUtilizationPercentage? }, disruptionBudget? }
+ * Les valeurs absentes viennent du profil de l'image (IMAGE_PROFILES) ou des défauts.
+ */
+class WorkloadGenerator {
+    /**
+     * image: { repository, name } from GitOpsGenerator.parseImage(); spec: the component spec
+     */
+    resolve(image, spec = {}) {
+        const profile = this.profileFor(image.repository);
+        const ports = this.normalizePorts(spec.ports || profile.ports, profile, Boolean(spec.ingress));
+        const writablePaths = spec.writablePaths || profile.writablePaths || [];
+
+        return {
+            replicas: spec.replicas !== undefined ? spec.replicas : 1,
+            ports,
+            ...this.normalizeEnv(spec.env, spec.secrets),
+            probes: this.resolveProbes(spec.probes, profile, ports),
+            resources: spec.resources || structuredClone(DEFAULT_RESOURCES),
+            podSecurityContext: this.podSecurityContext(image.repository, profile, spec.podSecurityContext),
+            securityContext: {
+                allowPrivilegeEscalation: false,
+                readOnlyRootFilesystem: true,
+                capabilities: {
+                    drop: ['ALL'],
+                    ...(profile.capabilities ? { add: profile.capabilities } : {})
+                },
+                ...(spec.securityContext || {})
+            },
+            writablePaths,
+            ingress: this.resolveIngress(spec.ingress, ports),
+            autoscaling: this.resolveAutoscaling(spec.autoscaling, spec.replicas),
+            disruptionBudget: spec.disruptionBudget === false
+                ? null
+                : spec.disruptionBudget || { maxUnavailable: 1 }
+        };
+    }
+
+    profileFor(repository) {
+        const name = repository.split('/').pop();
+        return IMAGE_PROFILES[name] || DEFAULT_PROFILE;
+    }
+
+    /**
+     * Non-root par défaut ; les images Bitnami tournent sous l'UID 1001
+     */
+    podSecurityContext(repository, profile, overrides = {}) {
+        const runAsUser = repository.startsWith('bitnami/') ? 1001 : profile.runAsUser;
+        const context = profile.root && !repository.startsWith('bitnami/')
+            ? {}
+            : { runAsNonRoot: true };
+
+        if (runAsUser !== undefined) {
+            context.runAsUser = runAsUser;
+            context.runAsGroup = runAsUser;
+            context.fsGroup = runAsUser;
+        }
+        context.seccompProfile = { type: 'RuntimeDefault' };
+        return { ...context, ...overrides };
+    }
+
+    /**
+     * [8080, { containerPort: 9090, name: 'metrics' }] -> [{ name, containerPort, protocol }]
+     * Unnamed ports take the name of the image profile (redis, postgres...)
+     */
+    normalizePorts(ports, profile = DEFAULT_PROFILE, ingress = false) {
+        return ports.map((port, index) => {
+            const spec = typeof port === 'number' ? { containerPort: port } : port;
+            return {
+                name: spec.name || this.portName(spec.containerPort, index, profile, ingress),
+                containerPort: spec.containerPort,
+                protocol: spec.protocol || 'TCP'
+            };
+        });
+    }
+
+    /**
+     * Nom du port du profil à ce numéro ; sinon le premier port prend le nom du premier port du profil
+     * (http ou tcp pour une image inconnue, selon qu'un Ingress le publie), les suivants port-<numéro>
+     */
+    portName(containerPort, index, profile, ingress) {
+        const known = profile.ports.find(port => port.containerPort === containerPort);
+        if (known?.name) {
+            return known.name;
+        }
+        if (index > 0) {
+            return `port-${containerPort}`;
+        }
+        return profile.ports[0]?.name || (ingress ? 'http' : 'tcp');
+    }
+
+    /**
+     * env: { KEY: value }; secrets: ['secret-name' (envFrom) | { secret, key, env? } (single variable)]
+     */
+    normalizeEnv(env = {}, secrets = []) {
+        const variables = Object.entries(env).map(([name, value]) => ({ name, value: String(value) }));
+        const envFrom = [];
+
+        for (const secret of secrets) {
+            if (typeof secret === 'string') {
+                envFrom.push({ secretRef: { name: secret } });
+            } else {
+                variables.push({
+                    name: secret.env || secret.key.toUpperCase().replace(/[^A-Z0-9_]/g, '_'),
+                    valueFrom: { secretKeyRef: { name: secret.secret, key: secret.key } }
+                });
+            }
+        }
+
+        return { env: variables, envFrom };
+    }
+
+    /**
+     * probes: false (none), { path?, port? } (HTTP shorthand) or { readiness?, liveness? } as Kubernetes probes
+     */
+    resolveProbes(probes, profile, ports) {
+        if (probes === false || ports.length === 0 && !profile.probe.command) {
+            return null;
+        }
+
+        const spec = probes || {};
+        const port = spec.port || ports[0]?.name;
+        const check = spec.path
+            ? { httpGet: { path: spec.path, port } }
+            : this.profileCheck(profile.probe, port);
+
+        return {
+            readiness: spec.readiness || { ...check, initialDelaySeconds: 5, periodSeconds: 10, failureThreshold: 3 },
+            liveness: spec.liveness || { ...structuredClone(check), initialDelaySeconds: 15, periodSeconds: 20, failureThreshold: 3 }
+        };
+    }
+
+    profileCheck(probe, port) {
+        switch (probe.type) {
+            case 'http':
+                return { httpGet: { path: probe.path, port } };
+            case 'exec':
+                return { exec: { command: probe.command } };
+            default:
+                return { tcpSocket: { port } };
+        }
+    }
+
+    resolveIngress(ingress, ports) {
+        if (!ingress) {
+            return null;
+        }
+
+        const spec = typeof ingress === 'string' ? { host: ingress } : ingress;
+        const port = spec.port || ports[0]?.name;
+        if (port === undefined) {
+            throw new Error(`Ingress for ${spec.host} needs a component port`);
+        }
+
+        return {
+            host: spec.host,
+            path: spec.path || '/',
+            port,
+            className: spec.className || null,
+            tls: spec.tls
+                ? { secretName: typeof spec.tls === 'string' ? spec.tls : `${spec.host.replace(/\./g, '-')}-tls` }
+                : null,
+            annotations: spec.annotations || {}
+        };
+    }
+
+    resolveAutoscaling(autoscaling, replicas) {
+        if (!autoscaling) {
+            return null;
+        }
+
+        const minReplicas = autoscaling.minReplicas || replicas || 2;
+        const maxReplicas = autoscaling.maxReplicas || minReplicas * 2;
+        if (maxReplicas < minReplicas) {
+            throw new Error(`Autoscaling maxReplicas (${maxReplicas}) is lower than minReplicas (${minReplicas})`);
+        }
+
+        return {
+            minReplicas,
+            maxReplicas,
+            targetCPUUtilizationPercentage: autoscaling.targetCPUUtilizationPercentage || 80
+        };
+    }
+
+    /**
+     * Kubernetes objects of a resolved component, in apply order
+     */
+    generate(component) {
+        return [
+            this.generateDeployment(component),
+            component.ports.length > 0 ? this.generateService(component) : null,
+            component.ingress ? this.generateIngress(component) : null,
+            component.autoscaling ? this.generateHorizontalPodAutoscaler(component) : null,
+            component.disruptionBudget ? this.generatePodDisruptionBudget(component) : null
+        ].filter(Boolean);
+    }
+
+    metadata(component, extraLabels = {}) {
+        return {
+            name: component.name,
+            labels: {
+                app: component.name,
+                'autoweave.io/generated': 'true',
+                ...extraLabels
+            }
+        };
+    }
+
+    /**
+     * Image épinglée par digest seul : pas de tag à mettre en label
+     */
+    versionLabel(component) {
+        return component.tag ? { version: component.tag } : {};
+    }
+
+    /**
+     * Writable directories: /tmp plus those of the image, each backed by an emptyDir
+     */
+    volumes(component) {
+        return ['/tmp', ...component.writablePaths].map((mountPath, index) => ({
+            name: index === 0 ? 'tmp' : `writable-${index}`,
+            mountPath
+        }));
+    }
+
+    generateDeployment(component) {
+        const volumes = this.volumes(component);
+        const container = {
+            name: component.name,
+            image: component.image,
+            imagePullPolicy: 'IfNotPresent'
+        };
+        if (component.ports.length > 0) {
+            container.ports = component.ports;
+        }
+        if (component.env.length > 0) {
+            container.env = component.env;
+        }
+        if (component.envFrom.length > 0) {
+            container.envFrom = component.envFrom;
+        }
+        if (component.probes) {
+            container.readinessProbe = component.probes.readiness;
+            container.livenessProbe = component.probes.liveness;
+        }
+        container.resources = component.resources;
+        container.securityContext = component.securityContext;
+        container.volumeMounts = volumes.map(({ name, mountPath }) => ({ name, mountPath }));
+
+        const spec = {
+            selector: {
+                matchLabels: {
+                    app: component.name
+                }
+            },
+            template: {
+                metadata: {
+                    labels: {
+                        app: component.name,
+                        ...this.versionLabel(component)
+                    }
+                },
+                spec: {
+                    automountServiceAccountToken: false,
+                    securityContext: component.podSecurityContext,
+                    containers: [container],
+                    volumes: volumes.map(({ name }) => ({ name, emptyDir: {} }))
+                }
+            }
+        };
+        // Avec un HPA, le nombre de replicas appartient à l'autoscaler
+        if (!component.autoscaling) {
+            spec.replicas = component.replicas;
+        }
+
+        return {
+            apiVersion: 'apps/v1',
+            kind: 'Deployment',
+            metadata: this.metadata(component, this.versionLabel(component)),
+            spec
+        };
+    }
+
+    generateService(component) {
+        return {
+            apiVersion: 'v1',
+            kind: 'Service',
+            metadata: this.metadata(component),
+            spec: {
+                type: 'ClusterIP',
+                selector: {
+                    app: component.name
+                },
+                ports: component.ports.map(port => ({
+                    name: port.name,
+                    port: port.containerPort,
+                    targetPort: port.name,
+                    protocol: port.protocol
+                }))
+            }
+        };
+    }
+
+    generateIngress(component) {
+        const { ingress } = component;
+        const metadata = this.metadata(component);
+        if (Object.keys(ingress.annotations).length > 0) {
+            metadata.annotations = ingress.annotations;
+        }
+
+        const spec = {};
+        if (ingress.className) {
+            spec.ingressClassName = ingress.className;
+        }
+        if (ingress.tls) {
+            spec.tls = [{ hosts: [ingress.host], secretName: ingress.tls.secretName }];
+        }
+        spec.rules = [{
+            host: ingress.host,
+            http: {
+                paths: [{
+                    path: ingress.path,
+                    pathType: 'Prefix',
+                    backend: {
+                        service: {
+                            name: component.name,
+                            port: typeof ingress.port === 'number' ? { number: ingress.port } : { name: ingress.port }
+                        }
+                    }
+                }]
+            }
+        }];
+
+        return {
+            apiVersion: 'networking.k8s.io/v1',
+            kind: 'Ingress',
+            metadata,
+            spec
+        };
+    }
+
+    generateHorizontalPodAutoscaler(component) {
+        const { autoscaling } = component;
+        return {
+            apiVersion: 'autoscaling/v2',
+            kind: 'HorizontalPodAutoscaler',
+            metadata: this.metadata(component),
+            spec: {
+                scaleTargetRef: {
+                    apiVersion: 'apps/v1',
+                    kind: 'Deployment',
+                    name: component.name
+                },
+                minReplicas: autoscaling.minReplicas,
+                maxReplicas: autoscaling.maxReplicas,
+                metrics: [{
+                    type: 'Resource',
+                    resource: {
+                        name: 'cpu',
+                        target: {
+                            type: 'Utilization',
+                            averageUtilization: autoscaling.targetCPUUtilizationPercentage
+                        }
+                    }
+                }]
+            }
+        };
+    }
+
+    generatePodDisruptionBudget(component) {
+        return {
+            apiVersion: 'policy/v1',
+            kind: 'PodDisruptionBudget',
+            metadata: this.metadata(component),
+            spec: {
+                ...component.disruptionBudget,
+                selector: {
+                    matchLabels: {
+                        app: component.name
+                    }
+                }
+            }
+        };
+    }
+}
+
+module.exports = { WorkloadGenerator, IMAGE_PROFILES };
\ No newline at end of file
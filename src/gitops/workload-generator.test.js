@@ -0,0 +1,109 @@
+const { WorkloadGenerator } = require('./workload-generator');
+
+const image = (repository, tag = '1.0.0') => ({ repository, tag, name: repository.split('/').pop() });
+
+// Composant tel que le résout GitOpsGenerator.resolveComponents()
+const component = (generator, repository, spec = {}, tag = '1.0.0') => ({
+    name: spec.name || repository.split('/').pop(),
+    repository,
+    tag,
+    image: `${repository}${tag ? `:${tag}` : ''}`,
+    ...generator.resolve(image(repository, tag), spec)
+});
+
+const byKind = (documents, kind) => documents.find(document => document.kind === kind);
+
+describe('WorkloadGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new WorkloadGenerator();
+    });
+
+    test('hardens the Deployment with the defaults of the image profile', () => {
+        const [deployment, service, budget] = generator.generate(component(generator, 'redis', {}, '7.2.4'));
+
+        expect(deployment.metadata).toEqual({ name: 'redis', labels: { app: 'redis', 'autoweave.io/generated': 'true', version: '7.2.4' } });
+        expect(deployment.spec.replicas).toBe(1);
+        expect(deployment.spec.template.spec).toMatchObject({
+            automountServiceAccountToken: false,
+            securityContext: { runAsNonRoot: true, runAsUser: 999, runAsGroup: 999, fsGroup: 999, seccompProfile: { type: 'RuntimeDefault' } },
+            volumes: [{ name: 'tmp', emptyDir: {} }, { name: 'writable-1', emptyDir: {} }]
+        });
+        expect(deployment.spec.template.spec.containers[0]).toMatchObject({
+            image: 'redis:7.2.4',
+            ports: [{ name: 'redis', containerPort: 6379, protocol: 'TCP' }],
+            readinessProbe: { tcpSocket: { port: 'redis' }, initialDelaySeconds: 5 },
+            livenessProbe: { tcpSocket: { port: 'redis' }, initialDelaySeconds: 15 },
+            resources: { requests: { cpu: '100m', memory: '128Mi' }, limits: { cpu: '500m', memory: '512Mi' } },
+            securityContext: { allowPrivilegeEscalation: false, readOnlyRootFilesystem: true, capabilities: { drop: ['ALL'] } },
+            volumeMounts: [{ name: 'tmp', mountPath: '/tmp' }, { name: 'writable-1', mountPath: '/data' }]
+        });
+        expect(service.spec.ports).toEqual([{ name: 'redis', port: 6379, targetPort: 'redis', protocol: 'TCP' }]);
+        expect(budget).toMatchObject({ kind: 'PodDisruptionBudget', spec: { maxUnavailable: 1, selector: { matchLabels: { app: 'redis' } } } });
+    });
+
+    test('lets root images bind their ports and uses the Bitnami user', () => {
+        const nginx = component(generator, 'nginx');
+        const bitnami = component(generator, 'bitnami/redis');
+
+        expect(nginx.podSecurityContext).toEqual({ seccompProfile: { type: 'RuntimeDefault' } });
+        expect(nginx.securityContext.capabilities).toEqual({ drop: ['ALL'], add: ['CHOWN', 'SETGID', 'SETUID', 'NET_BIND_SERVICE'] });
+        expect(nginx.probes.readiness.httpGet).toEqual({ path: '/', port: 'http' });
+        expect(bitnami.podSecurityContext).toMatchObject({ runAsNonRoot: true, runAsUser: 1001 });
+    });
+
+    test('names ports after the profile, then http or tcp, then port-<number>', () => {
+        expect(generator.normalizePorts([6379, 9121], generator.profileFor('redis')).map(port => port.name)).toEqual(['redis', 'port-9121']);
+        expect(generator.normalizePorts([5000, 5001], generator.profileFor('team/agent')).map(port => port.name)).toEqual(['tcp', 'port-5001']);
+        expect(generator.normalizePorts([5000], generator.profileFor('team/agent'), true)).toEqual([{ name: 'http', containerPort: 5000, protocol: 'TCP' }]);
+        expect(generator.normalizePorts([{ containerPort: 53, name: 'dns', protocol: 'UDP' }])).toEqual([{ name: 'dns', containerPort: 53, protocol: 'UDP' }]);
+        expect(component(generator, 'team/agent').ports).toEqual([{ name: 'tcp', containerPort: 8080, protocol: 'TCP' }]);
+    });
+
+    test('publishes an Ingress on the first port and scales with an HPA', () => {
+        const resolved = component(generator, 'team/agent', {
+            ingress: { host: 'agent.example.com', tls: true, className: 'nginx' },
+            autoscaling: { maxReplicas: 5 },
+            replicas: 2
+        });
+
+        const documents = generator.generate(resolved);
+
+        expect(documents.map(document => document.kind)).toEqual(['Deployment', 'Service', 'Ingress', 'HorizontalPodAutoscaler', 'PodDisruptionBudget']);
+        expect(byKind(documents, 'Deployment').spec.replicas).toBeUndefined();
+        expect(byKind(documents, 'Ingress').spec).toEqual({
+            ingressClassName: 'nginx',
+            tls: [{ hosts: ['agent.example.com'], secretName: 'agent-example-com-tls' }],
+            rules: [{
+                host: 'agent.example.com',
+                http: { paths: [{ path: '/', pathType: 'Prefix', backend: { service: { name: 'agent', port: { name: 'http' } } } }] }
+            }]
+        });
+        expect(byKind(documents, 'HorizontalPodAutoscaler').spec).toMatchObject({ minReplicas: 2, maxReplicas: 5 });
+        expect(() => generator.resolve(image('team/agent'), { autoscaling: { minReplicas: 4, maxReplicas: 2 } }))
+            .toThrow('Autoscaling maxReplicas (2) is lower than minReplicas (4)');
+    });
+
+    test('maps env and secrets, and omits the version label of a digest-only image', () => {
+        const resolved = component(generator, 'team/agent', {
+            env: { PORT: 8080 },
+            secrets: ['agent-env', { secret: 'db', key: 'api-key' }],
+            probes: false,
+            disruptionBudget: false
+        }, null);
+
+        const [deployment] = generator.generate(resolved);
+        const [container] = deployment.spec.template.spec.containers;
+
+        expect(container.env).toEqual([
+            { name: 'PORT', value: '8080' },
+            { name: 'API_KEY', valueFrom: { secretKeyRef: { name: 'db', key: 'api-key' } } }
+        ]);
+        expect(container.envFrom).toEqual([{ secretRef: { name: 'agent-env' } }]);
+        expect(container.readinessProbe).toBeUndefined();
+        expect(deployment.metadata.labels.version).toBeUndefined();
+        expect(deployment.spec.template.metadata.labels).toEqual({ app: 'agent' });
+        expect(generator.generate(resolved).map(document => document.kind)).toEqual(['Deployment', 'Service']);
+    });
+});
\ No newline at end of file
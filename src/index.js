@@ -6,14 +6,40 @@
 // MCP (Model Context Protocol) exports
 const MCPServer = require('./mcp/autoweave-mcp-server');
 const MCPDiscovery = require('./mcp/discovery');
+const UnifiedMCPServer = require('./mcp/unified-autoweave-mcp-server');
+const { StdioTransport } = require('./mcp/transports/stdio-transport');
+const { StreamableHttpTransport } = require('./mcp/transports/streamable-http-transport');
+const { MCPHttpClient, MCPClientError } = require('./mcp/mcp-http-client');
+const { MCPGateway, MCPGatewayError } = require('./mcp/mcp-gateway');
+const { StaticFileSource } = require('./mcp/discovery-sources/static-file-source');
+const { UrlListSource } = require('./mcp/discovery-sources/url-list-source');
+const { KubernetesSource } = require('./mcp/discovery-sources/kubernetes-source');
+const { ToolUsageStats } = require('./mcp/tool-usage-stats');
+const { AccessControl, AccessDeniedError } = require('./mcp/access-control');
+const { ResourceTemplateRegistry, ResourceSubscriptions } = require('./mcp/resource-templates');
+const { ToolCallAbortedError } = require('./mcp/cancellation');
+const { ToolResultCache, MemoryCacheBackend, FileCacheBackend } = require('./mcp/tool-result-cache');
 
 // kagent integration exports
 const KagentBridge = require('./kagent/bridge');
 const YamlGenerator = require('./kagent/yaml-generator');
 
+// GitOps exports
+const { GitOpsGenerator } = require('./gitops/gitops-generator');
+const { WorkloadGenerator } = require('./gitops/workload-generator');
+const { GitOpsRepositoryWriter, GitOpsWriteError } = require('./gitops/gitops-repository-writer');
+
 // Services exports
 const AgentService = require('./services/agent-service');
 const FreshSourcesService = require('./services/fresh-sources-service');
+const { AutoWeaveCoreClient, CoreApiError } = require('./services/autoweave-core-client');
+const { TemplateCatalog, TemplateCatalogError } = require('./services/template-catalog');
+const { VersionCache } = require('./services/version-cache');
+
+// Utils exports
+const { CommandRunner, CommandError } = require('./utils/command-runner');
+const { CodeSearch } = require('./utils/code-search');
+const { LogReader } = require('./utils/log-reader');
 
 // ANP (Agent Network Protocol) - Standalone server
 const { ANPServer } = require('./anp/anp-server');
@@ -24,6 +50,25 @@ module.exports = {
     // MCP Components
     MCPServer,
     MCPDiscovery,
+    UnifiedMCPServer,
+    StdioTransport,
+    StreamableHttpTransport,
+    MCPHttpClient,
+    MCPClientError,
+    MCPGateway,
+    MCPGatewayError,
+    StaticFileSource,
+    UrlListSource,
+    KubernetesSource,
+    ToolUsageStats,
+    AccessControl,
+    AccessDeniedError,
+    ResourceTemplateRegistry,
+    ResourceSubscriptions,
+    ToolCallAbortedError,
+    ToolResultCache,
+    MemoryCacheBackend,
+    FileCacheBackend,
     
     // ANP Components
     ANPServer,
@@ -32,13 +77,32 @@ module.exports = {
     KagentBridge,
     YamlGenerator,
     
+    // GitOps Components
+    GitOpsGenerator,
+    WorkloadGenerator,
+    GitOpsRepositoryWriter,
+    GitOpsWriteError,
+    
     // Services
     AgentService,
     FreshSourcesService,
+    AutoWeaveCoreClient,
+    CoreApiError,
+    TemplateCatalog,
+    TemplateCatalogError,
+    VersionCache,
+    
+    // Utils
+    CommandRunner,
+    CommandError,
+    CodeSearch,
+    LogReader,
     
     // Convenience exports
     createMCPServer: (config) => new MCPServer(config),
+    createUnifiedMCPServer: (autoweaveInstance, options) => new UnifiedMCPServer(autoweaveInstance, options),
     createMCPDiscovery: (config, kagentBridge, autoweaveInstance) => new MCPDiscovery(config, kagentBridge, autoweaveInstance),
+    createMCPGateway: (options) => new MCPGateway(options),
     createANPServer: (config, kagentBridge, autoweaveInstance) => new ANPServer(config, kagentBridge, autoweaveInstance),
     createKagentBridge: (kubeConfig) => new KagentBridge(kubeConfig),
     createAgentService: (kagentBridge) => new AgentService(kagentBridge),
@@ -37,6 +37,12 @@ class KagentBridge {
             }
         }
 
+        // config.mock forces the mock APIs, which serve config.mockResources ({ services, tools })
+        if (config.mock) {
+            this.mockMode = true;
+        }
+        this.mockResources = { services: [], tools: [], ...config.mockResources };
+
         // Initialize APIs (or mocks in test mode)
         if (this.mockMode) {
             this.k8sApi = this.createMockApi();
@@ -452,8 +458,8 @@ class KagentBridge {
     // Mock methods for testing
     createMockApi() {
         return {
-            listNamespacedCustomObject: async () => ({
-                body: { items: [] }
+            listNamespacedCustomObject: async (group, version, namespace, plural) => ({
+                body: { items: plural === 'tools' ? this.mockItems('tools', namespace) : [] }
             }),
             createNamespacedCustomObject: async () => ({
                 body: { metadata: { name: 'mock-resource' } }
@@ -493,10 +499,17 @@ class KagentBridge {
                         }
                     ]
                 }
+            }),
+            listNamespacedService: async (namespace) => ({
+                body: { items: this.mockItems('services', namespace) }
             })
         };
     }
 
+    mockItems(kind, namespace) {
+        return this.mockResources[kind].filter(item => (item.metadata.namespace || 'default') === namespace);
+    }
+
     createMockAppsApi() {
         return {};
     }
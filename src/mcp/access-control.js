@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Logger } = require('../utils/logger');
+const { JSON_RPC_VERSION, JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+/**
+ * Authentication or authorization failure. Extends JsonRpcError so the dispatcher
+ * returns it to MCP clients as a protocol error instead of a tool result.
+ */
+class AccessDeniedError extends JsonRpcError {
+    constructor(message, code = JsonRpcErrorCodes.FORBIDDEN, data = null) {
+        super(code, message, data);
+        this.name = 'AccessDeniedError';
+    }
+}
+
+/**
+ * AccessControl - Authentification des clients MCP (clé API ou jeton bearer)
+ * et politique d'accès aux outils par client : catégories, outils, lecture seule.
+ * Refus par défaut : un outil non couvert par la politique du client est refusé.
+ *
+ * Config: { clients: [{ id, apiKeys?, tokens?, categories?, tools?, denyTools?, readOnly?, admin? }], allowAnonymous? }
+ * `admin` autorise les appels d'administration (cache/invalidate).
+ * Sans client configuré, les endpoints HTTP sont refusés, sauf avec `allowAnonymous`
+ * (ou AUTOWEAVE_MCP_ALLOW_ANONYMOUS=true) qui les ouvre sans authentification.
+ */
+class AccessControl {
+    constructor(config = {}, options = {}) {
+        this.logger = options.logger || new Logger('AccessControl');
+        this.clients = (config.clients || []).map(client => this.normalizeClient(client));
+        this.allowAnonymous = Boolean(config.allowAnonymous ?? process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS === 'true');
+    }
+
+    /**
+     * Build from an AccessControl instance, a config object, or the JSON file named by AUTOWEAVE_MCP_ACCESS_FILE
+     */
+    static from(source, options = {}) {
+        if (source instanceof AccessControl) {
+            return source;
+        }
+        if (source) {
+            return new AccessControl(source, options);
+        }
+
+        const file = process.env.AUTOWEAVE_MCP_ACCESS_FILE;
+        return new AccessControl(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}, options);
+    }
+
+    get enabled() {
+        return this.clients.length > 0;
+    }
+
+    /**
+     * Called before an HTTP endpoint starts listening: refuse to serve it without clients unless allowAnonymous
+     */
+    requireClients(endpoint) {
+        if (this.enabled) {
+            return;
+        }
+        if (!this.allowAnonymous) {
+            throw new Error(`No MCP clients configured: refusing to serve ${endpoint} without authentication (set accessControl.allowAnonymous to allow it)`);
+        }
+        this.logger.warn(`⚠️ No MCP clients configured: ${endpoint} is unauthenticated (allowAnonymous)`);
+    }
+
+    normalizeClient(client) {
+        if (!client.id) {
+            throw new Error('Access control client without id');
+        }
+
+        const apiKeys = [].concat(client.apiKeys || client.apiKey || []);
+        const tokens = [].concat(client.tokens || client.token || []);
+        if (apiKeys.length === 0 && tokens.length === 0) {
+            throw new Error(`Access control client ${client.id} has no API key or token`);
+        }
+
+        return {
+            id: client.id,
+            apiKeys: apiKeys.map(secret => this.digest(secret)),
+            tokens: tokens.map(secret => this.digest(secret)),
+            categories: client.categories || [],
+            tools: client.tools || [],
+            denyTools: client.denyTools || [],
+            readOnly: Boolean(client.readOnly),
+            admin: Boolean(client.admin)
+        };
+    }
+
+    digest(secret) {
+        return crypto.createHash('sha256').update(String(secret)).digest();
+    }
+
+    /**
+     * Identify the client from "X-API-Key" or "Authorization: Bearer" headers
+     */
+    authenticate(headers = {}) {
+        const apiKey = headers['x-api-key'];
+        const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+
+        if (!apiKey && !bearer) {
+            throw new AccessDeniedError('Authentication required', JsonRpcErrorCodes.UNAUTHORIZED, { reason: 'missing_credentials' });
+        }
+
+        // Comparaison à temps constant des empreintes
+        const matches = (digest, candidates) => candidates.some(candidate => crypto.timingSafeEqual(candidate, digest));
+        const client = apiKey
+            ? this.clients.find(candidate => matches(this.digest(apiKey), candidate.apiKeys))
+            : this.clients.find(candidate => matches(this.digest(bearer[1].trim()), candidate.tokens));
+
+        if (!client) {
+            throw new AccessDeniedError('Invalid credentials', JsonRpcErrorCodes.UNAUTHORIZED, { reason: 'invalid_credentials' });
+        }
+        return client;
+    }
+
+    /**
+     * Express middleware: authenticate the request and expose the client as req.mcpClient.
+     * `format` shapes the 401 body: 'json-rpc' (MCP endpoint) or 'rest'.
+     */
+    middleware({ format = 'json-rpc' } = {}) {
+        return (req, res, next) => {
+            if (!this.enabled && this.allowAnonymous) {
+                return next();
+            }
+
+            try {
+                // Sans client configuré, aucune clé ne peut correspondre : la requête est refusée
+                req.mcpClient = this.authenticate(req.headers);
+                next();
+            } catch (error) {
+                this.logger.security('MCP authentication failed', {
+                    reason: error.data?.reason,
+                    ip: req.ip,
+                    method: req.method,
+                    path: req.originalUrl
+                });
+
+                res.status(401).set('WWW-Authenticate', 'Bearer realm="autoweave-mcp"');
+                if (format === 'rest') {
+                    return res.json({ success: false, error: error.message });
+                }
+                res.json({ jsonrpc: JSON_RPC_VERSION, id: null, error: error.toJSON() });
+            }
+        };
+    }
+
+    /**
+     * tool: { name, category?, readOnly? }
+     */
+    isAllowed(client, tool) {
+        if (!this.enabled) {
+            return true;
+        }
+        if (!client || client.denyTools.includes(tool.name)) {
+            return false;
+        }
+
+        const granted = client.tools.includes('*')
+            || client.tools.includes(tool.name)
+            || client.categories.includes('*')
+            || (tool.category !== undefined && client.categories.includes(tool.category));
+
+        return granted && (!client.readOnly || Boolean(tool.readOnly));
+    }
+
+    /**
+     * Throw AccessDeniedError (and record a security event) when the client may not call the tool
+     */
+    authorize(client, tool) {
+        if (this.isAllowed(client, tool)) {
+            return;
+        }
+
+        const details = {
+            client: client ? client.id : null,
+            tool: tool.name,
+            category: tool.category || null,
+            readOnly: client ? client.readOnly : false
+        };
+        this.logger.security('MCP tool call denied', details);
+        throw new AccessDeniedError(`Client ${details.client || 'anonymous'} is not allowed to call ${tool.name}`, JsonRpcErrorCodes.FORBIDDEN, details);
+    }
+
+    /**
+     * Throw AccessDeniedError unless the client may run the admin action
+     */
+    authorizeAdmin(client, action) {
+        if (!this.enabled || client?.admin) {
+            return;
+        }
+
+        const details = { client: client ? client.id : null, action };
+        this.logger.security('MCP admin call denied', details);
+        throw new AccessDeniedError(`Client ${details.client || 'anonymous'} is not allowed to call ${action}`, JsonRpcErrorCodes.FORBIDDEN, details);
+    }
+
+    filterTools(client, tools) {
+        return tools.filter(tool => this.isAllowed(client, tool));
+    }
+}
+
+module.exports = { AccessControl, AccessDeniedError };
\ No newline at end of file
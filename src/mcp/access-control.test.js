@@ -0,0 +1,125 @@
+const express = require('express');
+const { AccessControl, AccessDeniedError } = require('./access-control');
+const { JsonRpcErrorCodes } = require('./json-rpc');
+
+const CONFIG = {
+    clients: [
+        { id: 'dashboard', apiKey: 'dash-key', categories: ['monitoring'], readOnly: true },
+        { id: 'ci', token: 'ci-token', categories: ['*'], denyTools: ['drop-db'] },
+        { id: 'ops', apiKeys: ['ops-1', 'ops-2'], tools: ['restart'], admin: true }
+    ]
+};
+
+describe('AccessControl', () => {
+    let accessControl;
+
+    beforeEach(() => {
+        accessControl = new AccessControl(CONFIG);
+    });
+
+    test('authenticates API keys and bearer tokens', () => {
+        expect(accessControl.authenticate({ 'x-api-key': 'dash-key' }).id).toBe('dashboard');
+        expect(accessControl.authenticate({ authorization: 'Bearer ci-token' }).id).toBe('ci');
+        expect(accessControl.authenticate({ 'x-api-key': 'ops-2' }).id).toBe('ops');
+
+        expect(() => accessControl.authenticate({})).toThrow(expect.objectContaining({ code: JsonRpcErrorCodes.UNAUTHORIZED, data: { reason: 'missing_credentials' } }));
+        expect(() => accessControl.authenticate({ authorization: 'Bearer dash-key' })).toThrow(expect.objectContaining({ data: { reason: 'invalid_credentials' } }));
+    });
+
+    test('rejects clients without id or credentials', () => {
+        expect(() => new AccessControl({ clients: [{ apiKey: 'k' }] })).toThrow('Access control client without id');
+        expect(() => new AccessControl({ clients: [{ id: 'x' }] })).toThrow('Access control client x has no API key or token');
+    });
+
+    test('allows tools by category, name and read-only flag, and denies the rest', () => {
+        const [dashboard, ci, ops] = accessControl.clients;
+
+        expect(accessControl.isAllowed(dashboard, { name: 'metrics', category: 'monitoring', readOnly: true })).toBe(true);
+        expect(accessControl.isAllowed(dashboard, { name: 'scale', category: 'monitoring', readOnly: false })).toBe(false);
+        expect(accessControl.isAllowed(dashboard, { name: 'search', category: 'search', readOnly: true })).toBe(false);
+        expect(accessControl.isAllowed(ci, { name: 'anything', category: 'files' })).toBe(true);
+        expect(accessControl.isAllowed(ci, { name: 'drop-db', category: 'database' })).toBe(false);
+        expect(accessControl.isAllowed(ops, { name: 'restart', category: 'system' })).toBe(true);
+        expect(accessControl.isAllowed(ops, { name: 'status', category: 'system' })).toBe(false);
+        expect(accessControl.isAllowed(null, { name: 'metrics', category: 'monitoring' })).toBe(false);
+
+        const tools = [{ name: 'metrics', category: 'monitoring', readOnly: true }, { name: 'restart', category: 'system' }];
+        expect(accessControl.filterTools(dashboard, tools).map(tool => tool.name)).toEqual(['metrics']);
+    });
+
+    test('authorize and authorizeAdmin throw AccessDeniedError and log a security event', () => {
+        const dashboard = accessControl.authenticate({ 'x-api-key': 'dash-key' });
+        const ops = accessControl.authenticate({ 'x-api-key': 'ops-1' });
+        const security = jest.spyOn(accessControl.logger, 'security').mockImplementation(() => {});
+
+        expect(() => accessControl.authorize(dashboard, { name: 'restart', category: 'system' })).toThrow(AccessDeniedError);
+        expect(security).toHaveBeenCalledWith('MCP tool call denied', { client: 'dashboard', tool: 'restart', category: 'system', readOnly: true });
+
+        expect(() => accessControl.authorizeAdmin(dashboard, 'cache/invalidate')).toThrow(expect.objectContaining({ code: JsonRpcErrorCodes.FORBIDDEN }));
+        expect(() => accessControl.authorizeAdmin(ops, 'cache/invalidate')).not.toThrow();
+    });
+
+    describe('without clients', () => {
+        const previous = process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+
+        afterEach(() => {
+            if (previous === undefined) {
+                delete process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+            } else {
+                process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS = previous;
+            }
+        });
+
+        test('refuses to serve HTTP unless anonymous access is explicit', () => {
+            delete process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+            expect(() => new AccessControl().requireClients('the HTTP endpoint')).toThrow(/refusing to serve the HTTP endpoint/);
+            expect(() => new AccessControl({ allowAnonymous: true }).requireClients('the HTTP endpoint')).not.toThrow();
+            expect(() => accessControl.requireClients('the HTTP endpoint')).not.toThrow();
+
+            process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS = 'true';
+            expect(() => new AccessControl().requireClients('the HTTP endpoint')).not.toThrow();
+        });
+    });
+
+    describe('middleware', () => {
+        let server;
+
+        const serve = async (control, format) => {
+            const app = express();
+            app.get('/', control.middleware({ format }), (req, res) => res.json({ client: req.mcpClient ? req.mcpClient.id : null }));
+            await new Promise(resolve => { server = app.listen(0, resolve); });
+            return `http://localhost:${server.address().port}/`;
+        };
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('exposes the authenticated client and answers 401 in the requested format', async () => {
+            jest.spyOn(accessControl.logger, 'security').mockImplementation(() => {});
+            const url = await serve(accessControl, 'rest');
+
+            const ok = await fetch(url, { headers: { 'X-API-Key': 'dash-key' } });
+            await expect(ok.json()).resolves.toEqual({ client: 'dashboard' });
+
+            const denied = await fetch(url);
+            expect(denied.status).toBe(401);
+            expect(denied.headers.get('www-authenticate')).toBe('Bearer realm="autoweave-mcp"');
+            await expect(denied.json()).resolves.toEqual({ success: false, error: 'Authentication required' });
+        });
+
+        test('denies every request when no client is configured, unless anonymous access is allowed', async () => {
+            const closed = new AccessControl({ allowAnonymous: false });
+            jest.spyOn(closed.logger, 'security').mockImplementation(() => {});
+            const url = await serve(closed, 'json-rpc');
+
+            const denied = await fetch(url, { headers: { 'X-API-Key': 'anything' } });
+            expect(denied.status).toBe(401);
+            await expect(denied.json()).resolves.toMatchObject({ jsonrpc: '2.0', id: null, error: { code: JsonRpcErrorCodes.UNAUTHORIZED } });
+
+            await new Promise(resolve => server.close(resolve));
+            const open = await serve(new AccessControl({ allowAnonymous: true }));
+            await expect((await fetch(open)).json()).resolves.toEqual({ client: null });
+        });
+    });
+});
\ No newline at end of file
@@ -1,7 +1,21 @@
+const path = require('path');
 const { Logger } = require('../utils/logger');
 const express = require('express');
 const { ConfigurationIntelligence } = require('../core/config-intelligence');
 const { FreshSourcesService } = require('../services/fresh-sources-service');
+const { REGISTRIES } = require('../services/version-cache');
+const { GitOpsGenerator } = require('../gitops/gitops-generator');
+const { GitOpsRepositoryWriter } = require('../gitops/gitops-repository-writer');
+const { TemplateCatalog, TemplateCatalogError, BUILTIN_TEMPLATES_DIR } = require('../services/template-catalog');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+const { createMCPDispatcher } = require('./protocol');
+const { StreamableHttpTransport } = require('./transports/streamable-http-transport');
+const { ToolInputValidator, ToolValidationError } = require('./tool-validator');
+const { AccessControl, AccessDeniedError } = require('./access-control');
+const { ToolCallAbortedError, createCallSignal, raceWithSignal } = require('./cancellation');
+const { ResourceSubscriptions, createAutoWeaveResourceTemplates, agentResourceUris } = require('./resource-templates');
+const { createAutoWeavePrompts } = require('./prompts');
+const { ToolResultCache, MemoryCacheBackend, FileCacheBackend } = require('./tool-result-cache');
 
 /**
  * AutoWeaveMCPServer - Expose les capacités d'AutoWeave via Model Context Protocol
@@ -17,7 +31,43 @@ class AutoWeaveMCPServer {
         
         // Services
         this.freshSources = new FreshSourcesService(config);
+        this.gitopsGenerator = new GitOpsGenerator({ logger: this.logger.child('gitops') });
+        // Dépôts et workdir acceptés de write : refusés sans configuration
+        this.gitopsWriter = new GitOpsRepositoryWriter({
+            repositories: config?.gitopsRepositories || (process.env.AUTOWEAVE_GITOPS_REPOSITORIES || '').split(',').map(repository => repository.trim()).filter(Boolean),
+            workdirRoot: config?.gitopsWorkdirRoot || process.env.AUTOWEAVE_GITOPS_WORKDIR_ROOT || null,
+            logger: this.logger.child('gitops-writer')
+        });
         this.configIntelligence = null; // Initialized after autoweave
+        this.validator = new ToolInputValidator();
+        
+        // Built-in templates, then the platform team's directories (same name@version overrides)
+        const templateDirs = config?.templateDirs || (process.env.AUTOWEAVE_TEMPLATES_DIR || '').split(path.delimiter).filter(Boolean);
+        this.templateCatalog = new TemplateCatalog({
+            directories: [BUILTIN_TEMPLATES_DIR, ...templateDirs],
+            validator: this.validator,
+            logger: this.logger.child('templates')
+        });
+        this.accessControl = AccessControl.from(config?.accessControl, { logger: this.logger.child('access') });
+        this.toolTimeout = config?.toolTimeout || 60000;
+        
+        // Registry answers are stable for minutes: tools with a `cache` policy are served from here
+        const cacheDir = config?.cacheDir || process.env.AUTOWEAVE_MCP_CACHE_DIR || null;
+        this.resultCache = new ToolResultCache({
+            backend: cacheDir
+                ? new FileCacheBackend({ directory: cacheDir, logger: this.logger.child('cache') })
+                : new MemoryCacheBackend({ maxEntries: config?.cacheMaxEntries }),
+            logger: this.logger.child('cache')
+        });
+        
+        // Resource templates (agents, kagent tools, ANP tasks) and subscriptions
+        this.agentService = autoweaveInstance?.agentService || null;
+        this.resourceTemplates = createAutoWeaveResourceTemplates({
+            agentService: this.agentService,
+            kagentBridge: autoweaveInstance?.kagentBridge,
+            tasks: autoweaveInstance?.anpServer?.anpTasks
+        });
+        this.resourceSubscriptions = new ResourceSubscriptions({ logger: this.logger.child('subscriptions') });
         
         // MCP Metadata
         this.serverInfo = {
@@ -35,6 +85,8 @@ class AutoWeaveMCPServer {
         this.tools = {
             'create-config': {
                 description: 'Generate intelligent configuration from natural language intent',
+                readOnly: true,
+                timeout: 120000,
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -55,8 +107,32 @@ class AutoWeaveMCPServer {
                 }
             },
             
+            // Pas de cache de résultat : le VersionCache (TTL, ETag, paquets surveillés) décide seul de la fraîcheur
             'find-fresh-sources': {
                 description: 'Find latest versions of packages across registries',
+                readOnly: true,
+                timeout: 30000,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        packages: {
+                            type: 'object',
+                            properties: {
+                                docker: { type: 'array', items: { type: 'string' } },
+                                npm: { type: 'array', items: { type: 'string' } },
+                                helm: { type: 'array', items: { type: 'string' } },
+                                github: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    },
+                    required: ['packages']
+                }
+            },
+            
+            // Pas readOnly ni cache : l'appel modifie la liste des paquets surveillés
+            'watch-fresh-sources': {
+                description: 'Keep packages refreshed in the background (fresh-sources-cache resource)',
+                timeout: 10000,
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -76,6 +152,9 @@ class AutoWeaveMCPServer {
             
             'search-package': {
                 description: 'Search for packages across multiple registries',
+                readOnly: true,
+                timeout: 30000,
+                cache: { ttl: 300000, staleWhileRevalidate: 900000, cacheable: search => !search.errors },
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -94,6 +173,9 @@ class AutoWeaveMCPServer {
             
             'check-outdated': {
                 description: 'Check if a package version is outdated',
+                readOnly: true,
+                timeout: 20000,
+                cache: { ttl: 300000, staleWhileRevalidate: 900000, cacheable: outdated => !outdated.error },
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -105,8 +187,68 @@ class AutoWeaveMCPServer {
                 }
             },
             
+            'list-templates': {
+                description: 'List the configuration templates of the catalog (latest version of each)',
+                readOnly: true,
+                timeout: 10000,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        platform: { type: 'string', description: 'Only templates of this platform (kubernetes, docker-compose, helm...)' },
+                        tags: { type: 'array', items: { type: 'string' }, description: 'Only templates carrying all these tags' }
+                    }
+                }
+            },
+            
+            'search-templates': {
+                description: 'Search configuration templates by name, tag or description',
+                readOnly: true,
+                timeout: 10000,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', minLength: 1 },
+                        platform: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['query']
+                }
+            },
+            
+            'render-template': {
+                description: 'Render a configuration template after validating its parameters',
+                readOnly: true,
+                timeout: 10000,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        version: { type: 'string', description: 'Template version (default: latest)' },
+                        parameters: { type: 'object', default: {} }
+                    },
+                    required: ['name']
+                }
+            },
+            
+            'diff-template-versions': {
+                description: 'Preview the unified diff between two versions of a configuration template',
+                readOnly: true,
+                timeout: 10000,
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        from: { type: 'string', minLength: 1 },
+                        to: { type: 'string', description: 'Target version (default: latest)' },
+                        parameters: { type: 'object', description: 'Diff the rendered files with these parameters instead of the template definitions' }
+                    },
+                    required: ['name', 'from']
+                }
+            },
+            
             'generate-gitops': {
                 description: 'Generate GitOps-ready configuration with best practices',
+                timeout: 60000,
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -115,16 +257,200 @@ class AutoWeaveMCPServer {
                             properties: {
                                 name: { type: 'string' },
                                 type: { type: 'string' },
-                                components: { type: 'array', items: { type: 'string' } }
-                            }
+                                namespace: { type: 'string' },
+                                version: { type: 'string' },
+                                components: {
+                                    type: 'array',
+                                    description: 'Container images, or component specs; untagged images are pinned to their latest tag and missing details default from the image',
+                                    items: {
+                                        anyOf: [
+                                            { type: 'string', minLength: 1 },
+                                            {
+                                                type: 'object',
+                                                properties: {
+                                                    image: { type: 'string', minLength: 1 },
+                                                    name: { type: 'string' },
+                                                    replicas: { type: 'integer', minimum: 0 },
+                                                    ports: {
+                                                        type: 'array',
+                                                        items: {
+                                                            anyOf: [
+                                                                { type: 'integer', minimum: 1, maximum: 65535 },
+                                                                {
+                                                                    type: 'object',
+                                                                    properties: {
+                                                                        name: { type: 'string', pattern: '^[a-z0-9]([a-z0-9-]{0,13}[a-z0-9])?$' },
+                                                                        containerPort: { type: 'integer', minimum: 1, maximum: 65535 },
+                                                                        protocol: { type: 'string', enum: ['TCP', 'UDP', 'SCTP'] }
+                                                                    },
+                                                                    required: ['containerPort']
+                                                                }
+                                                            ]
+                                                        }
+                                                    },
+                                                    env: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+                                                    secrets: {
+                                                        type: 'array',
+                                                        description: 'Secret names (all keys as env vars) or { secret, key, env? } references',
+                                                        items: {
+                                                            anyOf: [
+                                                                { type: 'string', minLength: 1 },
+                                                                {
+                                                                    type: 'object',
+                                                                    properties: {
+                                                                        secret: { type: 'string', minLength: 1 },
+                                                                        key: { type: 'string', minLength: 1 },
+                                                                        env: { type: 'string' }
+                                                                    },
+                                                                    required: ['secret', 'key']
+                                                                }
+                                                            ]
+                                                        }
+                                                    },
+                                                    probes: {
+                                                        description: 'false to disable, { path, port? } for HTTP checks, or Kubernetes readiness/liveness probes',
+                                                        anyOf: [
+                                                            { type: 'boolean', enum: [false] },
+                                                            {
+                                                                type: 'object',
+                                                                properties: {
+                                                                    path: { type: 'string' },
+                                                                    port: { type: ['string', 'integer'] },
+                                                                    readiness: { type: 'object' },
+                                                                    liveness: { type: 'object' }
+                                                                }
+                                                            }
+                                                        ]
+                                                    },
+                                                    resources: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            requests: { type: 'object' },
+                                                            limits: { type: 'object' }
+                                                        }
+                                                    },
+                                                    securityContext: { type: 'object' },
+                                                    podSecurityContext: { type: 'object' },
+                                                    writablePaths: { type: 'array', items: { type: 'string' } },
+                                                    ingress: {
+                                                        anyOf: [
+                                                            { type: 'string', minLength: 1 },
+                                                            {
+                                                                type: 'object',
+                                                                properties: {
+                                                                    host: { type: 'string', minLength: 1 },
+                                                                    path: { type: 'string' },
+                                                                    port: { type: ['string', 'integer'] },
+                                                                    className: { type: 'string' },
+                                                                    tls: { type: ['boolean', 'string'] },
+                                                                    annotations: { type: 'object', additionalProperties: { type: 'string' } }
+                                                                },
+                                                                required: ['host']
+                                                            }
+                                                        ]
+                                                    },
+                                                    autoscaling: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            minReplicas: { type: 'integer', minimum: 1 },
+                                                            maxReplicas: { type: 'integer', minimum: 1 },
+                                                            targetCPUUtilizationPercentage: { type: 'integer', minimum: 1, maximum: 100 }
+                                                        }
+                                                    },
+                                                    disruptionBudget: {
+                                                        anyOf: [
+                                                            { type: 'boolean', enum: [false] },
+                                                            {
+                                                                type: 'object',
+                                                                properties: {
+                                                                    minAvailable: { type: ['integer', 'string'] },
+                                                                    maxUnavailable: { type: ['integer', 'string'] }
+                                                                }
+                                                            }
+                                                        ]
+                                                    }
+                                                },
+                                                required: ['image']
+                                            }
+                                        ]
+                                    },
+                                    default: []
+                                }
+                            },
+                            required: ['name']
+                        },
+                        platform: {
+                            type: 'string',
+                            enum: ['kubernetes', 'docker-compose', 'helm'],
+                            description: 'kubernetes (Argo CD Application + Kustomize), docker-compose, or a Helm chart',
+                            default: 'kubernetes'
                         },
                         gitops: {
                             type: 'object',
                             properties: {
                                 repository: { type: 'string' },
                                 branch: { type: 'string' },
-                                path: { type: 'string' }
+                                path: { type: 'string' },
+                                engine: {
+                                    type: 'string',
+                                    enum: ['argocd', 'flux'],
+                                    description: 'Argo CD Applications, or Flux GitRepository + Kustomization/HelmRelease',
+                                    default: 'argocd'
+                                }
+                            }
+                        },
+                        environments: {
+                            type: 'array',
+                            description: 'Promotion environments (e.g. dev, staging, prod): a name or an object with per-environment patches',
+                            items: {
+                                anyOf: [
+                                    { type: 'string', minLength: 1 },
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            name: { type: 'string', minLength: 1 },
+                                            namespace: { type: 'string' },
+                                            replicas: {
+                                                anyOf: [
+                                                    { type: 'integer', minimum: 0 },
+                                                    { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } }
+                                                ]
+                                            },
+                                            resources: {
+                                                type: 'object',
+                                                properties: {
+                                                    requests: { type: 'object' },
+                                                    limits: { type: 'object' }
+                                                }
+                                            },
+                                            imageTags: { type: 'object', additionalProperties: { type: 'string' } }
+                                        },
+                                        required: ['name']
+                                    }
+                                ]
                             }
+                        },
+                        write: {
+                            type: 'object',
+                            description: 'Commit the manifests as YAML files under gitops.path to a new branch of a local git repository (bare or not) and return the diff',
+                            properties: {
+                                repository: { type: 'string', minLength: 1, description: 'Path (or URL) of the repository to clone and push the branch to; must be one of the configured GitOps repositories' },
+                                branch: { type: 'string', minLength: 1, description: 'Branch to create (default autoweave/<application>-<timestamp>)' },
+                                baseBranch: { type: 'string', minLength: 1, description: 'Branch to start from (default gitops.branch or main)' },
+                                message: { type: 'string', minLength: 1 },
+                                prune: { type: 'boolean', description: 'Delete files under gitops.path that are no longer generated', default: false },
+                                push: { type: 'boolean', description: 'Push the branch back to the repository', default: true },
+                                workdir: { type: 'string', minLength: 1, description: 'Keep the working tree in this directory, relative to the configured workdir root, instead of a temporary one' },
+                                author: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string', minLength: 1 },
+                                        email: { type: 'string', minLength: 1 }
+                                    },
+                                    required: ['name', 'email']
+                                }
+                            },
+                            required: ['repository']
                         }
                     },
                     required: ['application']
@@ -135,26 +461,17 @@ class AutoWeaveMCPServer {
         // Resource definitions
         this.resources = {
             'configuration-templates': {
-                description: 'Available configuration templates',
+                description: 'Configuration template catalog: latest version of each template, its versions and parameters',
                 mimeType: 'application/json'
             },
             'fresh-sources-cache': {
-                description: 'Cached latest versions information',
+                description: 'Versions looked up by FreshSourcesService (latest, tags, fetchedAt, ETag); filter with ?registry= and ?maxAge= (ms)',
                 mimeType: 'application/json'
             }
         };
         
-        // Prompts for common use cases
-        this.prompts = {
-            'setup-dev-environment': {
-                description: 'Set up a complete development environment',
-                template: 'Create a development environment with {ide}, {language} support, and {tools}. Include debugging capabilities and hot reload.'
-            },
-            'deploy-application': {
-                description: 'Deploy an application with best practices',
-                template: 'Deploy {application} to {platform} with high availability, monitoring, and automatic scaling. Use latest stable versions.'
-            }
-        };
+        // Prompts for common use cases, with the deployed agents and the latest versions as context
+        this.prompts = createAutoWeavePrompts({ agentService: this.agentService, freshSources: this.freshSources }, { validator: this.validator });
     }
 
     /**
@@ -172,6 +489,21 @@ class AutoWeaveMCPServer {
             );
         }
         
+        // Notify resource subscribers when an agent changes
+        if (this.agentService) {
+            const publish = ({ agentId }) => {
+                agentResourceUris(agentId).forEach(uri => this.resourceSubscriptions.publish(uri));
+            };
+            this.agentService.on('agent-status-changed', publish);
+            this.agentService.on('agent-updated', publish);
+        }
+        
+        await this.templateCatalog.load();
+        
+        // Watched packages stay fresh; subscribers learn when a version changes
+        this.freshSources.versionCache.on('updated', () => this.resourceSubscriptions.publish('autoweave://fresh-sources-cache'));
+        this.freshSources.startRefresher();
+        
         // Set up MCP routes
         this.setupRoutes();
         
@@ -182,6 +514,9 @@ class AutoWeaveMCPServer {
      * Set up MCP protocol routes
      */
     setupRoutes() {
+        // Authentification des clients REST (le endpoint JSON-RPC est protégé par son transport)
+        this.app.use('/mcp/v1', this.accessControl.middleware({ format: 'rest' }));
+        
         // MCP Discovery endpoint
         this.app.get('/mcp/v1', (req, res) => {
             res.json({
@@ -194,7 +529,7 @@ class AutoWeaveMCPServer {
         // List available tools
         this.app.get('/mcp/v1/tools', (req, res) => {
             res.json({
-                tools: Object.entries(this.tools).map(([name, tool]) => ({
+                tools: this.listAllowedTools(req.mcpClient).map(([name, tool]) => ({
                     name,
                     description: tool.description,
                     inputSchema: tool.inputSchema
@@ -207,13 +542,60 @@ class AutoWeaveMCPServer {
             const { toolName } = req.params;
             const input = req.body;
             
+            // Client parti avant la réponse : annuler l'appel
+            const disconnect = new AbortController();
+            res.on('close', () => {
+                if (!res.writableFinished) {
+                    disconnect.abort();
+                }
+            });
+            const timeout = parseInt(req.query.timeout, 10);
+            
             try {
-                const result = await this.executeTool(toolName, input);
+                if (this.tools[toolName]) {
+                    this.accessControl.authorize(req.mcpClient, this.getPolicyTarget(toolName));
+                }
+                const result = await this.executeTool(toolName, input, {
+                    signal: disconnect.signal,
+                    timeout: timeout > 0 ? timeout : undefined
+                });
                 res.json({
                     success: true,
                     result
                 });
             } catch (error) {
+                if (error instanceof AccessDeniedError) {
+                    return res.status(403).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                
+                if (error instanceof ToolCallAbortedError) {
+                    this.logger.warn(error.message);
+                    return res.status(error.code === 'TOOL_TIMEOUT' ? 504 : 499).json({
+                        success: false,
+                        error: error.message,
+                        code: error.code
+                    });
+                }
+                
+                if (error instanceof ToolValidationError) {
+                    this.logger.warn(`Rejected invalid input for ${toolName}`, error.errors);
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        errors: error.errors
+                    });
+                }
+                
+                if (error instanceof TemplateCatalogError) {
+                    return res.status(error.code === 'TEMPLATE_NOT_FOUND' ? 404 : 400).json({
+                        success: false,
+                        ...error.toJSON()
+                    });
+                }
+                
                 this.logger.error(`Tool execution failed for ${toolName}:`, error);
                 res.status(500).json({
                     success: false,
@@ -238,12 +620,15 @@ class AutoWeaveMCPServer {
             const { resourceName } = req.params;
             
             try {
-                const content = await this.getResource(resourceName);
+                const content = await this.getResource(resourceName, req.query);
                 res.json({
                     name: resourceName,
                     content
                 });
             } catch (error) {
+                if (error instanceof JsonRpcError && error.code === JsonRpcErrorCodes.INVALID_PARAMS) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
                 res.status(404).json({
                     error: `Resource not found: ${resourceName}`
                 });
@@ -253,21 +638,231 @@ class AutoWeaveMCPServer {
         // List prompts
         this.app.get('/mcp/v1/prompts', (req, res) => {
             res.json({
-                prompts: Object.entries(this.prompts).map(([name, prompt]) => ({
-                    name,
-                    description: prompt.description,
-                    template: prompt.template
+                prompts: this.prompts.list().map(prompt => ({
+                    ...prompt,
+                    template: this.prompts.get(prompt.name).template
                 }))
             });
         });
+        
+        // Render prompt
+        this.app.post('/mcp/v1/prompts/:promptName', async (req, res) => {
+            const { promptName } = req.params;
+            
+            try {
+                res.json(await this.prompts.render(promptName, req.body || {}));
+            } catch (error) {
+                if (error instanceof JsonRpcError && error.code === JsonRpcErrorCodes.INVALID_PARAMS) {
+                    return res.status(this.prompts.get(promptName) ? 400 : 404).json({
+                        success: false,
+                        error: error.message,
+                        errors: error.data?.errors
+                    });
+                }
+                
+                this.logger.error(`Prompt rendering failed for ${promptName}:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Invalidate cached tool results (admin)
+        this.app.post('/mcp/v1/cache/invalidate', async (req, res) => {
+            try {
+                this.accessControl.authorizeAdmin(req.mcpClient, 'cache/invalidate');
+                res.json({ success: true, ...(await this.invalidateCache(req.body || {})) });
+            } catch (error) {
+                if (error instanceof AccessDeniedError) {
+                    return res.status(403).json({ success: false, error: error.message });
+                }
+                if (error instanceof JsonRpcError && error.code === JsonRpcErrorCodes.INVALID_PARAMS) {
+                    return res.status(400).json({ success: false, error: error.message, errors: error.data?.errors });
+                }
+                
+                this.logger.error('Cache invalidation failed:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+        
+        // JSON-RPC 2.0 endpoint (standard MCP clients)
+        this.setupJsonRpc();
+    }
+
+    /**
+     * Set up the JSON-RPC 2.0 MCP endpoint (Streamable HTTP) alongside the REST routes
+     */
+    setupJsonRpc() {
+        this.rpc = createMCPDispatcher(this.createRpcHandlers(), {
+            serverInfo: this.serverInfo,
+            logger: this.logger.child('rpc'),
+            instructions: this.serverInfo.description
+        });
+        
+        this.httpTransport = new StreamableHttpTransport(this.rpc, {
+            path: '/mcp',
+            accessControl: this.accessControl,
+            logger: this.logger.child('http')
+        }).mount(this.app);
+        this.httpTransport.on('session-closed', sessionId => this.resourceSubscriptions.removeSubscriber(`http:${sessionId}`));
     }
 
     /**
-     * Execute MCP tool
+     * MCP method handlers backed by executeTool(), getResource() and the resource templates
      */
-    async executeTool(toolName, input) {
+    createRpcHandlers() {
+        return {
+            listTools: async (params, context) => ({
+                tools: this.listAllowedTools(context.client).map(([name, tool]) => {
+                    const mcpTool = {
+                        name,
+                        description: tool.description,
+                        inputSchema: tool.inputSchema
+                    };
+                    if (tool.readOnly) {
+                        mcpTool.annotations = { readOnlyHint: true };
+                    }
+                    return mcpTool;
+                })
+            }),
+            
+            callTool: async (name, args, context) => {
+                if (!this.tools[name]) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+                }
+                this.accessControl.authorize(context.client, this.getPolicyTarget(name));
+                return this.executeTool(name, args, context);
+            },
+            
+            listResources: async () => ({
+                resources: Object.entries(this.resources).map(([name, resource]) => ({
+                    uri: `autoweave://${name}`,
+                    name,
+                    description: resource.description,
+                    mimeType: resource.mimeType
+                }))
+            }),
+            
+            readResource: async (uri, context) => {
+                const [name, search] = uri.replace(/^autoweave:\/\//, '').split('?');
+                const resource = this.resources[name];
+                if (!resource) {
+                    return this.resourceTemplates.read(uri, context);
+                }
+                
+                const content = await this.getResource(name, Object.fromEntries(new URLSearchParams(search || '')));
+                return {
+                    contents: [{
+                        uri,
+                        mimeType: resource.mimeType,
+                        text: JSON.stringify(content, null, 2)
+                    }]
+                };
+            },
+            
+            listResourceTemplates: async () => ({
+                resourceTemplates: this.resourceTemplates.list()
+            }),
+            
+            subscribe: async (uri, context) => {
+                const match = this.resourceTemplates.match(uri);
+                if (!this.resources[uri.replace(/^autoweave:\/\//, '').split('?')[0]] && !match) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+                }
+                
+                this.resourceSubscriptions.subscribe(uri, context);
+                if (this.agentService && match?.template.name.startsWith('autoweave-agent')) {
+                    this.agentService.watchStatus(this.config?.agentStatusInterval);
+                }
+            },
+            
+            unsubscribe: async (uri, context) => this.resourceSubscriptions.unsubscribe(uri, context),
+            
+            listPrompts: async () => ({
+                prompts: this.prompts.list()
+            }),
+            
+            getPrompt: async (name, args) => this.prompts.render(name, args),
+            
+            invalidateCache: async (params, context) => {
+                this.accessControl.authorizeAdmin(context.client, 'cache/invalidate');
+                return this.invalidateCache(params);
+            }
+        };
+    }
+
+    /**
+     * Tools visible to a client. All tools of this server belong to the "config" category.
+     */
+    listAllowedTools(client) {
+        return Object.entries(this.tools)
+            .filter(([name]) => this.accessControl.isAllowed(client, this.getPolicyTarget(name)));
+    }
+    
+    getPolicyTarget(toolName) {
+        return { name: toolName, category: 'config', readOnly: Boolean(this.tools[toolName].readOnly) };
+    }
+
+    /**
+     * Execute MCP tool. context: { signal, timeout, reportProgress }; the call is aborted
+     * (and its requests torn down) when the signal aborts or after the tool's timeout.
+     */
+    async executeTool(toolName, rawInput, context = {}) {
         this.logger.info(`Executing MCP tool: ${toolName}`);
         
+        const tool = this.tools[toolName];
+        if (!tool) {
+            throw new Error(`Unknown tool: ${toolName}`);
+        }
+        
+        // Reject invalid input and apply schema defaults before dispatch
+        const input = this.validator.validate(toolName, tool.inputSchema, rawInput);
+        
+        const timeout = context.timeout || tool.timeout || this.toolTimeout;
+        // Background stale-while-revalidate refreshes outlive the caller: own deadline, no caller signal
+        const invoke = async ({ background }) => {
+            const call = createCallSignal(background ? null : context.signal, timeout, toolName);
+            try {
+                return await raceWithSignal(this.runTool(toolName, input, { ...context, signal: call.signal }), call.signal);
+            } finally {
+                call.dispose();
+            }
+        };
+        
+        return tool.cache
+            ? this.resultCache.wrap(toolName, input, tool.cache, invoke)
+            : invoke({ background: false });
+    }
+    
+    /**
+     * Drop cached tool results: everything, one tool, or one tool called with `arguments`
+     */
+    async invalidateCache({ tool, arguments: args } = {}) {
+        if (args !== undefined && !tool) {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, 'Invalid params: "arguments" requires "tool"');
+        }
+        if (tool && !this.tools[tool]) {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown tool: ${tool}`);
+        }
+        
+        let input;
+        try {
+            input = args !== undefined ? this.validator.validate(tool, this.tools[tool].inputSchema, args) : undefined;
+        } catch (error) {
+            if (error instanceof ToolValidationError) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, error.message, { errors: error.errors });
+            }
+            throw error;
+        }
+        
+        const invalidated = await this.resultCache.invalidate({ tool, args: input, policy: this.tools[tool]?.cache });
+        return { invalidated, stats: this.resultCache.stats() };
+    }
+    
+    async runTool(toolName, input, context) {
+        const { signal } = context;
+        
         switch (toolName) {
             case 'create-config':
                 if (!this.configIntelligence) {
@@ -279,10 +874,16 @@ class AutoWeaveMCPServer {
                 );
                 
             case 'find-fresh-sources':
-                return await this.freshSources.findLatestVersions(input.packages);
+                return await this.freshSources.findLatestVersions(input.packages, { signal });
+                
+            case 'watch-fresh-sources':
+                Object.entries(input.packages).forEach(([registry, names]) => {
+                    names.forEach(name => this.freshSources.watch(registry, name));
+                });
+                return { watched: this.freshSources.versionCache.listWatched() };
                 
             case 'search-package':
-                const searchOptions = {};
+                const searchOptions = { signal };
                 if (input.registries) {
                     // Convert registries array to include flags
                     input.registries.forEach(reg => {
@@ -295,11 +896,24 @@ class AutoWeaveMCPServer {
                 return await this.freshSources.checkIfOutdated(
                     input.type,
                     input.name,
-                    input.currentVersion
+                    input.currentVersion,
+                    { signal }
                 );
                 
+            case 'list-templates':
+                return { templates: this.templateCatalog.list({ platform: input.platform, tags: input.tags }) };
+                
+            case 'search-templates':
+                return { templates: this.templateCatalog.search(input.query, { platform: input.platform, tags: input.tags }) };
+                
+            case 'render-template':
+                return this.templateCatalog.render(input.name, input.parameters, { version: input.version });
+                
+            case 'diff-template-versions':
+                return this.templateCatalog.diff(input.name, input.from, input.to, { parameters: input.parameters });
+                
             case 'generate-gitops':
-                return await this.generateGitOpsConfig(input);
+                return await this.generateGitOpsConfig(input, context);
                 
             default:
                 throw new Error(`Unknown tool: ${toolName}`);
@@ -307,15 +921,15 @@ class AutoWeaveMCPServer {
     }
 
     /**
-     * Get MCP resource
+     * Get MCP resource; query holds the URI (or REST) query parameters
      */
-    async getResource(resourceName) {
+    async getResource(resourceName, query = {}) {
         switch (resourceName) {
             case 'configuration-templates':
                 return this.getConfigurationTemplates();
                 
             case 'fresh-sources-cache':
-                return this.getFreshSourcesCache();
+                return this.getFreshSourcesCache(query);
                 
             default:
                 throw new Error(`Unknown resource: ${resourceName}`);
@@ -323,154 +937,56 @@ class AutoWeaveMCPServer {
     }
 
     /**
-     * Get available configuration templates
+     * Get available configuration templates (the loaded catalog)
      */
     getConfigurationTemplates() {
-        return {
-            templates: [
-                {
-                    name: 'kubernetes-deployment',
-                    description: 'Standard Kubernetes deployment with service',
-                    variables: ['appName', 'image', 'port', 'replicas']
-                },
-                {
-                    name: 'docker-compose-stack',
-                    description: 'Docker Compose application stack',
-                    variables: ['services', 'networks', 'volumes']
-                },
-                {
-                    name: 'helm-chart',
-                    description: 'Helm chart with standard structure',
-                    variables: ['chartName', 'version', 'values']
-                },
-                {
-                    name: 'gitops-application',
-                    description: 'ArgoCD/Flux application manifest',
-                    variables: ['appName', 'repo', 'path', 'targetRevision']
-                }
-            ]
-        };
+        return this.templateCatalog.describe();
     }
 
     /**
-     * Get cached fresh sources information
+     * Get the version cache of FreshSourcesService, optionally for one registry
+     * and/or entries fetched at most maxAge ms ago
      */
-    async getFreshSourcesCache() {
-        // In a real implementation, this would return cached data
-        return {
-            cached: false,
-            message: 'Fresh sources are fetched on demand'
-        };
+    async getFreshSourcesCache(query = {}) {
+        const filters = {};
+        if (query.registry !== undefined) {
+            if (!REGISTRIES.includes(query.registry)) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown registry: ${query.registry} (expected ${REGISTRIES.join(', ')})`);
+            }
+            filters.registry = query.registry;
+        }
+        if (query.maxAge !== undefined) {
+            filters.maxAge = Number(query.maxAge);
+            if (!Number.isInteger(filters.maxAge) || filters.maxAge < 0) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `maxAge must be a number of milliseconds, got ${query.maxAge}`);
+            }
+        }
+        
+        await this.freshSources.versionCache.load();
+        return this.freshSources.versionCache.describe(filters);
     }
 
     /**
-     * Generate GitOps configuration
+     * Generate GitOps configuration for input.platform, pinned to the latest image versions
      */
-    async generateGitOpsConfig(input) {
-        const { application, gitops = {} } = input;
+    async generateGitOpsConfig(input, context = {}) {
+        const reportProgress = context.reportProgress || (() => {});
         
-        // Find fresh versions for components
-        const components = {
-            docker: application.components || []
-        };
-        const freshVersions = await this.freshSources.findLatestVersions(components);
-        
-        // Generate GitOps structure
-        const config = {
-            apiVersion: 'argoproj.io/v1alpha1',
-            kind: 'Application',
-            metadata: {
-                name: application.name,
-                namespace: 'argocd',
-                labels: {
-                    'autoweave.io/generated': 'true',
-                    'autoweave.io/type': application.type
-                }
-            },
-            spec: {
-                project: 'default',
-                source: {
-                    repoURL: gitops.repository || 'https://github.com/your-org/your-gitops-repo',
-                    targetRevision: gitops.branch || 'main',
-                    path: gitops.path || `apps/${application.name}`
-                },
-                destination: {
-                    server: 'https://kubernetes.default.svc',
-                    namespace: application.namespace || 'default'
-                },
-                syncPolicy: {
-                    automated: {
-                        prune: true,
-                        selfHeal: true
-                    },
-                    syncOptions: [
-                        'CreateNamespace=true'
-                    ]
-                }
-            }
-        };
+        const total = input.write ? 3 : 2;
         
-        // Generate manifests
-        const manifests = {
-            'application.yaml': config,
-            'kustomization.yaml': {
-                apiVersion: 'kustomize.config.k8s.io/v1beta1',
-                kind: 'Kustomization',
-                resources: application.components.map(c => `${c}.yaml`)
-            }
-        };
+        reportProgress({ progress: 1, total, message: 'Resolving latest component versions' });
+        const freshVersions = await this.freshSources.findLatestVersions(
+            this.gitopsGenerator.getVersionRequirements(input.application),
+            { signal: context.signal }
+        );
+        reportProgress({ progress: 2, total, message: `Generating ${input.platform || 'kubernetes'} configuration` });
         
-        // Add component manifests with fresh versions
-        for (const component of application.components) {
-            const version = freshVersions.docker[component]?.latest || 'latest';
-            manifests[`${component}.yaml`] = {
-                apiVersion: 'apps/v1',
-                kind: 'Deployment',
-                metadata: {
-                    name: component.split('/').pop(),
-                    labels: {
-                        app: component.split('/').pop(),
-                        version: version
-                    }
-                },
-                spec: {
-                    replicas: 1,
-                    selector: {
-                        matchLabels: {
-                            app: component.split('/').pop()
-                        }
-                    },
-                    template: {
-                        metadata: {
-                            labels: {
-                                app: component.split('/').pop()
-                            }
-                        },
-                        spec: {
-                            containers: [{
-                                name: component.split('/').pop(),
-                                image: `${component}:${version}`,
-                                ports: [{
-                                    containerPort: 8080
-                                }]
-                            }]
-                        }
-                    }
-                }
-            };
+        const result = this.gitopsGenerator.generate(input, freshVersions);
+        if (result.write) {
+            reportProgress({ progress: 3, total, message: `Committing to ${result.write.branch} of ${result.write.repository}` });
+            result.write = await this.gitopsWriter.write(result.write, result.manifests, { signal: context.signal });
         }
-        
-        return {
-            gitops: config,
-            manifests,
-            versions: freshVersions,
-            instructions: [
-                `1. Create directory: ${gitops.path || `apps/${application.name}`}`,
-                '2. Save each manifest to its respective file',
-                '3. Commit and push to your GitOps repository',
-                '4. Apply the application.yaml to your ArgoCD instance'
-            ]
-        };
+        return result;
     }
 
     /**
@@ -478,6 +994,7 @@ class AutoWeaveMCPServer {
      */
     start(port) {
         const mcpPort = port || this.config.mcpPort || 3002;
+        this.accessControl.requireClients('the MCP endpoint');
         
         this.app.listen(mcpPort, () => {
             this.logger.success(`AutoWeave MCP Server listening on port ${mcpPort}`);
@@ -0,0 +1,72 @@
+class ToolCallAbortedError extends Error {
+    constructor(message, code = 'TOOL_CANCELLED', details = {}) {
+        super(message);
+        this.name = 'ToolCallAbortedError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * Signal of one tool call: aborted when the caller's signal aborts (notifications/cancelled,
+ * client gone) or when the deadline expires. The abort reason is a ToolCallAbortedError
+ * (TOOL_CANCELLED or TOOL_TIMEOUT). Call dispose() once the call has settled.
+ */
+function createCallSignal(parentSignal, timeout, toolName) {
+    const controller = new AbortController();
+
+    const onParentAbort = () => {
+        const reason = parentSignal.reason instanceof ToolCallAbortedError ? parentSignal.reason : null;
+        controller.abort(reason || new ToolCallAbortedError(`Tool call cancelled: ${toolName}`, 'TOOL_CANCELLED', { tool: toolName }));
+    };
+
+    if (parentSignal?.aborted) {
+        onParentAbort();
+    } else if (parentSignal) {
+        parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            controller.abort(new ToolCallAbortedError(`Tool call timed out after ${timeout}ms: ${toolName}`, 'TOOL_TIMEOUT', { tool: toolName, timeout }));
+        }, timeout)
+        : null;
+
+    return {
+        signal: controller.signal,
+        dispose: () => {
+            clearTimeout(timer);
+            if (parentSignal) {
+                parentSignal.removeEventListener('abort', onParentAbort);
+            }
+        }
+    };
+}
+
+/**
+ * Settle with the promise, or reject with the abort reason as soon as the signal aborts:
+ * a handler that ignores its signal cannot hold the caller past its deadline.
+ */
+function raceWithSignal(promise, signal) {
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+module.exports = { ToolCallAbortedError, createCallSignal, raceWithSignal };
\ No newline at end of file
@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events');
+const { Logger } = require('../../utils/logger');
+const { checkServerUrl } = require('./url-list-source');
+
+const ANNOTATION_PREFIX = 'autoweave.dev/mcp';
+const DEFAULT_WATCH_INTERVAL = 30000;
+
+/**
+ * KubernetesSource - Source de découverte : Services annotés et Tools kagent du cluster
+ * - Services annotés `autoweave.dev/mcp: "true"` ; l'URL vient du port du Service :
+ *   autoweave.dev/mcp-port (numéro ou nom, sinon le port nommé "mcp", sinon le premier),
+ *   autoweave.dev/mcp-path (défaut /mcp), autoweave.dev/mcp-scheme (défaut http, https sur 443).
+ * - Tools kagent (kagent.dev/v1alpha1) de spec.type mcp_server, URL spec.mcpServer.url,
+ *   sauf ceux annotés `autoweave.dev/mcp: "false"`.
+ * Ids préfixés par le kind (svc-<ns>-<name>, tool-<ns>-<name>) : un Tool et un Service de même nom ne se masquent pas.
+ * Les APIs sont celles de KagentBridge (coreApi, k8sApi), mocks compris.
+ * watch() polls the cluster and emits 'changed' ({ added, removed }) when servers appear or disappear.
+ */
+class KubernetesSource extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const bridge = options.kagentBridge;
+        this.coreApi = options.coreApi || bridge?.coreApi;
+        this.customApi = options.customApi || bridge?.k8sApi;
+        if (!this.coreApi) {
+            throw new Error('KubernetesSource requires a kagentBridge or a coreApi');
+        }
+
+        this.name = options.name || 'kubernetes';
+        this.namespaces = options.namespaces || [bridge?.config?.namespace || 'default'];
+        this.clusterDomain = options.clusterDomain || 'cluster.local';
+        this.includeTools = options.includeTools !== false && Boolean(this.customApi);
+        this.logger = options.logger || new Logger('KubernetesSource');
+        this.watchInterval = options.watchInterval || DEFAULT_WATCH_INTERVAL;
+        this.watchTimer = null;
+        this.known = null;
+        this.skipped = new Set();
+    }
+
+    async discover() {
+        const candidates = [];
+        const skipped = new Set();
+        for (const namespace of this.namespaces) {
+            const services = await this.coreApi.listNamespacedService(namespace);
+            (services.body.items || [])
+                .filter(service => service.metadata.annotations?.[ANNOTATION_PREFIX] === 'true')
+                .forEach(service => this.addCandidate(candidates, skipped, () => this.fromService(service)));
+
+            if (this.includeTools) {
+                const tools = await this.customApi.listNamespacedCustomObject('kagent.dev', 'v1alpha1', namespace, 'tools');
+                (tools.body.items || [])
+                    .filter(tool => tool.spec?.type === 'mcp_server' && tool.metadata.annotations?.[ANNOTATION_PREFIX] !== 'false')
+                    .forEach(tool => this.addCandidate(candidates, skipped, () => this.fromTool(tool)));
+            }
+        }
+
+        this.known = new Map(candidates.map(candidate => [candidate.id, candidate.url]));
+        this.skipped = skipped;
+        return candidates;
+    }
+
+    /**
+     * Une ressource mal décrite est ignorée sans faire échouer toute la source
+     * (signalée une fois, pas à chaque interrogation)
+     */
+    addCandidate(candidates, skipped, build) {
+        try {
+            candidates.push(build());
+        } catch (error) {
+            skipped.add(error.message);
+            if (!this.skipped.has(error.message)) {
+                this.logger.warn(`Skipping MCP server: ${error.message}`);
+            }
+        }
+    }
+
+    fromService(service) {
+        const { name, namespace = 'default', annotations } = service.metadata;
+        const port = this.servicePort(service);
+        const scheme = annotations[`${ANNOTATION_PREFIX}-scheme`] || (port.port === 443 || port.name === 'https' ? 'https' : 'http');
+        const servicePath = annotations[`${ANNOTATION_PREFIX}-path`] || '/mcp';
+
+        return {
+            id: `svc-${namespace}-${name}`,
+            name: annotations[`${ANNOTATION_PREFIX}-name`] || name,
+            url: checkServerUrl(`${scheme}://${name}.${namespace}.svc.${this.clusterDomain}:${port.port}${servicePath.startsWith('/') ? '' : '/'}${servicePath}`),
+            description: annotations[`${ANNOTATION_PREFIX}-description`] || null,
+            kubernetes: { kind: 'Service', namespace, name, uid: service.metadata.uid || null }
+        };
+    }
+
+    servicePort(service) {
+        const ports = service.spec?.ports || [];
+        const wanted = service.metadata.annotations[`${ANNOTATION_PREFIX}-port`];
+        const port = wanted
+            ? ports.find(candidate => String(candidate.port) === String(wanted) || candidate.name === wanted)
+            : ports.find(candidate => candidate.name === 'mcp') || ports[0];
+
+        if (!port) {
+            throw new Error(`Service ${service.metadata.namespace}/${service.metadata.name} has no ${wanted ? `port ${wanted}` : 'port'}`);
+        }
+        return port;
+    }
+
+    fromTool(tool) {
+        const { name, namespace = 'default' } = tool.metadata;
+        if (!tool.spec.mcpServer?.url) {
+            throw new Error(`Tool ${namespace}/${name} has no spec.mcpServer.url`);
+        }
+
+        return {
+            id: `tool-${namespace}-${name}`,
+            name,
+            url: checkServerUrl(tool.spec.mcpServer.url),
+            description: tool.spec.description || null,
+            kubernetes: { kind: 'Tool', namespace, name, uid: tool.metadata.uid || null }
+        };
+    }
+
+    /**
+     * Poll the cluster every interval ms; 'changed' is emitted when the servers (id and URL)
+     * differ from the previous discover()
+     */
+    watch(interval = this.watchInterval) {
+        if (this.watchTimer) {
+            return;
+        }
+
+        this.watchTimer = setInterval(() => {
+            this.poll().catch(error => this.logger.warn('Failed to watch Kubernetes MCP servers:', error.message));
+        }, interval);
+        this.watchTimer.unref();
+    }
+
+    unwatch() {
+        clearInterval(this.watchTimer);
+        this.watchTimer = null;
+    }
+
+    async poll() {
+        const previous = this.known || new Map();
+        await this.discover();
+        const current = this.known;
+
+        const added = Array.from(current.keys()).filter(id => previous.get(id) !== current.get(id));
+        const removed = Array.from(previous.keys()).filter(id => !current.has(id));
+        if (added.length === 0 && removed.length === 0) {
+            return null;
+        }
+
+        this.logger.info(`☸️ Kubernetes MCP servers changed: +${added.length} -${removed.length}`);
+        const change = { added, removed };
+        this.emit('changed', change);
+        return change;
+    }
+}
+
+module.exports = { KubernetesSource };
\ No newline at end of file
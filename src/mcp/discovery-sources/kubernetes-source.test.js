@@ -0,0 +1,128 @@
+const { KubernetesSource } = require('./kubernetes-source');
+
+const service = (name, annotations, ports = [{ name: 'mcp', port: 8080 }], namespace = 'default') => ({
+    metadata: { name, namespace, uid: `uid-${name}`, annotations },
+    spec: { ports }
+});
+
+const tool = (name, spec, annotations = {}, namespace = 'default') => ({
+    metadata: { name, namespace, uid: `uid-tool-${name}`, annotations },
+    spec: { type: 'mcp_server', ...spec }
+});
+
+/**
+ * Stand-in for KagentBridge: the coreApi and k8sApi it hands to the source, over `resources`
+ */
+function mockBridge(resources, namespace = 'default') {
+    const items = (kind, wanted) => resources[kind].filter(item => (item.metadata.namespace || 'default') === wanted);
+    return {
+        config: { namespace },
+        coreApi: {
+            listNamespacedService: async wanted => ({ body: { items: items('services', wanted) } })
+        },
+        k8sApi: {
+            listNamespacedCustomObject: async (group, version, wanted, plural) => ({
+                body: { items: group === 'kagent.dev' && version === 'v1alpha1' && plural === 'tools' ? items('tools', wanted) : [] }
+            })
+        }
+    };
+}
+
+describe('KubernetesSource', () => {
+    let resources;
+    let source;
+
+    beforeEach(() => {
+        resources = {
+            services: [
+                service('up', { 'autoweave.dev/mcp': 'true', 'autoweave.dev/mcp-scheme': 'http' }),
+                service('docs', {
+                    'autoweave.dev/mcp': 'true',
+                    'autoweave.dev/mcp-port': 'api',
+                    'autoweave.dev/mcp-path': 'rpc',
+                    'autoweave.dev/mcp-name': 'Docs',
+                    'autoweave.dev/mcp-description': 'Documentation search'
+                }, [{ name: 'metrics', port: 9100 }, { name: 'api', port: 443 }]),
+                service('plain', {}),
+                service('broken', { 'autoweave.dev/mcp': 'true', 'autoweave.dev/mcp-port': '9999' }),
+                service('elsewhere', { 'autoweave.dev/mcp': 'true' }, undefined, 'other')
+            ],
+            tools: [
+                tool('up', { mcpServer: { url: 'http://up-tool.tools.svc:3000/mcp' }, description: 'Tool named like a Service' }),
+                tool('hidden', { mcpServer: { url: 'http://hidden:3000/mcp' } }, { 'autoweave.dev/mcp': 'false' }),
+                tool('agent', { type: 'agent' }),
+                tool('no-url', {})
+            ]
+        };
+        source = new KubernetesSource({ kagentBridge: mockBridge(resources), watchInterval: 10 });
+        jest.spyOn(source.logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        source.unwatch();
+    });
+
+    test('turns annotated Services and kagent Tools into candidates with kind-prefixed ids', async () => {
+        const candidates = await source.discover();
+
+        expect(candidates).toEqual([
+            {
+                id: 'svc-default-up',
+                name: 'up',
+                url: 'http://up.default.svc.cluster.local:8080/mcp',
+                description: null,
+                kubernetes: { kind: 'Service', namespace: 'default', name: 'up', uid: 'uid-up' }
+            },
+            {
+                id: 'svc-default-docs',
+                name: 'Docs',
+                url: 'https://docs.default.svc.cluster.local/rpc',
+                description: 'Documentation search',
+                kubernetes: { kind: 'Service', namespace: 'default', name: 'docs', uid: 'uid-docs' }
+            },
+            {
+                id: 'tool-default-up',
+                name: 'up',
+                url: 'http://up-tool.tools.svc:3000/mcp',
+                description: 'Tool named like a Service',
+                kubernetes: { kind: 'Tool', namespace: 'default', name: 'up', uid: 'uid-tool-up' }
+            }
+        ]);
+    });
+
+    test('warns once about each resource it cannot use', async () => {
+        await source.discover();
+        await source.discover();
+
+        expect(source.logger.warn).toHaveBeenCalledTimes(2);
+        expect(source.logger.warn).toHaveBeenCalledWith('Skipping MCP server: Service default/broken has no port 9999');
+        expect(source.logger.warn).toHaveBeenCalledWith('Skipping MCP server: Tool default/no-url has no spec.mcpServer.url');
+    });
+
+    test('looks in every configured namespace, and only at Services with a bare core API', async () => {
+        const wide = new KubernetesSource({ coreApi: mockBridge(resources).coreApi, namespaces: ['default', 'other'] });
+        jest.spyOn(wide.logger, 'warn').mockImplementation(() => {});
+
+        const ids = (await wide.discover()).map(candidate => candidate.id);
+
+        expect(ids).toEqual(['svc-default-up', 'svc-default-docs', 'svc-other-elsewhere']);
+    });
+
+    test('emits changed when servers appear, move or disappear', async () => {
+        await source.discover();
+        const changes = [];
+        source.on('changed', change => changes.push(change));
+
+        resources.services.push(service('new', { 'autoweave.dev/mcp': 'true' }));
+        resources.tools[0].spec.mcpServer.url = 'http://up-tool.tools.svc:4000/mcp';
+        resources.services.splice(1, 1);
+        await source.poll();
+        await expect(source.poll()).resolves.toBeNull();
+
+        expect(changes).toEqual([{ added: ['svc-default-new', 'tool-default-up'], removed: ['svc-default-docs'] }]);
+    });
+
+    test('requires a kagent bridge or a core API', () => {
+        expect(() => new KubernetesSource()).toThrow('KubernetesSource requires a kagentBridge or a coreApi');
+    });
+});
\ No newline at end of file
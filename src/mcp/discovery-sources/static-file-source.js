@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { Logger } = require('../../utils/logger');
+const { checkServerUrl, serverIdFromUrl } = require('./url-list-source');
+
+const DEFAULT_WATCH_DELAY = 100;
+
+/**
+ * StaticFileSource - Source de découverte : fichier YAML ou JSON de serveurs MCP déclarés
+ *
+ *   servers:
+ *     - id: k8s-server                 # défaut : dérivé de l'URL
+ *       name: Kubernetes Operations
+ *       url: http://k8s-mcp:8082/mcp
+ *       headers: { Authorization: "Bearer ${K8S_MCP_TOKEN}" }
+ *       probe: false                   # enregistré tel quel, sans handshake initialize
+ *       capabilities: { tools: {} }
+ *
+ * `servers` can also be a map keyed by id. ${VAR} in header values is read from the environment.
+ * The file is read again at every discovery, so edits are picked up by the periodic discovery.
+ * watch() follows the file and emits 'changed' ({ added, removed }) when a rewrite adds, moves or removes servers.
+ */
+class StaticFileSource extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        if (!options.file) {
+            throw new Error('StaticFileSource requires a file');
+        }
+        this.file = path.resolve(options.file);
+        this.name = options.name || `file:${this.file}`;
+        this.env = options.env || process.env;
+        this.logger = options.logger || new Logger('StaticFileSource');
+        this.watchDelay = options.watchDelay ?? DEFAULT_WATCH_DELAY;
+        this.watcher = null;
+        this.watchTimer = null;
+        this.known = null;
+    }
+
+    async discover() {
+        const document = yaml.parse(await fs.promises.readFile(this.file, 'utf8')) || {};
+        const servers = Array.isArray(document.servers)
+            ? document.servers
+            : Object.entries(document.servers || {}).map(([id, server]) => ({ id, ...server }));
+
+        const candidates = servers.map((server, index) => {
+            if (!server || typeof server.url !== 'string') {
+                throw new Error(`${this.file}: server #${index + 1} has no url`);
+            }
+            const url = checkServerUrl(server.url);
+            return {
+                ...server,
+                id: String(server.id || serverIdFromUrl(url)),
+                url,
+                headers: this.expandHeaders(server.headers || {})
+            };
+        });
+
+        this.known = new Map(candidates.map(candidate => [candidate.id, candidate.url]));
+        return candidates;
+    }
+
+    /**
+     * Follow the file; 'changed' is emitted when its servers (id and URL) differ from the previous discover().
+     * Le répertoire est surveillé plutôt que le fichier : un éditeur qui le remplace (rename) ne coupe pas la surveillance,
+     * et les écritures rapprochées ne relisent le fichier qu'une fois (watchDelay ms).
+     */
+    watch() {
+        if (this.watcher) {
+            return;
+        }
+
+        this.watcher = fs.watch(path.dirname(this.file), (event, filename) => {
+            if (filename && filename !== path.basename(this.file)) {
+                return;
+            }
+            clearTimeout(this.watchTimer);
+            this.watchTimer = setTimeout(() => {
+                this.poll().catch(error => this.logger.warn(`Failed to reload MCP servers file ${this.file}:`, error.message));
+            }, this.watchDelay);
+            this.watchTimer.unref();
+        });
+        this.watcher.on('error', error => this.logger.warn(`Stopped watching MCP servers file ${this.file}:`, error.message));
+        this.watcher.unref();
+    }
+
+    unwatch() {
+        clearTimeout(this.watchTimer);
+        this.watchTimer = null;
+        this.watcher?.close();
+        this.watcher = null;
+    }
+
+    async poll() {
+        const previous = this.known || new Map();
+        await this.discover();
+        const current = this.known;
+
+        const added = Array.from(current.keys()).filter(id => previous.get(id) !== current.get(id));
+        const removed = Array.from(previous.keys()).filter(id => !current.has(id));
+        if (added.length === 0 && removed.length === 0) {
+            return null;
+        }
+
+        this.logger.info(`📄 MCP servers file changed: +${added.length} -${removed.length}`);
+        const change = { added, removed };
+        this.emit('changed', change);
+        return change;
+    }
+
+    expandHeaders(headers) {
+        return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+            name,
+            String(value).replace(/\$\{(\w+)\}/g, (match, variable) => this.env[variable] || '')
+        ]));
+    }
+}
+
+module.exports = { StaticFileSource };
\ No newline at end of file
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { StaticFileSource } = require('./static-file-source');
+
+describe('StaticFileSource', () => {
+    let dir;
+    let file;
+    let source;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-static-file-source-test-'));
+        file = path.join(dir, 'servers.yaml');
+        await fs.writeFile(file, [
+            'servers:',
+            '  - id: k8s-server',
+            '    name: Kubernetes Operations',
+            '    url: http://k8s-mcp:8082/mcp',
+            '    headers: { Authorization: "Bearer ${K8S_MCP_TOKEN}", X-Missing: "${UNSET}" }',
+            '    probe: false',
+            '  - url: http://files.local:8081/mcp'
+        ].join('\n'));
+        source = new StaticFileSource({ file, env: { K8S_MCP_TOKEN: 'secret' }, watchDelay: 20 });
+        ['info', 'warn'].forEach(level => jest.spyOn(source.logger, level).mockImplementation(() => {}));
+    });
+
+    afterEach(async () => {
+        source.unwatch();
+        jest.restoreAllMocks();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reads the declared servers, deriving missing ids and expanding header variables', async () => {
+        await expect(source.discover()).resolves.toEqual([
+            {
+                id: 'k8s-server',
+                name: 'Kubernetes Operations',
+                url: 'http://k8s-mcp:8082/mcp',
+                headers: { Authorization: 'Bearer secret', 'X-Missing': '' },
+                probe: false
+            },
+            { id: 'files-local-8081-mcp', url: 'http://files.local:8081/mcp', headers: {} }
+        ]);
+        expect(source.name).toBe(`file:${file}`);
+    });
+
+    test('reads a JSON map of servers keyed by id', async () => {
+        const json = path.join(dir, 'servers.json');
+        await fs.writeFile(json, JSON.stringify({ servers: { docs: { url: 'https://docs.local/mcp' } } }));
+
+        await expect(new StaticFileSource({ file: json }).discover()).resolves.toEqual([
+            { id: 'docs', url: 'https://docs.local/mcp', headers: {} }
+        ]);
+    });
+
+    test('rejects a malformed file, a server without url and a non-http url', async () => {
+        await fs.writeFile(file, 'servers:\n  - url: [http://a\n');
+        await expect(source.discover()).rejects.toMatchObject({ name: 'YAMLParseError' });
+
+        await fs.writeFile(file, 'servers:\n  - name: No URL\n');
+        await expect(source.discover()).rejects.toThrow(`${file}: server #1 has no url`);
+
+        await fs.writeFile(file, 'servers:\n  - url: ftp://files.local/mcp\n');
+        await expect(source.discover()).rejects.toThrow('Unsupported MCP server URL (http or https expected): ftp://files.local/mcp');
+
+        expect(() => new StaticFileSource()).toThrow('StaticFileSource requires a file');
+    });
+
+    test('emits changed once the watched file is rewritten', async () => {
+        await source.discover();
+        const changed = new Promise(resolve => source.once('changed', resolve));
+        source.watch();
+
+        await fs.writeFile(file, [
+            'servers:',
+            '  - id: k8s-server',
+            '    url: http://k8s-mcp:9000/mcp',
+            '  - url: http://new.local/mcp'
+        ].join('\n'));
+
+        await expect(changed).resolves.toEqual({ added: ['k8s-server', 'new-local-mcp'], removed: ['files-local-8081-mcp'] });
+        await expect(source.poll()).resolves.toBeNull();
+    });
+
+    test('keeps watching when an unreadable rewrite comes first', async () => {
+        await source.discover();
+        const changed = new Promise(resolve => source.once('changed', resolve));
+        source.watch();
+
+        await fs.writeFile(file, 'servers: [');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(source.logger.warn).toHaveBeenCalledWith(`Failed to reload MCP servers file ${file}:`, expect.any(String));
+
+        await fs.writeFile(file, 'servers:\n  - url: http://files.local:8081/mcp\n');
+        await expect(changed).resolves.toEqual({ added: [], removed: ['k8s-server'] });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Server id of a URL: host, port and path as a slug (http://mcp.local:8081/mcp -> mcp-local-8081-mcp)
+ */
+function serverIdFromUrl(url) {
+    const parsed = new URL(url);
+    return `${parsed.hostname}${parsed.port ? `-${parsed.port}` : ''}${parsed.pathname}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Absolute http(s) URL of an MCP endpoint, or an Error explaining why not
+ */
+function checkServerUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Invalid MCP server URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported MCP server URL (http or https expected): ${url}`);
+    }
+    return parsed.toString();
+}
+
+/**
+ * UrlListSource - Source de découverte : liste d'URLs MCP candidates
+ * (config.mcpServerUrls ou AUTOWEAVE_MCP_SERVER_URLS). Chaque URL est sondée par MCPDiscovery.
+ */
+class UrlListSource {
+    constructor(options = {}) {
+        this.name = options.name || 'urls';
+        this.urls = options.urls || [];
+        this.headers = options.headers || {};
+    }
+
+    async discover() {
+        return this.urls.map(url => {
+            const normalized = checkServerUrl(url);
+            return {
+                id: serverIdFromUrl(normalized),
+                url: normalized,
+                headers: this.headers
+            };
+        });
+    }
+}
+
+module.exports = { UrlListSource, serverIdFromUrl, checkServerUrl };
\ No newline at end of file
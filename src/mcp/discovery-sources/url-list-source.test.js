@@ -0,0 +1,27 @@
+const { UrlListSource, serverIdFromUrl, checkServerUrl } = require('./url-list-source');
+
+describe('UrlListSource', () => {
+    test('derives server ids from the host, port and path', () => {
+        expect(serverIdFromUrl('http://mcp.local:8081/mcp')).toBe('mcp-local-8081-mcp');
+        expect(serverIdFromUrl('https://Tools.Example.com/')).toBe('tools-example-com');
+    });
+
+    test('accepts absolute http(s) URLs only', () => {
+        expect(checkServerUrl('https://tools.example.com')).toBe('https://tools.example.com/');
+        expect(() => checkServerUrl('ftp://tools.example.com/mcp')).toThrow('Unsupported MCP server URL (http or https expected): ftp://tools.example.com/mcp');
+        expect(() => checkServerUrl('file:///etc/passwd')).toThrow('Unsupported MCP server URL (http or https expected): file:///etc/passwd');
+        expect(() => checkServerUrl('/mcp')).toThrow('Invalid MCP server URL: /mcp');
+    });
+
+    test('turns each URL into a candidate with the shared headers, and fails on a bad one', async () => {
+        const source = new UrlListSource({ urls: ['http://mcp.local:8081/mcp'], headers: { Authorization: 'Bearer t' } });
+
+        await expect(source.discover()).resolves.toEqual([
+            { id: 'mcp-local-8081-mcp', url: 'http://mcp.local:8081/mcp', headers: { Authorization: 'Bearer t' } }
+        ]);
+        expect(source.name).toBe('urls');
+
+        source.urls.push('ws://mcp.local/socket');
+        await expect(source.discover()).rejects.toThrow('Unsupported MCP server URL (http or https expected): ws://mcp.local/socket');
+    });
+});
\ No newline at end of file
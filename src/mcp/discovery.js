@@ -1,19 +1,86 @@
 const { Logger } = require('../utils/logger');
 const { RetryHelper } = require('../utils/retry');
+const { EventEmitter } = require('events');
 const express = require('express');
 const SwaggerParser = require('swagger-parser');
 const Ajv = require('ajv');
 const fetch = require('node-fetch');
+const { MCPHttpClient, TRANSPORTS } = require('./mcp-http-client');
+const { SUPPORTED_PROTOCOL_VERSIONS } = require('./protocol');
+const { StaticFileSource } = require('./discovery-sources/static-file-source');
+const { UrlListSource } = require('./discovery-sources/url-list-source');
+const { KubernetesSource } = require('./discovery-sources/kubernetes-source');
 
-class MCPDiscovery {
+const DEFAULT_DISCOVERY_INTERVAL = 5 * 60 * 1000;
+
+// MCPClientError code of a failed probe -> server status
+const PROBE_STATUSES = {
+    MCP_UNREACHABLE: 'unreachable',
+    MCP_TIMEOUT: 'unreachable',
+    MCP_UNAUTHORIZED: 'unauthorized',
+    MCP_HTTP_ERROR: 'invalid',
+    MCP_INVALID_RESPONSE: 'invalid',
+    MCP_REQUEST_FAILED: 'error'
+};
+
+// Un serveur qui ne parle pas JSON-RPC est ensuite sondé sur l'API REST /mcp/v1
+const REST_FALLBACK_CODES = ['MCP_HTTP_ERROR', 'MCP_INVALID_RESPONSE'];
+
+const HEALTH_STATES = ['healthy', 'degraded', 'down', 'unknown'];
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30 * 1000;
+const DEFAULT_EVICTION_GRACE_PERIOD = 5 * 60 * 1000;
+
+/**
+ * Pas de réponse, ou une erreur 5xx (passerelle devant un serveur arrêté) : le serveur est hors service.
+ * Toute autre erreur (401, JSON-RPC error...) est une réponse du serveur.
+ */
+function isUnresponsive(error) {
+    return ['MCP_UNREACHABLE', 'MCP_TIMEOUT'].includes(error.code) || (error.code === 'MCP_HTTP_ERROR' && error.details?.status >= 500);
+}
+
+/**
+ * MCPDiscovery - Découverte des serveurs MCP (et serveur ANP historique)
+ * Les serveurs viennent de sources combinables ({ name, discover({ signal }) -> candidates }) :
+ * fichier de serveurs (mcpServersFile), URLs candidates (mcpServerUrls), Services et Tools kagent du cluster
+ * (kubernetesDiscovery), sources de config.discoverySources. Chaque candidat est sondé par le handshake
+ * initialize (JSON-RPC, ou GET de l'API REST /mcp/v1) ; une source qui émet 'changed' (watch()) déclenche une nouvelle découverte.
+ * Les outils viennent du tools/list réel de chaque serveur disponible (curseurs de pagination suivis).
+ * Des sondes de vivacité périodiques (ping) tiennent l'état de santé de chaque serveur : healthy, degraded
+ * (lent ou en échec), down (downAfterFailures échecs consécutifs) ; un serveur down au-delà de
+ * evictionGracePeriod est évincé avec ses outils, jusqu'à ce qu'il réponde de nouveau.
+ * Emits 'servers-changed' ({ added, removed }), 'tools-changed' ({ added, removed })
+ * and 'server-health-changed' ({ id, previous, state }).
+ */
+class MCPDiscovery extends EventEmitter {
     constructor(config, kagentBridge = null, autoweaveInstance = null) {
+        super();
         this.config = config;
         this.logger = new Logger('MCPDiscovery');
         
-        // MCP Discovery (existing)
+        // MCP Discovery
         this.servers = new Map();
         this.tools = new Map();
         this.isRunning = false;
+        this.sources = MCPDiscovery.createSources(config || {}, kagentBridge);
+        this.sourceCandidates = new Map();
+        this.sourceErrors = new Map();
+        // En-têtes déclarés par les sources, hors des fiches serveur exposées
+        this.serverHeaders = new Map();
+        this.probeTimeout = config?.probeTimeout || 5000;
+        this.discoveryTimer = null;
+        this.refreshing = null;
+        
+        // Health checks
+        this.healthCheck = {
+            interval: config?.healthCheckInterval || DEFAULT_HEALTH_CHECK_INTERVAL,
+            timeout: config?.healthCheckTimeout || this.probeTimeout,
+            degradedLatency: config?.degradedLatency || 1000,
+            downAfterFailures: config?.downAfterFailures || 3,
+            evictionGracePeriod: config?.evictionGracePeriod ?? DEFAULT_EVICTION_GRACE_PERIOD
+        };
+        this.evicted = new Map();
+        this.healthTimer = null;
+        this.healthChecking = null;
         
         // ANP Server components
         this.kagentBridge = kagentBridge;
@@ -42,8 +109,10 @@ class MCPDiscovery {
             // Initialize MCP discovery
             await this.initializeDiscovery();
             
-            // Start periodic discovery
+            // Start periodic discovery, and watch the sources that can
             this.startPeriodicDiscovery();
+            this.startHealthChecks();
+            this.sources.forEach(source => this.watchSource(source));
             
             // Initialize ANP server
             await this.initializeANPServer();
@@ -68,98 +137,518 @@ class MCPDiscovery {
         await this.discoverTools();
     }
 
-    async discoverServers() {
-        this.logger.info('Discovering MCP servers...');
+    /**
+     * Sources of the configuration: servers file, candidate URLs, cluster (through the kagent bridge),
+     * then config.discoverySources
+     */
+    static createSources(config, kagentBridge = null) {
+        const sources = [];
+        const file = config.mcpServersFile || process.env.AUTOWEAVE_MCP_SERVERS_FILE;
+        if (file) {
+            sources.push(new StaticFileSource({ file }));
+        }
         
-        try {
-            // Mock implementation - in real scenario, this would:
-            // 1. Scan for MCP servers on the network
-            // 2. Check registry endpoints
-            // 3. Query known server locations
-            
-            const mockServers = [
-                {
-                    id: 'file-server',
-                    name: 'File Operations Server',
-                    url: 'http://localhost:8081',
-                    capabilities: ['file-read', 'file-write', 'file-list']
-                },
-                {
-                    id: 'k8s-server',
-                    name: 'Kubernetes Operations Server',
-                    url: 'http://localhost:8082',
-                    capabilities: ['kubectl', 'k8s-logs', 'k8s-status']
-                }
-            ];
+        const urls = config.mcpServerUrls || (process.env.AUTOWEAVE_MCP_SERVER_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+        if (urls.length > 0) {
+            sources.push(new UrlListSource({ urls }));
+        }
+        
+        const kubernetes = config.kubernetesDiscovery ?? process.env.AUTOWEAVE_MCP_K8S_DISCOVERY === 'true';
+        if (kubernetes) {
+            sources.push(new KubernetesSource({
+                kagentBridge,
+                ...(typeof kubernetes === 'object' ? kubernetes : {})
+            }));
+        }
+        
+        return sources.concat(config.discoverySources || []);
+    }
+
+    /**
+     * Plug in a discovery source: { name, discover({ signal }) -> [{ id, url, name?, headers?, probe?, ... }] }
+     */
+    addSource(source) {
+        if (!source || typeof source.discover !== 'function') {
+            throw new Error('A discovery source needs a discover() method');
+        }
+        this.sources.push(source);
+        if (this.isRunning) {
+            this.watchSource(source);
+        }
+        return this;
+    }
+
+    /**
+     * Rediscover when a watchable source reports a change
+     */
+    watchSource(source) {
+        if (typeof source.watch !== 'function' || typeof source.on !== 'function') {
+            return;
+        }
+        source.on('changed', ({ added = [], removed = [] } = {}) => {
+            this.logger.info(`Discovery source ${source.name} changed (+${added.length} -${removed.length}), rediscovering`);
+            this.refresh().catch(error => this.logger.warn('Rediscovery failed:', error.message));
+        });
+        source.watch();
+    }
 
-            mockServers.forEach(server => {
-                this.servers.set(server.id, server);
-                this.logger.debug(`Discovered MCP server: ${server.name}`);
+    /**
+     * Rediscover servers, then their tools; concurrent calls share the run in progress
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                await this.discoverServers();
+                await this.discoverTools();
+            })().finally(() => {
+                this.refreshing = null;
             });
+        }
+        return this.refreshing;
+    }
 
-            this.logger.info(`Discovered ${this.servers.size} MCP servers`);
+    /**
+     * Ask every source for candidates and probe them. A failing source keeps its
+     * previously discovered servers; a server no source returns anymore is removed.
+     */
+    async discoverServers(options = {}) {
+        this.logger.info(`Discovering MCP servers from ${this.sources.length} sources...`);
+        
+        const discoveries = await Promise.all(this.sources.map(async source => {
+            const sourceName = source.name || 'custom';
+            let discovered;
+            try {
+                discovered = await source.discover({ signal: options.signal });
+                this.sourceCandidates.set(sourceName, discovered);
+                this.sourceErrors.delete(sourceName);
+            } catch (error) {
+                this.logger.warn(`Discovery source ${sourceName} failed, keeping its known servers:`, error.message);
+                this.sourceErrors.set(sourceName, { source: sourceName, error: error.message, at: new Date().toISOString() });
+                discovered = this.sourceCandidates.get(sourceName) || [];
+            }
+            return discovered.map(candidate => ({ ...candidate, source: sourceName }));
+        }));
+        
+        // Même id ou même URL dans plusieurs sources : la première source déclarée l'emporte
+        const candidates = new Map();
+        discoveries.flat().forEach(candidate => {
+            const known = candidates.get(candidate.id) || Array.from(candidates.values()).find(other => other.url === candidate.url);
+            if (known) {
+                this.logger.warn(`MCP server ${candidate.id} of ${candidate.source} ignored: already declared by ${known.source} as ${known.id}`);
+                return;
+            }
+            candidates.set(candidate.id, candidate);
+        });
+        
+        const probed = await Promise.all(Array.from(candidates.values()).map(candidate => this.probeServer(candidate, options)));
+        
+        // Un serveur évincé ne revient qu'une fois de nouveau joignable
+        Array.from(this.evicted.keys()).filter(id => !candidates.has(id)).forEach(id => this.evicted.delete(id));
+        const servers = probed.filter(server => {
+            if (!this.evicted.has(server.id)) {
+                return true;
+            }
+            if (server.health.consecutiveFailures > 0) {
+                return false;
+            }
+            this.evicted.delete(server.id);
+            this.logger.info(`MCP server ${server.id} answers again, no longer evicted`);
+            return true;
+        });
+        
+        const previousIds = new Set(this.servers.keys());
+        this.servers = new Map(servers.map(server => [server.id, server]));
+        this.serverHeaders = new Map(Array.from(candidates.values()).map(candidate => [candidate.id, candidate.headers || {}]));
+        
+        const added = servers.map(server => server.id).filter(id => !previousIds.has(id));
+        const removed = Array.from(previousIds).filter(id => !this.servers.has(id));
+        servers.forEach(server => this.logger.debug(`MCP server ${server.id} (${server.url}): ${server.status}`));
+        
+        const available = servers.filter(server => server.status === 'available').length;
+        this.logger.info(`Discovered ${this.servers.size} MCP servers (${available} available)`);
+        
+        if (added.length > 0 || removed.length > 0) {
+            this.emit('servers-changed', { added, removed });
+        }
+        return this.getAvailableServers();
+    }
+
+    /**
+     * initialize handshake with a candidate: the server record with its status, transport,
+     * protocol version, server info and declared capabilities. Without a declared transport,
+     * a server that does not answer JSON-RPC is tried as a REST endpoint.
+     */
+    async probeServer(candidate, options = {}) {
+        const { headers, probe, ...declared } = candidate;
+        const previous = this.servers.get(candidate.id);
+        const server = {
+            ...declared,
+            name: candidate.name || previous?.serverInfo?.name || candidate.id,
+            status: 'declared',
+            transport: candidate.transport || null,
+            protocolVersion: null,
+            serverInfo: null,
+            capabilities: candidate.capabilities || {},
+            instructions: null,
+            error: null,
+            lastChecked: new Date().toISOString(),
+            lastSeen: previous?.lastSeen || null
+        };
+        
+        // Serveur déclaré sans sonde : enregistré tel que décrit, santé inconnue
+        server.health = {
+            state: 'unknown',
+            latency: null,
+            consecutiveFailures: 0,
+            lastCheck: null,
+            lastError: null,
+            downSince: null
+        };
+        if (probe === false) {
+            return server;
+        }
+        if (candidate.transport && !TRANSPORTS.includes(candidate.transport)) {
+            server.status = 'invalid';
+            server.error = { code: 'MCP_UNKNOWN_TRANSPORT', message: `Unknown transport ${candidate.transport} (expected ${TRANSPORTS.join(' or ')})` };
+            return server;
+        }
+        
+        const startedAt = Date.now();
+        try {
+            let result;
+            try {
+                result = await this.initializeServer(candidate.url, candidate.transport || 'jsonrpc', headers, options);
+                server.transport = candidate.transport || 'jsonrpc';
+            } catch (error) {
+                if (candidate.transport || !REST_FALLBACK_CODES.includes(error.code)) {
+                    throw error;
+                }
+                // Erreur JSON-RPC conservée si le serveur ne parle pas REST non plus
+                result = await this.initializeServer(candidate.url, 'rest', headers, options).catch(() => {
+                    throw error;
+                });
+                server.transport = 'rest';
+            }
+            
+            Object.assign(server, {
+                name: candidate.name || result.serverInfo.name || candidate.id,
+                protocolVersion: result.protocolVersion,
+                serverInfo: result.serverInfo,
+                capabilities: result.capabilities,
+                instructions: result.instructions
+            });
+            this.updateHealth(server, previous?.health, { alive: true, latency: Date.now() - startedAt, at: server.lastChecked });
             
+            if (server.transport === 'rest' || SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+                server.status = 'available';
+            } else {
+                server.status = 'incompatible';
+                server.error = {
+                    code: 'MCP_UNSUPPORTED_PROTOCOL',
+                    message: `Protocol version ${result.protocolVersion} is not supported (expected ${SUPPORTED_PROTOCOL_VERSIONS.join(' or ')})`
+                };
+            }
         } catch (error) {
-            this.logger.warn('Failed to discover MCP servers:', error.message);
+            server.status = PROBE_STATUSES[error.code] || 'error';
+            server.error = { code: error.code || 'MCP_PROBE_FAILED', message: error.message };
+            this.updateHealth(server, previous?.health, isUnresponsive(error)
+                ? { alive: false, error, at: server.lastChecked }
+                : { alive: true, latency: Date.now() - startedAt, at: server.lastChecked });
         }
+        
+        return server;
+    }
+
+    createClient(url, transport, headers, timeout = this.probeTimeout) {
+        return new MCPHttpClient(url, {
+            transport,
+            headers,
+            timeout,
+            logger: this.logger.child('client')
+        });
     }
 
-    async discoverTools() {
+    /**
+     * Client of a discovered server, with the headers its source declared
+     */
+    clientFor(server, timeout = this.probeTimeout) {
+        return this.createClient(server.url, server.transport || 'jsonrpc', this.serverHeaders.get(server.id), timeout);
+    }
+
+    async initializeServer(url, transport, headers, options = {}) {
+        const client = this.createClient(url, transport, headers);
+        try {
+            return await client.initialize({ signal: options.signal });
+        } finally {
+            await client.close();
+        }
+    }
+
+    /**
+     * List the tools of every available server. A server whose listing fails keeps its
+     * previous tools; the tools of removed or unavailable servers are dropped.
+     */
+    async discoverTools(options = {}) {
         this.logger.info('Discovering MCP tools...');
         
+        const previous = this.tools;
+        const tools = new Map();
+        
         for (const server of this.servers.values()) {
+            if (server.status !== 'available') {
+                continue;
+            }
             try {
-                const tools = await this.queryServerTools(server);
-                
-                tools.forEach(tool => {
-                    this.tools.set(tool.id, {
-                        ...tool,
-                        serverId: server.id,
-                        serverUrl: server.url
-                    });
-                });
-                
-                this.logger.debug(`Discovered ${tools.length} tools from ${server.name}`);
-                
+                const serverTools = await this.queryServerTools(server, options);
+                serverTools.forEach(tool => tools.set(tool.id, tool));
+                this.logger.debug(`Discovered ${serverTools.length} tools from ${server.name}`);
             } catch (error) {
-                this.logger.warn(`Failed to discover tools from ${server.name}:`, error.message);
+                this.logger.warn(`Failed to discover tools from ${server.name}, keeping its known tools:`, error.message);
+                Array.from(previous.values())
+                    .filter(tool => tool.serverId === server.id)
+                    .forEach(tool => tools.set(tool.id, tool));
             }
         }
         
+        this.tools = tools;
         this.logger.info(`Discovered ${this.tools.size} MCP tools total`);
+        
+        const added = Array.from(tools.keys()).filter(id => !previous.has(id));
+        const removed = Array.from(previous.keys()).filter(id => !tools.has(id));
+        if (added.length > 0 || removed.length > 0) {
+            this.emit('tools-changed', { added, removed });
+        }
+        return this.getAvailableTools();
+    }
+
+    /**
+     * Tools of a server, as listed by its tools/list (every page) or GET <url>/tools.
+     * Tool ids are `<server id>:<tool name>`, two servers may expose the same tool name.
+     */
+    async queryServerTools(server, options = {}) {
+        // Un serveur JSON-RPC sans capacité tools n'en expose pas
+        if (server.transport !== 'rest' && !server.capabilities?.tools) {
+            return [];
+        }
+        
+        const client = this.clientFor(server);
+        try {
+            if (server.transport !== 'rest') {
+                await client.initialize({ signal: options.signal });
+            }
+            const tools = await client.listTools({ signal: options.signal });
+            
+            return tools.map(tool => ({
+                id: `${server.id}:${tool.name}`,
+                name: tool.name,
+                title: tool.title || tool.annotations?.title || null,
+                description: tool.description || '',
+                inputSchema: tool.inputSchema || { type: 'object' },
+                outputSchema: tool.outputSchema || null,
+                annotations: tool.annotations || {},
+                type: 'mcp_tool',
+                serverId: server.id,
+                serverUrl: server.url
+            }));
+        } finally {
+            await client.close();
+        }
     }
 
-    async queryServerTools(server) {
-        // Mock implementation - in real scenario, this would query the MCP server
-        return server.capabilities.map(capability => ({
-            id: capability,
-            name: capability,
-            description: `Tool for ${capability} operations`,
-            type: 'mcp_tool',
-            capability
+    /**
+     * Record the outcome of a probe or liveness check in server.health:
+     * { state, latency, consecutiveFailures, lastCheck, lastError, downSince }
+     */
+    updateHealth(server, previous, outcome) {
+        const health = {
+            state: 'healthy',
+            latency: null,
+            consecutiveFailures: 0,
+            lastCheck: outcome.at,
+            lastError: null,
+            downSince: null
+        };
+        
+        if (outcome.alive) {
+            health.latency = outcome.latency;
+            health.state = outcome.latency > this.healthCheck.degradedLatency ? 'degraded' : 'healthy';
+            server.lastSeen = outcome.at;
+        } else {
+            health.consecutiveFailures = (previous?.consecutiveFailures || 0) + 1;
+            health.lastError = { code: outcome.error.code, message: outcome.error.message };
+            if (health.consecutiveFailures >= this.healthCheck.downAfterFailures) {
+                health.state = 'down';
+                health.downSince = previous?.downSince || outcome.at;
+            } else {
+                health.state = 'degraded';
+            }
+        }
+        
+        server.health = health;
+        if (previous && previous.state !== health.state) {
+            this.logger.info(`MCP server ${server.id} is ${health.state} (was ${previous.state})`);
+            this.emit('server-health-changed', { id: server.id, previous: previous.state, state: health.state });
+        }
+        return health;
+    }
+
+    /**
+     * Ping every probed server (declared ones excepted), then evict the servers down for too long.
+     * A server unreachable at discovery that answers again triggers a new discovery.
+     * Concurrent calls share the check in progress.
+     */
+    checkHealth(options = {}) {
+        if (!this.healthChecking) {
+            this.healthChecking = this.runHealthChecks(options).finally(() => {
+                this.healthChecking = null;
+            });
+        }
+        return this.healthChecking;
+    }
+
+    async runHealthChecks(options = {}) {
+        const servers = Array.from(this.servers.values()).filter(server => server.health?.state !== 'unknown');
+        const recovered = [];
+        
+        await Promise.all(servers.map(async server => {
+            const outcome = await this.pingServer(server, options);
+            // Fiche remplacée par une découverte entre-temps : son résultat fait foi
+            if (this.servers.get(server.id) !== server) {
+                return;
+            }
+            this.updateHealth(server, server.health, outcome);
+            if (outcome.alive && server.status === 'unreachable') {
+                recovered.push(server.id);
+            }
         }));
+        
+        const evicted = this.evictDownServers();
+        if (recovered.length > 0) {
+            this.logger.info(`MCP servers ${recovered.join(', ')} answer again, rediscovering`);
+            this.refresh().catch(error => this.logger.warn('Rediscovery failed:', error.message));
+        }
+        return { checked: servers.length, evicted, recovered };
+    }
+
+    async pingServer(server, options = {}) {
+        const client = this.clientFor(server, this.healthCheck.timeout);
+        const at = new Date().toISOString();
+        const startedAt = Date.now();
+        try {
+            await client.ping({ signal: options.signal });
+            return { alive: true, latency: Date.now() - startedAt, at };
+        } catch (error) {
+            return isUnresponsive(error)
+                ? { alive: false, error, at }
+                : { alive: true, latency: Date.now() - startedAt, at };
+        }
+    }
+
+    /**
+     * Remove the servers down for more than evictionGracePeriod ms, and their tools
+     */
+    evictDownServers(now = Date.now()) {
+        const evicted = Array.from(this.servers.values()).filter(server =>
+            server.health?.state === 'down' && now - Date.parse(server.health.downSince) >= this.healthCheck.evictionGracePeriod
+        );
+        if (evicted.length === 0) {
+            return [];
+        }
+        
+        evicted.forEach(server => {
+            this.logger.warn(`🚫 Evicting MCP server ${server.id}: down since ${server.health.downSince}`);
+            this.servers.delete(server.id);
+            this.serverHeaders.delete(server.id);
+            this.evicted.set(server.id, {
+                id: server.id,
+                url: server.url,
+                source: server.source,
+                lastSeen: server.lastSeen,
+                downSince: server.health.downSince,
+                evictedAt: new Date(now).toISOString()
+            });
+        });
+        
+        const ids = evicted.map(server => server.id);
+        const removedTools = Array.from(this.tools.values()).filter(tool => ids.includes(tool.serverId)).map(tool => tool.id);
+        removedTools.forEach(id => this.tools.delete(id));
+        
+        this.emit('servers-changed', { added: [], removed: ids });
+        if (removedTools.length > 0) {
+            this.emit('tools-changed', { added: [], removed: removedTools });
+        }
+        return ids;
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer) {
+            return;
+        }
+        
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => this.logger.warn('Health check failed:', error.message));
+        }, this.healthCheck.interval);
+        this.healthTimer.unref();
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
     }
 
     startPeriodicDiscovery() {
-        // Rediscover servers and tools every 5 minutes
-        setInterval(async () => {
+        if (this.discoveryTimer) {
+            return;
+        }
+        
+        // Rediscover servers and tools every discoveryInterval ms (5 minutes by default)
+        this.discoveryTimer = setInterval(async () => {
             if (this.isRunning) {
                 try {
-                    await this.discoverServers();
-                    await this.discoverTools();
+                    await this.refresh();
                 } catch (error) {
                     this.logger.warn('Periodic discovery failed:', error.message);
                 }
             }
-        }, 5 * 60 * 1000); // 5 minutes
+        }, this.config.discoveryInterval || DEFAULT_DISCOVERY_INTERVAL);
+        this.discoveryTimer.unref();
     }
 
-    getAvailableServers() {
-        return Array.from(this.servers.values());
+    /**
+     * Every discovered server, whatever its status, unless filtered:
+     * { status, health } where health is a state or a list of states
+     */
+    getAvailableServers(filters = {}) {
+        const states = filters.health ? [].concat(filters.health) : null;
+        return Array.from(this.servers.values())
+            .filter(server => !filters.status || server.status === filters.status)
+            .filter(server => !states || states.includes(server.health?.state));
     }
 
-    getAvailableTools() {
-        return Array.from(this.tools.values());
+    getServersByStatus(status) {
+        return this.getAvailableServers({ status });
+    }
+
+    /**
+     * Servers evicted after staying down, until they answer a discovery again
+     */
+    getEvictedServers() {
+        return Array.from(this.evicted.values());
+    }
+
+    /**
+     * Sources whose last discover() failed
+     */
+    getSourceErrors() {
+        return Array.from(this.sourceErrors.values());
+    }
+
+    /**
+     * Discovered tools; { health } keeps the tools of servers in that state (or list of states)
+     */
+    getAvailableTools(filters = {}) {
+        const serverIds = filters.health ? new Set(this.getAvailableServers({ health: filters.health }).map(server => server.id)) : null;
+        return Array.from(this.tools.values()).filter(tool => !serverIds || serverIds.has(tool.serverId));
     }
 
     getServerById(serverId) {
@@ -170,10 +659,13 @@ class MCPDiscovery {
         return this.tools.get(toolId);
     }
 
+    /**
+     * Tools whose name, title or description mention the capability
+     */
     findToolsByCapability(capability) {
-        return Array.from(this.tools.values()).filter(tool => 
-            tool.capability === capability || 
-            tool.name.toLowerCase().includes(capability.toLowerCase())
+        const wanted = capability.toLowerCase();
+        return Array.from(this.tools.values()).filter(tool =>
+            [tool.name, tool.title, tool.description].some(text => text && text.toLowerCase().includes(wanted))
         );
     }
 
@@ -181,6 +673,14 @@ class MCPDiscovery {
         this.logger.info('Stopping MCP Discovery Service...');
         
         this.isRunning = false;
+        clearInterval(this.discoveryTimer);
+        this.discoveryTimer = null;
+        this.stopHealthChecks();
+        this.sources.forEach(source => {
+            if (typeof source.unwatch === 'function') {
+                source.unwatch();
+            }
+        });
         
         // Stop ANP server
         if (this.anpServer) {
@@ -188,8 +688,6 @@ class MCPDiscovery {
             this.logger.info('ANP server stopped');
         }
         
-        // Clear intervals would be here in real implementation
-        
         this.logger.info('MCP Discovery Service stopped');
     }
 
@@ -566,7 +1064,20 @@ class MCPDiscovery {
         return tools;
     }
 
+    /**
+     * OpenAPI of a tool: its inputSchema as request body when known (MCP tools), a string input otherwise
+     */
     generateBasicOpenAPIForTool(tool) {
+        const schema = tool.inputSchema || {
+            type: 'object',
+            properties: {
+                input: {
+                    type: 'string',
+                    description: 'Tool input'
+                }
+            }
+        };
+        
         return {
             openapi: '3.1.0',
             info: {
@@ -577,20 +1088,14 @@ class MCPDiscovery {
             paths: {
                 [`/${tool.name}`]: {
                     post: {
-                        summary: tool.description,
+                        summary: tool.title || tool.description,
+                        description: tool.description,
+                        ...(tool.annotations && Object.keys(tool.annotations).length > 0 ? { 'x-mcp-annotations': tool.annotations } : {}),
                         requestBody: {
                             required: true,
                             content: {
                                 'application/json': {
-                                    schema: {
-                                        type: 'object',
-                                        properties: {
-                                            input: {
-                                                type: 'string',
-                                                description: 'Tool input'
-                                            }
-                                        }
-                                    }
+                                    schema
                                 }
                             }
                         },
@@ -1038,4 +1543,4 @@ class MCPDiscovery {
     }
 }
 
-module.exports = { MCPDiscovery };
\ No newline at end of file
+module.exports = { MCPDiscovery, HEALTH_STATES };
\ No newline at end of file
@@ -0,0 +1,201 @@
+const express = require('express');
+const { MCPDiscovery } = require('./discovery');
+
+/**
+ * Local MCP server answering JSON-RPC on POST /mcp; `state.pages` serves tools/list
+ * (cursor -> { tools, nextCursor }, the first page under ''), `state.status` answers every
+ * request with that HTTP status and `state.delay` slows the answers down (ms)
+ */
+async function startMcpServer(state) {
+    const calls = [];
+    const app = express();
+    app.use(express.json());
+    app.post('/mcp', async (req, res) => {
+        const { id, method, params } = req.body;
+        calls.push(method);
+        if (state.delay) {
+            await new Promise(resolve => setTimeout(resolve, state.delay));
+        }
+        if (state.status) {
+            return res.status(state.status).end();
+        }
+        if (id === undefined) {
+            return res.status(202).end();
+        }
+        if (method === 'initialize') {
+            return res.json({ jsonrpc: '2.0', id, result: { protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'stub', version: '1.0.0' } } });
+        }
+        if (method === 'tools/list') {
+            return res.json({ jsonrpc: '2.0', id, result: state.pages[params.cursor || ''] });
+        }
+        res.json({ jsonrpc: '2.0', id, result: {} });
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, calls, url: `http://localhost:${server.address().port}/mcp` };
+}
+
+const staticSource = candidates => ({ name: 'test', discover: async () => candidates });
+
+describe('MCPDiscovery', () => {
+    let stub;
+    let discovery;
+    let state;
+
+    beforeEach(async () => {
+        state = {
+            pages: {
+                '': { tools: [{ name: 'search', description: 'Search docs', inputSchema: { type: 'object', properties: { q: { type: 'string' } } } }], nextCursor: 'p2' },
+                p2: { tools: [{ name: 'fetch', annotations: { title: 'Fetch a page', readOnlyHint: true } }] }
+            }
+        };
+        stub = await startMcpServer(state);
+        discovery = new MCPDiscovery({ discoverySources: [staticSource([{ id: 'docs', url: stub.url }])] });
+    });
+
+    afterEach(async () => {
+        await discovery.stop();
+        await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    describe('tool listing', () => {
+        test('lists every page of tools/list with server-scoped ids', async () => {
+            await discovery.discoverServers();
+            const tools = await discovery.discoverTools();
+
+            expect(tools).toEqual([
+                {
+                    id: 'docs:search',
+                    name: 'search',
+                    title: null,
+                    description: 'Search docs',
+                    inputSchema: { type: 'object', properties: { q: { type: 'string' } } },
+                    outputSchema: null,
+                    annotations: {},
+                    type: 'mcp_tool',
+                    serverId: 'docs',
+                    serverUrl: stub.url
+                },
+                expect.objectContaining({ id: 'docs:fetch', title: 'Fetch a page', description: '', inputSchema: { type: 'object' } })
+            ]);
+            expect(stub.calls.filter(method => method === 'tools/list')).toHaveLength(2);
+        });
+
+        test('keeps the known tools of a server whose listing fails, and reports changes', async () => {
+            await discovery.discoverServers();
+            await discovery.discoverTools();
+            const changes = [];
+            discovery.on('tools-changed', change => changes.push(change));
+
+            state.pages.p2 = { tools: [{ name: 'fetch' }], nextCursor: 'p2' };
+            await discovery.discoverTools();
+            expect(discovery.getAvailableTools().map(tool => tool.id)).toEqual(['docs:search', 'docs:fetch']);
+
+            state.pages.p2 = { tools: [{ name: 'crawl' }] };
+            await discovery.discoverTools();
+            expect(changes).toEqual([{ added: ['docs:crawl'], removed: ['docs:fetch'] }]);
+        });
+
+        test('does not list a JSON-RPC server without the tools capability', async () => {
+            await expect(discovery.queryServerTools({ id: 'bare', url: stub.url, transport: 'jsonrpc', capabilities: {} })).resolves.toEqual([]);
+            expect(stub.calls).toEqual([]);
+        });
+    });
+
+    describe('health checks', () => {
+        const healthChanges = () => {
+            const changes = [];
+            discovery.on('server-health-changed', change => changes.push(change));
+            return changes;
+        };
+
+        test('marks a server degraded, then down after consecutive failed pings', async () => {
+            discovery = new MCPDiscovery({ downAfterFailures: 2, evictionGracePeriod: 60000, discoverySources: [staticSource([{ id: 'docs', url: stub.url }])] });
+            await discovery.discoverServers();
+            expect(discovery.getServerById('docs').health).toMatchObject({ state: 'healthy', consecutiveFailures: 0, lastError: null });
+            const changes = healthChanges();
+
+            state.status = 503;
+            await discovery.checkHealth();
+            await discovery.checkHealth();
+
+            const { health } = discovery.getServerById('docs');
+            expect(health).toMatchObject({ state: 'down', consecutiveFailures: 2, lastError: { code: 'MCP_HTTP_ERROR' } });
+            expect(health.downSince).toEqual(expect.any(String));
+            expect(changes).toEqual([
+                { id: 'docs', previous: 'healthy', state: 'degraded' },
+                { id: 'docs', previous: 'degraded', state: 'down' }
+            ]);
+            expect(discovery.getAvailableServers({ health: ['degraded', 'down'] }).map(server => server.id)).toEqual(['docs']);
+
+            state.status = null;
+            await discovery.checkHealth();
+            expect(discovery.getServerById('docs').health).toMatchObject({ state: 'healthy', consecutiveFailures: 0, downSince: null });
+        });
+
+        test('counts slow answers as degraded and refusals as alive', async () => {
+            discovery = new MCPDiscovery({ degradedLatency: 20, discoverySources: [staticSource([{ id: 'docs', url: stub.url }])] });
+            await discovery.discoverServers();
+
+            state.delay = 50;
+            await discovery.checkHealth();
+            expect(discovery.getServerById('docs').health.state).toBe('degraded');
+
+            state.delay = 0;
+            state.status = 401;
+            await discovery.checkHealth();
+            expect(discovery.getServerById('docs').health).toMatchObject({ state: 'healthy', consecutiveFailures: 0 });
+        });
+
+        test('does not ping servers declared without a probe', async () => {
+            discovery = new MCPDiscovery({ discoverySources: [staticSource([{ id: 'declared', url: stub.url, probe: false }])] });
+            await discovery.discoverServers();
+
+            await expect(discovery.checkHealth()).resolves.toEqual({ checked: 0, evicted: [], recovered: [] });
+            expect(stub.calls).toEqual([]);
+            expect(discovery.getServerById('declared').health.state).toBe('unknown');
+        });
+
+        test('evicts a server down past the grace period with its tools, until it answers again', async () => {
+            discovery = new MCPDiscovery({ downAfterFailures: 1, evictionGracePeriod: 0, discoverySources: [staticSource([{ id: 'docs', url: stub.url }])] });
+            await discovery.discoverServers();
+            await discovery.discoverTools();
+            const servers = [];
+            const tools = [];
+            discovery.on('servers-changed', change => servers.push(change));
+            discovery.on('tools-changed', change => tools.push(change));
+            jest.spyOn(discovery.logger, 'warn').mockImplementation(() => {});
+
+            state.status = 503;
+            await expect(discovery.checkHealth()).resolves.toEqual({ checked: 1, evicted: ['docs'], recovered: [] });
+
+            expect(discovery.getServerById('docs')).toBeUndefined();
+            expect(discovery.getAvailableTools()).toEqual([]);
+            expect(discovery.getEvictedServers()).toEqual([expect.objectContaining({ id: 'docs', url: stub.url, source: 'test', downSince: expect.any(String) })]);
+            expect(servers).toEqual([{ added: [], removed: ['docs'] }]);
+            expect(tools).toEqual([{ added: [], removed: ['docs:search', 'docs:fetch'] }]);
+
+            await discovery.discoverServers();
+            expect(discovery.getServerById('docs')).toBeUndefined();
+
+            state.status = null;
+            await discovery.discoverServers();
+            expect(discovery.getServerById('docs').health.state).toBe('healthy');
+            expect(discovery.getEvictedServers()).toEqual([]);
+        });
+
+        test('keeps a down server within the grace period', async () => {
+            discovery = new MCPDiscovery({ downAfterFailures: 1, evictionGracePeriod: 60000, discoverySources: [staticSource([{ id: 'docs', url: stub.url }])] });
+            await discovery.discoverServers();
+
+            state.status = 503;
+            await discovery.checkHealth();
+            const downSince = Date.parse(discovery.getServerById('docs').health.downSince);
+
+            expect(discovery.evictDownServers(downSince + 59999)).toEqual([]);
+            expect(discovery.evictDownServers(downSince + 60000)).toEqual(['docs']);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+const { Logger } = require('../utils/logger');
+
+const JSON_RPC_VERSION = '2.0';
+
+/**
+ * Standard JSON-RPC 2.0 error codes, plus the MCP-specific ones
+ */
+const JsonRpcErrorCodes = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    UNAUTHORIZED: -32001,
+    RESOURCE_NOT_FOUND: -32002,
+    FORBIDDEN: -32003
+};
+
+class JsonRpcError extends Error {
+    constructor(code, message, data = null) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+        this.data = data;
+    }
+
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.data !== null && this.data !== undefined) {
+            error.data = this.data;
+        }
+        return error;
+    }
+}
+
+/**
+ * JsonRpcDispatcher - Route des messages JSON-RPC 2.0 vers des handlers
+ * Gère les requêtes simples, les batchs et les notifications
+ */
+class JsonRpcDispatcher {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('JsonRpcDispatcher');
+        this.methods = new Map();
+    }
+
+    /**
+     * Register a handler: async (params, context) => result
+     */
+    register(method, handler) {
+        this.methods.set(method, handler);
+        return this;
+    }
+
+    has(method) {
+        return this.methods.has(method);
+    }
+
+    /**
+     * Parse a raw JSON-RPC payload, mapping syntax errors to PARSE_ERROR
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new JsonRpcError(JsonRpcErrorCodes.PARSE_ERROR, 'Parse error', error.message);
+        }
+    }
+
+    /**
+     * Handle a single message or a batch.
+     * Returns null when nothing has to be sent back (notifications only).
+     */
+    async handle(payload, context = {}) {
+        if (Array.isArray(payload)) {
+            if (payload.length === 0) {
+                return this.errorResponse(null, new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'Invalid Request', 'Empty batch'));
+            }
+
+            const responses = await Promise.all(payload.map(message => this.handleMessage(message, context)));
+            const replies = responses.filter(response => response !== null);
+            return replies.length > 0 ? replies : null;
+        }
+
+        return this.handleMessage(payload, context);
+    }
+
+    async handleMessage(message, context = {}) {
+        const invalid = this.validateMessage(message);
+        if (invalid) {
+            const id = this.isValidId(message?.id) ? message.id : null;
+            return this.errorResponse(id, invalid);
+        }
+
+        const isNotification = !Object.prototype.hasOwnProperty.call(message, 'id');
+        const { id = null, method, params } = message;
+        const handler = this.methods.get(method);
+
+        if (!handler) {
+            if (isNotification) {
+                this.logger.debug(`Ignoring unknown JSON-RPC notification: ${method}`);
+                return null;
+            }
+            return this.errorResponse(id, new JsonRpcError(JsonRpcErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`));
+        }
+
+        try {
+            const result = await handler(params || {}, { ...context, id, method, isNotification });
+            if (isNotification) {
+                return null;
+            }
+            return {
+                jsonrpc: JSON_RPC_VERSION,
+                id,
+                result: result === undefined ? {} : result
+            };
+        } catch (error) {
+            if (isNotification) {
+                this.logger.warn(`JSON-RPC notification ${method} failed:`, error.message);
+                return null;
+            }
+            return this.errorResponse(id, error);
+        }
+    }
+
+    validateMessage(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'Invalid Request', 'Message must be an object');
+        }
+        if (message.jsonrpc !== JSON_RPC_VERSION) {
+            return new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'Invalid Request', 'jsonrpc must be "2.0"');
+        }
+        if (typeof message.method !== 'string' || message.method.length === 0) {
+            return new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'Invalid Request', 'method must be a non-empty string');
+        }
+        if (Object.prototype.hasOwnProperty.call(message, 'id') && !this.isValidId(message.id)) {
+            return new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'Invalid Request', 'id must be a string, a number or null');
+        }
+        if (message.params !== undefined && (message.params === null || typeof message.params !== 'object')) {
+            return new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, 'Invalid params', 'params must be an object or an array');
+        }
+        return null;
+    }
+
+    isValidId(id) {
+        return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+    }
+
+    errorResponse(id, error) {
+        const rpcError = error instanceof JsonRpcError
+            ? error
+            : new JsonRpcError(JsonRpcErrorCodes.INTERNAL_ERROR, error.message || 'Internal error');
+
+        if (rpcError.code === JsonRpcErrorCodes.INTERNAL_ERROR) {
+            this.logger.error('JSON-RPC internal error:', error.message);
+        }
+
+        return {
+            jsonrpc: JSON_RPC_VERSION,
+            id,
+            error: rpcError.toJSON()
+        };
+    }
+}
+
+module.exports = {
+    JSON_RPC_VERSION,
+    JsonRpcErrorCodes,
+    JsonRpcError,
+    JsonRpcDispatcher
+};
\ No newline at end of file
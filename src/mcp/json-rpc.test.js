@@ -0,0 +1,70 @@
+const { JsonRpcDispatcher, JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+describe('JsonRpcDispatcher', () => {
+    let dispatcher;
+
+    beforeEach(() => {
+        dispatcher = new JsonRpcDispatcher()
+            .register('echo', async (params) => params)
+            .register('empty', async () => undefined)
+            .register('context', async (params, context) => ({ id: context.id, transport: context.transport, isNotification: context.isNotification }))
+            .register('forbidden', async () => {
+                throw new JsonRpcError(JsonRpcErrorCodes.FORBIDDEN, 'Nope', { reason: 'test' });
+            })
+            .register('crash', async () => {
+                throw new Error('boom');
+            });
+    });
+
+    test('answers a request with its id and result', async () => {
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 1, method: 'echo', params: { a: 1 } }))
+            .resolves.toEqual({ jsonrpc: '2.0', id: 1, result: { a: 1 } });
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 'x', method: 'empty' }))
+            .resolves.toEqual({ jsonrpc: '2.0', id: 'x', result: {} });
+    });
+
+    test('passes the request context to handlers', async () => {
+        const response = await dispatcher.handle({ jsonrpc: '2.0', id: 7, method: 'context' }, { transport: 'stdio' });
+
+        expect(response.result).toEqual({ id: 7, transport: 'stdio', isNotification: false });
+    });
+
+    test('sends nothing back for notifications, even failing or unknown ones', async () => {
+        await expect(dispatcher.handle({ jsonrpc: '2.0', method: 'echo' })).resolves.toBeNull();
+        await expect(dispatcher.handle({ jsonrpc: '2.0', method: 'crash' })).resolves.toBeNull();
+        await expect(dispatcher.handle({ jsonrpc: '2.0', method: 'unknown' })).resolves.toBeNull();
+    });
+
+    test('answers a batch without the notifications', async () => {
+        const response = await dispatcher.handle([
+            { jsonrpc: '2.0', id: 1, method: 'echo', params: { n: 1 } },
+            { jsonrpc: '2.0', method: 'echo' },
+            { jsonrpc: '2.0', id: 2, method: 'unknown' }
+        ]);
+
+        expect(response).toEqual([
+            { jsonrpc: '2.0', id: 1, result: { n: 1 } },
+            { jsonrpc: '2.0', id: 2, error: { code: JsonRpcErrorCodes.METHOD_NOT_FOUND, message: 'Method not found: unknown' } }
+        ]);
+        await expect(dispatcher.handle([{ jsonrpc: '2.0', method: 'echo' }])).resolves.toBeNull();
+    });
+
+    test('rejects an empty batch and invalid messages', async () => {
+        await expect(dispatcher.handle([])).resolves.toMatchObject({ id: null, error: { code: JsonRpcErrorCodes.INVALID_REQUEST } });
+        await expect(dispatcher.handle({ id: 1, method: 'echo' })).resolves.toMatchObject({ id: 1, error: { code: JsonRpcErrorCodes.INVALID_REQUEST } });
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 1 })).resolves.toMatchObject({ error: { code: JsonRpcErrorCodes.INVALID_REQUEST } });
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: {}, method: 'echo' })).resolves.toMatchObject({ id: null, error: { code: JsonRpcErrorCodes.INVALID_REQUEST } });
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 1, method: 'echo', params: 'a' })).resolves.toMatchObject({ error: { code: JsonRpcErrorCodes.INVALID_PARAMS } });
+    });
+
+    test('returns JsonRpcError as is and other errors as internal errors', async () => {
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 1, method: 'forbidden' }))
+            .resolves.toEqual({ jsonrpc: '2.0', id: 1, error: { code: JsonRpcErrorCodes.FORBIDDEN, message: 'Nope', data: { reason: 'test' } } });
+        await expect(dispatcher.handle({ jsonrpc: '2.0', id: 2, method: 'crash' }))
+            .resolves.toEqual({ jsonrpc: '2.0', id: 2, error: { code: JsonRpcErrorCodes.INTERNAL_ERROR, message: 'boom' } });
+    });
+
+    test('maps invalid JSON to a parse error', () => {
+        expect(() => dispatcher.parse('{')).toThrow(expect.objectContaining({ code: JsonRpcErrorCodes.PARSE_ERROR }));
+    });
+});
\ No newline at end of file
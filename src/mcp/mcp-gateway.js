@@ -0,0 +1,357 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+const { createMCPDispatcher } = require('./protocol');
+const { StreamableHttpTransport } = require('./transports/streamable-http-transport');
+const { AccessControl } = require('./access-control');
+const { ToolCallAbortedError } = require('./cancellation');
+
+const DEFAULT_SEPARATOR = '__';
+const DEFAULT_UPSTREAM_TIMEOUT = 30000;
+
+// MCPClientError code of a failed upstream call -> gateway error code
+const UPSTREAM_ERROR_CODES = {
+    MCP_UNREACHABLE: 'GATEWAY_UPSTREAM_UNAVAILABLE',
+    MCP_UNAUTHORIZED: 'GATEWAY_UPSTREAM_UNAUTHORIZED'
+};
+
+class MCPGatewayError extends Error {
+    constructor(message, code = 'GATEWAY_UPSTREAM_ERROR', details = {}) {
+        super(message);
+        this.name = 'MCPGatewayError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * MCPGateway - Point d'entrée MCP unique devant les serveurs trouvés par MCPDiscovery
+ * tools/list fusionne les outils internes (UnifiedAutoWeaveMCPServer) et ceux des serveurs découverts
+ * disponibles et en bonne santé, chacun préfixé par son serveur : `<server id>__<tool>`,
+ * `autoweave__<tool>` pour les outils internes. tools/call est routé vers le serveur propriétaire
+ * (une session par serveur, réutilisée) sous le délai de ce serveur.
+ * Upstream failures become tool errors: MCPGatewayError (GATEWAY_UPSTREAM_UNAVAILABLE,
+ * GATEWAY_UPSTREAM_UNAUTHORIZED, GATEWAY_UPSTREAM_ERROR) or ToolCallAbortedError (TOOL_TIMEOUT,
+ * TOOL_CANCELLED); JSON-RPC errors of the upstream (unknown tool, invalid arguments) are relayed as such.
+ */
+class MCPGateway extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        if (!options.discovery) {
+            throw new Error('MCPGateway requires an MCPDiscovery');
+        }
+
+        this.discovery = options.discovery;
+        this.internal = options.internalServer || null;
+        this.logger = options.logger || new Logger('MCPGateway');
+        this.separator = options.separator || DEFAULT_SEPARATOR;
+        this.internalPrefix = options.internalPrefix || 'autoweave';
+        // États de santé des serveurs dont les outils sont exposés
+        this.health = options.health || ['healthy', 'degraded'];
+        this.upstreamTimeout = options.upstreamTimeout || parseInt(process.env.AUTOWEAVE_MCP_GATEWAY_TIMEOUT, 10) || DEFAULT_UPSTREAM_TIMEOUT;
+        this.upstreamTimeouts = options.upstreamTimeouts || {};
+        this.accessControl = AccessControl.from(options.accessControl, { logger: this.logger.child('access') });
+        this.serverInfo = {
+            name: 'autoweave-mcp-gateway',
+            version: '1.0.0'
+        };
+
+        this.upstreams = new Map();
+        this.collisions = new Set();
+        this.httpServer = null;
+
+        // Outils ajoutés, retirés, ou serveur entrant/sortant des états exposés -> tools/list_changed
+        this.onToolsChanged = () => this.notifyClients('notifications/tools/list_changed');
+        this.onServersChanged = ({ removed = [] } = {}) => removed.forEach(id => this.dropUpstream(id));
+        this.onHealthChanged = ({ previous, state }) => {
+            if (this.health.includes(previous) !== this.health.includes(state)) {
+                this.onToolsChanged();
+            }
+        };
+        this.onInternalNotification = method => {
+            if (method === 'notifications/tools/list_changed') {
+                this.onToolsChanged();
+            }
+        };
+        this.discovery.on('tools-changed', this.onToolsChanged);
+        this.discovery.on('servers-changed', this.onServersChanged);
+        this.discovery.on('server-health-changed', this.onHealthChanged);
+        if (this.internal) {
+            this.internal.on('notification', this.onInternalNotification);
+        }
+    }
+
+    /**
+     * Exposed tools: prefixed name -> { tool, internal: true, category } or { tool, server }.
+     * Rebuilt from the current discovery state, so a server leaving takes its tools with it.
+     */
+    async resolveTools() {
+        const routes = new Map();
+
+        if (this.internal) {
+            const { tools } = await this.internal.listTools();
+            tools.forEach(tool => this.addRoute(routes, `${this.internalPrefix}${this.separator}${tool.name}`, {
+                tool,
+                internal: true,
+                category: this.internal.getPolicyTarget(tool.name).category
+            }));
+        }
+
+        const servers = new Map(this.discovery.getAvailableServers({ status: 'available', health: this.health })
+            .map(server => [server.id, server]));
+        this.discovery.getAvailableTools()
+            .filter(tool => servers.has(tool.serverId))
+            .forEach(tool => this.addRoute(routes, `${tool.serverId}${this.separator}${tool.name}`, {
+                tool,
+                server: servers.get(tool.serverId)
+            }));
+
+        return routes;
+    }
+
+    addRoute(routes, name, route) {
+        // Seul cas possible : un id de serveur contenant le séparateur ou égal au préfixe interne
+        if (routes.has(name)) {
+            if (!this.collisions.has(name)) {
+                this.collisions.add(name);
+                this.logger.warn(`Tool ${name} of ${route.server ? route.server.id : 'AutoWeave'} hidden: the name is already taken`);
+            }
+            return;
+        }
+        routes.set(name, route);
+    }
+
+    policyTarget(name, route) {
+        if (route.internal) {
+            return { name, category: route.category, readOnly: Boolean(route.tool.annotations?.readOnlyHint) };
+        }
+        return { name, category: route.server.id, readOnly: Boolean(route.tool.annotations?.readOnlyHint) };
+    }
+
+    describeTool(name, route) {
+        const tool = { name };
+        if (route.tool.title) {
+            tool.title = route.tool.title;
+        }
+        tool.description = route.tool.description || '';
+        tool.inputSchema = route.tool.inputSchema || { type: 'object' };
+        if (route.tool.annotations && Object.keys(route.tool.annotations).length > 0) {
+            tool.annotations = route.tool.annotations;
+        }
+        return tool;
+    }
+
+    async listTools(params = {}, context = {}) {
+        const routes = await this.resolveTools();
+        return {
+            tools: Array.from(routes.entries())
+                // Un client HTTP ne voit que les outils que sa politique autorise
+                .filter(([name, route]) => context.transport !== 'http' || this.accessControl.isAllowed(context.client, this.policyTarget(name, route)))
+                .map(([name, route]) => this.describeTool(name, route))
+        };
+    }
+
+    async callTool(name, args, context = {}) {
+        const route = (await this.resolveTools()).get(name);
+        if (!route) {
+            // Outil d'un serveur connu mais hors service : erreur d'outil, pas outil inconnu
+            const server = this.discovery.getAvailableServers().find(candidate => name.startsWith(`${candidate.id}${this.separator}`));
+            if (server) {
+                throw new MCPGatewayError(`MCP server ${server.id} is not available (${server.status}, ${server.health?.state || 'unknown'})`, 'GATEWAY_UPSTREAM_UNAVAILABLE', {
+                    server: server.id,
+                    tool: name
+                });
+            }
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        // stdio est local et de confiance ; HTTP passe par la politique d'accès
+        if (context.transport === 'http') {
+            this.accessControl.authorize(context.client, this.policyTarget(name, route));
+        }
+
+        if (route.internal) {
+            return this.internal.callTool(route.tool.name, args, context);
+        }
+        return this.callUpstream(route.server, route.tool, args, context);
+    }
+
+    timeoutFor(server) {
+        return this.upstreamTimeouts[server.id] || server.timeout || this.upstreamTimeout;
+    }
+
+    async callUpstream(server, tool, args, context = {}) {
+        const name = `${server.id}${this.separator}${tool.name}`;
+        const timeout = context.timeout || this.timeoutFor(server);
+        const startTime = Date.now();
+
+        try {
+            const result = await this.withUpstream(server, client => client.callTool(tool.name, args, { signal: context.signal, timeout }));
+            this.logger.debug(`${name} answered by ${server.url} in ${Date.now() - startTime}ms`);
+            // isError est facultatif dans un CallToolResult
+            return result && Array.isArray(result.content) ? { ...result, isError: Boolean(result.isError) } : result;
+        } catch (error) {
+            throw this.mapUpstreamError(error, server, name, timeout, context.signal);
+        }
+    }
+
+    /**
+     * Run a call on the upstream session; an expired session (HTTP 404) is reopened once
+     */
+    async withUpstream(server, call) {
+        const client = await this.connect(server);
+        try {
+            return await call(client);
+        } catch (error) {
+            if (error.code !== 'MCP_HTTP_ERROR' || error.details.status !== 404 || !client.sessionId) {
+                throw error;
+            }
+            this.logger.debug(`MCP session of ${server.id} expired, reconnecting`);
+            this.dropUpstream(server.id);
+            return call(await this.connect(server));
+        }
+    }
+
+    connect(server) {
+        const known = this.upstreams.get(server.id);
+        if (known && known.url === server.url) {
+            return known.ready;
+        }
+        if (known) {
+            this.dropUpstream(server.id);
+        }
+
+        const client = this.discovery.clientFor(server, this.timeoutFor(server));
+        const ready = server.transport === 'rest'
+            ? Promise.resolve(client)
+            : client.initialize().then(() => client);
+        const upstream = { url: server.url, ready };
+        this.upstreams.set(server.id, upstream);
+        ready.catch(() => {
+            if (this.upstreams.get(server.id) === upstream) {
+                this.upstreams.delete(server.id);
+            }
+        });
+        return ready;
+    }
+
+    dropUpstream(serverId) {
+        const upstream = this.upstreams.get(serverId);
+        if (!upstream) {
+            return;
+        }
+        this.upstreams.delete(serverId);
+        upstream.ready.then(client => client.close()).catch(() => {});
+    }
+
+    mapUpstreamError(error, server, name, timeout, signal) {
+        const details = { server: server.id, tool: name, upstreamCode: error.code || null };
+
+        switch (error.code) {
+            case 'MCP_REQUEST_FAILED':
+                return new JsonRpcError(error.details.rpcCode ?? JsonRpcErrorCodes.INTERNAL_ERROR, `${server.id}: ${error.details.rpcMessage || error.message}`, error.details.data ?? null);
+            case 'MCP_TIMEOUT':
+                return new ToolCallAbortedError(`Tool call timed out after ${timeout}ms: ${name}`, 'TOOL_TIMEOUT', { tool: name, timeout, server: server.id });
+            case 'MCP_CANCELLED':
+                return signal?.reason instanceof ToolCallAbortedError
+                    ? signal.reason
+                    : new ToolCallAbortedError(`Tool call cancelled: ${name}`, 'TOOL_CANCELLED', { tool: name, server: server.id });
+            default:
+                this.logger.warn(`❌ ${name} failed on ${server.id}:`, error.message);
+                return new MCPGatewayError(
+                    UPSTREAM_ERROR_CODES[error.code] ? `MCP server ${server.id} cannot serve ${name}: ${error.message}` : `${name} failed on MCP server ${server.id}: ${error.message}`,
+                    UPSTREAM_ERROR_CODES[error.code] || 'GATEWAY_UPSTREAM_ERROR',
+                    error.details?.status ? { ...details, status: error.details.status } : details
+                );
+        }
+    }
+
+    /**
+     * Emit a server-initiated MCP notification to every connected transport
+     */
+    notifyClients(method, params = {}) {
+        this.emit('notification', method, params);
+    }
+
+    /**
+     * Forward gateway notifications to a transport exposing broadcast(method, params)
+     */
+    connectTransport(transport) {
+        const forward = (method, params) => transport.broadcast(method, params);
+        this.on('notification', forward);
+        return () => this.off('notification', forward);
+    }
+
+    /**
+     * Dispatcher JSON-RPC du gateway (outils uniquement) pour un transport (stdio, HTTP)
+     */
+    createDispatcher() {
+        return createMCPDispatcher({
+            listTools: (params, context) => this.listTools(params, context),
+            callTool: (name, args, context) => this.callTool(name, args, context)
+        }, {
+            serverInfo: this.serverInfo,
+            capabilities: { tools: { listChanged: true } },
+            logger: this.logger.child('rpc'),
+            instructions: `Tools of every discovered MCP server, named <server>${this.separator}<tool>; AutoWeave internal tools are named ${this.internalPrefix}${this.separator}<tool>.`
+        });
+    }
+
+    /**
+     * Expose le gateway via le transport Streamable HTTP (POST + SSE)
+     */
+    async startHttp(port = 3004, options = {}) {
+        this.accessControl.requireClients('the gateway endpoint');
+
+        const app = express();
+        app.use(express.json());
+
+        this.httpTransport = new StreamableHttpTransport(this.createDispatcher(), {
+            path: options.path || '/mcp',
+            accessControl: this.accessControl,
+            logger: this.logger.child('http')
+        }).mount(app);
+        this.disconnectHttp = this.connectTransport(this.httpTransport);
+
+        await new Promise((resolve, reject) => {
+            this.httpServer = app.listen(port, resolve).on('error', reject);
+        });
+        this.logger.success(`🌐 MCP gateway listening on http://localhost:${this.httpServer.address().port}${this.httpTransport.path}`);
+        return this.httpServer;
+    }
+
+    async stopHttp() {
+        if (!this.httpServer) {
+            return;
+        }
+        this.disconnectHttp();
+        this.httpTransport.close();
+        await new Promise(resolve => this.httpServer.close(resolve));
+        this.httpServer = null;
+    }
+
+    /**
+     * Stop listening, close the upstream sessions and detach from discovery
+     */
+    async close() {
+        this.discovery.off('tools-changed', this.onToolsChanged);
+        this.discovery.off('servers-changed', this.onServersChanged);
+        this.discovery.off('server-health-changed', this.onHealthChanged);
+        if (this.internal) {
+            this.internal.off('notification', this.onInternalNotification);
+        }
+        Array.from(this.upstreams.keys()).forEach(id => this.dropUpstream(id));
+        await this.stopHttp();
+    }
+}
+
+module.exports = { MCPGateway, MCPGatewayError };
\ No newline at end of file
@@ -0,0 +1,204 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+const { MCPGateway, MCPGatewayError } = require('./mcp-gateway');
+const { MCPDiscovery } = require('./discovery');
+const { MCPHttpClient } = require('./mcp-http-client');
+const { AccessDeniedError } = require('./access-control');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+/**
+ * Upstream MCP server on POST /mcp with a session per initialize. tools/call echoes its
+ * arguments; `state.status` answers tools/call with that HTTP status, `state.delay` slows it
+ * down (ms) and `state.expire` drops the session before the next call.
+ */
+async function startUpstream(state) {
+    const calls = [];
+    const sessions = new Set();
+    const app = express();
+    app.use(express.json());
+    app.post('/mcp', async (req, res) => {
+        const { id, method, params } = req.body;
+        calls.push({ method, params, session: req.get('mcp-session-id') || null });
+        if (id === undefined) {
+            return res.status(202).end();
+        }
+        if (method === 'initialize') {
+            const session = `s${calls.length}`;
+            sessions.add(session);
+            res.set('Mcp-Session-Id', session);
+            return res.json({ jsonrpc: '2.0', id, result: { protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'upstream', version: '1.0.0' } } });
+        }
+        if (method === 'tools/list') {
+            return res.json({ jsonrpc: '2.0', id, result: { tools: [{ name: 'echo', inputSchema: { type: 'object' } }, { name: 'read', annotations: { readOnlyHint: true } }] } });
+        }
+        if (state.expire) {
+            state.expire = false;
+            sessions.clear();
+        }
+        if (!sessions.has(req.get('mcp-session-id'))) {
+            return res.status(404).end();
+        }
+        if (state.delay) {
+            await new Promise(resolve => setTimeout(resolve, state.delay));
+        }
+        if (state.status) {
+            return res.status(state.status).end();
+        }
+        if (params.name !== 'echo') {
+            return res.json({ jsonrpc: '2.0', id, error: { code: -32602, message: `Unknown tool ${params.name}`, data: { tool: params.name } } });
+        }
+        res.json({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text: JSON.stringify(params.arguments) }] } });
+    });
+    app.delete('/mcp', (req, res) => res.status(204).end());
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, calls, url: `http://localhost:${server.address().port}/mcp` };
+}
+
+/**
+ * Stand-in for UnifiedAutoWeaveMCPServer: one read-only internal tool
+ */
+function internalServer() {
+    const internal = new EventEmitter();
+    internal.listTools = async () => ({ tools: [{ name: 'status', description: 'AutoWeave status', annotations: { readOnlyHint: true } }] });
+    internal.getPolicyTarget = () => ({ category: 'system' });
+    internal.callTool = jest.fn(async () => ({ content: [{ type: 'text', text: 'ok' }], isError: false }));
+    return internal;
+}
+
+describe('MCPGateway', () => {
+    let state;
+    let upstream;
+    let discovery;
+    let internal;
+    let gateway;
+
+    beforeEach(async () => {
+        state = {};
+        upstream = await startUpstream(state);
+        discovery = new MCPDiscovery({ downAfterFailures: 1, discoverySources: [{ name: 'test', discover: async () => [{ id: 'docs', url: upstream.url }] }] });
+        await discovery.discoverServers();
+        await discovery.discoverTools();
+        internal = internalServer();
+        gateway = new MCPGateway({ discovery, internalServer: internal, accessControl: { clients: [{ id: 'reader', apiKey: 'reader-key', categories: ['docs'], readOnly: true }] } });
+        jest.spyOn(gateway.logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await gateway.close();
+        await discovery.stop();
+        await new Promise(resolve => upstream.server.close(resolve));
+    });
+
+    test('lists internal and upstream tools under prefixed names', async () => {
+        const { tools } = await gateway.listTools();
+
+        expect(tools).toEqual([
+            { name: 'autoweave__status', description: 'AutoWeave status', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } },
+            { name: 'docs__echo', description: '', inputSchema: { type: 'object' } },
+            { name: 'docs__read', description: '', inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } }
+        ]);
+    });
+
+    test('routes calls to the owning server, reusing its session', async () => {
+        await expect(gateway.callTool('docs__echo', { text: 'hi' })).resolves.toEqual({ content: [{ type: 'text', text: '{"text":"hi"}' }], isError: false });
+        await gateway.callTool('docs__echo', { text: 'again' });
+        await expect(gateway.callTool('autoweave__status', {}, { requestId: 1 })).resolves.toMatchObject({ isError: false });
+
+        const toolCalls = upstream.calls.filter(call => call.method === 'tools/call');
+        expect(toolCalls.map(call => call.params)).toEqual([{ name: 'echo', arguments: { text: 'hi' } }, { name: 'echo', arguments: { text: 'again' } }]);
+        expect(new Set(toolCalls.map(call => call.session)).size).toBe(1);
+        expect(internal.callTool).toHaveBeenCalledWith('status', {}, { requestId: 1 });
+    });
+
+    test('reopens an expired upstream session once', async () => {
+        const initializes = () => upstream.calls.filter(call => call.method === 'initialize').length;
+        await gateway.callTool('docs__echo', {});
+        const before = initializes();
+        state.expire = true;
+
+        await expect(gateway.callTool('docs__echo', { retried: true })).resolves.toMatchObject({ isError: false });
+        expect(initializes()).toBe(before + 1);
+    });
+
+    test('rejects unknown tools and tools of servers that are down', async () => {
+        await expect(gateway.callTool('nowhere__echo', {})).rejects.toMatchObject({ code: JsonRpcErrorCodes.INVALID_PARAMS, message: 'Unknown tool: nowhere__echo' });
+
+        discovery.updateHealth(discovery.getServerById('docs'), discovery.getServerById('docs').health, { alive: false, error: { code: 'MCP_HTTP_ERROR', message: 'down' }, at: new Date().toISOString() });
+
+        expect((await gateway.listTools()).tools.map(tool => tool.name)).toEqual(['autoweave__status']);
+        await expect(gateway.callTool('docs__echo', {})).rejects.toMatchObject({
+            code: 'GATEWAY_UPSTREAM_UNAVAILABLE',
+            details: { server: 'docs', tool: 'docs__echo' }
+        });
+    });
+
+    test('maps upstream failures to tool errors', async () => {
+        const error = await gateway.callTool('docs__read', {}).catch(caught => caught);
+        expect(error).toBeInstanceOf(JsonRpcError);
+        expect(error).toMatchObject({ code: -32602, message: 'docs: Unknown tool read', data: { tool: 'read' } });
+
+        state.status = 401;
+        await expect(gateway.callTool('docs__echo', {})).rejects.toMatchObject({
+            code: 'GATEWAY_UPSTREAM_UNAUTHORIZED',
+            details: { server: 'docs', tool: 'docs__echo', upstreamCode: 'MCP_UNAUTHORIZED', status: 401 }
+        });
+
+        state.status = 500;
+        const failed = await gateway.callTool('docs__echo', {}).catch(caught => caught);
+        expect(failed).toBeInstanceOf(MCPGatewayError);
+        expect(failed.toJSON()).toMatchObject({ code: 'GATEWAY_UPSTREAM_ERROR', server: 'docs', status: 500 });
+
+        state.status = null;
+        state.delay = 100;
+        await expect(gateway.callTool('docs__echo', {}, { timeout: 20 })).rejects.toMatchObject({
+            code: 'TOOL_TIMEOUT',
+            details: { tool: 'docs__echo', timeout: 20, server: 'docs' }
+        });
+    });
+
+    test('applies the access policy to HTTP clients only', async () => {
+        const reader = gateway.accessControl.authenticate({ 'x-api-key': 'reader-key' });
+        jest.spyOn(gateway.accessControl.logger, 'security').mockImplementation(() => {});
+
+        const { tools } = await gateway.listTools({}, { transport: 'http', client: reader });
+        expect(tools.map(tool => tool.name)).toEqual(['docs__read']);
+        await expect(gateway.callTool('docs__echo', {}, { transport: 'http', client: reader })).rejects.toBeInstanceOf(AccessDeniedError);
+        await expect(gateway.callTool('docs__echo', {}, { transport: 'stdio' })).resolves.toMatchObject({ isError: false });
+    });
+
+    describe('over HTTP', () => {
+        const previous = process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+
+        afterEach(() => {
+            if (previous === undefined) {
+                delete process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+            } else {
+                process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS = previous;
+            }
+        });
+
+        test('refuses to listen without configured clients', async () => {
+            delete process.env.AUTOWEAVE_MCP_ALLOW_ANONYMOUS;
+            const open = new MCPGateway({ discovery, accessControl: { clients: [] } });
+
+            await expect(open.startHttp(0)).rejects.toThrow('refusing to serve the gateway endpoint without authentication');
+            expect(open.httpServer).toBeNull();
+            await open.close();
+        });
+
+        test('serves the routed tools to authenticated MCP clients', async () => {
+            const server = await gateway.startHttp(0);
+            const url = `http://localhost:${server.address().port}/mcp`;
+
+            const client = new MCPHttpClient(url, { headers: { 'X-API-Key': 'reader-key' } });
+            await client.initialize();
+            await expect(client.listTools()).resolves.toEqual([expect.objectContaining({ name: 'docs__read' })]);
+            await client.close();
+
+            await expect(new MCPHttpClient(url).initialize()).rejects.toMatchObject({ code: 'MCP_UNAUTHORIZED' });
+        });
+    });
+});
\ No newline at end of file
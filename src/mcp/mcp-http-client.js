@@ -0,0 +1,327 @@
+const fetch = require('node-fetch');
+const { Logger } = require('../utils/logger');
+const { JSON_RPC_VERSION } = require('./json-rpc');
+const { MCP_PROTOCOL_VERSION } = require('./protocol');
+
+const SESSION_HEADER = 'mcp-session-id';
+const TRANSPORTS = ['jsonrpc', 'rest'];
+// Garde-fou contre un serveur qui renverrait des curseurs sans fin
+const MAX_LIST_PAGES = 100;
+
+class MCPClientError extends Error {
+    constructor(message, code = 'MCP_CLIENT_ERROR', details = {}) {
+        super(message);
+        this.name = 'MCPClientError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * MCPHttpClient - Client MCP "Streamable HTTP" d'un serveur distant
+ * Les réponses JSON et les flux SSE (text/event-stream) sont acceptés ; la session
+ * (Mcp-Session-Id) ouverte par initialize est renvoyée à chaque requête.
+ * transport 'rest' parle l'API REST /mcp/v1 (GET <url> et GET <url>/tools) au lieu de JSON-RPC.
+ * Failures throw MCPClientError: MCP_UNREACHABLE, MCP_TIMEOUT, MCP_CANCELLED,
+ * MCP_UNAUTHORIZED, MCP_HTTP_ERROR, MCP_INVALID_RESPONSE or MCP_REQUEST_FAILED (JSON-RPC error).
+ */
+class MCPHttpClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.transport = options.transport || 'jsonrpc';
+        if (!TRANSPORTS.includes(this.transport)) {
+            throw new MCPClientError(`Unknown MCP transport: ${this.transport}`, 'MCP_CLIENT_ERROR', { transport: this.transport });
+        }
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.logger = options.logger || new Logger('MCPHttpClient');
+        this.clientInfo = options.clientInfo || { name: 'autoweave-mcp-discovery', version: '1.0.0' };
+        this.fetch = options.fetch || fetch;
+        this.sessionId = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * initialize handshake, followed by notifications/initialized.
+     * Resolves { protocolVersion, capabilities, serverInfo, instructions, sessionId }.
+     */
+    async initialize(options = {}) {
+        if (this.transport === 'rest') {
+            return this.describe(options);
+        }
+
+        const result = await this.request('initialize', {
+            protocolVersion: MCP_PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: this.clientInfo
+        }, options);
+
+        if (!result || typeof result.protocolVersion !== 'string' || typeof result.serverInfo !== 'object' || result.serverInfo === null) {
+            throw new MCPClientError(`${this.url} did not answer initialize like an MCP server`, 'MCP_INVALID_RESPONSE', { url: this.url });
+        }
+
+        await this.notify('notifications/initialized', undefined, options);
+        return {
+            protocolVersion: result.protocolVersion,
+            capabilities: result.capabilities || {},
+            serverInfo: result.serverInfo,
+            instructions: result.instructions || null,
+            sessionId: this.sessionId
+        };
+    }
+
+    /**
+     * REST discovery endpoint (GET <url>): { protocol: 'mcp/v1', server, capabilities },
+     * resolved in the shape of initialize
+     */
+    async describe(options = {}) {
+        const body = await this.getJson(this.url, options);
+        if (!body || body.protocol !== 'mcp/v1') {
+            throw new MCPClientError(`${this.url} is not an MCP REST endpoint`, 'MCP_INVALID_RESPONSE', { url: this.url });
+        }
+
+        return {
+            protocolVersion: body.protocol,
+            capabilities: body.capabilities || {},
+            serverInfo: body.server || {},
+            instructions: null,
+            sessionId: null
+        };
+    }
+
+    /**
+     * Liveness request: JSON-RPC ping without session, or GET of the REST discovery endpoint
+     */
+    async ping(options = {}) {
+        if (this.transport === 'rest') {
+            await this.describe(options);
+            return;
+        }
+        await this.request('ping', {}, options);
+    }
+
+    /**
+     * Every tool of the server: tools/list (or GET <url>/tools) following nextCursor until the last page
+     */
+    async listTools(options = {}) {
+        const tools = [];
+        const seen = new Set();
+        let cursor;
+
+        for (let page = 0; page < MAX_LIST_PAGES; page++) {
+            const result = this.transport === 'rest'
+                ? await this.getJson(this.restUrl(`/tools${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`), options)
+                : await this.request('tools/list', cursor ? { cursor } : {}, options);
+
+            if (!result || !Array.isArray(result.tools)) {
+                throw new MCPClientError(`${this.url} returned no tools list`, 'MCP_INVALID_RESPONSE', { url: this.url, method: 'tools/list' });
+            }
+            result.tools.forEach(tool => {
+                if (tool && typeof tool.name === 'string' && tool.name) {
+                    tools.push(tool);
+                } else {
+                    this.logger.warn(`Ignoring a tool without name listed by ${this.url}`);
+                }
+            });
+
+            cursor = result.nextCursor;
+            if (!cursor) {
+                return tools;
+            }
+            if (seen.has(cursor)) {
+                throw new MCPClientError(`${this.url} sent the cursor ${cursor} twice`, 'MCP_INVALID_RESPONSE', { url: this.url, method: 'tools/list', cursor });
+            }
+            seen.add(cursor);
+        }
+
+        throw new MCPClientError(`${this.url} listed more than ${MAX_LIST_PAGES} pages of tools`, 'MCP_INVALID_RESPONSE', { url: this.url, method: 'tools/list' });
+    }
+
+    /**
+     * tools/call, or POST <url>/tools/<name> over REST (which resolves the raw tool result)
+     */
+    async callTool(name, args = {}, options = {}) {
+        if (this.transport !== 'rest') {
+            return this.request('tools/call', { name, arguments: args }, options);
+        }
+
+        const url = this.restUrl(`/tools/${encodeURIComponent(name)}`);
+        const response = await this.send('POST', args, { ...options, url });
+        try {
+            return JSON.parse(response.body).result;
+        } catch (error) {
+            throw new MCPClientError(`${url} returned invalid JSON: ${error.message}`, 'MCP_INVALID_RESPONSE', { url });
+        }
+    }
+
+    restUrl(path) {
+        return `${this.url.replace(/\/+$/, '')}${path}`;
+    }
+
+    /**
+     * JSON-RPC request: resolves its result, throws MCPClientError otherwise
+     */
+    async request(method, params, options = {}) {
+        const id = this.nextId++;
+        const response = await this.post({ jsonrpc: JSON_RPC_VERSION, id, method, params }, options);
+        const message = response.messages.find(candidate => candidate && candidate.id === id);
+
+        if (!message) {
+            throw new MCPClientError(`${this.url} sent no answer to ${method}`, 'MCP_INVALID_RESPONSE', { url: this.url, method });
+        }
+        if (message.error) {
+            throw new MCPClientError(`${method} failed on ${this.url}: ${message.error.message}`, 'MCP_REQUEST_FAILED', {
+                url: this.url,
+                method,
+                rpcCode: message.error.code,
+                rpcMessage: message.error.message,
+                data: message.error.data
+            });
+        }
+        return message.result;
+    }
+
+    async notify(method, params, options = {}) {
+        await this.post({ jsonrpc: JSON_RPC_VERSION, method, params }, options);
+    }
+
+    /**
+     * End the session on the server (DELETE), if one was opened
+     */
+    async close(options = {}) {
+        if (!this.sessionId) {
+            return;
+        }
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        try {
+            await this.send('DELETE', undefined, { ...options, sessionId });
+        } catch (error) {
+            this.logger.debug(`Cannot close MCP session ${sessionId} on ${this.url}:`, error.message);
+        }
+    }
+
+    async post(message, options) {
+        const response = await this.send('POST', message, options);
+        const sessionId = response.headers.get(SESSION_HEADER);
+        if (sessionId) {
+            this.sessionId = sessionId;
+        }
+        return { status: response.status, messages: this.parseMessages(response) };
+    }
+
+    async getJson(url, options = {}) {
+        const response = await this.send('GET', undefined, { ...options, url });
+        try {
+            return JSON.parse(response.body);
+        } catch (error) {
+            throw new MCPClientError(`${url} returned invalid JSON: ${error.message}`, 'MCP_INVALID_RESPONSE', { url });
+        }
+    }
+
+    async send(method, message, options = {}) {
+        const url = options.url || this.url;
+        const sessionId = options.sessionId || this.sessionId;
+        const headers = {
+            Accept: 'application/json, text/event-stream',
+            ...this.headers
+        };
+        if (message !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (sessionId) {
+            headers['Mcp-Session-Id'] = sessionId;
+        }
+
+        if (options.signal?.aborted) {
+            throw new MCPClientError(`MCP request to ${url} cancelled`, 'MCP_CANCELLED', { url });
+        }
+
+        const controller = new AbortController();
+        const timeout = options.timeout || this.timeout;
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            this.logger.debug(`${method} ${url}${message?.method ? ` (${message.method})` : ''}`);
+            const response = await this.fetch(url, {
+                method,
+                headers,
+                body: message !== undefined ? JSON.stringify(message) : undefined,
+                signal: controller.signal
+            });
+
+            if (response.status === 401 || response.status === 403) {
+                throw new MCPClientError(`${url} refused the credentials (${response.status})`, 'MCP_UNAUTHORIZED', { url, status: response.status });
+            }
+            if (!response.ok) {
+                throw new MCPClientError(`${method} ${url} failed: ${response.status} ${response.statusText}`, 'MCP_HTTP_ERROR', { url, status: response.status });
+            }
+
+            // Le corps (flux SSE compris) est lu sous le même délai que la requête
+            return {
+                status: response.status,
+                headers: response.headers,
+                body: response.status === 202 ? '' : await response.text()
+            };
+        } catch (error) {
+            if (error instanceof MCPClientError) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                const cancelled = options.signal?.aborted;
+                throw new MCPClientError(
+                    cancelled ? `MCP request to ${url} cancelled` : `${url} did not answer within ${timeout}ms`,
+                    cancelled ? 'MCP_CANCELLED' : 'MCP_TIMEOUT',
+                    { url }
+                );
+            }
+            throw new MCPClientError(`${url} is unreachable: ${error.message}`, 'MCP_UNREACHABLE', { url });
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * JSON-RPC messages of a response: a JSON body (message or batch) or the events of an SSE stream
+     */
+    parseMessages(response) {
+        const text = response.body;
+        if (!text) {
+            return [];
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        try {
+            if (contentType.includes('text/event-stream')) {
+                return text.split(/\r?\n\r?\n/)
+                    .map(event => event.split(/\r?\n/)
+                        .filter(line => line.startsWith('data:'))
+                        .map(line => line.slice(5).replace(/^ /, ''))
+                        .join('\n'))
+                    .filter(Boolean)
+                    .map(data => JSON.parse(data));
+            }
+            const body = JSON.parse(text);
+            return Array.isArray(body) ? body : [body];
+        } catch (error) {
+            throw new MCPClientError(`${this.url} returned an invalid MCP message: ${error.message}`, 'MCP_INVALID_RESPONSE', { url: this.url });
+        }
+    }
+}
+
+module.exports = { MCPHttpClient, MCPClientError, TRANSPORTS };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const express = require('express');
+const { MCPHttpClient, MCPClientError } = require('./mcp-http-client');
+
+const tools = names => names.map(name => ({ name, inputSchema: { type: 'object' } }));
+
+/**
+ * Local MCP server: JSON-RPC on POST /mcp, REST on GET /mcp/tools, tools/list answered by `pages`
+ * (cursor -> { tools, nextCursor }, the first page under '')
+ */
+async function startStub(pages) {
+    const calls = [];
+    const app = express();
+    app.use(express.json());
+    app.post('/mcp', (req, res) => {
+        const { id, method, params } = req.body;
+        calls.push({ method, params });
+        if (method !== 'tools/list') {
+            return res.status(400).json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Unknown method ${method}` } });
+        }
+        const page = pages[params.cursor || ''];
+        if (!page) {
+            return res.json({ jsonrpc: '2.0', id, error: { code: -32602, message: `Invalid cursor ${params.cursor}` } });
+        }
+        res.json({ jsonrpc: '2.0', id, result: page });
+    });
+    app.get('/mcp/tools', (req, res) => {
+        calls.push({ method: 'GET /tools', cursor: req.query.cursor });
+        res.json(pages[req.query.cursor || '']);
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, calls, url: `http://localhost:${server.address().port}/mcp` };
+}
+
+describe('MCPHttpClient.listTools', () => {
+    let stub;
+
+    afterEach(async () => {
+        await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    test('follows nextCursor across tools/list pages', async () => {
+        stub = await startStub({
+            '': { tools: tools(['a', 'b']), nextCursor: 'page-2' },
+            'page-2': { tools: tools(['c']), nextCursor: 'page-3' },
+            'page-3': { tools: tools(['d']) }
+        });
+
+        const listed = await new MCPHttpClient(stub.url).listTools();
+
+        expect(listed.map(tool => tool.name)).toEqual(['a', 'b', 'c', 'd']);
+        expect(stub.calls.map(call => call.params)).toEqual([{}, { cursor: 'page-2' }, { cursor: 'page-3' }]);
+    });
+
+    test('passes the cursor as a query parameter over REST', async () => {
+        stub = await startStub({
+            '': { tools: tools(['a']), nextCursor: 'next page' },
+            'next page': { tools: tools(['b']), nextCursor: null }
+        });
+
+        const listed = await new MCPHttpClient(stub.url, { transport: 'rest' }).listTools();
+
+        expect(listed.map(tool => tool.name)).toEqual(['a', 'b']);
+        expect(stub.calls).toEqual([{ method: 'GET /tools', cursor: undefined }, { method: 'GET /tools', cursor: 'next page' }]);
+    });
+
+    test('skips tools without a name', async () => {
+        stub = await startStub({ '': { tools: [{ name: 'a' }, { description: 'anonymous' }, null] } });
+        const client = new MCPHttpClient(stub.url);
+        const warn = jest.spyOn(client.logger, 'warn').mockImplementation(() => {});
+
+        await expect(client.listTools()).resolves.toEqual([{ name: 'a' }]);
+        expect(warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops on a cursor sent twice and on a page without tools', async () => {
+        stub = await startStub({
+            '': { tools: tools(['a']), nextCursor: 'loop' },
+            loop: { tools: tools(['b']), nextCursor: 'loop' }
+        });
+
+        await expect(new MCPHttpClient(stub.url).listTools()).rejects.toMatchObject({
+            code: 'MCP_INVALID_RESPONSE',
+            details: { method: 'tools/list', cursor: 'loop' }
+        });
+        expect(stub.calls).toHaveLength(2);
+
+        await new Promise(resolve => stub.server.close(resolve));
+        stub = await startStub({ '': { items: [] } });
+        await expect(new MCPHttpClient(stub.url).listTools()).rejects.toThrow(`${stub.url} returned no tools list`);
+    });
+
+    test('gives up after 100 pages', async () => {
+        const pages = { '': { tools: [], nextCursor: '1' } };
+        for (let page = 1; page <= 100; page++) {
+            pages[String(page)] = { tools: tools([`t${page}`]), nextCursor: String(page + 1) };
+        }
+        stub = await startStub(pages);
+
+        const error = await new MCPHttpClient(stub.url).listTools().catch(caught => caught);
+
+        expect(error).toBeInstanceOf(MCPClientError);
+        expect(error.message).toBe(`${stub.url} listed more than 100 pages of tools`);
+        expect(stub.calls).toHaveLength(100);
+    });
+
+    test('reports a cursor the server rejects as a failed request', async () => {
+        stub = await startStub({ '': { tools: tools(['a']), nextCursor: 'expired' } });
+
+        await expect(new MCPHttpClient(stub.url).listTools()).rejects.toMatchObject({
+            code: 'MCP_REQUEST_FAILED',
+            details: { method: 'tools/list', rpcCode: -32602 }
+        });
+    });
+});
\ No newline at end of file
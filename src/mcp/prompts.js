@@ -0,0 +1,173 @@
+const { ToolInputValidator, ToolValidationError } = require('./tool-validator');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+/**
+ * PromptRegistry - Prompts MCP (prompts/list, prompts/get)
+ * Chaque argument est typé par un fragment de schéma JSON (les arguments MCP sont des chaînes) ;
+ * le template rendu est le premier message, `context(input)` peut en ajouter d'autres
+ */
+class PromptRegistry {
+    constructor(options = {}) {
+        this.validator = options.validator || new ToolInputValidator();
+        this.prompts = new Map();
+        this.schemas = new Map();
+    }
+
+    /**
+     * prompt: { name, description, template, arguments: { [name]: { description, required?, schema? } },
+     * context?: async (input) => [text] }
+     */
+    register(prompt) {
+        const declared = Object.entries(prompt.arguments || {});
+        this.prompts.set(prompt.name, prompt);
+        this.schemas.set(prompt.name, {
+            type: 'object',
+            properties: Object.fromEntries(declared.map(([argName, argument]) => [argName, argument.schema || { type: 'string' }])),
+            required: declared.filter(([, argument]) => argument.required).map(([argName]) => argName),
+            additionalProperties: false
+        });
+        return this;
+    }
+
+    get(name) {
+        return this.prompts.get(name) || null;
+    }
+
+    /**
+     * MCP prompt definitions (name, description, declared arguments)
+     */
+    list() {
+        return Array.from(this.prompts.values()).map(prompt => ({
+            name: prompt.name,
+            description: prompt.description,
+            arguments: Object.entries(prompt.arguments || {}).map(([argName, argument]) => ({
+                name: argName,
+                description: argument.description,
+                required: Boolean(argument.required)
+            }))
+        }));
+    }
+
+    /**
+     * Render a prompt: validate its arguments, then build its messages with live context
+     */
+    async render(name, args = {}) {
+        const prompt = this.get(name);
+        if (!prompt) {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+        }
+
+        const input = this.validate(name, args);
+        const context = prompt.context ? await prompt.context(input) : [];
+        return {
+            description: prompt.description,
+            messages: [renderTemplate(prompt.template, input), ...context].map(textMessage)
+        };
+    }
+
+    /**
+     * Validate prompt arguments against their declared schemas and apply defaults
+     */
+    validate(name, args) {
+        try {
+            return this.validator.validate(`prompt:${name}`, this.schemas.get(name), args);
+        } catch (error) {
+            if (error instanceof ToolValidationError) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Invalid arguments for prompt ${name}`, { errors: error.errors });
+            }
+            throw error;
+        }
+    }
+}
+
+function renderTemplate(template, args) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+        args[key] !== undefined ? String(args[key]) : match
+    );
+}
+
+function textMessage(text) {
+    return {
+        role: 'user',
+        content: { type: 'text', text }
+    };
+}
+
+/**
+ * Prompts AutoWeave pour les cas d'usage courants, avec les agents déployés et les dernières versions en contexte
+ *
+ * sources: { agentService?, freshSources }
+ */
+function createAutoWeavePrompts(sources = {}, options = {}) {
+    const { agentService, freshSources } = sources;
+
+    return new PromptRegistry(options)
+        .register({
+            name: 'setup-dev-environment',
+            description: 'Set up a complete development environment',
+            template: 'Create a development environment with {ide}, {language} support, and {tools}. Include debugging capabilities and hot reload.',
+            arguments: {
+                ide: {
+                    description: 'IDE or editor to configure (e.g. vscode, neovim)',
+                    required: true,
+                    schema: { type: 'string', minLength: 1 }
+                },
+                language: {
+                    description: 'Main programming language',
+                    required: true,
+                    schema: { type: 'string', minLength: 1 }
+                },
+                tools: {
+                    description: 'Additional tools, comma-separated (linters, databases, ...)',
+                    schema: { type: 'string', default: 'the usual linters and formatters' }
+                }
+            },
+            context: async input => {
+                const messages = [];
+                if (agentService) {
+                    const agents = await agentService.listAgents();
+                    messages.push(agents.length > 0
+                        ? `Existing AutoWeave agents (reuse them rather than creating duplicates):\n${JSON.stringify(agents.map(agent => ({
+                            id: agent.id,
+                            name: agent.name,
+                            description: agent.description,
+                            status: agent.status
+                        })), null, 2)}`
+                        : 'No AutoWeave agent is deployed yet.');
+                }
+                messages.push(`Generate the configuration with the create-config tool (intent: ${input.language} development environment in ${input.ide}) and list the setup steps.`);
+                return messages;
+            }
+        })
+        .register({
+            name: 'deploy-application',
+            description: 'Deploy an application with best practices',
+            template: 'Deploy {application} to {platform} with high availability, monitoring, and automatic scaling. Use latest stable versions.',
+            arguments: {
+                application: {
+                    description: 'Container image (or Helm chart when platform is helm) to deploy, e.g. nginx or bitnami/redis',
+                    required: true,
+                    schema: { type: 'string', minLength: 1 }
+                },
+                platform: {
+                    description: 'Target platform: kubernetes, docker-compose or helm',
+                    schema: { type: 'string', enum: ['kubernetes', 'docker-compose', 'helm'], default: 'kubernetes' }
+                }
+            },
+            // Dernières versions de l'image (ou du chart Helm)
+            context: async input => {
+                const registry = input.platform === 'helm' ? 'helm' : 'docker';
+                const versions = await freshSources.findLatestVersions({ [registry]: [input.application] });
+                const found = versions[registry][input.application];
+
+                return [
+                    found && !found.error
+                        ? `Latest ${registry === 'helm' ? 'Helm chart' : 'image'} versions for ${input.application}:\n${JSON.stringify(found, null, 2)}\nPin the latest stable version instead of a floating tag.`
+                        : `Latest versions for ${input.application} could not be resolved${found?.error ? ` (${found.error})` : ''}; check them with the find-fresh-sources tool.`,
+                    `Produce the manifests with the generate-gitops tool (platform: ${input.platform}) and explain how to roll them out.`
+                ];
+            }
+        });
+}
+
+module.exports = { PromptRegistry, createAutoWeavePrompts };
\ No newline at end of file
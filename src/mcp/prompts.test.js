@@ -0,0 +1,89 @@
+const { PromptRegistry, createAutoWeavePrompts } = require('./prompts');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+const text = message => message.content.text;
+
+describe('createAutoWeavePrompts', () => {
+    let agentService;
+    let freshSources;
+    let prompts;
+
+    beforeEach(() => {
+        agentService = { listAgents: jest.fn(async () => [{ id: 'a1', name: 'support', description: 'Support bot', status: 'running', workflow: {} }]) };
+        freshSources = { findLatestVersions: jest.fn(async () => ({ docker: { nginx: { latest: '1.25.4', tags: [] } } })) };
+        prompts = createAutoWeavePrompts({ agentService, freshSources });
+    });
+
+    test('lists the prompts with their declared arguments', () => {
+        expect(prompts.list()).toEqual([
+            {
+                name: 'setup-dev-environment',
+                description: 'Set up a complete development environment',
+                arguments: [
+                    { name: 'ide', description: 'IDE or editor to configure (e.g. vscode, neovim)', required: true },
+                    { name: 'language', description: 'Main programming language', required: true },
+                    { name: 'tools', description: 'Additional tools, comma-separated (linters, databases, ...)', required: false }
+                ]
+            },
+            expect.objectContaining({ name: 'deploy-application', arguments: [expect.objectContaining({ name: 'application', required: true }), expect.objectContaining({ name: 'platform', required: false })] })
+        ]);
+    });
+
+    test('renders the template with the arguments and their defaults, then the live context', async () => {
+        const rendered = await prompts.render('setup-dev-environment', { ide: 'neovim', language: 'Go' });
+
+        expect(rendered.description).toBe('Set up a complete development environment');
+        expect(rendered.messages.map(message => message.role)).toEqual(['user', 'user', 'user']);
+        expect(text(rendered.messages[0])).toBe('Create a development environment with neovim, Go support, and the usual linters and formatters. Include debugging capabilities and hot reload.');
+        expect(text(rendered.messages[1])).toContain('"name": "support"');
+        expect(text(rendered.messages[1])).not.toContain('workflow');
+        expect(text(rendered.messages[2])).toBe('Generate the configuration with the create-config tool (intent: Go development environment in neovim) and list the setup steps.');
+
+        const deploy = await prompts.render('deploy-application', { application: 'nginx' });
+        expect(freshSources.findLatestVersions).toHaveBeenCalledWith({ docker: ['nginx'] });
+        expect(deploy.messages.map(text)).toEqual([
+            'Deploy nginx to kubernetes with high availability, monitoring, and automatic scaling. Use latest stable versions.',
+            expect.stringMatching(/^Latest image versions for nginx:\n.*"latest": "1.25.4"/s),
+            'Produce the manifests with the generate-gitops tool (platform: kubernetes) and explain how to roll them out.'
+        ]);
+    });
+
+    test('points to find-fresh-sources when the versions cannot be resolved', async () => {
+        freshSources.findLatestVersions.mockResolvedValue({ helm: { 'bitnami/redis': { error: 'No Helm chart found for: bitnami/redis' } } });
+
+        const { messages } = await prompts.render('deploy-application', { application: 'bitnami/redis', platform: 'helm' });
+
+        expect(freshSources.findLatestVersions).toHaveBeenCalledWith({ helm: ['bitnami/redis'] });
+        expect(text(messages[1])).toBe('Latest versions for bitnami/redis could not be resolved (No Helm chart found for: bitnami/redis); check them with the find-fresh-sources tool.');
+    });
+
+    test('rejects a missing required argument, an invalid one and an unknown prompt', async () => {
+        const missing = await prompts.render('setup-dev-environment', { ide: 'vscode' }).catch(caught => caught);
+        expect(missing).toBeInstanceOf(JsonRpcError);
+        expect(missing).toMatchObject({
+            code: JsonRpcErrorCodes.INVALID_PARAMS,
+            message: 'Invalid arguments for prompt setup-dev-environment',
+            data: { errors: [{ field: 'language', keyword: 'required', message: 'is required' }] }
+        });
+
+        await expect(prompts.render('deploy-application', { application: 'nginx', platform: 'nomad' })).rejects.toMatchObject({
+            code: JsonRpcErrorCodes.INVALID_PARAMS,
+            message: 'Invalid arguments for prompt deploy-application'
+        });
+        await expect(prompts.render('deploy-application', { application: 'nginx', replicas: '3' })).rejects.toMatchObject({ code: JsonRpcErrorCodes.INVALID_PARAMS });
+        await expect(prompts.render('write-poem', {})).rejects.toMatchObject({ code: JsonRpcErrorCodes.INVALID_PARAMS, message: 'Unknown prompt: write-poem' });
+        expect(agentService.listAgents).not.toHaveBeenCalled();
+    });
+
+    test('leaves the agents out without an agent service, and unknown placeholders as is', async () => {
+        prompts = createAutoWeavePrompts({ freshSources });
+        const { messages } = await prompts.render('setup-dev-environment', { ide: 'vscode', language: 'TypeScript', tools: 'eslint' });
+        expect(messages).toHaveLength(2);
+
+        const registry = new PromptRegistry().register({ name: 'greet', description: 'Greet', template: 'Hello {name}, {unknown}', arguments: { name: { description: 'Name' } } });
+        await expect(registry.render('greet', { name: 'Ada' })).resolves.toEqual({
+            description: 'Greet',
+            messages: [{ role: 'user', content: { type: 'text', text: 'Hello Ada, {unknown}' } }]
+        });
+    });
+});
\ No newline at end of file
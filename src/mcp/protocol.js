@@ -0,0 +1,234 @@
+const { JsonRpcDispatcher, JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+const { ToolCallAbortedError } = require('./cancellation');
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const PROGRESS_HEARTBEAT_INTERVAL = 5000;
+
+/**
+ * Wrap a raw tool result into an MCP CallToolResult
+ */
+function toToolResult(data) {
+    if (data && typeof data === 'object' && Array.isArray(data.content) && typeof data.isError === 'boolean') {
+        return data;
+    }
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data === undefined ? null : data, null, 2);
+    return {
+        content: [{ type: 'text', text }],
+        isError: false
+    };
+}
+
+/**
+ * Turn a tool failure into an MCP CallToolResult with isError set
+ */
+function toToolErrorResult(error) {
+    // Structured errors (validation, core API) carry details clients can act on
+    const text = typeof error.toJSON === 'function'
+        ? JSON.stringify(error.toJSON(), null, 2)
+        : error.message || String(error);
+
+    return {
+        content: [{ type: 'text', text }],
+        isError: true
+    };
+}
+
+/**
+ * Build a monotonic notifications/progress emitter for a progress token
+ */
+function createProgressReporter(progressToken, notify) {
+    let progress = 0;
+
+    return (update = {}) => {
+        progress = Math.max(progress + 1, update.progress || 0);
+
+        const params = { progressToken, progress };
+        if (update.total !== undefined) params.total = update.total;
+        if (update.message) params.message = update.message;
+        notify('notifications/progress', params);
+    };
+}
+
+/**
+ * Key of an in-flight request, scoped to the client that sent it (HTTP session or transport).
+ * Stateless HTTP requests cannot be cancelled: null.
+ */
+function requestKey(context, id) {
+    if (context.transport === 'http') {
+        return context.sessionId ? `http:${context.sessionId}:${id}` : null;
+    }
+    return `${context.transport || 'direct'}:${id}`;
+}
+
+function requireStringParam(params, name) {
+    if (typeof params[name] !== 'string' || params[name].length === 0) {
+        throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Invalid params: "${name}" must be a non-empty string`);
+    }
+    return params[name];
+}
+
+/**
+ * Build a JSON-RPC dispatcher speaking MCP on top of a set of handlers.
+ *
+ * handlers: { listTools, callTool, listResources, readResource, listResourceTemplates,
+ *             subscribe, unsubscribe, listPrompts, getPrompt, invalidateCache }
+ * Every handler is optional; the matching capability is only advertised when present.
+ * callTool must throw a JsonRpcError for unknown tools; any other error becomes an isError result.
+ * When the caller sends _meta.progressToken, callTool receives context.reportProgress and a
+ * heartbeat progress notification is emitted every options.progressInterval ms while it runs.
+ * callTool also receives context.signal, aborted by notifications/cancelled or by the transport
+ * (client gone), and context.timeout when the caller sent _meta.timeout (ms).
+ * invalidateCache backs the AutoWeave admin method cache/invalidate ({ tool?, arguments? }).
+ */
+function createMCPDispatcher(handlers, options = {}) {
+    const dispatcher = new JsonRpcDispatcher({ logger: options.logger });
+    const serverInfo = options.serverInfo || { name: 'autoweave-mcp-server', version: '1.0.0' };
+    const progressInterval = options.progressInterval || PROGRESS_HEARTBEAT_INTERVAL;
+    const inFlight = new Map();
+
+    const capabilities = {};
+    if (handlers.listTools) capabilities.tools = { listChanged: false };
+    if (handlers.listResources) capabilities.resources = { subscribe: Boolean(handlers.subscribe), listChanged: false };
+    if (handlers.listPrompts) capabilities.prompts = { listChanged: false };
+    Object.assign(capabilities, options.capabilities || {});
+
+    dispatcher.register('initialize', async (params) => {
+        const requested = params.protocolVersion;
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSION;
+
+        const result = {
+            protocolVersion,
+            capabilities,
+            serverInfo: { name: serverInfo.name, version: serverInfo.version }
+        };
+        if (options.instructions) {
+            result.instructions = options.instructions;
+        }
+        return result;
+    });
+
+    dispatcher.register('notifications/initialized', async () => null);
+    dispatcher.register('ping', async () => ({}));
+
+    dispatcher.register('notifications/cancelled', async (params, context) => {
+        const key = requestKey(context, params.requestId);
+        const controller = key && inFlight.get(key);
+        if (!controller) {
+            return null;
+        }
+
+        const reason = params.reason ? `: ${params.reason}` : '';
+        controller.abort(new ToolCallAbortedError(`Request ${params.requestId} cancelled by the client${reason}`, 'TOOL_CANCELLED', {
+            requestId: params.requestId,
+            reason: params.reason || null
+        }));
+        return null;
+    });
+
+    if (handlers.listTools) {
+        dispatcher.register('tools/list', async (params, context) => handlers.listTools(params, context));
+
+        dispatcher.register('tools/call', async (params, context) => {
+            const name = requireStringParam(params, 'name');
+            const args = params.arguments || {};
+            const progressToken = params._meta?.progressToken;
+
+            // Annulation : notifications/cancelled ou signal du transport
+            const controller = new AbortController();
+            const key = requestKey(context, context.id);
+            if (key) {
+                inFlight.set(key, controller);
+            }
+
+            let heartbeat = null;
+            const callContext = {
+                ...context,
+                signal: context.signal ? AbortSignal.any([context.signal, controller.signal]) : controller.signal,
+                timeout: Number.isInteger(params._meta?.timeout) && params._meta.timeout > 0 ? params._meta.timeout : undefined
+            };
+            if (progressToken !== undefined && context.notify) {
+                const startedAt = Date.now();
+                callContext.reportProgress = createProgressReporter(progressToken, context.notify);
+                heartbeat = setInterval(() => {
+                    const elapsed = Math.round((Date.now() - startedAt) / 1000);
+                    callContext.reportProgress({ message: `${name} still running (${elapsed}s)` });
+                }, progressInterval);
+            }
+
+            try {
+                return toToolResult(await handlers.callTool(name, args, callContext));
+            } catch (error) {
+                if (error instanceof JsonRpcError) {
+                    throw error;
+                }
+                return toToolErrorResult(error);
+            } finally {
+                if (heartbeat) {
+                    clearInterval(heartbeat);
+                }
+                if (key && inFlight.get(key) === controller) {
+                    inFlight.delete(key);
+                }
+            }
+        });
+    }
+
+    if (handlers.listResources) {
+        dispatcher.register('resources/list', async (params, context) => handlers.listResources(params, context));
+
+        dispatcher.register('resources/read', async (params, context) => {
+            const uri = requireStringParam(params, 'uri');
+            return handlers.readResource(uri, context);
+        });
+
+        if (handlers.listResourceTemplates) {
+            dispatcher.register('resources/templates/list', async (params, context) => handlers.listResourceTemplates(params, context));
+        }
+
+        if (handlers.subscribe) {
+            dispatcher.register('resources/subscribe', async (params, context) => {
+                await handlers.subscribe(requireStringParam(params, 'uri'), context);
+                return {};
+            });
+
+            dispatcher.register('resources/unsubscribe', async (params, context) => {
+                await handlers.unsubscribe(requireStringParam(params, 'uri'), context);
+                return {};
+            });
+        }
+    }
+
+    if (handlers.listPrompts) {
+        dispatcher.register('prompts/list', async (params, context) => handlers.listPrompts(params, context));
+
+        dispatcher.register('prompts/get', async (params, context) => {
+            const name = requireStringParam(params, 'name');
+            return handlers.getPrompt(name, params.arguments || {}, context);
+        });
+    }
+
+    if (handlers.invalidateCache) {
+        dispatcher.register('cache/invalidate', async (params, context) => {
+            if (params.tool !== undefined) {
+                requireStringParam(params, 'tool');
+            }
+            if (params.arguments !== undefined && (params.tool === undefined || typeof params.arguments !== 'object' || params.arguments === null)) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, 'Invalid params: "arguments" must be an object and requires "tool"');
+            }
+            return handlers.invalidateCache(params, context);
+        });
+    }
+
+    return dispatcher;
+}
+
+module.exports = {
+    MCP_PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    toToolResult,
+    toToolErrorResult,
+    createProgressReporter,
+    createMCPDispatcher
+};
\ No newline at end of file
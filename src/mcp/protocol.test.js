@@ -0,0 +1,108 @@
+const { createMCPDispatcher, MCP_PROTOCOL_VERSION } = require('./protocol');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+
+describe('createMCPDispatcher', () => {
+    test('initialize negotiates the protocol version and advertises the handled capabilities', async () => {
+        const dispatcher = createMCPDispatcher({ listTools: async () => ({ tools: [] }), callTool: async () => null }, {
+            serverInfo: { name: 'test', version: '1.2.3' },
+            instructions: 'Use the tools'
+        });
+
+        const supported = await dispatcher.handle(request(1, 'initialize', { protocolVersion: '2024-11-05' }));
+        expect(supported.result).toEqual({
+            protocolVersion: '2024-11-05',
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name: 'test', version: '1.2.3' },
+            instructions: 'Use the tools'
+        });
+
+        const unknown = await dispatcher.handle(request(2, 'initialize', { protocolVersion: '1999-01-01' }));
+        expect(unknown.result.protocolVersion).toBe(MCP_PROTOCOL_VERSION);
+        await expect(dispatcher.handle(request(3, 'resources/list'))).resolves.toMatchObject({ error: { code: JsonRpcErrorCodes.METHOD_NOT_FOUND } });
+    });
+
+    test('tools/call wraps results, turns tool failures into isError results and keeps protocol errors', async () => {
+        const dispatcher = createMCPDispatcher({
+            listTools: async () => ({ tools: [] }),
+            callTool: async (name, args) => {
+                if (name === 'unknown') {
+                    throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, 'Unknown tool: unknown');
+                }
+                if (name === 'fail') {
+                    throw new Error('tool failed');
+                }
+                return { echoed: args };
+            }
+        });
+
+        await expect(dispatcher.handle(request(1, 'tools/call', { name: 'echo', arguments: { a: 1 } }))).resolves.toMatchObject({
+            result: { content: [{ type: 'text', text: JSON.stringify({ echoed: { a: 1 } }, null, 2) }], isError: false }
+        });
+        await expect(dispatcher.handle(request(2, 'tools/call', { name: 'fail' }))).resolves.toMatchObject({
+            result: { content: [{ type: 'text', text: 'tool failed' }], isError: true }
+        });
+        await expect(dispatcher.handle(request(3, 'tools/call', { name: 'unknown' }))).resolves.toMatchObject({
+            error: { code: JsonRpcErrorCodes.INVALID_PARAMS }
+        });
+        await expect(dispatcher.handle(request(4, 'tools/call', {}))).resolves.toMatchObject({
+            error: { code: JsonRpcErrorCodes.INVALID_PARAMS }
+        });
+    });
+
+    test('reports progress to callers that sent a progress token', async () => {
+        const notifications = [];
+        const dispatcher = createMCPDispatcher({
+            listTools: async () => ({ tools: [] }),
+            callTool: async (name, args, context) => {
+                context.reportProgress({ progress: 1, total: 2, message: 'half' });
+                return 'done';
+            }
+        });
+
+        await dispatcher.handle(request(1, 'tools/call', { name: 'slow', _meta: { progressToken: 'p1' } }), {
+            transport: 'stdio',
+            notify: (method, params) => notifications.push({ method, params })
+        });
+
+        expect(notifications).toEqual([
+            { method: 'notifications/progress', params: { progressToken: 'p1', progress: 1, total: 2, message: 'half' } }
+        ]);
+    });
+
+    test('notifications/cancelled aborts the signal of the matching call', async () => {
+        let started;
+        const running = new Promise(resolve => { started = resolve; });
+        const dispatcher = createMCPDispatcher({
+            listTools: async () => ({ tools: [] }),
+            callTool: (name, args, context) => new Promise((resolve, reject) => {
+                context.signal.addEventListener('abort', () => reject(context.signal.reason));
+                started();
+            })
+        });
+        const context = { transport: 'stdio' };
+
+        const call = dispatcher.handle(request(9, 'tools/call', { name: 'slow' }), context);
+        await running;
+        await expect(dispatcher.handle({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 9, reason: 'user' } }, context))
+            .resolves.toBeNull();
+
+        const response = await call;
+        expect(response.result.isError).toBe(true);
+        expect(JSON.parse(response.result.content[0].text)).toMatchObject({ code: 'TOOL_CANCELLED', requestId: 9, reason: 'user' });
+    });
+
+    test('validates the resource and prompt parameters', async () => {
+        const dispatcher = createMCPDispatcher({
+            listResources: async () => ({ resources: [] }),
+            readResource: async (uri) => ({ contents: [{ uri, text: 'x' }] }),
+            listPrompts: async () => ({ prompts: [] }),
+            getPrompt: async (name, args) => ({ messages: [], name, args })
+        });
+
+        await expect(dispatcher.handle(request(1, 'resources/read', { uri: 'autoweave://a' }))).resolves.toMatchObject({ result: { contents: [{ uri: 'autoweave://a' }] } });
+        await expect(dispatcher.handle(request(2, 'resources/read', {}))).resolves.toMatchObject({ error: { code: JsonRpcErrorCodes.INVALID_PARAMS } });
+        await expect(dispatcher.handle(request(3, 'prompts/get', { name: 'p', arguments: { a: '1' } }))).resolves.toMatchObject({ result: { name: 'p', args: { a: '1' } } });
+    });
+});
\ No newline at end of file
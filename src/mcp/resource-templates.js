@@ -0,0 +1,245 @@
+const { Logger } = require('../utils/logger');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+/**
+ * ResourceTemplateRegistry - Ressources MCP adressées par URI template (RFC 6570 niveau 1)
+ * Ex: autoweave://agents/{id} ; chaque variable correspond à un segment d'URI
+ */
+class ResourceTemplateRegistry {
+    constructor() {
+        this.templates = [];
+    }
+
+    /**
+     * template: { uriTemplate, name, description, mimeType, read: async (params, context) => content | null }
+     * `read` returns a string (sent as is) or a value serialized as JSON; null means not found.
+     */
+    register(template) {
+        const variables = [];
+        const source = template.uriTemplate
+            .split(/(\{\w+\})/)
+            .map(part => {
+                const variable = /^\{(\w+)\}$/.exec(part);
+                if (variable) {
+                    variables.push(variable[1]);
+                    return '([^/]+)';
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+
+        this.templates.push({ ...template, variables, pattern: new RegExp(`^${source}$`) });
+        return this;
+    }
+
+    list() {
+        return this.templates.map(({ uriTemplate, name, description, mimeType }) => ({
+            uriTemplate,
+            name,
+            description,
+            mimeType
+        }));
+    }
+
+    /**
+     * Find the template matching a concrete URI: { template, params } or null
+     * (also null for a malformed percent-escape, e.g. autoweave://agents/%E0)
+     */
+    match(uri) {
+        for (const template of this.templates) {
+            const match = template.pattern.exec(uri);
+            if (match) {
+                const params = {};
+                try {
+                    template.variables.forEach((variable, index) => {
+                        params[variable] = decodeURIComponent(match[index + 1]);
+                    });
+                } catch (error) {
+                    if (error instanceof URIError) {
+                        return null;
+                    }
+                    throw error;
+                }
+                return { template, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read a templated resource as an MCP ReadResourceResult
+     */
+    async read(uri, context = {}) {
+        const match = this.match(uri);
+        const content = match ? await match.template.read(match.params, context) : null;
+        if (content === null || content === undefined) {
+            throw new JsonRpcError(JsonRpcErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+        }
+
+        return {
+            contents: [{
+                uri,
+                mimeType: match.template.mimeType,
+                text: typeof content === 'string' ? content : JSON.stringify(content, null, 2)
+            }]
+        };
+    }
+}
+
+/**
+ * ResourceSubscriptions - Abonnements resources/subscribe par client
+ * Un client est identifié par sa session HTTP ou par le transport stdio
+ */
+class ResourceSubscriptions {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('ResourceSubscriptions');
+        // uri -> Map(subscriberKey -> notify)
+        this.subscriptions = new Map();
+    }
+
+    static subscriberKey(context = {}) {
+        if (context.transport === 'http') {
+            if (!context.sessionId) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'resources/subscribe requires an MCP session');
+            }
+            return `http:${context.sessionId}`;
+        }
+        return context.transport || 'direct';
+    }
+
+    subscribe(uri, context) {
+        if (typeof context.notify !== 'function') {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'This transport cannot receive notifications');
+        }
+
+        const key = ResourceSubscriptions.subscriberKey(context);
+        if (!this.subscriptions.has(uri)) {
+            this.subscriptions.set(uri, new Map());
+        }
+        this.subscriptions.get(uri).set(key, context.notify);
+        this.logger.debug(`${key} subscribed to ${uri}`);
+    }
+
+    unsubscribe(uri, context) {
+        const subscribers = this.subscriptions.get(uri);
+        if (!subscribers) {
+            return;
+        }
+        subscribers.delete(ResourceSubscriptions.subscriberKey(context));
+        if (subscribers.size === 0) {
+            this.subscriptions.delete(uri);
+        }
+    }
+
+    /**
+     * Forget every subscription of a client (closed HTTP session)
+     */
+    removeSubscriber(key) {
+        for (const [uri, subscribers] of this.subscriptions) {
+            subscribers.delete(key);
+            if (subscribers.size === 0) {
+                this.subscriptions.delete(uri);
+            }
+        }
+    }
+
+    isSubscribed(uri) {
+        return this.subscriptions.has(uri);
+    }
+
+    /**
+     * Send notifications/resources/updated to the subscribers of a URI
+     */
+    publish(uri) {
+        const subscribers = this.subscriptions.get(uri);
+        if (!subscribers) {
+            return 0;
+        }
+
+        subscribers.forEach((notify, key) => {
+            try {
+                notify('notifications/resources/updated', { uri });
+            } catch (error) {
+                this.logger.warn(`Cannot notify ${key} of ${uri} update:`, error.message);
+            }
+        });
+        return subscribers.size;
+    }
+
+    clear() {
+        this.subscriptions.clear();
+    }
+}
+
+/**
+ * Templates AutoWeave : agents (AgentService), outils kagent (KagentBridge), tâches ANP.
+ * Seuls les templates dont la source est disponible sont enregistrés.
+ *
+ * sources: { agentService?, kagentBridge?, tasks? (Map taskId -> task) }
+ */
+function createAutoWeaveResourceTemplates(sources = {}) {
+    const registry = new ResourceTemplateRegistry();
+    const { agentService, tasks } = sources;
+    const kagentBridge = sources.kagentBridge || agentService?.kagentBridge;
+
+    if (agentService) {
+        registry.register({
+            uriTemplate: 'autoweave://agents/{id}',
+            name: 'autoweave-agent',
+            description: 'AutoWeave agent with its live kagent status',
+            mimeType: 'application/json',
+            read: ({ id }) => agentService.getAgentStatus(id)
+        });
+
+        registry.register({
+            uriTemplate: 'autoweave://agents/{id}/manifest',
+            name: 'autoweave-agent-manifest',
+            description: 'kagent manifests (Agent and custom Tools) generated for an agent',
+            mimeType: 'application/yaml',
+            read: ({ id }) => {
+                const agent = agentService.agents.get(id);
+                if (!agent || !agent.workflow || !kagentBridge) {
+                    return null;
+                }
+                return kagentBridge.yamlGenerator.generateDeploymentYAML(agent.workflow);
+            }
+        });
+    }
+
+    if (kagentBridge) {
+        registry.register({
+            uriTemplate: 'autoweave://kagent/tools/{name}',
+            name: 'autoweave-kagent-tool',
+            description: 'kagent Tool resource discovered in the cluster',
+            mimeType: 'application/json',
+            read: ({ name }) => (kagentBridge.availableTools || []).find(tool => tool.metadata?.name === name) || null
+        });
+    }
+
+    if (tasks) {
+        registry.register({
+            uriTemplate: 'autoweave://tasks/{taskId}',
+            name: 'autoweave-anp-task',
+            description: 'ANP task with its steps and result',
+            mimeType: 'application/json',
+            read: ({ taskId }) => tasks.get(taskId) || null
+        });
+    }
+
+    return registry;
+}
+
+/**
+ * URIs to refresh when an agent changes
+ */
+function agentResourceUris(agentId) {
+    const id = encodeURIComponent(agentId);
+    return [`autoweave://agents/${id}`, `autoweave://agents/${id}/manifest`];
+}
+
+module.exports = {
+    ResourceTemplateRegistry,
+    ResourceSubscriptions,
+    createAutoWeaveResourceTemplates,
+    agentResourceUris
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+const {
+    ResourceTemplateRegistry,
+    ResourceSubscriptions,
+    createAutoWeaveResourceTemplates,
+    agentResourceUris
+} = require('./resource-templates');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+
+const UPDATED = 'notifications/resources/updated';
+
+describe('ResourceTemplateRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new ResourceTemplateRegistry()
+            .register({ uriTemplate: 'autoweave://agents/{id}', name: 'agent', mimeType: 'application/json', read: ({ id }) => (id === 'missing' ? null : { id }) })
+            .register({ uriTemplate: 'autoweave://agents/{id}/logs.{format}', name: 'logs', mimeType: 'text/plain', read: ({ id, format }) => `${id} as ${format}` });
+    });
+
+    test('matches one URI segment per variable and decodes it', () => {
+        expect(registry.match('autoweave://agents/support%20bot')).toMatchObject({ template: { name: 'agent' }, params: { id: 'support bot' } });
+        expect(registry.match('autoweave://agents/a%2Fb/logs.txt')).toMatchObject({ template: { name: 'logs' }, params: { id: 'a/b', format: 'txt' } });
+        expect(registry.match('autoweave://agents/a/b')).toBeNull();
+        expect(registry.match('autoweave://agents/a/logsxtxt')).toBeNull();
+        expect(registry.match('autoweave://agents/%E0')).toBeNull();
+        expect(registry.list()).toEqual([
+            { uriTemplate: 'autoweave://agents/{id}', name: 'agent', description: undefined, mimeType: 'application/json' },
+            { uriTemplate: 'autoweave://agents/{id}/logs.{format}', name: 'logs', description: undefined, mimeType: 'text/plain' }
+        ]);
+    });
+
+    test('reads text as is, other values as JSON, and reports missing resources', async () => {
+        await expect(registry.read('autoweave://agents/a/logs.txt')).resolves.toEqual({
+            contents: [{ uri: 'autoweave://agents/a/logs.txt', mimeType: 'text/plain', text: 'a as txt' }]
+        });
+        await expect(registry.read('autoweave://agents/a')).resolves.toEqual({
+            contents: [{ uri: 'autoweave://agents/a', mimeType: 'application/json', text: '{\n  "id": "a"\n}' }]
+        });
+
+        for (const uri of ['autoweave://agents/missing', 'autoweave://tasks/1']) {
+            const error = await registry.read(uri).catch(caught => caught);
+            expect(error).toBeInstanceOf(JsonRpcError);
+            expect(error).toMatchObject({ code: JsonRpcErrorCodes.RESOURCE_NOT_FOUND, message: `Resource not found: ${uri}`, data: { uri } });
+        }
+    });
+
+    test('registers the AutoWeave templates of the available sources only', async () => {
+        const tasks = new Map([['t1', { id: 't1', status: 'done' }]]);
+        expect(createAutoWeaveResourceTemplates({ tasks }).list().map(template => template.uriTemplate)).toEqual(['autoweave://tasks/{taskId}']);
+
+        const agentService = {
+            agents: new Map([['a/1', { workflow: { name: 'a' } }]]),
+            getAgentStatus: async id => ({ id, status: 'running' }),
+            kagentBridge: { availableTools: [{ metadata: { name: 'kubectl' } }], yamlGenerator: { generateDeploymentYAML: workflow => `name: ${workflow.name}\n` } }
+        };
+        const templates = createAutoWeaveResourceTemplates({ agentService, tasks });
+        const [agentUri, manifestUri] = agentResourceUris('a/1');
+
+        expect(templates.list().map(template => template.name)).toEqual(['autoweave-agent', 'autoweave-agent-manifest', 'autoweave-kagent-tool', 'autoweave-anp-task']);
+        expect(agentUri).toBe('autoweave://agents/a%2F1');
+        expect(JSON.parse((await templates.read(agentUri)).contents[0].text)).toEqual({ id: 'a/1', status: 'running' });
+        expect((await templates.read(manifestUri)).contents[0]).toEqual({ uri: manifestUri, mimeType: 'application/yaml', text: 'name: a\n' });
+        await expect(templates.read('autoweave://kagent/tools/helm')).rejects.toMatchObject({ code: JsonRpcErrorCodes.RESOURCE_NOT_FOUND });
+    });
+});
+
+describe('ResourceSubscriptions', () => {
+    const URI = 'autoweave://agents/a';
+    let subscriptions;
+
+    beforeEach(() => {
+        subscriptions = new ResourceSubscriptions();
+    });
+
+    test('notifies every subscriber of a URI until it unsubscribes', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const stdio = jest.fn();
+        subscriptions.subscribe(URI, { transport: 'http', sessionId: 's1', notify: first });
+        subscriptions.subscribe(URI, { transport: 'http', sessionId: 's2', notify: second });
+        subscriptions.subscribe(URI, { transport: 'stdio', notify: stdio });
+        subscriptions.subscribe('autoweave://tasks/1', { transport: 'http', sessionId: 's1', notify: first });
+
+        expect(subscriptions.publish(URI)).toBe(3);
+        [first, second, stdio].forEach(notify => expect(notify).toHaveBeenCalledWith(UPDATED, { uri: URI }));
+
+        subscriptions.unsubscribe(URI, { transport: 'http', sessionId: 's2' });
+        subscriptions.unsubscribe(URI, { transport: 'stdio' });
+        expect(subscriptions.publish(URI)).toBe(1);
+        expect(second).toHaveBeenCalledTimes(1);
+        expect(stdio).toHaveBeenCalledTimes(1);
+
+        subscriptions.removeSubscriber('http:s1');
+        expect(subscriptions.isSubscribed(URI)).toBe(false);
+        expect(subscriptions.isSubscribed('autoweave://tasks/1')).toBe(false);
+        expect(subscriptions.publish(URI)).toBe(0);
+        expect(first).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps notifying the others when one subscriber fails', () => {
+        const warn = jest.spyOn(subscriptions.logger, 'warn').mockImplementation(() => {});
+        const healthy = jest.fn();
+        subscriptions.subscribe(URI, { transport: 'http', sessionId: 'gone', notify: () => { throw new Error('session closed'); } });
+        subscriptions.subscribe(URI, { transport: 'stdio', notify: healthy });
+
+        expect(subscriptions.publish(URI)).toBe(2);
+        expect(healthy).toHaveBeenCalledWith(UPDATED, { uri: URI });
+        expect(warn).toHaveBeenCalledWith(`Cannot notify http:gone of ${URI} update:`, 'session closed');
+    });
+
+    test('refuses subscribers that cannot be told apart or notified', () => {
+        expect(() => subscriptions.subscribe(URI, { transport: 'http', notify: jest.fn() })).toThrow('resources/subscribe requires an MCP session');
+        expect(() => subscriptions.subscribe(URI, { transport: 'stdio' })).toThrow(expect.objectContaining({
+            code: JsonRpcErrorCodes.INVALID_REQUEST,
+            message: 'This transport cannot receive notifications'
+        }));
+        expect(subscriptions.isSubscribed(URI)).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const RELOAD_DEBOUNCE = 200;
+
+/**
+ * ToolPackLoader - Charge les packs d'outils MCP depuis un répertoire
+ * Chaque fichier .js exporte { name?, category, tools: { [toolName]: { description, schema, handler, timeout?, cache? } } }
+ * Le répertoire peut être surveillé pour installer/retirer les packs à chaud
+ */
+class ToolPackLoader {
+    constructor(server, options = {}) {
+        this.server = server;
+        this.logger = options.logger || new Logger('ToolPackLoader');
+
+        this.filePacks = new Map();
+        this.watchers = new Map();
+        this.reloadTimers = new Map();
+    }
+
+    /**
+     * Load every pack of a directory, skipping (and logging) invalid files
+     */
+    async loadDirectory(directory) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory);
+        } catch (error) {
+            this.logger.warn(`Tool pack directory not readable: ${directory}`, error.message);
+            return 0;
+        }
+
+        let loaded = 0;
+        for (const entry of entries.filter(file => file.endsWith('.js')).sort()) {
+            try {
+                this.loadFile(path.join(directory, entry));
+                loaded++;
+            } catch (error) {
+                this.logger.error(`Failed to load tool pack ${entry}:`, error.message);
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * (Re)load a pack file, replacing the pack it previously installed
+     */
+    loadFile(file) {
+        const resolved = require.resolve(path.resolve(file));
+        delete require.cache[resolved];
+
+        const pack = require(resolved);
+        const previous = this.filePacks.get(resolved);
+        const name = this.server.installToolPack(pack, { source: resolved });
+
+        if (previous && previous !== name) {
+            this.server.removeToolPack(previous);
+        }
+        this.filePacks.set(resolved, name);
+        return name;
+    }
+
+    unloadFile(file) {
+        const resolved = path.resolve(file);
+        const name = this.filePacks.get(resolved);
+        if (!name) {
+            return false;
+        }
+
+        delete require.cache[resolved];
+        this.filePacks.delete(resolved);
+        return this.server.removeToolPack(name);
+    }
+
+    /**
+     * Watch a directory: added or changed files are (re)installed, deleted files removed
+     */
+    watch(directory) {
+        const resolvedDir = path.resolve(directory);
+        if (this.watchers.has(resolvedDir)) {
+            return;
+        }
+
+        try {
+            const watcher = fs.watch(resolvedDir, (eventType, filename) => {
+                if (filename && filename.endsWith('.js')) {
+                    this.scheduleReload(path.join(resolvedDir, filename));
+                }
+            });
+            watcher.unref();
+            this.watchers.set(resolvedDir, watcher);
+            this.logger.info(`👀 Watching tool packs in ${resolvedDir}`);
+        } catch (error) {
+            this.logger.warn(`Cannot watch tool pack directory ${resolvedDir}:`, error.message);
+        }
+    }
+
+    scheduleReload(file) {
+        clearTimeout(this.reloadTimers.get(file));
+
+        // Editors emit several events per save: wait for the file to settle
+        const timer = setTimeout(() => {
+            this.reloadTimers.delete(file);
+
+            if (!fs.existsSync(file)) {
+                if (this.unloadFile(file)) {
+                    this.logger.info(`📦 Tool pack removed: ${path.basename(file)}`);
+                }
+                return;
+            }
+
+            try {
+                const name = this.loadFile(file);
+                this.logger.info(`📦 Tool pack reloaded: ${name}`);
+            } catch (error) {
+                this.logger.error(`Failed to reload tool pack ${path.basename(file)}:`, error.message);
+            }
+        }, RELOAD_DEBOUNCE);
+        timer.unref();
+
+        this.reloadTimers.set(file, timer);
+    }
+
+    close() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+        this.reloadTimers.forEach(timer => clearTimeout(timer));
+        this.reloadTimers.clear();
+    }
+}
+
+module.exports = { ToolPackLoader };
\ No newline at end of file
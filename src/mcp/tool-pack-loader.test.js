@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const UnifiedAutoWeaveMCPServer = require('./unified-autoweave-mcp-server');
+
+// Source d'un pack : chaque outil répond son nom
+const packSource = (pack, toolNames) => `module.exports = ${JSON.stringify(pack).replace(/}$/, '')}, tools: {${toolNames
+    .map(toolName => `'${toolName}': { description: '${toolName}', schema: { type: 'object' }, handler: async () => '${toolName}' }`)
+    .join(', ')}} };`;
+
+// Attend la prochaine notification `method` du serveur
+const nextNotification = (server, method) => new Promise(resolve => {
+    const listener = (emitted, params) => {
+        if (emitted === method) {
+            server.off('notification', listener);
+            resolve(params);
+        }
+    };
+    server.on('notification', listener);
+});
+
+describe('ToolPackLoader', () => {
+    let directory;
+    let server;
+    let loader;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-tool-packs-test-'));
+        server = new UnifiedAutoWeaveMCPServer(null, { toolPacksDir: directory, watchToolPacks: false });
+        loader = server.toolPackLoader;
+        jest.spyOn(loader.logger, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        loader.close();
+        jest.restoreAllMocks();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('installs every pack file of a directory', async () => {
+        await fs.writeFile(path.join(directory, 'weather.js'), packSource({ category: 'weather' }, ['forecast', 'alerts']));
+        await fs.writeFile(path.join(directory, 'README.md'), '# not a pack');
+
+        await expect(loader.loadDirectory(directory)).resolves.toBe(1);
+
+        expect(server.listToolPacks()).toEqual([expect.objectContaining({
+            name: 'weather',
+            category: 'weather',
+            source: path.join(directory, 'weather.js'),
+            tools: ['autoweave-weather-forecast', 'autoweave-weather-alerts']
+        })]);
+        expect(server.toolCategories.weather).toEqual(['autoweave-weather-forecast', 'autoweave-weather-alerts']);
+    });
+
+    test('skips invalid packs and packs redefining the tools of another one', async () => {
+        await fs.writeFile(path.join(directory, 'a-weather.js'), packSource({ category: 'weather' }, ['forecast']));
+        await fs.writeFile(path.join(directory, 'b-clone.js'), packSource({ name: 'clone', category: 'weather' }, ['forecast']));
+        await fs.writeFile(path.join(directory, 'c-nameless.js'), "module.exports = { tools: {} };");
+        await fs.writeFile(path.join(directory, 'd-broken.js'), "module.exports = { category: 'broken', tools: { run: { description: 'run', schema: {} } } };");
+
+        await expect(loader.loadDirectory(directory)).resolves.toBe(1);
+
+        expect(server.listToolPacks().map(pack => pack.name)).toEqual(['weather']);
+        expect(loader.logger.error.mock.calls).toEqual([
+            ['Failed to load tool pack b-clone.js:', 'Tool forecast of pack clone conflicts with pack weather'],
+            ['Failed to load tool pack c-nameless.js:', 'Tool pack must declare a category (lowercase letters, digits and dashes)'],
+            ['Failed to load tool pack d-broken.js:', 'Tool run is missing a handler']
+        ]);
+    });
+
+    test('reinstalls a rewritten pack and announces tools/list_changed', async () => {
+        const file = path.join(directory, 'weather.js');
+        await fs.writeFile(file, packSource({ category: 'weather' }, ['forecast']));
+        await server.initialize();
+        jest.spyOn(loader.logger, 'info').mockImplementation(() => {});
+        loader.watch(directory);
+
+        // Jest garde ses modules hors de require.cache : le vider comme le fait loadFile() sous Node
+        jest.resetModules();
+        const changed = nextNotification(server, 'notifications/tools/list_changed');
+        await fs.writeFile(file, packSource({ category: 'weather' }, ['forecast', 'radar']));
+        await changed;
+
+        expect(server.toolPacks.get('weather').tools).toEqual(['autoweave-weather-forecast', 'autoweave-weather-radar']);
+        expect(server.mcpTools.map(tool => tool.name)).toContain('autoweave-weather-radar');
+
+        const removed = nextNotification(server, 'notifications/tools/list_changed');
+        await fs.unlink(file);
+        await removed;
+
+        expect(server.toolPacks.has('weather')).toBe(false);
+        expect(server.internalTools.has('autoweave-weather-forecast')).toBe(false);
+    });
+});
\ No newline at end of file
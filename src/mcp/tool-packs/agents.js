@@ -0,0 +1,44 @@
+/**
+ * Tool pack "agents" - Création et gestion des agents
+ */
+async function executeCreateAgent(args, { server, signal }) {
+    return server.core.createAgent(args, { signal });
+}
+
+async function executeListAgents(args, { server, signal }) {
+    return server.core.listAgents({ status: args.status }, { signal });
+}
+
+module.exports = {
+    name: 'agents',
+    category: 'agents',
+    tools: {
+        // Agent Creation
+        'create-agent': {
+            description: 'Create intelligent agent from description',
+            schema: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string', description: 'Agent description' },
+                    capabilities: { type: 'array', items: { type: 'string' } },
+                    deploy: { type: 'boolean', default: true }
+                },
+                required: ['description']
+            },
+            handler: executeCreateAgent
+        },
+        
+        // Agent Management
+        'list-agents': {
+            description: 'List all created agents',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['all', 'running', 'stopped'] }
+                }
+            },
+            handler: executeListAgents
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Tool pack "config" - Configuration intelligente et sources fraîches
+ */
+async function executeIntelligentConfig(args, { server, signal }) {
+    return server.core.generateConfigWithFreshSources(args, { signal });
+}
+
+async function executeFindLatestPackages(args, { server, signal }) {
+    return server.core.searchConfigSources({ packages: args.packages }, { signal });
+}
+
+module.exports = {
+    name: 'config',
+    category: 'config',
+    tools: {
+        // Configuration Intelligence (existing)
+        'intelligent-config': {
+            description: 'Generate intelligent configuration from natural language',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    intent: { type: 'string', description: 'Natural language intent' },
+                    platform: { type: 'string', enum: ['kubernetes', 'docker-compose', 'helm'] },
+                    include_observability: { type: 'boolean', default: true }
+                },
+                required: ['intent']
+            },
+            handler: executeIntelligentConfig
+        },
+        
+        // Fresh Sources (existing but enhanced)
+        'find-latest-packages': {
+            description: 'Find latest versions across all registries',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    packages: {
+                        type: 'object',
+                        properties: {
+                            docker: { type: 'array', items: { type: 'string' } },
+                            npm: { type: 'array', items: { type: 'string' } },
+                            helm: { type: 'array', items: { type: 'string' } },
+                            github: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                },
+                required: ['packages']
+            },
+            handler: executeFindLatestPackages
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Tool pack "database" - Base vectorielle Qdrant et synchronisation
+ */
+async function executeQdrantSearch(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/simple_db_reader.py', ['search-collection', args.collection, args.query], { signal, timeout });
+}
+
+async function executeDbReadCollections(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/simple_db_reader.py', ['list-collections'], { signal, timeout });
+}
+
+async function executeCheckDbSync(args, { server, signal }) {
+    return server.core.syncDatabase({ signal });
+}
+
+module.exports = {
+    name: 'database',
+    category: 'database',
+    tools: {
+        // Qdrant Operations
+        'qdrant-search': {
+            description: 'Search vectors in Qdrant database',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    collection: { type: 'string', description: 'Collection name' },
+                    query: { type: 'string', description: 'Search query' },
+                    limit: { type: 'number', default: 10 }
+                },
+                required: ['collection', 'query']
+            },
+            handler: executeQdrantSearch
+        },
+        
+        // Database Reader
+        'db-read-collections': {
+            description: 'List all database collections',
+            readOnly: true,
+            cache: { ttl: 60000, staleWhileRevalidate: 300000 },
+            schema: { type: 'object', properties: {} },
+            handler: executeDbReadCollections
+        },
+        
+        // Database Sync Checker
+        'check-db-sync': {
+            description: 'Check synchronization between filesystem and database',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    deep_check: { type: 'boolean', default: false }
+                }
+            },
+            handler: executeCheckDbSync
+        }
+    }
+};
\ No newline at end of file
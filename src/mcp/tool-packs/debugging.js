@@ -0,0 +1,106 @@
+/**
+ * Tool pack "debugging" - Santé du système et analyse des logs
+ */
+const { LogReader } = require('../../utils/log-reader');
+
+function generateLogAnalysisSuggestions(analysis) {
+    const suggestions = [];
+    
+    if (analysis.errors > 0) {
+        suggestions.push("🔴 Fix recent errors to improve system stability");
+        suggestions.push("📋 Review error patterns for recurring issues");
+    }
+    
+    if (analysis.warnings > 5) {
+        suggestions.push("⚠️ High number of warnings detected - investigate potential issues");
+    }
+    
+    if (analysis.errors === 0 && analysis.warnings < 3) {
+        suggestions.push("✅ System logs appear healthy");
+    }
+    
+    suggestions.push("📊 Consider implementing log rotation if file size is large");
+    suggestions.push("🔍 Use log analysis tools for deeper insights");
+    
+    return suggestions;
+}
+
+async function executeHealthCheck(args, { server, signal }) {
+    return server.core.getHealth({ signal });
+}
+
+async function executeAnalyzeLogs(args, { server, signal }) {
+    const logFile = await server.commandRunner.resolvePath(args.log_file);
+    const { entries, scanned } = await new LogReader().query(logFile, {
+        level: args.level,
+        component: args.component,
+        since: args.since,
+        until: args.until,
+        limit: args.lines,
+        signal
+    });
+    
+    const byLevel = level => entries.filter(entry => entry.level === level);
+    const analysis = {
+        scanned_entries: scanned,
+        matched_entries: entries.length,
+        errors: byLevel('error').length,
+        warnings: byLevel('warn').length,
+        info: entries.length - byLevel('error').length - byLevel('warn').length - byLevel('debug').length,
+        debug: byLevel('debug').length,
+        components: entries.reduce((counts, entry) => {
+            counts[entry.component] = (counts[entry.component] || 0) + 1;
+            return counts;
+        }, {}),
+        newest: entries[0]?.timestamp || null,
+        oldest: entries[entries.length - 1]?.timestamp || null,
+        recent_errors: byLevel('error').slice(0, 5),
+        recent_warnings: byLevel('warn').slice(0, 5)
+    };
+    
+    return {
+        success: true,
+        log_file: args.log_file,
+        analysis,
+        entries,
+        suggestions: generateLogAnalysisSuggestions(analysis)
+    };
+}
+
+module.exports = {
+    name: 'debugging',
+    category: 'debugging',
+    tools: {
+        // System Health Check
+        'health-check': {
+            description: 'Comprehensive system health check',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    include_external: { type: 'boolean', default: true },
+                    verbose: { type: 'boolean', default: false }
+                }
+            },
+            handler: executeHealthCheck
+        },
+        
+        // Log Analysis
+        'analyze-logs': {
+            description: 'Analyze system logs for issues (newest entries first)',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    log_file: { type: 'string', default: 'autoweave.log' },
+                    lines: { type: 'integer', minimum: 1, maximum: 10000, default: 100, description: 'Maximum number of entries returned' },
+                    level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'], description: 'Minimum severity' },
+                    component: { type: 'string', description: 'Logger component (child components included)' },
+                    since: { type: 'string', description: 'ISO date: ignore older entries' },
+                    until: { type: 'string', description: 'ISO date: ignore newer entries' }
+                }
+            },
+            handler: executeAnalyzeLogs
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * Tool pack "files" - Indexation et recherche de fichiers
+ */
+async function executeIndexFile(args, { server, signal }) {
+    return server.core.ingestFile({ filePath: args.file_path, force: args.force }, { signal });
+}
+
+async function executeSearchFiles(args, { server, signal }) {
+    return server.core.searchFiles({ type: args.type, query: args.query }, { signal });
+}
+
+module.exports = {
+    name: 'files',
+    category: 'files',
+    tools: {
+        // File Indexing
+        'index-file': {
+            description: 'Index file in genetic database',
+            schema: {
+                type: 'object',
+                properties: {
+                    file_path: { type: 'string', description: 'File path to index' },
+                    force: { type: 'boolean', default: false }
+                },
+                required: ['file_path']
+            },
+            handler: executeIndexFile
+        },
+        
+        // File Search
+        'search-files': {
+            description: 'Search files by content or metadata',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Search query' },
+                    type: { type: 'string', enum: ['content', 'name', 'metadata'] },
+                    extensions: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['query']
+            },
+            handler: executeSearchFiles
+        }
+    }
+};
\ No newline at end of file
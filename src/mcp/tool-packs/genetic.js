@@ -0,0 +1,67 @@
+/**
+ * Tool pack "genetic" - Système génétique : déduplication, évolution, reconstruction
+ */
+async function executeAnalyzeDuplicates(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/intelligent_deduplication.py', ['analyze', JSON.stringify(args)], { signal, timeout });
+}
+
+async function executeTrackGeneEvolution(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/intelligent_deduplication.py', ['track-evolution', args.gene_id, JSON.stringify({ include_mutations: args.include_mutations })], { signal, timeout });
+}
+
+async function executeReconstructFile(args, { server, signal, timeout }) {
+    // Le chemin reconstruit doit rester dans le projet
+    await server.commandRunner.resolvePath(args.file_path);
+    return server.executePythonScript('scripts/genetic-reconstruction.py', ['reconstruct', args.file_path, args.version || 'latest'], { signal, timeout });
+}
+
+module.exports = {
+    name: 'genetic',
+    category: 'genetic',
+    tools: {
+        // Intelligent Deduplication
+        'analyze-duplicates': {
+            description: 'Analyze code duplicates using intelligent deduplication',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    threshold: { type: 'number', default: 0.8 },
+                    include_stats: { type: 'boolean', default: true }
+                }
+            },
+            timeout: 120000,
+            handler: executeAnalyzeDuplicates
+        },
+        
+        // Gene Evolution Tracking
+        'track-gene-evolution': {
+            description: 'Track evolution of specific genes',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    gene_id: { type: 'string', description: 'Gene ID to track' },
+                    include_mutations: { type: 'boolean', default: true }
+                },
+                required: ['gene_id']
+            },
+            handler: executeTrackGeneEvolution
+        },
+        
+        // Genetic Reconstruction
+        'reconstruct-file': {
+            description: 'Reconstruct file from genetic database',
+            schema: {
+                type: 'object',
+                properties: {
+                    file_path: { type: 'string', description: 'File path to reconstruct' },
+                    version: { type: 'string', description: 'Specific version (optional)' }
+                },
+                required: ['file_path']
+            },
+            timeout: 60000,
+            handler: executeReconstructFile
+        }
+    }
+};
\ No newline at end of file
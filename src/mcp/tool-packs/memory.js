@@ -0,0 +1,66 @@
+/**
+ * Tool pack "memory" - Mémoire contextuelle (mem0) et hybride
+ */
+async function executeMem0Search(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/mem0-bridge.py', ['search', args.query, args.user_id || 'system'], { signal, timeout });
+}
+
+async function executeMem0Add(args, { server, signal, timeout }) {
+    return server.executePythonScript('scripts/mem0-bridge.py', ['add', args.text, args.user_id || 'system'], { signal, timeout });
+}
+
+async function executeHybridMemorySearch(args, { server, signal }) {
+    return server.core.searchMemory(args, { signal });
+}
+
+module.exports = {
+    name: 'memory',
+    category: 'memory',
+    tools: {
+        // Mem0 Bridge
+        'mem0-search': {
+            description: 'Search contextual memory using mem0 self-hosted',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Search query' },
+                    user_id: { type: 'string', description: 'User ID for memory context' },
+                    limit: { type: 'number', default: 5 }
+                },
+                required: ['query']
+            },
+            handler: executeMem0Search
+        },
+        
+        'mem0-add': {
+            description: 'Add information to contextual memory',
+            schema: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', description: 'Information to store' },
+                    user_id: { type: 'string', description: 'User ID for memory context' },
+                    metadata: { type: 'object', description: 'Additional metadata' }
+                },
+                required: ['text']
+            },
+            handler: executeMem0Add
+        },
+        
+        // Hybrid Memory
+        'hybrid-memory-search': {
+            description: 'Search both contextual and structural memory',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Search query' },
+                    user_id: { type: 'string', description: 'User ID' },
+                    include_graph: { type: 'boolean', default: true }
+                },
+                required: ['query']
+            },
+            handler: executeHybridMemorySearch
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Tool pack "monitoring" - Métriques et état des services
+ */
+async function executeGetMetrics(args, { server, signal }) {
+    const metricsData = await server.core.getMemoryMetrics({ signal });
+    
+    if (args.metric_type && args.metric_type !== 'all') {
+        // Filtrer les métriques par type si demandé
+        const filtered = {};
+        if (metricsData[args.metric_type]) {
+            filtered[args.metric_type] = metricsData[args.metric_type];
+        }
+        return { metrics: filtered, type: args.metric_type };
+    }
+    
+    return metricsData;
+}
+
+async function executeServiceStatus(args, { server, signal }) {
+    const healthData = await server.core.getHealth({ signal });
+    
+    if (args.service) {
+        // Filtrer pour un service spécifique
+        const serviceData = healthData.services?.find(s => s.name === args.service);
+        return serviceData ? { service: serviceData } : { error: `Service ${args.service} not found` };
+    }
+    
+    return healthData;
+}
+
+module.exports = {
+    name: 'monitoring',
+    category: 'monitoring',
+    tools: {
+        // System Metrics
+        'get-metrics': {
+            description: 'Get system performance metrics',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    metric_type: { type: 'string', enum: ['cpu', 'memory', 'disk', 'network', 'all'] },
+                    time_range: { type: 'string', default: '5m' }
+                }
+            },
+            handler: executeGetMetrics
+        },
+        
+        // Service Status
+        'service-status': {
+            description: 'Check status of all services',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    service: { type: 'string', description: 'Specific service (optional)' }
+                }
+            },
+            handler: executeServiceStatus
+        }
+    }
+};
\ No newline at end of file
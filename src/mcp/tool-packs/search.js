@@ -0,0 +1,106 @@
+/**
+ * Tool pack "search" - Recherche web et recherche de code
+ */
+const { CodeSearch } = require('../../utils/code-search');
+
+async function executeWebSearch(args, { server, signal, timeout }) {
+    try {
+        // Vérifier si l'AutoWeave a un service de recherche web disponible
+        const toolsData = await server.core.discoverTools({ category: 'web' }, { signal });
+        
+        if (toolsData.success && toolsData.tools.length > 0) {
+            // Utiliser le service de recherche web d'AutoWeave
+            return await server.core.searchWeb(args, { signal });
+        } else {
+            // Fallback vers curl si disponible
+            const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(args.query)}&format=json&no_html=1&skip_disambig=1`;
+            const curlResult = await server.runCommand('curl', ['-s', '--max-time', '10', url], { signal, timeout });
+            
+            if (curlResult.code === 0) {
+                try {
+                    const results = JSON.parse(curlResult.stdout);
+                    return {
+                        success: true,
+                        results: results.AbstractText ? [{ 
+                            title: results.Heading || 'DuckDuckGo Result',
+                            content: results.AbstractText,
+                            url: results.AbstractURL
+                        }] : [],
+                        source: 'duckduckgo-api',
+                        query: args.query
+                    };
+                } catch (parseError) {
+                    throw new Error(`Failed to parse search results: ${parseError.message}`);
+                }
+            } else {
+                throw new Error(`Web search failed: ${curlResult.stderr}`);
+            }
+        }
+    } catch (error) {
+        return { 
+            success: false, 
+            error: `Web search failed: ${error.message}`, 
+            query: args.query,
+            fallback_suggestion: "Consider implementing a dedicated web search service or configuring external search APIs"
+        };
+    }
+}
+
+async function executeCodeSearch(args, { server, signal }) {
+    const codeSearch = new CodeSearch({ root: server.projectRoot });
+    const directory = args.path ? await server.commandRunner.resolvePath(args.path) : server.projectRoot;
+    
+    const result = await codeSearch.search(args.pattern, {
+        directory,
+        include: args.include,
+        contextLines: args.context_lines,
+        ignoreCase: args.ignore_case,
+        maxResults: args.max_results,
+        signal
+    });
+    
+    return { success: true, ...result };
+}
+
+module.exports = {
+    name: 'search',
+    category: 'search',
+    tools: {
+        // Web Search (si disponible)
+        'web-search': {
+            description: 'Search web for information',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'Search query' },
+                    domains: { type: 'array', items: { type: 'string' } },
+                    limit: { type: 'number', default: 5 }
+                },
+                required: ['query']
+            },
+            timeout: 15000,
+            handler: executeWebSearch
+        },
+        
+        // Code Search
+        'code-search': {
+            description: 'Search code in project',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    pattern: { type: 'string', description: 'Search pattern/regex' },
+                    include: { type: 'string', description: 'File glob(s) to include, comma separated (e.g. "*.js,*.ts")' },
+                    path: { type: 'string', description: 'Directory to search, relative to the project root' },
+                    context_lines: { type: 'integer', minimum: 0, maximum: 20, default: 3 },
+                    ignore_case: { type: 'boolean', default: false },
+                    max_results: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+                },
+                required: ['pattern']
+            },
+            timeout: 20000,
+            handler: executeCodeSearch
+        }
+    }
+};
\ No newline at end of file
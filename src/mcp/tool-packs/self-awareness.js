@@ -0,0 +1,175 @@
+/**
+ * Tool pack "self-awareness" - Auto-conscience du système : scan, découverte, environnement
+ */
+function generateClaudeInstructions(env, notes) {
+    const instructions = [];
+    
+    if (!notes.adminAccess) {
+        instructions.push("⚠️ NO ADMIN ACCESS: User cannot install system packages or modify system files");
+    } else if (notes.adminMethod === 'su_with_password') {
+        instructions.push("⚠️ NO SUDO: Use 'su -c \"command\"' for admin tasks, not 'sudo'");
+    }
+    
+    if (notes.packageManager === 'apt') {
+        instructions.push(`📦 Package Manager: Use 'apt install' for packages (requires ${notes.adminMethod})`);
+    } else if (notes.packageManager === 'yum') {
+        instructions.push(`📦 Package Manager: Use 'yum install' for packages (requires ${notes.adminMethod})`);
+    }
+    
+    instructions.push("🏠 User Home: " + env.permissions.homeDir);
+    instructions.push("🔧 Prefer user-space installations when possible");
+    
+    return instructions;
+}
+
+async function executeFullSystemScan(args, { server, signal }) {
+    return server.core.scanSystem(args, { signal });
+}
+
+async function executeDiscoverTools(args, { server, signal }) {
+    return server.core.discoverTools({ category: args.category }, { signal });
+}
+
+async function executeDetectOSEnvironment(args, { server, signal }) {
+    if (args.force_redetect) {
+        // Force une nouvelle détection
+        const OSEnvironmentDetector = require('../../utils/os-environment-detector');
+        const detector = new OSEnvironmentDetector();
+        const env = await detector.detectComplete();
+        await detector.saveEnvironmentDocumentation();
+        return {
+            success: true,
+            environment: env,
+            message: 'OS environment re-detected'
+        };
+    }
+    
+    // Utiliser l'environnement déjà détecté
+    return server.core.getOSEnvironment({ signal });
+}
+
+async function executeGenerateDocumentation(args, { server, signal }) {
+    const docData = await server.core.getDocumentation({ signal });
+    
+    if (args.format === 'yaml') {
+        const yaml = require('js-yaml');
+        return { documentation: yaml.dump(docData.documentation) };
+    }
+    return docData; // markdown/json par défaut
+}
+
+async function executeGetClaudeEnvironment(args, { server, signal }) {
+    try {
+        const data = await server.core.getOSEnvironment({ signal });
+        
+        if (!data.success) {
+            throw new Error('OS environment not available');
+        }
+        
+        const env = data.osEnvironment;
+        const notes = data.claudeCodeNotes;
+        
+        return {
+            claude_code_environment: {
+                user: {
+                    name: env.permissions.currentUser,
+                    is_root: notes.isRoot,
+                    admin_access: notes.adminAccess,
+                    admin_method: notes.adminMethod
+                },
+                system: {
+                    os: env.basic.distribution?.PRETTY_NAME || env.basic.platform,
+                    package_manager: notes.packageManager,
+                    development_tools: notes.developmentTools
+                },
+                restrictions: args.include_restrictions ? {
+                    sudo_available: notes.canSudo,
+                    su_available: env.permissions.canSu,
+                    writeable_locations: env.restrictions?.filesystem?.writeableLocations || [],
+                    readonly_locations: env.restrictions?.filesystem?.readOnlyLocations || []
+                } : undefined,
+                capabilities: args.include_capabilities ? {
+                    containerization: env.capabilities.containerization?.map(c => ({ name: c.name, version: c.version })) || [],
+                    package_managers: env.capabilities.packageManagers?.map(p => ({ name: p.name, version: p.version })) || [],
+                    network_interfaces: Object.keys(env.network?.interfaces || {}).length,
+                    storage_filesystems: env.storage?.filesystems?.length || 0
+                } : undefined,
+                warnings: notes.userWarnings,
+                claude_instructions: generateClaudeInstructions(env, notes)
+            }
+        };
+    } catch (error) {
+        throw new Error(`Failed to get Claude environment: ${error.message}`);
+    }
+}
+
+module.exports = {
+    name: 'self-awareness',
+    category: 'self-awareness',
+    tools: {
+        // System Scan
+        'full-system-scan': {
+            description: 'Perform full system scan and update awareness',
+            schema: {
+                type: 'object',
+                properties: {
+                    force_refresh: { type: 'boolean', default: false }
+                }
+            },
+            handler: executeFullSystemScan
+        },
+        
+        // Tool Discovery
+        'discover-tools': {
+            description: 'Discover and catalog all available tools',
+            readOnly: true,
+            cache: { ttl: 300000, staleWhileRevalidate: 600000 },
+            schema: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string', enum: ['cli', 'scripts', 'apis', 'hooks'] }
+                }
+            },
+            handler: executeDiscoverTools
+        },
+        
+        // OS Environment Detection
+        'detect-os-environment': {
+            description: 'Detect and analyze OS environment for Claude Code compatibility',
+            schema: {
+                type: 'object',
+                properties: {
+                    force_redetect: { type: 'boolean', default: false }
+                }
+            },
+            handler: executeDetectOSEnvironment
+        },
+        
+        // System Documentation
+        'generate-documentation': {
+            description: 'Generate or update system documentation',
+            schema: {
+                type: 'object',
+                properties: {
+                    format: { type: 'string', enum: ['markdown', 'json', 'yaml'], default: 'markdown' },
+                    include_apis: { type: 'boolean', default: true }
+                }
+            },
+            handler: executeGenerateDocumentation
+        },
+        
+        // Get Claude Code Environment Info
+        'get-claude-environment': {
+            description: 'Get environment information specifically formatted for Claude Code usage',
+            readOnly: true,
+            schema: {
+                type: 'object',
+                properties: {
+                    include_restrictions: { type: 'boolean', default: true },
+                    include_capabilities: { type: 'boolean', default: true }
+                }
+            },
+            handler: executeGetClaudeEnvironment
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+/**
+ * MemoryCacheBackend - LRU en mémoire (ordre d'insertion de la Map = ordre d'utilisation)
+ */
+class MemoryCacheBackend {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async list() {
+        return Array.from(this.entries.values());
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * FileCacheBackend - Une entrée JSON par clé dans un répertoire, survit aux redémarrages
+ */
+class FileCacheBackend {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('FileCacheBackend requires a directory');
+        }
+        this.directory = options.directory;
+        this.logger = options.logger || new Logger('FileCacheBackend');
+    }
+
+    fileFor(key) {
+        return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.fileFor(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Ignoring unreadable cache entry ${key}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        const file = this.fileFor(key);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tmpFile, JSON.stringify(entry));
+        await fs.rename(tmpFile, file);
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.fileFor(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => fs.readFile(path.join(this.directory, file), 'utf8').then(JSON.parse).catch(() => null)));
+        return entries.filter(Boolean);
+    }
+
+    async clear() {
+        const entries = await this.list();
+        await Promise.all(entries.map(entry => this.delete(entry.key)));
+    }
+}
+
+/**
+ * ToolResultCache - Cache des résultats d'outils idempotents
+ * Politique déclarée par outil : { ttl, staleWhileRevalidate?, key?: (args) => value, cacheable?: (result) => boolean }
+ * Au-delà du TTL et dans la fenêtre stale-while-revalidate, la valeur périmée est servie
+ * pendant qu'un rafraîchissement tourne en arrière-plan.
+ */
+class ToolResultCache {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('ToolResultCache');
+        this.backend = options.backend || new MemoryCacheBackend({ maxEntries: options.maxEntries });
+        this.revalidating = new Set();
+        this.counters = new Map();
+    }
+
+    /**
+     * Key from the tool name and its normalized arguments (sorted keys, undefined dropped)
+     */
+    keyFor(toolName, args, policy = {}) {
+        const source = typeof policy.key === 'function' ? policy.key(args) : args;
+        const digest = crypto.createHash('sha256').update(ToolResultCache.stableStringify(source)).digest('hex');
+        return `${toolName}:${digest}`;
+    }
+
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ToolResultCache.stableStringify(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${ToolResultCache.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * Return the cached result or compute it. compute({ background }) runs the tool;
+     * background is true for stale-while-revalidate refreshes, which outlive the caller.
+     * Errors are never cached, nor results rejected by policy.cacheable (partial failures).
+     */
+    async wrap(toolName, args, policy, compute) {
+        const key = this.keyFor(toolName, args, policy);
+        const entry = await this.backend.get(key);
+        const now = Date.now();
+
+        if (entry && now < entry.expiresAt) {
+            this.count(toolName, 'hits');
+            this.logger.cache('get', key, true, this.getToolCounters(toolName));
+            return entry.value;
+        }
+
+        if (entry && now < entry.staleUntil) {
+            this.count(toolName, 'staleHits');
+            this.logger.cache('get', key, true, { ...this.getToolCounters(toolName), stale: true });
+            this.revalidate(toolName, key, policy, compute);
+            return entry.value;
+        }
+
+        this.count(toolName, 'misses');
+        this.logger.cache('get', key, false, this.getToolCounters(toolName));
+
+        const value = await compute({ background: false });
+        await this.store(toolName, key, policy, value);
+        return value;
+    }
+
+    revalidate(toolName, key, policy, compute) {
+        if (this.revalidating.has(key)) {
+            return;
+        }
+        this.revalidating.add(key);
+        this.count(toolName, 'revalidations');
+
+        Promise.resolve()
+            .then(() => compute({ background: true }))
+            .then(value => this.store(toolName, key, policy, value))
+            .catch(error => this.logger.warn(`Background refresh of ${toolName} failed, keeping stale result:`, error.message))
+            .finally(() => this.revalidating.delete(key));
+    }
+
+    async store(toolName, key, policy, value) {
+        // Un résultat refusé n'écrase pas non plus l'entrée périmée : elle reste servie
+        if (policy.cacheable && !policy.cacheable(value)) {
+            this.logger.debug(`Not caching ${toolName} result rejected by its cache policy`, { key });
+            return;
+        }
+        const now = Date.now();
+        const expiresAt = now + policy.ttl;
+        try {
+            await this.backend.set(key, {
+                key,
+                tool: toolName,
+                value,
+                storedAt: now,
+                expiresAt,
+                staleUntil: expiresAt + (policy.staleWhileRevalidate || 0)
+            });
+            this.logger.debug(`Cached ${toolName} result for ${policy.ttl}ms`, { key });
+        } catch (error) {
+            // Un cache indisponible ne doit pas faire échouer l'appel
+            this.logger.warn(`Cannot cache result of ${toolName}:`, error.message);
+        }
+    }
+
+    /**
+     * Drop cached results: every entry, those of one tool, or one tool + arguments.
+     * Returns the number of entries removed.
+     */
+    async invalidate({ tool, args, policy } = {}) {
+        if (tool && args !== undefined) {
+            return (await this.backend.delete(this.keyFor(tool, args, policy))) ? 1 : 0;
+        }
+
+        const entries = await this.backend.list();
+        const targets = tool ? entries.filter(entry => entry.tool === tool) : entries;
+        await Promise.all(targets.map(entry => this.backend.delete(entry.key)));
+
+        this.logger.info(`🧹 Invalidated ${targets.length} cached results${tool ? ` of ${tool}` : ''}`);
+        return targets.length;
+    }
+
+    count(toolName, counter) {
+        const counters = this.getToolCounters(toolName);
+        counters[counter]++;
+        this.counters.set(toolName, counters);
+    }
+
+    getToolCounters(toolName) {
+        return this.counters.get(toolName) || { tool: toolName, hits: 0, staleHits: 0, misses: 0, revalidations: 0 };
+    }
+
+    stats() {
+        const tools = Array.from(this.counters.values());
+        return {
+            hits: tools.reduce((sum, counters) => sum + counters.hits + counters.staleHits, 0),
+            misses: tools.reduce((sum, counters) => sum + counters.misses, 0),
+            tools
+        };
+    }
+}
+
+module.exports = { ToolResultCache, MemoryCacheBackend, FileCacheBackend };
\ No newline at end of file
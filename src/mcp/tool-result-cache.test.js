@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ToolResultCache, MemoryCacheBackend, FileCacheBackend } = require('./tool-result-cache');
+
+const POLICY = { ttl: 1000, staleWhileRevalidate: 5000 };
+
+// Laisse tourner les rafraîchissements en arrière-plan
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ToolResultCache', () => {
+    let now;
+    let cache;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        cache = new ToolResultCache();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('answers from the cache within the ttl, whatever the argument order', async () => {
+        const compute = jest.fn(async () => ({ latest: '1.0.0' }));
+
+        await expect(cache.wrap('check', { name: 'redis', type: 'docker' }, POLICY, compute)).resolves.toEqual({ latest: '1.0.0' });
+        now += 999;
+        await expect(cache.wrap('check', { type: 'docker', name: 'redis', extra: undefined }, POLICY, compute)).resolves.toEqual({ latest: '1.0.0' });
+
+        expect(compute).toHaveBeenCalledTimes(1);
+        expect(cache.stats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    test('serves a stale result at once and refreshes it once in the background', async () => {
+        let version = 1;
+        const compute = jest.fn(async () => `v${version}`);
+        await cache.wrap('check', {}, POLICY, compute);
+
+        now += 2000;
+        version = 2;
+        await expect(cache.wrap('check', {}, POLICY, compute)).resolves.toBe('v1');
+        await expect(cache.wrap('check', {}, POLICY, compute)).resolves.toBe('v1');
+        await settle();
+
+        expect(compute).toHaveBeenCalledTimes(2);
+        expect(compute).toHaveBeenLastCalledWith({ background: true });
+        await expect(cache.wrap('check', {}, POLICY, compute)).resolves.toBe('v2');
+        expect(cache.getToolCounters('check')).toEqual({ tool: 'check', hits: 1, staleHits: 2, misses: 1, revalidations: 1 });
+    });
+
+    test('keeps the stale result when the background refresh fails', async () => {
+        await cache.wrap('check', {}, POLICY, async () => 'v1');
+        const warn = jest.spyOn(cache.logger, 'warn').mockImplementation(() => {});
+
+        now += 2000;
+        await expect(cache.wrap('check', {}, POLICY, async () => { throw new Error('registry down'); })).resolves.toBe('v1');
+        await settle();
+
+        expect(warn).toHaveBeenCalledWith('Background refresh of check failed, keeping stale result:', 'registry down');
+        await expect(cache.wrap('check', {}, POLICY, async () => 'v2')).resolves.toBe('v1');
+    });
+
+    test('runs the tool again past the stale window and never caches errors', async () => {
+        const compute = jest.fn(async () => 'fresh');
+        await cache.wrap('check', {}, POLICY, compute);
+
+        now += 6001;
+        await cache.wrap('check', {}, POLICY, compute);
+        expect(compute).toHaveBeenNthCalledWith(2, { background: false });
+
+        await expect(cache.wrap('fail', {}, POLICY, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        await expect(cache.wrap('fail', {}, POLICY, async () => 'ok')).resolves.toBe('ok');
+    });
+
+    test('does not store results rejected by the policy, nor let them replace a stale one', async () => {
+        const policy = { ...POLICY, cacheable: result => !result.error };
+        const compute = jest.fn(async () => ({ latest: null, error: 'registry down' }));
+
+        await expect(cache.wrap('check', {}, policy, compute)).resolves.toEqual({ latest: null, error: 'registry down' });
+        await cache.wrap('check', {}, policy, compute);
+        expect(compute).toHaveBeenCalledTimes(2);
+
+        await cache.wrap('check', {}, policy, async () => ({ latest: '1.0.0' }));
+        now += 2000;
+        await expect(cache.wrap('check', {}, policy, compute)).resolves.toEqual({ latest: '1.0.0' });
+        await settle();
+        await expect(cache.wrap('check', {}, policy, compute)).resolves.toEqual({ latest: '1.0.0' });
+        expect(cache.getToolCounters('check')).toMatchObject({ misses: 3, staleHits: 2 });
+    });
+
+    test('keys on the arguments selected by the policy', async () => {
+        const policy = { ...POLICY, key: args => ({ name: args.name }) };
+        const compute = jest.fn(async () => 'result');
+
+        await cache.wrap('check', { name: 'redis', requestId: 1 }, policy, compute);
+        await cache.wrap('check', { name: 'redis', requestId: 2 }, policy, compute);
+
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('invalidates one call, one tool or everything', async () => {
+        await cache.wrap('a', { x: 1 }, POLICY, async () => 1);
+        await cache.wrap('a', { x: 2 }, POLICY, async () => 2);
+        await cache.wrap('b', {}, POLICY, async () => 3);
+
+        await expect(cache.invalidate({ tool: 'a', args: { x: 1 }, policy: POLICY })).resolves.toBe(1);
+        await expect(cache.invalidate({ tool: 'a' })).resolves.toBe(1);
+        await expect(cache.invalidate()).resolves.toBe(1);
+        await expect(cache.backend.list()).resolves.toEqual([]);
+    });
+});
+
+describe('MemoryCacheBackend', () => {
+    test('evicts the least recently used entry', async () => {
+        const backend = new MemoryCacheBackend({ maxEntries: 2 });
+        await backend.set('a', { key: 'a' });
+        await backend.set('b', { key: 'b' });
+        await backend.get('a');
+        await backend.set('c', { key: 'c' });
+
+        await expect(backend.get('b')).resolves.toBeNull();
+        expect((await backend.list()).map(entry => entry.key)).toEqual(['a', 'c']);
+    });
+});
+
+describe('FileCacheBackend', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-cache-test-')), 'cache');
+    });
+
+    afterEach(async () => {
+        await fs.rm(path.dirname(directory), { recursive: true, force: true });
+    });
+
+    test('keeps entries across instances and ignores unreadable ones', async () => {
+        const cache = new ToolResultCache({ backend: new FileCacheBackend({ directory }) });
+        await cache.wrap('check', { name: 'redis' }, POLICY, async () => ({ latest: '7.2' }));
+
+        const restarted = new ToolResultCache({ backend: new FileCacheBackend({ directory }) });
+        const compute = jest.fn();
+        await expect(restarted.wrap('check', { name: 'redis' }, POLICY, compute)).resolves.toEqual({ latest: '7.2' });
+        expect(compute).not.toHaveBeenCalled();
+
+        const backend = new FileCacheBackend({ directory });
+        jest.spyOn(backend.logger, 'warn').mockImplementation(() => {});
+        await fs.writeFile(backend.fileFor('broken'), '{');
+        await expect(backend.get('broken')).resolves.toBeNull();
+        await expect(restarted.invalidate()).resolves.toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const QUANTILES = [0.5, 0.95, 0.99];
+
+/**
+ * ToolUsageStats - Statistiques d'utilisation des outils MCP
+ * Appels, succès/erreurs, latences p50/p95/p99 (sur les derniers appels), dernière erreur,
+ * dernière utilisation ; persistance optionnelle et export Prometheus
+ */
+class ToolUsageStats {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('ToolUsageStats');
+        this.maxSamples = options.maxSamples || 1000;
+        this.persistPath = options.persistPath || null;
+        this.saveDelay = options.saveDelay || 5000;
+
+        this.tools = new Map();
+        this.since = new Date().toISOString();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Record one tool call. `duration` in ms.
+     */
+    record(toolName, { duration, success, error = null }) {
+        const stats = this.getOrCreate(toolName);
+        const now = new Date().toISOString();
+
+        stats.calls++;
+        stats.totalDuration += duration;
+        stats.maxDuration = Math.max(stats.maxDuration, duration);
+        stats.lastUsed = now;
+
+        if (success) {
+            stats.successes++;
+        } else {
+            stats.errors++;
+            stats.lastError = {
+                message: error?.message || String(error),
+                code: error?.code || null,
+                at: now
+            };
+        }
+
+        // Fenêtre glissante : les percentiles reflètent les derniers appels
+        stats.samples.push(duration);
+        if (stats.samples.length > this.maxSamples) {
+            stats.samples.shift();
+        }
+
+        this.scheduleSave();
+    }
+
+    getOrCreate(toolName) {
+        if (!this.tools.has(toolName)) {
+            this.tools.set(toolName, {
+                calls: 0,
+                successes: 0,
+                errors: 0,
+                totalDuration: 0,
+                maxDuration: 0,
+                samples: [],
+                lastUsed: null,
+                lastError: null
+            });
+        }
+        return this.tools.get(toolName);
+    }
+
+    getToolStats(toolName) {
+        const stats = this.tools.get(toolName);
+        if (!stats) {
+            return null;
+        }
+
+        const sorted = [...stats.samples].sort((a, b) => a - b);
+        return {
+            calls: stats.calls,
+            successes: stats.successes,
+            errors: stats.errors,
+            errorRate: stats.calls > 0 ? stats.errors / stats.calls : 0,
+            latency: {
+                avg: stats.calls > 0 ? Math.round(stats.totalDuration / stats.calls) : 0,
+                p50: this.percentile(sorted, 0.5),
+                p95: this.percentile(sorted, 0.95),
+                p99: this.percentile(sorted, 0.99),
+                max: stats.maxDuration
+            },
+            lastUsed: stats.lastUsed,
+            lastError: stats.lastError
+        };
+    }
+
+    /**
+     * Nearest-rank percentile of an ascending array
+     */
+    percentile(sorted, quantile) {
+        if (sorted.length === 0) {
+            return 0;
+        }
+        const rank = Math.ceil(quantile * sorted.length) - 1;
+        return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+    }
+
+    snapshot() {
+        const tools = {};
+        const totals = { calls: 0, successes: 0, errors: 0 };
+
+        for (const toolName of this.tools.keys()) {
+            const stats = this.getToolStats(toolName);
+            tools[toolName] = stats;
+            totals.calls += stats.calls;
+            totals.successes += stats.successes;
+            totals.errors += stats.errors;
+        }
+
+        return { since: this.since, totals, tools };
+    }
+
+    /**
+     * Tools sorted by a metric: 'p95' (slowest), 'errorRate' (least reliable) or 'calls' (busiest)
+     */
+    top(metric, limit = 5) {
+        const value = stats => (metric === 'p95' ? stats.latency.p95 : stats[metric]);
+
+        return Array.from(this.tools.keys())
+            .map(toolName => ({ tool: toolName, ...this.getToolStats(toolName) }))
+            .filter(stats => stats.calls > 0 && value(stats) > 0)
+            .sort((a, b) => value(b) - value(a))
+            .slice(0, limit);
+    }
+
+    /**
+     * Prometheus text exposition format
+     */
+    toPrometheus(prefix = 'autoweave_mcp') {
+        const lines = [
+            `# HELP ${prefix}_tool_calls_total Tool calls by outcome`,
+            `# TYPE ${prefix}_tool_calls_total counter`
+        ];
+        for (const [toolName, stats] of this.tools) {
+            const tool = this.escapeLabel(toolName);
+            lines.push(`${prefix}_tool_calls_total{tool="${tool}",status="success"} ${stats.successes}`);
+            lines.push(`${prefix}_tool_calls_total{tool="${tool}",status="error"} ${stats.errors}`);
+        }
+
+        lines.push(`# HELP ${prefix}_tool_duration_seconds Tool call latency`);
+        lines.push(`# TYPE ${prefix}_tool_duration_seconds summary`);
+        for (const [toolName, stats] of this.tools) {
+            const tool = this.escapeLabel(toolName);
+            const sorted = [...stats.samples].sort((a, b) => a - b);
+            QUANTILES.forEach(quantile => {
+                lines.push(`${prefix}_tool_duration_seconds{tool="${tool}",quantile="${quantile}"} ${this.percentile(sorted, quantile) / 1000}`);
+            });
+            lines.push(`${prefix}_tool_duration_seconds_sum{tool="${tool}"} ${stats.totalDuration / 1000}`);
+            lines.push(`${prefix}_tool_duration_seconds_count{tool="${tool}"} ${stats.calls}`);
+        }
+
+        lines.push(`# HELP ${prefix}_tool_last_used_timestamp_seconds Last call of the tool`);
+        lines.push(`# TYPE ${prefix}_tool_last_used_timestamp_seconds gauge`);
+        for (const [toolName, stats] of this.tools) {
+            if (stats.lastUsed) {
+                lines.push(`${prefix}_tool_last_used_timestamp_seconds{tool="${this.escapeLabel(toolName)}"} ${Date.parse(stats.lastUsed) / 1000}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    escapeLabel(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Restore persisted statistics (no-op without persistPath or file)
+     */
+    async load() {
+        if (!this.persistPath) {
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.persistPath, 'utf8'));
+            this.since = data.since || this.since;
+            Object.entries(data.tools || {}).forEach(([toolName, stats]) => {
+                this.tools.set(toolName, { ...this.getOrCreate(toolName), ...stats });
+            });
+            this.logger.info(`📈 Restored usage statistics of ${this.tools.size} tools`);
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Cannot restore tool usage statistics from ${this.persistPath}:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    scheduleSave() {
+        if (!this.persistPath || this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+        this.saveTimer.unref();
+    }
+
+    async save() {
+        if (!this.persistPath) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = { since: this.since, tools: Object.fromEntries(this.tools) };
+        const tmpPath = `${this.persistPath}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.persistPath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(data));
+            await fs.rename(tmpPath, this.persistPath);
+        } catch (error) {
+            this.logger.warn(`Cannot persist tool usage statistics to ${this.persistPath}:`, error.message);
+        }
+    }
+}
+
+module.exports = { ToolUsageStats };
\ No newline at end of file
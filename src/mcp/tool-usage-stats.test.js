@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ToolUsageStats } = require('./tool-usage-stats');
+
+const NOW = new Date('2026-01-01T00:00:00.000Z');
+
+// Appels de durées 10, 20, ... ms, le dernier en échec si `failLast`
+const recordCalls = (stats, toolName, count, failLast = false) => {
+    for (let call = 1; call <= count; call++) {
+        const failed = failLast && call === count;
+        stats.record(toolName, { duration: call * 10, success: !failed, error: failed ? Object.assign(new Error('registry down'), { code: 'E_DOWN' }) : null });
+    }
+};
+
+describe('ToolUsageStats', () => {
+    let stats;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        stats = new ToolUsageStats();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('counts calls and outcomes with nearest-rank latencies', () => {
+        recordCalls(stats, 'search', 10, true);
+
+        expect(stats.getToolStats('search')).toEqual({
+            calls: 10,
+            successes: 9,
+            errors: 1,
+            errorRate: 0.1,
+            latency: { avg: 55, p50: 50, p95: 100, p99: 100, max: 100 },
+            lastUsed: NOW.toISOString(),
+            lastError: { message: 'registry down', code: 'E_DOWN', at: NOW.toISOString() }
+        });
+        expect(stats.getToolStats('unknown')).toBeNull();
+        expect(stats.snapshot().totals).toEqual({ calls: 10, successes: 9, errors: 1 });
+    });
+
+    test('computes percentiles over the last samples only', () => {
+        stats = new ToolUsageStats({ maxSamples: 3 });
+        recordCalls(stats, 'search', 10);
+        recordCalls(stats, 'status', 2, true);
+
+        expect(stats.getToolStats('search').latency).toEqual({ avg: 55, p50: 90, p95: 100, p99: 100, max: 100 });
+        expect(stats.top('calls').map(entry => entry.tool)).toEqual(['search', 'status']);
+        expect(stats.top('errorRate').map(entry => entry.tool)).toEqual(['status']);
+        expect(stats.top('p95', 1).map(entry => entry.tool)).toEqual(['search']);
+    });
+
+    test('exports counters, latency summaries and last use in the Prometheus format', () => {
+        recordCalls(stats, 'search', 4, true);
+        stats.record('say "hi"', { duration: 1500, success: true });
+
+        expect(stats.toPrometheus().split('\n')).toEqual([
+            '# HELP autoweave_mcp_tool_calls_total Tool calls by outcome',
+            '# TYPE autoweave_mcp_tool_calls_total counter',
+            'autoweave_mcp_tool_calls_total{tool="search",status="success"} 3',
+            'autoweave_mcp_tool_calls_total{tool="search",status="error"} 1',
+            'autoweave_mcp_tool_calls_total{tool="say \\"hi\\"",status="success"} 1',
+            'autoweave_mcp_tool_calls_total{tool="say \\"hi\\"",status="error"} 0',
+            '# HELP autoweave_mcp_tool_duration_seconds Tool call latency',
+            '# TYPE autoweave_mcp_tool_duration_seconds summary',
+            'autoweave_mcp_tool_duration_seconds{tool="search",quantile="0.5"} 0.02',
+            'autoweave_mcp_tool_duration_seconds{tool="search",quantile="0.95"} 0.04',
+            'autoweave_mcp_tool_duration_seconds{tool="search",quantile="0.99"} 0.04',
+            'autoweave_mcp_tool_duration_seconds_sum{tool="search"} 0.1',
+            'autoweave_mcp_tool_duration_seconds_count{tool="search"} 4',
+            'autoweave_mcp_tool_duration_seconds{tool="say \\"hi\\"",quantile="0.5"} 1.5',
+            'autoweave_mcp_tool_duration_seconds{tool="say \\"hi\\"",quantile="0.95"} 1.5',
+            'autoweave_mcp_tool_duration_seconds{tool="say \\"hi\\"",quantile="0.99"} 1.5',
+            'autoweave_mcp_tool_duration_seconds_sum{tool="say \\"hi\\""} 1.5',
+            'autoweave_mcp_tool_duration_seconds_count{tool="say \\"hi\\""} 1',
+            '# HELP autoweave_mcp_tool_last_used_timestamp_seconds Last call of the tool',
+            '# TYPE autoweave_mcp_tool_last_used_timestamp_seconds gauge',
+            `autoweave_mcp_tool_last_used_timestamp_seconds{tool="search"} ${NOW.getTime() / 1000}`,
+            `autoweave_mcp_tool_last_used_timestamp_seconds{tool="say \\"hi\\""} ${NOW.getTime() / 1000}`,
+            ''
+        ]);
+        expect(stats.toPrometheus('agents').split('\n')[2]).toBe('agents_tool_calls_total{tool="search",status="success"} 3');
+    });
+
+    test('persists the statistics and restores them', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-usage-stats-test-'));
+        const persistPath = path.join(directory, 'stats', 'usage.json');
+        try {
+            stats = new ToolUsageStats({ persistPath });
+            recordCalls(stats, 'search', 3, true);
+            await stats.save();
+
+            const restored = new ToolUsageStats({ persistPath, logger: { info: () => {} } });
+            await expect(restored.load()).resolves.toBe(true);
+            expect(restored.since).toBe(stats.since);
+            expect(restored.getToolStats('search')).toEqual(stats.getToolStats('search'));
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const Ajv = require('ajv');
+
+class ToolValidationError extends Error {
+    constructor(toolName, errors) {
+        super(`Invalid arguments for tool ${toolName}: ${errors.map(e => `${e.field || '(root)'} ${e.message}`).join('; ')}`);
+        this.name = 'ToolValidationError';
+        this.code = 'INVALID_TOOL_INPUT';
+        this.toolName = toolName;
+        this.errors = errors;
+    }
+
+    toJSON() {
+        return {
+            error: `Invalid arguments for tool ${this.toolName}`,
+            code: this.code,
+            errors: this.errors
+        };
+    }
+}
+
+/**
+ * ToolInputValidator - Valide les arguments d'un outil MCP contre son inputSchema
+ * Applique les valeurs par défaut déclarées et renvoie des erreurs par champ
+ */
+class ToolInputValidator {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+        this.compiled = new Map();
+    }
+
+    /**
+     * Validate input against the tool schema.
+     * Returns a copy of the input with defaults applied, throws ToolValidationError otherwise.
+     */
+    validate(toolName, schema, input) {
+        const value = input === undefined || input === null ? {} : structuredClone(input);
+        if (!schema) {
+            return value;
+        }
+
+        const validate = this.getValidator(toolName, schema);
+        if (!validate(value)) {
+            throw new ToolValidationError(toolName, this.formatErrors(validate.errors));
+        }
+
+        return value;
+    }
+
+    getValidator(toolName, schema) {
+        const cached = this.compiled.get(toolName);
+        if (cached && cached.schema === schema) {
+            return cached.validate;
+        }
+
+        const validate = this.ajv.compile(schema);
+        this.compiled.set(toolName, { schema, validate });
+        return validate;
+    }
+
+    /**
+     * Drop the compiled schema of a tool (after it was removed or redefined)
+     */
+    forget(toolName) {
+        this.compiled.delete(toolName);
+    }
+
+    formatErrors(errors = []) {
+        return errors.map(error => {
+            const segments = error.instancePath.split('/').filter(Boolean);
+            if (error.keyword === 'required') {
+                segments.push(error.params.missingProperty);
+            } else if (error.keyword === 'additionalProperties') {
+                segments.push(error.params.additionalProperty);
+            }
+
+            const formatted = {
+                field: segments.join('.'),
+                message: error.keyword === 'required' ? 'is required' : error.message,
+                keyword: error.keyword
+            };
+            if (error.keyword === 'enum') {
+                formatted.allowedValues = error.params.allowedValues;
+            }
+            return formatted;
+        });
+    }
+}
+
+module.exports = { ToolInputValidator, ToolValidationError };
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { ToolInputValidator, ToolValidationError } = require('./tool-validator');
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', minLength: 1 },
+        limit: { type: 'integer', default: 10 },
+        registry: { type: 'string', enum: ['npm', 'docker'] },
+        options: {
+            type: 'object',
+            properties: { depth: { type: 'integer', minimum: 0 } },
+            additionalProperties: false
+        }
+    },
+    required: ['query']
+};
+
+describe('ToolInputValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new ToolInputValidator();
+    });
+
+    test('returns a copy of the input with the schema defaults', () => {
+        const input = { query: 'redis' };
+
+        const value = validator.validate('search', SCHEMA, input);
+
+        expect(value).toEqual({ query: 'redis', limit: 10 });
+        expect(input).toEqual({ query: 'redis' });
+    });
+
+    test('accepts missing arguments when nothing is required, and anything without a schema', () => {
+        expect(validator.validate('list', { type: 'object', properties: { all: { type: 'boolean', default: false } } }, undefined)).toEqual({ all: false });
+        expect(validator.validate('raw', null, { any: 'thing' })).toEqual({ any: 'thing' });
+    });
+
+    test('reports every invalid field with its path', () => {
+        let error;
+        try {
+            validator.validate('search', SCHEMA, { limit: 'ten', registry: 'pypi', options: { depth: -1, extra: true } });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(ToolValidationError);
+        expect(error.code).toBe('INVALID_TOOL_INPUT');
+        expect(error.errors).toEqual(expect.arrayContaining([
+            { field: 'query', message: 'is required', keyword: 'required' },
+            expect.objectContaining({ field: 'limit', keyword: 'type' }),
+            expect.objectContaining({ field: 'registry', keyword: 'enum', allowedValues: ['npm', 'docker'] }),
+            expect.objectContaining({ field: 'options.depth', keyword: 'minimum' }),
+            expect.objectContaining({ field: 'options.extra', keyword: 'additionalProperties' })
+        ]));
+        expect(error.message).toMatch(/^Invalid arguments for tool search: /);
+        expect(error.toJSON()).toEqual({ error: 'Invalid arguments for tool search', code: 'INVALID_TOOL_INPUT', errors: error.errors });
+    });
+
+    test('recompiles a tool whose schema changed, and after forget()', () => {
+        validator.validate('tool', SCHEMA, { query: 'a' });
+        const stricter = { ...SCHEMA, properties: { ...SCHEMA.properties, query: { type: 'string', minLength: 5 } } };
+
+        expect(() => validator.validate('tool', stricter, { query: 'a' })).toThrow(ToolValidationError);
+
+        validator.forget('tool');
+        expect(validator.compiled.has('tool')).toBe(false);
+        expect(validator.validate('tool', SCHEMA, { query: 'a' })).toEqual({ query: 'a', limit: 10 });
+    });
+});
\ No newline at end of file
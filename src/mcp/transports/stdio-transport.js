@@ -0,0 +1,112 @@
+const readline = require('readline');
+const { Logger } = require('../../utils/logger');
+const { JSON_RPC_VERSION, JsonRpcError } = require('../json-rpc');
+
+/**
+ * StdioTransport - Transport MCP sur stdin/stdout
+ * Un message JSON-RPC par ligne (newline-delimited JSON), stdout réservé au protocole
+ */
+class StdioTransport {
+    constructor(dispatcher, options = {}) {
+        this.dispatcher = dispatcher;
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.logger = options.logger || new Logger('StdioTransport');
+
+        this.reader = null;
+        this.pending = new Set();
+        this.isRunning = false;
+        this.closed = new Promise(resolve => { this.resolveClosed = resolve; });
+    }
+
+    /**
+     * Start reading messages from the input stream
+     */
+    start() {
+        if (this.isRunning) {
+            return this.closed;
+        }
+
+        this.reader = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+        this.reader.on('line', line => this.handleLine(line));
+        this.reader.on('close', () => this.finish());
+
+        this.isRunning = true;
+        this.logger.info('MCP stdio transport started');
+        return this.closed;
+    }
+
+    async handleLine(line) {
+        if (!line.trim()) {
+            return;
+        }
+
+        const task = this.processLine(line);
+        this.pending.add(task);
+        try {
+            await task;
+        } finally {
+            this.pending.delete(task);
+        }
+    }
+
+    async processLine(line) {
+        let message;
+        try {
+            message = this.dispatcher.parse(line);
+        } catch (error) {
+            this.send({ jsonrpc: JSON_RPC_VERSION, id: null, error: error instanceof JsonRpcError ? error.toJSON() : { code: -32700, message: 'Parse error' } });
+            return;
+        }
+
+        try {
+            const response = await this.dispatcher.handle(message, {
+                transport: 'stdio',
+                notify: (method, params) => this.notify(method, params)
+            });
+            if (response !== null) {
+                this.send(response);
+            }
+        } catch (error) {
+            this.logger.error('Failed to handle stdio message:', error.message);
+        }
+    }
+
+    /**
+     * Send a server-initiated notification
+     */
+    notify(method, params = {}) {
+        this.send({ jsonrpc: JSON_RPC_VERSION, method, params });
+    }
+
+    /**
+     * stdio has a single client: broadcasting is notifying
+     */
+    broadcast(method, params = {}) {
+        this.notify(method, params);
+    }
+
+    send(message) {
+        if (!this.isRunning) {
+            return;
+        }
+        this.output.write(JSON.stringify(message) + '\n');
+    }
+
+    async finish() {
+        // Let in-flight requests answer before reporting the transport as closed
+        await Promise.allSettled(Array.from(this.pending));
+        this.isRunning = false;
+        this.logger.info('MCP stdio transport closed');
+        this.resolveClosed();
+    }
+
+    close() {
+        if (this.reader) {
+            this.reader.close();
+        }
+        return this.closed;
+    }
+}
+
+module.exports = { StdioTransport };
\ No newline at end of file
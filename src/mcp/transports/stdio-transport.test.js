@@ -0,0 +1,77 @@
+const { PassThrough } = require('stream');
+const { StdioTransport } = require('./stdio-transport');
+const { createMCPDispatcher } = require('../protocol');
+
+describe('StdioTransport', () => {
+    let input;
+    let output;
+    let lines;
+    let transport;
+
+    const nextLine = () => new Promise(resolve => {
+        if (lines.length > 0) {
+            return resolve(lines.shift());
+        }
+        output.once('line', () => resolve(lines.shift()));
+    });
+
+    beforeEach(() => {
+        input = new PassThrough();
+        output = new PassThrough();
+        lines = [];
+        output.on('data', chunk => chunk.toString().split('\n').filter(Boolean).forEach(line => {
+            lines.push(JSON.parse(line));
+            output.emit('line');
+        }));
+
+        const dispatcher = createMCPDispatcher({
+            listTools: async () => ({ tools: [{ name: 'echo', inputSchema: { type: 'object' } }] }),
+            callTool: async (name, args, context) => {
+                context.notify('notifications/message', { level: 'info', data: 'calling' });
+                return args;
+            }
+        });
+        transport = new StdioTransport(dispatcher, { input, output });
+        transport.start();
+    });
+
+    afterEach(async () => {
+        input.end();
+        await transport.closed;
+    });
+
+    test('answers one JSON-RPC message per line', async () => {
+        input.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }) + '\n');
+
+        await expect(nextLine()).resolves.toEqual({
+            jsonrpc: '2.0',
+            id: 1,
+            result: { tools: [{ name: 'echo', inputSchema: { type: 'object' } }] }
+        });
+    });
+
+    test('writes notifications from a call before its response', async () => {
+        input.write(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } } }) + '\n');
+
+        await expect(nextLine()).resolves.toEqual({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'calling' } });
+        await expect(nextLine()).resolves.toMatchObject({ id: 2, result: { isError: false } });
+    });
+
+    test('reports unparsable lines and ignores blank lines and notifications', async () => {
+        input.write('\n');
+        input.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+        input.write('{not json\n');
+
+        await expect(nextLine()).resolves.toMatchObject({ id: null, error: { code: -32700 } });
+        expect(lines).toEqual([]);
+    });
+
+    test('lets in-flight requests answer before closing', async () => {
+        input.write(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'ping' }) + '\n');
+        input.end();
+        await transport.closed;
+
+        expect(lines).toContainEqual({ jsonrpc: '2.0', id: 3, result: {} });
+        expect(transport.isRunning).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,266 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../../utils/logger');
+const { JSON_RPC_VERSION, JsonRpcError, JsonRpcErrorCodes } = require('../json-rpc');
+
+const SESSION_HEADER = 'mcp-session-id';
+
+/**
+ * StreamableHttpTransport - Transport MCP "Streamable HTTP"
+ * POST pour les messages client, GET pour le flux SSE des notifications serveur,
+ * DELETE pour fermer une session. Émet 'session-closed' (sessionId) à la fermeture d'une session.
+ */
+class StreamableHttpTransport extends EventEmitter {
+    constructor(dispatcher, options = {}) {
+        super();
+        this.dispatcher = dispatcher;
+        this.logger = options.logger || new Logger('StreamableHttpTransport');
+        this.path = options.path || '/mcp';
+        this.sessionTtl = options.sessionTtl || 30 * 60 * 1000;
+        this.keepAliveInterval = options.keepAliveInterval || 15000;
+        this.accessControl = options.accessControl || null;
+
+        this.sessions = new Map();
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Register the MCP routes on an express app
+     */
+    mount(app) {
+        // Authentification avant tout message MCP (req.mcpClient)
+        if (this.accessControl) {
+            app.all(this.path, this.accessControl.middleware());
+        }
+
+        app.post(this.path, (req, res) => this.handlePost(req, res));
+        app.get(this.path, (req, res) => this.handleGet(req, res));
+        app.delete(this.path, (req, res) => this.handleDelete(req, res));
+
+        // Malformed JSON bodies must come back as JSON-RPC parse errors
+        app.use(this.path, (err, req, res, next) => {
+            if (err.type !== 'entity.parse.failed') {
+                return next(err);
+            }
+            res.status(400).json(this.errorMessage(new JsonRpcError(JsonRpcErrorCodes.PARSE_ERROR, 'Parse error', err.message)));
+        });
+
+        this.cleanupTimer = setInterval(() => this.expireSessions(), Math.min(this.sessionTtl, 60000));
+        this.cleanupTimer.unref();
+
+        this.logger.info(`Streamable HTTP transport mounted on ${this.path}`);
+        return this;
+    }
+
+    async handlePost(req, res) {
+        const payload = req.body;
+        const messages = Array.isArray(payload) ? payload : [payload];
+        const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+        let session = null;
+        const sessionId = req.get(SESSION_HEADER);
+        const client = req.mcpClient || null;
+
+        if (sessionId) {
+            session = this.sessions.get(sessionId);
+            // Une session n'est utilisable que par le client qui l'a ouverte
+            if (!session || !this.ownsSession(session, client)) {
+                return res.status(404).json(this.errorMessage(new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, `Unknown session: ${sessionId}`)));
+            }
+        } else if (isInitialize) {
+            session = this.createSession(client);
+        }
+        // Requests without a session are served statelessly
+
+        if (session) {
+            session.lastSeen = Date.now();
+            res.set('Mcp-Session-Id', session.id);
+        }
+
+        const hasRequests = messages.some(message => message && Object.prototype.hasOwnProperty.call(message, 'id'));
+        if (!hasRequests) {
+            // Notifications seules : 202, sauf si le dispatcher a rejeté un message (invalide, sans id)
+            const response = await this.dispatcher.handle(payload, this.createContext(session, null, client));
+            if (response === null) {
+                return res.status(202).end();
+            }
+            return res.status(400).json(response);
+        }
+
+        // Connexion fermée avant la réponse : le travail en cours est annulé
+        const disconnect = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                disconnect.abort();
+            }
+        });
+        
+        // Stream the answer over SSE when the client accepts it and asked for progress
+        const wantsProgress = messages.some(message => message?.params?._meta?.progressToken !== undefined);
+        if (wantsProgress && this.acceptsEventStream(req)) {
+            this.openEventStream(res);
+            const response = await this.dispatcher.handle(payload, this.createContext(session, res, client, disconnect.signal));
+            if (response !== null) {
+                this.writeEvent(res, response);
+            }
+            return res.end();
+        }
+
+        const response = await this.dispatcher.handle(payload, this.createContext(session, null, client, disconnect.signal));
+        if (response === null) {
+            return res.status(202).end();
+        }
+        res.json(response);
+    }
+
+    handleGet(req, res) {
+        if (!this.acceptsEventStream(req)) {
+            return res.status(406).json(this.errorMessage(new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'GET requires Accept: text/event-stream')));
+        }
+
+        const session = this.sessions.get(req.get(SESSION_HEADER));
+        if (!session || !this.ownsSession(session, req.mcpClient)) {
+            return res.status(400).json(this.errorMessage(new JsonRpcError(JsonRpcErrorCodes.INVALID_REQUEST, 'A valid Mcp-Session-Id header is required')));
+        }
+
+        this.openEventStream(res, session.id);
+        session.streams.add(res);
+        session.lastSeen = Date.now();
+
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), this.keepAliveInterval);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            session.streams.delete(res);
+            session.lastSeen = Date.now();
+        });
+
+        this.logger.debug(`SSE stream opened for session ${session.id}`);
+    }
+
+    handleDelete(req, res) {
+        const sessionId = req.get(SESSION_HEADER);
+        const session = this.sessions.get(sessionId);
+        if (!session || !this.ownsSession(session, req.mcpClient)) {
+            return res.status(404).end();
+        }
+
+        this.closeSession(sessionId);
+        res.status(204).end();
+    }
+
+    createSession(client = null) {
+        const session = {
+            id: uuidv4(),
+            clientId: client ? client.id : null,
+            createdAt: Date.now(),
+            lastSeen: Date.now(),
+            streams: new Set()
+        };
+        this.sessions.set(session.id, session);
+        this.logger.info(`MCP session created: ${session.id}`);
+        return session;
+    }
+
+    ownsSession(session, client) {
+        return session.clientId === (client ? client.id : null);
+    }
+
+    closeSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        session.streams.forEach(stream => stream.end());
+        session.streams.clear();
+        this.sessions.delete(sessionId);
+        this.logger.info(`MCP session closed: ${sessionId}`);
+        this.emit('session-closed', sessionId);
+    }
+
+    expireSessions() {
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            if (session.streams.size === 0 && now - session.lastSeen > this.sessionTtl) {
+                this.closeSession(session.id);
+            }
+        }
+    }
+
+    /**
+     * Request context: notifications go to the POST stream when one is open,
+     * otherwise to the session's standalone SSE streams. `signal` aborts when the client disconnects.
+     */
+    createContext(session, stream, client = null, signal = undefined) {
+        return {
+            transport: 'http',
+            sessionId: session ? session.id : null,
+            client,
+            signal,
+            notify: (method, params = {}) => {
+                const message = { jsonrpc: JSON_RPC_VERSION, method, params };
+                if (stream && !stream.writableEnded) {
+                    this.writeEvent(stream, message);
+                } else if (session) {
+                    this.sendToSession(session, message);
+                }
+            }
+        };
+    }
+
+    /**
+     * Send a notification to every connected session
+     */
+    broadcast(method, params = {}) {
+        const message = { jsonrpc: JSON_RPC_VERSION, method, params };
+        for (const session of this.sessions.values()) {
+            this.sendToSession(session, message);
+        }
+    }
+
+    notifySession(sessionId, method, params = {}) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            this.sendToSession(session, { jsonrpc: JSON_RPC_VERSION, method, params });
+        }
+    }
+
+    sendToSession(session, message) {
+        session.streams.forEach(stream => this.writeEvent(stream, message));
+    }
+
+    openEventStream(res, sessionId = null) {
+        const headers = {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        };
+        if (sessionId) {
+            headers['Mcp-Session-Id'] = sessionId;
+        }
+        res.writeHead(200, headers);
+        res.flushHeaders();
+    }
+
+    writeEvent(res, message) {
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+
+    acceptsEventStream(req) {
+        return (req.get('accept') || '').includes('text/event-stream');
+    }
+
+    errorMessage(error) {
+        return { jsonrpc: JSON_RPC_VERSION, id: null, error: error.toJSON() };
+    }
+
+    close() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+        Array.from(this.sessions.keys()).forEach(sessionId => this.closeSession(sessionId));
+    }
+}
+
+module.exports = { StreamableHttpTransport };
\ No newline at end of file
@@ -0,0 +1,141 @@
+const express = require('express');
+const { StreamableHttpTransport } = require('./streamable-http-transport');
+const { createMCPDispatcher } = require('../protocol');
+const { AccessControl } = require('../access-control');
+
+describe('StreamableHttpTransport', () => {
+    let server;
+    let transport;
+    let url;
+
+    const start = async (options = {}) => {
+        const app = express();
+        app.use(express.json());
+        const dispatcher = createMCPDispatcher({
+            listTools: async (params, context) => ({ tools: [], client: context.client ? context.client.id : null }),
+            callTool: async (name, args, context) => {
+                context.reportProgress?.({ message: 'working' });
+                return { name, args };
+            }
+        });
+        transport = new StreamableHttpTransport(dispatcher, options).mount(app);
+        await new Promise(resolve => { server = app.listen(0, resolve); });
+        url = `http://localhost:${server.address().port}/mcp`;
+    };
+
+    const post = (body, headers = {}) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    afterEach(async () => {
+        transport.close();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('serves requests without a session statelessly', async () => {
+        await start();
+
+        const res = await post({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get('mcp-session-id')).toBeNull();
+        await expect(res.json()).resolves.toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    });
+
+    test('opens a session on initialize and closes it on DELETE', async () => {
+        await start();
+        const closed = jest.fn();
+        transport.on('session-closed', closed);
+
+        const init = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+        const sessionId = init.headers.get('mcp-session-id');
+        expect(sessionId).toBeTruthy();
+
+        const ping = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+        expect(ping.status).toBe(200);
+
+        const deleted = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+        expect(deleted.status).toBe(204);
+        expect(closed).toHaveBeenCalledWith(sessionId);
+
+        const unknown = await post({ jsonrpc: '2.0', id: 3, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+        expect(unknown.status).toBe(404);
+    });
+
+    test('answers 202 to notifications and returns the errors of invalid id-less messages', async () => {
+        await start();
+
+        const notification = await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        expect(notification.status).toBe(202);
+
+        const invalid = await post({ method: 'ping' });
+        expect(invalid.status).toBe(400);
+        await expect(invalid.json()).resolves.toMatchObject({ id: null, error: { code: -32600 } });
+    });
+
+    test('maps malformed JSON to a parse error', async () => {
+        await start();
+
+        const res = await post('{oops');
+
+        expect(res.status).toBe(400);
+        await expect(res.json()).resolves.toMatchObject({ id: null, error: { code: -32700 } });
+    });
+
+    test('streams progress and the response over SSE when asked', async () => {
+        await start();
+
+        const res = await post(
+            { jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 }, _meta: { progressToken: 't' } } },
+            { Accept: 'application/json, text/event-stream' }
+        );
+
+        expect(res.headers.get('content-type')).toContain('text/event-stream');
+        const events = (await res.text()).split('\n\n').filter(Boolean).map(event => JSON.parse(event.split('data: ')[1]));
+        expect(events[0]).toMatchObject({ method: 'notifications/progress', params: { progressToken: 't', message: 'working' } });
+        expect(events[1]).toMatchObject({ id: 5, result: { isError: false } });
+    });
+
+    test('broadcasts notifications to the SSE stream of each session', async () => {
+        await start();
+        const init = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+        const sessionId = init.headers.get('mcp-session-id');
+
+        const controller = new AbortController();
+        const stream = await fetch(url, { headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }, signal: controller.signal });
+        const reader = stream.body.getReader();
+        transport.broadcast('notifications/tools/list_changed');
+
+        const { value } = await reader.read();
+        expect(new TextDecoder().decode(value)).toContain('"method":"notifications/tools/list_changed"');
+        controller.abort();
+
+        const noSession = await fetch(url, { headers: { Accept: 'text/event-stream' } });
+        expect(noSession.status).toBe(400);
+    });
+
+    test('authenticates clients and binds sessions to them', async () => {
+        const accessControl = new AccessControl({
+            clients: [
+                { id: 'a', apiKey: 'key-a', tools: ['*'] },
+                { id: 'b', apiKey: 'key-b', tools: ['*'] }
+            ]
+        });
+        await start({ accessControl });
+
+        const anonymous = await post({ jsonrpc: '2.0', id: 1, method: 'ping' });
+        expect(anonymous.status).toBe(401);
+        await expect(anonymous.json()).resolves.toMatchObject({ error: { code: -32001 } });
+
+        const init = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { 'X-API-Key': 'key-a' });
+        const sessionId = init.headers.get('mcp-session-id');
+
+        const own = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'X-API-Key': 'key-a', 'Mcp-Session-Id': sessionId });
+        await expect(own.json()).resolves.toMatchObject({ result: { client: 'a' } });
+
+        const other = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'X-API-Key': 'key-b', 'Mcp-Session-Id': sessionId });
+        expect(other.status).toBe(404);
+    });
+});
\ No newline at end of file
@@ -5,32 +5,88 @@
  */
 
 const { Logger } = require('../utils/logger');
-const { spawn } = require('child_process');
-const fetch = require('node-fetch');
+const { EventEmitter } = require('events');
+const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { JsonRpcError, JsonRpcErrorCodes } = require('./json-rpc');
+const { createMCPDispatcher } = require('./protocol');
+const { StreamableHttpTransport } = require('./transports/streamable-http-transport');
+const { ToolInputValidator, ToolValidationError } = require('./tool-validator');
+const { ToolPackLoader } = require('./tool-pack-loader');
+const { ToolUsageStats } = require('./tool-usage-stats');
+const { AccessControl } = require('./access-control');
+const { createCallSignal, raceWithSignal } = require('./cancellation');
+const { ToolResultCache, MemoryCacheBackend, FileCacheBackend } = require('./tool-result-cache');
+const { ResourceSubscriptions, createAutoWeaveResourceTemplates, agentResourceUris } = require('./resource-templates');
+const { AutoWeaveCoreClient } = require('../services/autoweave-core-client');
+const { CommandRunner, CommandError } = require('../utils/command-runner');
 
-class UnifiedAutoWeaveMCPServer {
-    constructor(autoweaveInstance) {
+const BUILTIN_TOOL_PACKS_DIR = path.join(__dirname, 'tool-packs');
+
+class UnifiedAutoWeaveMCPServer extends EventEmitter {
+    constructor(autoweaveInstance, options = {}) {
+        super();
         this.logger = new Logger('UnifiedMCPServer');
         this.autoweave = autoweaveInstance;
+        this.options = options;
         this.projectRoot = path.join(__dirname, '../..');
         
-        // Registre des outils internes
-        this.internalTools = new Map();
-        this.toolCategories = {
-            'memory': [],
-            'database': [],
-            'genetic': [],
-            'self-awareness': [],
-            'config': [],
-            'agents': [],
-            'debugging': [],
-            'files': [],
-            'search': [],
-            'monitoring': []
+        // Client de l'API core, injectable (core dans un autre pod, stub de test)
+        this.core = options.coreClient || new AutoWeaveCoreClient(options.core);
+        
+        // Exécution des binaires externes : argv uniquement, liste blanche, confinement au projet
+        this.pythonPath = path.join(this.projectRoot, 'venv/bin/python');
+        this.commandRunner = options.commandRunner || new CommandRunner({
+            root: this.projectRoot,
+            allowedCommands: [this.pythonPath, 'curl', ...(options.allowedCommands || [])],
+            timeout: options.commandTimeout,
+            maxOutput: options.commandMaxOutput
+        });
+        
+        this.serverInfo = {
+            name: 'autoweave-unified-mcp-server',
+            version: '1.0.0'
         };
         
+        // Registre des outils internes, alimenté par les packs d'outils
+        this.internalTools = new Map();
+        this.validator = new ToolInputValidator();
+        this.toolCategories = {};
+        this.toolPacks = new Map();
+        this.toolPackLoader = new ToolPackLoader(this, { logger: this.logger.child('packs') });
+        this.customToolPacksDir = options.toolPacksDir || process.env.AUTOWEAVE_TOOL_PACKS_DIR || null;
+        // Délai par défaut d'un appel d'outil, sauf timeout déclaré par l'outil ou demandé par l'appelant
+        this.toolTimeout = options.toolTimeout || parseInt(process.env.AUTOWEAVE_MCP_TOOL_TIMEOUT, 10) || 60000;
+        
+        // Authentification et politique d'accès des clients HTTP (désactivées sans clients configurés)
+        this.accessControl = AccessControl.from(options.accessControl, { logger: this.logger.child('access') });
+        
+        // Ressources paramétrées (agents, outils kagent, tâches ANP) et abonnements des clients
+        this.agentService = options.agentService || autoweaveInstance?.agentService || null;
+        this.resourceTemplates = createAutoWeaveResourceTemplates({
+            agentService: this.agentService,
+            kagentBridge: options.kagentBridge || autoweaveInstance?.kagentBridge,
+            tasks: options.anpTasks || autoweaveInstance?.anpServer?.anpTasks
+        });
+        this.resourceSubscriptions = new ResourceSubscriptions({ logger: this.logger.child('subscriptions') });
+        this.onAgentChanged = ({ agentId }) => this.publishAgentUpdate(agentId);
+        
+        // Statistiques d'utilisation, persistées si un fichier est configuré
+        this.usageStats = options.usageStats || new ToolUsageStats({
+            persistPath: options.statsFile || process.env.AUTOWEAVE_MCP_STATS_FILE || null,
+            logger: this.logger.child('stats')
+        });
+        
+        // Cache des résultats des outils déclarant une politique `cache` (LRU mémoire ou fichiers)
+        const cacheDir = options.cacheDir || process.env.AUTOWEAVE_MCP_CACHE_DIR || null;
+        this.resultCache = options.resultCache || new ToolResultCache({
+            backend: cacheDir
+                ? new FileCacheBackend({ directory: cacheDir, logger: this.logger.child('cache') })
+                : new MemoryCacheBackend({ maxEntries: options.cacheMaxEntries }),
+            logger: this.logger.child('cache')
+        });
+        
         this.initialized = false;
     }
     
@@ -38,6 +94,8 @@ class UnifiedAutoWeaveMCPServer {
         this.logger.info('🔧 Initializing Unified AutoWeave MCP Server...');
         
         try {
+            await this.usageStats.load();
+            
             // Découvrir et enregistrer tous les outils internes
             await this.discoverInternalTools();
             
@@ -50,6 +108,12 @@ class UnifiedAutoWeaveMCPServer {
             // Configurer les prompts MCP
             this.setupMCPPrompts();
             
+            // Changements de statut des agents -> notifications/resources/updated
+            if (this.agentService) {
+                this.agentService.on('agent-status-changed', this.onAgentChanged);
+                this.agentService.on('agent-updated', this.onAgentChanged);
+            }
+            
             this.initialized = true;
             this.logger.success('✅ Unified AutoWeave MCP Server initialized');
             
@@ -62,435 +126,207 @@ class UnifiedAutoWeaveMCPServer {
     async discoverInternalTools() {
         this.logger.info('🔍 Discovering all internal AutoWeave tools...');
         
-        // 1. MEMORY TOOLS
-        await this.registerMemoryTools();
-        
-        // 2. DATABASE TOOLS  
-        await this.registerDatabaseTools();
-        
-        // 3. GENETIC SYSTEM TOOLS
-        await this.registerGeneticTools();
-        
-        // 4. SELF-AWARENESS TOOLS
-        await this.registerSelfAwarenessTools();
-        
-        // 5. CONFIGURATION TOOLS
-        await this.registerConfigurationTools();
-        
-        // 6. AGENT TOOLS
-        await this.registerAgentTools();
-        
-        // 7. DEBUGGING TOOLS
-        await this.registerDebuggingTools();
-        
-        // 8. FILE SYSTEM TOOLS
-        await this.registerFileSystemTools();
-        
-        // 9. SEARCH TOOLS
-        await this.registerSearchTools();
+        // Packs intégrés (memory, database, genetic, self-awareness, config, agents, debugging, files, search, monitoring)
+        await this.toolPackLoader.loadDirectory(BUILTIN_TOOL_PACKS_DIR);
         
-        // 10. MONITORING TOOLS
-        await this.registerMonitoringTools();
+        // Packs additionnels, installés/retirés à chaud
+        if (this.customToolPacksDir) {
+            await this.toolPackLoader.loadDirectory(this.customToolPacksDir);
+            if (this.options.watchToolPacks !== false) {
+                this.toolPackLoader.watch(this.customToolPacksDir);
+            }
+        }
         
         this.logger.info(`📊 Discovered ${this.internalTools.size} internal tools across ${Object.keys(this.toolCategories).length} categories`);
     }
     
-    async registerMemoryTools() {
-        // Mem0 Bridge
-        this.registerTool('memory', 'mem0-search', {
-            description: 'Search contextual memory using mem0 self-hosted',
-            schema: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'Search query' },
-                    user_id: { type: 'string', description: 'User ID for memory context' },
-                    limit: { type: 'number', default: 5 }
-                },
-                required: ['query']
-            },
-            handler: this.executeMem0Search.bind(this)
-        });
-        
-        this.registerTool('memory', 'mem0-add', {
-            description: 'Add information to contextual memory',
-            schema: {
-                type: 'object',
-                properties: {
-                    text: { type: 'string', description: 'Information to store' },
-                    user_id: { type: 'string', description: 'User ID for memory context' },
-                    metadata: { type: 'object', description: 'Additional metadata' }
-                },
-                required: ['text']
-            },
-            handler: this.executeMem0Add.bind(this)
-        });
-        
-        // Hybrid Memory
-        this.registerTool('memory', 'hybrid-memory-search', {
-            description: 'Search both contextual and structural memory',
-            schema: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'Search query' },
-                    user_id: { type: 'string', description: 'User ID' },
-                    include_graph: { type: 'boolean', default: true }
-                },
-                required: ['query']
-            },
-            handler: this.executeHybridMemorySearch.bind(this)
-        });
+    registerTool(category, name, config) {
+        const fullName = this.addTool(category, name, config);
+        this.refreshTools();
+        return fullName;
     }
     
-    async registerDatabaseTools() {
-        // Qdrant Operations
-        this.registerTool('database', 'qdrant-search', {
-            description: 'Search vectors in Qdrant database',
-            schema: {
-                type: 'object',
-                properties: {
-                    collection: { type: 'string', description: 'Collection name' },
-                    query: { type: 'string', description: 'Search query' },
-                    limit: { type: 'number', default: 10 }
-                },
-                required: ['collection', 'query']
-            },
-            handler: this.executeQdrantSearch.bind(this)
-        });
-        
-        // Database Reader
-        this.registerTool('database', 'db-read-collections', {
-            description: 'List all database collections',
-            schema: { type: 'object', properties: {} },
-            handler: this.executeDbReadCollections.bind(this)
+    unregisterTool(fullName) {
+        const removed = this.removeTool(fullName);
+        if (removed) {
+            this.refreshTools();
+        }
+        return removed;
+    }
+    
+    addTool(category, name, config) {
+        const fullName = `autoweave-${category}-${name}`;
+        this.validator.forget(fullName);
+        this.internalTools.set(fullName, {
+            category,
+            name,
+            fullName,
+            ...config
         });
         
-        // Database Sync Checker
-        this.registerTool('database', 'check-db-sync', {
-            description: 'Check synchronization between filesystem and database',
-            schema: {
-                type: 'object',
-                properties: {
-                    deep_check: { type: 'boolean', default: false }
-                }
-            },
-            handler: this.executeCheckDbSync.bind(this)
-        });
+        if (!this.toolCategories[category]) {
+            this.toolCategories[category] = [];
+        }
+        if (!this.toolCategories[category].includes(fullName)) {
+            this.toolCategories[category].push(fullName);
+        }
+        return fullName;
     }
     
-    async registerGeneticTools() {
-        // Intelligent Deduplication
-        this.registerTool('genetic', 'analyze-duplicates', {
-            description: 'Analyze code duplicates using intelligent deduplication',
-            schema: {
-                type: 'object',
-                properties: {
-                    threshold: { type: 'number', default: 0.8 },
-                    include_stats: { type: 'boolean', default: true }
-                }
-            },
-            handler: this.executeAnalyzeDuplicates.bind(this)
-        });
+    removeTool(fullName) {
+        const tool = this.internalTools.get(fullName);
+        if (!tool) {
+            return false;
+        }
         
-        // Gene Evolution Tracking
-        this.registerTool('genetic', 'track-gene-evolution', {
-            description: 'Track evolution of specific genes',
-            schema: {
-                type: 'object',
-                properties: {
-                    gene_id: { type: 'string', description: 'Gene ID to track' },
-                    include_mutations: { type: 'boolean', default: true }
-                },
-                required: ['gene_id']
-            },
-            handler: this.executeTrackGeneEvolution.bind(this)
-        });
+        this.internalTools.delete(fullName);
+        this.validator.forget(fullName);
         
-        // Genetic Reconstruction
-        this.registerTool('genetic', 'reconstruct-file', {
-            description: 'Reconstruct file from genetic database',
-            schema: {
-                type: 'object',
-                properties: {
-                    file_path: { type: 'string', description: 'File path to reconstruct' },
-                    version: { type: 'string', description: 'Specific version (optional)' }
-                },
-                required: ['file_path']
-            },
-            handler: this.executeReconstructFile.bind(this)
-        });
+        // Une catégorie vide disparaît pour rester cohérente avec le registre
+        const remaining = (this.toolCategories[tool.category] || []).filter(toolName => toolName !== fullName);
+        if (remaining.length > 0) {
+            this.toolCategories[tool.category] = remaining;
+        } else {
+            delete this.toolCategories[tool.category];
+        }
+        return true;
     }
     
-    async registerSelfAwarenessTools() {
-        // System Scan
-        this.registerTool('self-awareness', 'full-system-scan', {
-            description: 'Perform full system scan and update awareness',
-            schema: {
-                type: 'object',
-                properties: {
-                    force_refresh: { type: 'boolean', default: false }
-                }
-            },
-            handler: this.executeFullSystemScan.bind(this)
-        });
+    /**
+     * Outils ajoutés/retirés après l'initialisation : reconstruire la liste MCP et prévenir les clients
+     */
+    refreshTools() {
+        if (this.initialized) {
+            this.setupMCPTools();
+            this.notifyToolsChanged();
+        }
+    }
+    
+    /**
+     * Install (or replace) a tool pack: { name?, category, tools: { [name]: { description, schema, handler } } }
+     */
+    installToolPack(pack, options = {}) {
+        this.validateToolPack(pack);
         
-        // Tool Discovery
-        this.registerTool('self-awareness', 'discover-tools', {
-            description: 'Discover and catalog all available tools',
-            schema: {
-                type: 'object',
-                properties: {
-                    category: { type: 'string', enum: ['cli', 'scripts', 'apis', 'hooks'] }
-                }
-            },
-            handler: this.executeDiscoverTools.bind(this)
-        });
+        const packName = pack.name || pack.category;
+        const previous = this.toolPacks.get(packName);
         
-        // OS Environment Detection
-        this.registerTool('self-awareness', 'detect-os-environment', {
-            description: 'Detect and analyze OS environment for Claude Code compatibility',
-            schema: {
-                type: 'object',
-                properties: {
-                    force_redetect: { type: 'boolean', default: false }
-                }
-            },
-            handler: this.executeDetectOSEnvironment.bind(this)
-        });
+        for (const toolName of Object.keys(pack.tools)) {
+            const owner = this.internalTools.get(`autoweave-${pack.category}-${toolName}`)?.pack;
+            if (owner && owner !== packName) {
+                throw new Error(`Tool ${toolName} of pack ${packName} conflicts with pack ${owner}`);
+            }
+        }
         
-        // System Documentation
-        this.registerTool('self-awareness', 'generate-documentation', {
-            description: 'Generate or update system documentation',
-            schema: {
-                type: 'object',
-                properties: {
-                    format: { type: 'string', enum: ['markdown', 'json', 'yaml'], default: 'markdown' },
-                    include_apis: { type: 'boolean', default: true }
-                }
-            },
-            handler: this.executeGenerateDocumentation.bind(this)
-        });
+        if (previous) {
+            previous.tools.forEach(fullName => this.removeTool(fullName));
+        }
         
-        // Get Claude Code Environment Info
-        this.registerTool('self-awareness', 'get-claude-environment', {
-            description: 'Get environment information specifically formatted for Claude Code usage',
-            schema: {
-                type: 'object',
-                properties: {
-                    include_restrictions: { type: 'boolean', default: true },
-                    include_capabilities: { type: 'boolean', default: true }
-                }
-            },
-            handler: this.executeGetClaudeEnvironment.bind(this)
+        const tools = Object.entries(pack.tools).map(([toolName, config]) =>
+            this.addTool(pack.category, toolName, { ...config, pack: packName })
+        );
+        
+        this.toolPacks.set(packName, {
+            name: packName,
+            category: pack.category,
+            source: options.source || null,
+            tools,
+            installedAt: new Date().toISOString()
         });
+        
+        this.logger.info(`📦 Tool pack ${previous ? 'replaced' : 'installed'}: ${packName} (${tools.length} tools)`);
+        this.refreshTools();
+        return packName;
     }
     
-    async registerConfigurationTools() {
-        // Configuration Intelligence (existing)
-        this.registerTool('config', 'intelligent-config', {
-            description: 'Generate intelligent configuration from natural language',
-            schema: {
-                type: 'object',
-                properties: {
-                    intent: { type: 'string', description: 'Natural language intent' },
-                    platform: { type: 'string', enum: ['kubernetes', 'docker-compose', 'helm'] },
-                    include_observability: { type: 'boolean', default: true }
-                },
-                required: ['intent']
-            },
-            handler: this.executeIntelligentConfig.bind(this)
-        });
+    removeToolPack(packName) {
+        const pack = this.toolPacks.get(packName);
+        if (!pack) {
+            return false;
+        }
         
-        // Fresh Sources (existing but enhanced)
-        this.registerTool('config', 'find-latest-packages', {
-            description: 'Find latest versions across all registries',
-            schema: {
-                type: 'object',
-                properties: {
-                    packages: {
-                        type: 'object',
-                        properties: {
-                            docker: { type: 'array', items: { type: 'string' } },
-                            npm: { type: 'array', items: { type: 'string' } },
-                            helm: { type: 'array', items: { type: 'string' } },
-                            github: { type: 'array', items: { type: 'string' } }
-                        }
-                    }
-                },
-                required: ['packages']
-            },
-            handler: this.executeFindLatestPackages.bind(this)
-        });
+        pack.tools.forEach(fullName => this.removeTool(fullName));
+        this.toolPacks.delete(packName);
+        
+        this.logger.info(`📦 Tool pack removed: ${packName}`);
+        this.refreshTools();
+        return true;
     }
     
-    async registerAgentTools() {
-        // Agent Creation
-        this.registerTool('agents', 'create-agent', {
-            description: 'Create intelligent agent from description',
-            schema: {
-                type: 'object',
-                properties: {
-                    description: { type: 'string', description: 'Agent description' },
-                    capabilities: { type: 'array', items: { type: 'string' } },
-                    deploy: { type: 'boolean', default: true }
-                },
-                required: ['description']
-            },
-            handler: this.executeCreateAgent.bind(this)
-        });
-        
-        // Agent Management
-        this.registerTool('agents', 'list-agents', {
-            description: 'List all created agents',
-            schema: {
-                type: 'object',
-                properties: {
-                    status: { type: 'string', enum: ['all', 'running', 'stopped'] }
-                }
-            },
-            handler: this.executeListAgents.bind(this)
-        });
+    listToolPacks() {
+        return Array.from(this.toolPacks.values());
     }
     
-    async registerDebuggingTools() {
-        // System Health Check
-        this.registerTool('debugging', 'health-check', {
-            description: 'Comprehensive system health check',
-            schema: {
-                type: 'object',
-                properties: {
-                    include_external: { type: 'boolean', default: true },
-                    verbose: { type: 'boolean', default: false }
-                }
-            },
-            handler: this.executeHealthCheck.bind(this)
-        });
+    validateToolPack(pack) {
+        if (!pack || typeof pack !== 'object') {
+            throw new Error('Tool pack must export an object');
+        }
+        if (typeof pack.category !== 'string' || !/^[a-z0-9-]+$/.test(pack.category)) {
+            throw new Error('Tool pack must declare a category (lowercase letters, digits and dashes)');
+        }
+        if (!pack.tools || typeof pack.tools !== 'object' || Object.keys(pack.tools).length === 0) {
+            throw new Error(`Tool pack ${pack.name || pack.category} declares no tools`);
+        }
         
-        // Log Analysis
-        this.registerTool('debugging', 'analyze-logs', {
-            description: 'Analyze system logs for issues',
-            schema: {
-                type: 'object',
-                properties: {
-                    log_file: { type: 'string', default: 'autoweave.log' },
-                    lines: { type: 'number', default: 100 },
-                    level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] }
-                }
-            },
-            handler: this.executeAnalyzeLogs.bind(this)
-        });
+        for (const [toolName, tool] of Object.entries(pack.tools)) {
+            if (typeof tool.description !== 'string') {
+                throw new Error(`Tool ${toolName} is missing a description`);
+            }
+            if (!tool.schema || typeof tool.schema !== 'object') {
+                throw new Error(`Tool ${toolName} is missing an input schema`);
+            }
+            if (typeof tool.handler !== 'function') {
+                throw new Error(`Tool ${toolName} is missing a handler`);
+            }
+        }
     }
     
-    async registerFileSystemTools() {
-        // File Indexing
-        this.registerTool('files', 'index-file', {
-            description: 'Index file in genetic database',
-            schema: {
-                type: 'object',
-                properties: {
-                    file_path: { type: 'string', description: 'File path to index' },
-                    force: { type: 'boolean', default: false }
-                },
-                required: ['file_path']
-            },
-            handler: this.executeIndexFile.bind(this)
-        });
-        
-        // File Search
-        this.registerTool('files', 'search-files', {
-            description: 'Search files by content or metadata',
-            schema: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'Search query' },
-                    type: { type: 'string', enum: ['content', 'name', 'metadata'] },
-                    extensions: { type: 'array', items: { type: 'string' } }
-                },
-                required: ['query']
-            },
-            handler: this.executeSearchFiles.bind(this)
-        });
+    /**
+     * Emit a server-initiated MCP notification to every connected transport
+     */
+    notifyClients(method, params = {}) {
+        this.emit('notification', method, params);
     }
     
-    async registerSearchTools() {
-        // Web Search (si disponible)
-        this.registerTool('search', 'web-search', {
-            description: 'Search web for information',
-            schema: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'Search query' },
-                    domains: { type: 'array', items: { type: 'string' } },
-                    limit: { type: 'number', default: 5 }
-                },
-                required: ['query']
-            },
-            handler: this.executeWebSearch.bind(this)
-        });
-        
-        // Code Search
-        this.registerTool('search', 'code-search', {
-            description: 'Search code in project',
-            schema: {
-                type: 'object',
-                properties: {
-                    pattern: { type: 'string', description: 'Search pattern/regex' },
-                    include: { type: 'string', description: 'File pattern to include' },
-                    context_lines: { type: 'number', default: 3 }
-                },
-                required: ['pattern']
-            },
-            handler: this.executeCodeSearch.bind(this)
-        });
+    notifyToolsChanged() {
+        this.notifyClients('notifications/tools/list_changed');
     }
     
-    async registerMonitoringTools() {
-        // System Metrics
-        this.registerTool('monitoring', 'get-metrics', {
-            description: 'Get system performance metrics',
-            schema: {
-                type: 'object',
-                properties: {
-                    metric_type: { type: 'string', enum: ['cpu', 'memory', 'disk', 'network', 'all'] },
-                    time_range: { type: 'string', default: '5m' }
-                }
-            },
-            handler: this.executeGetMetrics.bind(this)
-        });
-        
-        // Service Status
-        this.registerTool('monitoring', 'service-status', {
-            description: 'Check status of all services',
-            schema: {
-                type: 'object',
-                properties: {
-                    service: { type: 'string', description: 'Specific service (optional)' }
-                }
-            },
-            handler: this.executeServiceStatus.bind(this)
-        });
+    /**
+     * Forward server notifications to a transport exposing broadcast(method, params)
+     */
+    connectTransport(transport) {
+        const forward = (method, params) => transport.broadcast(method, params);
+        this.on('notification', forward);
+        return () => this.off('notification', forward);
     }
     
-    registerTool(category, name, config) {
-        const fullName = `autoweave-${category}-${name}`;
-        this.internalTools.set(fullName, {
-            category,
-            name,
-            fullName,
-            ...config
-        });
-        
-        if (!this.toolCategories[category]) {
-            this.toolCategories[category] = [];
-        }
-        this.toolCategories[category].push(fullName);
+    /**
+     * Notify the subscribers of an agent's resources
+     */
+    publishAgentUpdate(agentId) {
+        agentResourceUris(agentId).forEach(uri => this.resourceSubscriptions.publish(uri));
+    }
+    
+    /**
+     * Relay MCPDiscovery tool changes as tools/list_changed notifications
+     */
+    watchDiscovery(discovery) {
+        discovery.on('tools-changed', () => this.notifyToolsChanged());
     }
     
     setupMCPTools() {
-        this.mcpTools = Array.from(this.internalTools.values()).map(tool => ({
-            name: tool.fullName,
-            description: tool.description,
-            inputSchema: tool.schema
-        }));
+        this.mcpTools = Array.from(this.internalTools.values()).map(tool => {
+            const mcpTool = {
+                name: tool.fullName,
+                description: tool.description,
+                inputSchema: tool.schema
+            };
+            if (tool.readOnly) {
+                mcpTool.annotations = { readOnlyHint: true };
+            }
+            return mcpTool;
+        });
         
         this.logger.info(`🔧 Configured ${this.mcpTools.length} MCP tools`);
     }
@@ -498,16 +334,19 @@ class UnifiedAutoWeaveMCPServer {
     setupMCPResources() {
         this.mcpResources = [
             {
+                uri: 'autoweave://tools-catalog',
                 name: 'autoweave-tools-catalog',
                 description: 'Complete catalog of available AutoWeave tools',
                 mimeType: 'application/json'
             },
             {
+                uri: 'autoweave://system-status',
                 name: 'autoweave-system-status',
                 description: 'Real-time system status and metrics',
                 mimeType: 'application/json'
             },
             {
+                uri: 'autoweave://tool-usage-stats',
                 name: 'autoweave-tool-usage-stats',
                 description: 'Tool usage statistics and performance',
                 mimeType: 'application/json'
@@ -559,37 +398,120 @@ class UnifiedAutoWeaveMCPServer {
     }
     
     // MCP Protocol Methods
-    async listTools() {
+    async listTools(params = {}, context = {}) {
+        // Un client HTTP ne voit que les outils que sa politique autorise
+        if (context.transport === 'http') {
+            return {
+                tools: this.mcpTools.filter(tool => this.accessControl.isAllowed(context.client, this.getPolicyTarget(tool.name)))
+            };
+        }
         return { tools: this.mcpTools };
     }
     
-    async callTool(name, args) {
+    getPolicyTarget(fullName) {
+        const tool = this.internalTools.get(fullName);
+        return { name: fullName, category: tool.category, readOnly: Boolean(tool.readOnly) };
+    }
+    
+    async callTool(name, args, context = {}) {
         const tool = this.internalTools.get(name);
         if (!tool) {
             throw new Error(`Tool not found: ${name}`);
         }
         
+        const startTime = Date.now();
+        const timeout = context.timeout || tool.timeout || this.toolTimeout;
         try {
             this.logger.info(`🔧 Executing tool: ${name}`);
-            const result = await tool.handler(args);
+            
+            // Validation + valeurs par défaut du schéma avant d'appeler le handler
+            const input = this.validator.validate(name, tool.schema, args);
+            // Un rafraîchissement stale-while-revalidate survit à l'appel : il a son propre délai
+            const invoke = ({ background }) => this.invokeHandler(tool, input, {
+                signal: background ? null : context.signal,
+                reportProgress: background ? null : context.reportProgress,
+                timeout
+            });
+            const result = tool.cache
+                ? await this.resultCache.wrap(name, input, tool.cache, invoke)
+                : await invoke({ background: false });
+            this.usageStats.record(name, { duration: Date.now() - startTime, success: true });
             this.logger.success(`✅ Tool executed successfully: ${name}`);
             return result;
         } catch (error) {
-            this.logger.error(`❌ Tool execution failed: ${name}`, error);
+            this.usageStats.record(name, { duration: Date.now() - startTime, success: false, error });
+            if (error instanceof ToolValidationError) {
+                this.logger.warn(`⚠️ Invalid arguments for tool: ${name}`, error.errors);
+            } else if (error.code === 'TOOL_TIMEOUT' || error.code === 'TOOL_CANCELLED') {
+                this.logger.warn(`⏱️ ${error.message}`);
+            } else {
+                this.logger.error(`❌ Tool execution failed: ${name}`, error);
+            }
             throw error;
         }
     }
     
+    async invokeHandler(tool, input, { signal, reportProgress, timeout }) {
+        const call = createCallSignal(signal, timeout, tool.fullName);
+        try {
+            // timeout/signal sont transmis tels quels aux requêtes et commandes lancées par le handler
+            return await raceWithSignal(tool.handler(input, {
+                server: this,
+                reportProgress: reportProgress || (() => {}),
+                signal: call.signal,
+                timeout
+            }), call.signal);
+        } finally {
+            call.dispose();
+        }
+    }
+    
+    /**
+     * cache/invalidate : tout le cache, les résultats d'un outil, ou un outil + arguments
+     */
+    async invalidateCache({ tool, arguments: args } = {}) {
+        if (args !== undefined && !tool) {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, 'Invalid params: "arguments" requires "tool"');
+        }
+        const target = tool ? this.internalTools.get(tool) : null;
+        if (tool && !target) {
+            throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown tool: ${tool}`);
+        }
+        
+        // Mêmes arguments normalisés (valeurs par défaut comprises) que pour le calcul de la clé
+        let input;
+        try {
+            input = args !== undefined ? this.validator.validate(tool, target.schema, args) : undefined;
+        } catch (error) {
+            if (error instanceof ToolValidationError) {
+                throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, error.message, { errors: error.errors });
+            }
+            throw error;
+        }
+        const invalidated = await this.resultCache.invalidate({ tool, args: input, policy: target?.cache });
+        return { invalidated, stats: this.resultCache.stats() };
+    }
+    
     async listResources() {
         return { resources: this.mcpResources };
     }
     
-    async readResource(uri) {
-        switch (uri) {
+    async listResourceTemplates() {
+        return { resourceTemplates: this.resourceTemplates.list() };
+    }
+    
+    async readResource(uri, context = {}) {
+        const resource = this.findResource(uri);
+        if (!resource) {
+            return this.resourceTemplates.read(uri, context);
+        }
+        
+        switch (resource.name) {
             case 'autoweave-tools-catalog':
                 return {
                     contents: [{
-                        type: 'text',
+                        uri: resource.uri,
+                        mimeType: resource.mimeType,
                         text: JSON.stringify({
                             categories: this.toolCategories,
                             tools: Array.from(this.internalTools.values()),
@@ -601,7 +523,8 @@ class UnifiedAutoWeaveMCPServer {
             case 'autoweave-system-status':
                 return {
                     contents: [{
-                        type: 'text',
+                        uri: resource.uri,
+                        mimeType: resource.mimeType,
                         text: JSON.stringify(await this.getSystemStatus(), null, 2)
                     }]
                 };
@@ -609,7 +532,8 @@ class UnifiedAutoWeaveMCPServer {
             case 'autoweave-tool-usage-stats':
                 return {
                     contents: [{
-                        type: 'text',
+                        uri: resource.uri,
+                        mimeType: resource.mimeType,
                         text: JSON.stringify(await this.getToolUsageStats(), null, 2)
                     }]
                 };
@@ -619,6 +543,30 @@ class UnifiedAutoWeaveMCPServer {
         }
     }
     
+    /**
+     * Resources can be addressed by URI or by their legacy name
+     */
+    findResource(uri) {
+        return this.mcpResources.find(resource => resource.uri === uri || resource.name === uri);
+    }
+    
+    hasResource(uri) {
+        return Boolean(this.findResource(uri) || this.resourceTemplates.match(uri));
+    }
+    
+    async subscribeResource(uri, context) {
+        this.resourceSubscriptions.subscribe(uri, context);
+        
+        // Le bridge kagent ne surveille pas le cluster : interroger les statuts tant qu'un agent est suivi
+        if (this.agentService && this.resourceTemplates.match(uri)?.template.name.startsWith('autoweave-agent')) {
+            this.agentService.watchStatus(this.options.agentStatusInterval);
+        }
+    }
+    
+    async unsubscribeResource(uri, context) {
+        this.resourceSubscriptions.unsubscribe(uri, context);
+    }
+    
     async listPrompts() {
         return { prompts: this.mcpPrompts };
     }
@@ -639,453 +587,156 @@ class UnifiedAutoWeaveMCPServer {
         }
     }
     
-    // Tool Implementation Methods (placeholders - to be implemented)
-    async executeMem0Search(args) {
-        return this.executePythonScript('scripts/mem0-bridge.py', ['search', args.query, args.user_id || 'system']);
-    }
-    
-    async executeMem0Add(args) {
-        return this.executePythonScript('scripts/mem0-bridge.py', ['add', args.text, args.user_id || 'system']);
-    }
-    
-    async executeHybridMemorySearch(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/memory/search', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(args)
-            });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Hybrid memory search failed: ${error.message}`);
-        }
-    }
-    
-    async executeQdrantSearch(args) {
-        return this.executePythonScript('scripts/simple_db_reader.py', ['search-collection', args.collection, args.query]);
-    }
-    
-    async executeDbReadCollections(args) {
-        return this.executePythonScript('scripts/simple_db_reader.py', ['list-collections']);
-    }
-    
-    async executeCheckDbSync(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/sync');
-            return await response.json();
-        } catch (error) {
-            throw new Error(`DB sync check failed: ${error.message}`);
-        }
-    }
-    
-    async executeAnalyzeDuplicates(args) {
-        return this.executePythonScript('scripts/intelligent_deduplication.py', ['analyze', JSON.stringify(args)]);
-    }
-    
-    async executeFullSystemScan(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/scan', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(args)
-            });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`System scan failed: ${error.message}`);
-        }
-    }
-    
-    async executeCreateAgent(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/agents', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(args)
-            });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Agent creation failed: ${error.message}`);
-        }
-    }
-    
-    async executeDetectOSEnvironment(args) {
-        try {
-            if (args.force_redetect) {
-                // Force une nouvelle détection
-                const OSEnvironmentDetector = require('../utils/os-environment-detector');
-                const detector = new OSEnvironmentDetector();
-                const env = await detector.detectComplete();
-                await detector.saveEnvironmentDocumentation();
-                return {
-                    success: true,
-                    environment: env,
-                    message: 'OS environment re-detected'
-                };
-            } else {
-                // Utiliser l'environnement déjà détecté
-                const response = await fetch('http://localhost:3000/api/self-awareness/os-environment');
-                return await response.json();
-            }
-        } catch (error) {
-            throw new Error(`OS environment detection failed: ${error.message}`);
-        }
-    }
-    
-    async executeGetClaudeEnvironment(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/os-environment');
-            const data = await response.json();
+    /**
+     * Dispatcher JSON-RPC exposant les méthodes MCP à un transport (stdio, HTTP)
+     */
+    createDispatcher() {
+        return createMCPDispatcher({
+            listTools: (params, context) => this.listTools(params, context),
             
-            if (!data.success) {
-                throw new Error('OS environment not available');
-            }
+            callTool: (name, args, context) => {
+                if (!this.internalTools.has(name)) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+                }
+                // stdio est local et de confiance ; HTTP passe par la politique d'accès
+                if (context.transport === 'http') {
+                    this.accessControl.authorize(context.client, this.getPolicyTarget(name));
+                }
+                return this.callTool(name, args, context);
+            },
             
-            const env = data.osEnvironment;
-            const notes = data.claudeCodeNotes;
+            listResources: () => this.listResources(),
             
-            return {
-                claude_code_environment: {
-                    user: {
-                        name: env.permissions.currentUser,
-                        is_root: notes.isRoot,
-                        admin_access: notes.adminAccess,
-                        admin_method: notes.adminMethod
-                    },
-                    system: {
-                        os: env.basic.distribution?.PRETTY_NAME || env.basic.platform,
-                        package_manager: notes.packageManager,
-                        development_tools: notes.developmentTools
-                    },
-                    restrictions: args.include_restrictions ? {
-                        sudo_available: notes.canSudo,
-                        su_available: env.permissions.canSu,
-                        writeable_locations: env.restrictions?.filesystem?.writeableLocations || [],
-                        readonly_locations: env.restrictions?.filesystem?.readOnlyLocations || []
-                    } : undefined,
-                    capabilities: args.include_capabilities ? {
-                        containerization: env.capabilities.containerization?.map(c => ({ name: c.name, version: c.version })) || [],
-                        package_managers: env.capabilities.packageManagers?.map(p => ({ name: p.name, version: p.version })) || [],
-                        network_interfaces: Object.keys(env.network?.interfaces || {}).length,
-                        storage_filesystems: env.storage?.filesystems?.length || 0
-                    } : undefined,
-                    warnings: notes.userWarnings,
-                    claude_instructions: this.generateClaudeInstructions(env, notes)
+            readResource: (uri, context) => {
+                if (!this.hasResource(uri)) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
                 }
-            };
-        } catch (error) {
-            throw new Error(`Failed to get Claude environment: ${error.message}`);
-        }
-    }
-    
-    generateClaudeInstructions(env, notes) {
-        const instructions = [];
-        
-        if (!notes.adminAccess) {
-            instructions.push("⚠️ NO ADMIN ACCESS: User cannot install system packages or modify system files");
-        } else if (notes.adminMethod === 'su_with_password') {
-            instructions.push("⚠️ NO SUDO: Use 'su -c \"command\"' for admin tasks, not 'sudo'");
-        }
-        
-        if (notes.packageManager === 'apt') {
-            instructions.push(`📦 Package Manager: Use 'apt install' for packages (requires ${notes.adminMethod})`);
-        } else if (notes.packageManager === 'yum') {
-            instructions.push(`📦 Package Manager: Use 'yum install' for packages (requires ${notes.adminMethod})`);
-        }
-        
-        instructions.push("🏠 User Home: " + env.permissions.homeDir);
-        instructions.push("🔧 Prefer user-space installations when possible");
-        
-        return instructions;
-    }
-    
-    generateLogAnalysisSuggestions(analysis) {
-        const suggestions = [];
-        
-        if (analysis.errors > 0) {
-            suggestions.push("🔴 Fix recent errors to improve system stability");
-            suggestions.push("📋 Review error patterns for recurring issues");
-        }
-        
-        if (analysis.warnings > 5) {
-            suggestions.push("⚠️ High number of warnings detected - investigate potential issues");
-        }
-        
-        if (analysis.errors === 0 && analysis.warnings < 3) {
-            suggestions.push("✅ System logs appear healthy");
-        }
-        
-        suggestions.push("📊 Consider implementing log rotation if file size is large");
-        suggestions.push("🔍 Use log analysis tools for deeper insights");
-        
-        return suggestions;
-    }
-    
-    async executeHealthCheck(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/health');
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Health check failed: ${error.message}`);
-        }
-    }
-    
-    async executeWebSearch(args) {
-        try {
-            // Vérifier si l'AutoWeave a un service de recherche web disponible
-            const response = await fetch('http://localhost:3000/api/self-awareness/tools?category=web');
-            const toolsData = await response.json();
+                return this.readResource(uri, context);
+            },
             
-            if (toolsData.success && toolsData.tools.length > 0) {
-                // Utiliser le service de recherche web d'AutoWeave
-                const searchResponse = await fetch('http://localhost:3000/api/search/web', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(args)
-                });
-                return await searchResponse.json();
-            } else {
-                // Fallback vers curl/wget si disponible
-                const curlResult = await this.executeBashCommand(`curl -s "https://api.duckduckgo.com/?q=${encodeURIComponent(args.query)}&format=json&no_html=1&skip_disambig=1"`);
-                
-                if (curlResult.code === 0) {
-                    try {
-                        const results = JSON.parse(curlResult.stdout);
-                        return {
-                            success: true,
-                            results: results.AbstractText ? [{ 
-                                title: results.Heading || 'DuckDuckGo Result',
-                                content: results.AbstractText,
-                                url: results.AbstractURL
-                            }] : [],
-                            source: 'duckduckgo-api',
-                            query: args.query
-                        };
-                    } catch (parseError) {
-                        throw new Error(`Failed to parse search results: ${parseError.message}`);
-                    }
-                } else {
-                    throw new Error(`Web search failed: ${curlResult.stderr}`);
+            listResourceTemplates: () => this.listResourceTemplates(),
+            
+            subscribe: (uri, context) => {
+                if (!this.hasResource(uri)) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
                 }
-            }
-        } catch (error) {
-            return { 
-                success: false, 
-                error: `Web search failed: ${error.message}`, 
-                query: args.query,
-                fallback_suggestion: "Consider implementing a dedicated web search service or configuring external search APIs"
-            };
-        }
-    }
-    
-    async executeCodeSearch(args) {
-        return this.executeBashCommand(`rg "${args.pattern}" --type-add 'include:${args.include || "*"}' -n -C ${args.context_lines}`);
-    }
-    
-    async executeTrackGeneEvolution(args) {
-        return this.executePythonScript('scripts/intelligent_deduplication.py', ['track-evolution', args.gene_id, JSON.stringify({ include_mutations: args.include_mutations })]);
-    }
-    
-    async executeReconstructFile(args) {
-        return this.executePythonScript('scripts/genetic-reconstruction.py', ['reconstruct', args.file_path, args.version || 'latest']);
-    }
-    
-    async executeDiscoverTools(args) {
-        try {
-            const response = await fetch(`http://localhost:3000/api/self-awareness/tools${args.category ? `?category=${args.category}` : ''}`);
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Tool discovery failed: ${error.message}`);
-        }
-    }
-    
-    async executeGenerateDocumentation(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/documentation');
-            const docData = await response.json();
+                return this.subscribeResource(uri, context);
+            },
             
-            if (args.format === 'json') {
-                return docData;
-            } else if (args.format === 'yaml') {
-                const yaml = require('js-yaml');
-                return { documentation: yaml.dump(docData.documentation) };
-            } else {
-                return docData; // markdown par défaut
+            unsubscribe: (uri, context) => this.unsubscribeResource(uri, context),
+            
+            listPrompts: () => this.listPrompts(),
+            
+            getPrompt: (name, args) => {
+                if (!this.mcpPrompts.some(prompt => prompt.name === name)) {
+                    throw new JsonRpcError(JsonRpcErrorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+                }
+                return this.getPrompt(name, args);
+            },
+            
+            invalidateCache: (params, context) => {
+                if (context.transport === 'http') {
+                    this.accessControl.authorizeAdmin(context.client, 'cache/invalidate');
+                }
+                return this.invalidateCache(params);
             }
-        } catch (error) {
-            throw new Error(`Documentation generation failed: ${error.message}`);
-        }
+        }, {
+            serverInfo: this.serverInfo,
+            capabilities: { tools: { listChanged: true } },
+            logger: this.logger.child('rpc'),
+            instructions: 'AutoWeave internal tools: memory, database, genetic, self-awareness, config, agents, debugging, files, search and monitoring.'
+        });
     }
     
-    async executeIntelligentConfig(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/config/generate-with-fresh', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(args)
-            });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Intelligent config generation failed: ${error.message}`);
-        }
+    /**
+     * Expose le serveur via le transport Streamable HTTP (POST + SSE)
+     */
+    async startHttp(port = 3003, options = {}) {
+        this.accessControl.requireClients('the HTTP endpoint');
+        
+        const app = express();
+        app.use(express.json());
+        
+        // Export Prometheus des statistiques d'outils, authentifié comme le endpoint MCP
+        app.get(options.metricsPath || '/metrics', this.accessControl.middleware({ format: 'rest' }), (req, res) => {
+            res.type('text/plain; version=0.0.4').send(this.usageStats.toPrometheus());
+        });
+        
+        this.httpTransport = new StreamableHttpTransport(this.createDispatcher(), {
+            path: options.path || '/mcp',
+            accessControl: this.accessControl,
+            logger: this.logger.child('http')
+        }).mount(app);
+        this.disconnectHttp = this.connectTransport(this.httpTransport);
+        this.httpTransport.on('session-closed', sessionId => this.resourceSubscriptions.removeSubscriber(`http:${sessionId}`));
+        
+        await new Promise((resolve, reject) => {
+            this.httpServer = app.listen(port, resolve).on('error', reject);
+        });
+        this.logger.success(`🌐 Unified MCP Server listening on http://localhost:${this.httpServer.address().port}${this.httpTransport.path}`);
+        return this.httpServer;
     }
     
-    async executeFindLatestPackages(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/config/sources/search', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ packages: args.packages })
-            });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Package search failed: ${error.message}`);
+    async shutdown() {
+        this.toolPackLoader.close();
+        if (this.agentService) {
+            this.agentService.off('agent-status-changed', this.onAgentChanged);
+            this.agentService.off('agent-updated', this.onAgentChanged);
+            this.agentService.stopWatchingStatus();
         }
+        this.resourceSubscriptions.clear();
+        this.commandRunner.killAll();
+        await this.usageStats.save();
+        await this.stopHttp();
     }
     
-    async executeListAgents(args) {
-        try {
-            const response = await fetch(`http://localhost:3000/api/agents${args.status ? `?status=${args.status}` : ''}`);
-            return await response.json();
-        } catch (error) {
-            throw new Error(`Agent listing failed: ${error.message}`);
+    async stopHttp() {
+        if (!this.httpServer) {
+            return;
         }
-    }
-    
-    async executeAnalyzeLogs(args) {
-        try {
-            const logContent = await this.executeBashCommand(`tail -n ${args.lines} "${this.projectRoot}/${args.log_file}"`);
-            
-            if (logContent.code !== 0) {
-                throw new Error(`Failed to read log file: ${logContent.stderr}`);
-            }
-            
-            const lines = logContent.stdout.split('\n').filter(line => line.trim());
-            const analysis = {
-                total_lines: lines.length,
-                errors: lines.filter(line => line.includes('[ERROR]')).length,
-                warnings: lines.filter(line => line.includes('[WARN]')).length,
-                info: lines.filter(line => line.includes('[INFO]')).length,
-                recent_errors: lines.filter(line => line.includes('[ERROR]')).slice(-5),
-                recent_warnings: lines.filter(line => line.includes('[WARN]')).slice(-5)
-            };
-            
-            return {
-                success: true,
-                log_file: args.log_file,
-                analysis,
-                suggestions: this.generateLogAnalysisSuggestions(analysis)
-            };
-        } catch (error) {
-            throw new Error(`Log analysis failed: ${error.message}`);
+        this.disconnectHttp();
+        this.httpTransport.close();
+        await new Promise(resolve => this.httpServer.close(resolve));
+        this.httpServer = null;
+    }
+    
+    // Utility Methods (partagées par les packs d'outils via context.server)
+    /**
+     * Run a project Python script (venv) and decode its JSON output.
+     * Past maxOutput the script is stopped (no exit code): its partial output is returned as raw, truncated.
+     */
+    async executePythonScript(scriptPath, args = [], options = {}) {
+        const script = await this.commandRunner.resolvePath(scriptPath);
+        const result = await this.commandRunner.run(this.pythonPath, [script, ...args], options);
+        
+        if (result.truncated) {
+            return { output: result.stdout, raw: true, truncated: true };
         }
-    }
-    
-    async executeIndexFile(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/ingest', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ filePath: args.file_path, force: args.force })
+        
+        if (result.code !== 0) {
+            throw new CommandError(`Script failed: ${result.stderr || result.stdout}`, 'SCRIPT_FAILED', {
+                script: scriptPath,
+                exitCode: result.code
             });
-            return await response.json();
-        } catch (error) {
-            throw new Error(`File indexing failed: ${error.message}`);
-        }
-    }
-    
-    async executeSearchFiles(args) {
-        try {
-            const response = await fetch(`http://localhost:3000/api/self-awareness/files?type=${args.type || 'content'}&query=${encodeURIComponent(args.query)}`);
-            return await response.json();
-        } catch (error) {
-            throw new Error(`File search failed: ${error.message}`);
-        }
-    }
-    
-    async executeGetMetrics(args) {
-        try {
-            const response = await fetch('http://localhost:3000/api/memory/metrics');
-            const metricsData = await response.json();
-            
-            if (args.metric_type && args.metric_type !== 'all') {
-                // Filtrer les métriques par type si demandé
-                const filtered = {};
-                if (metricsData[args.metric_type]) {
-                    filtered[args.metric_type] = metricsData[args.metric_type];
-                }
-                return { metrics: filtered, type: args.metric_type };
-            }
-            
-            return metricsData;
-        } catch (error) {
-            throw new Error(`Metrics retrieval failed: ${error.message}`);
         }
-    }
-    
-    async executeServiceStatus(args) {
+        
         try {
-            const response = await fetch('http://localhost:3000/api/health');
-            const healthData = await response.json();
-            
-            if (args.service) {
-                // Filtrer pour un service spécifique
-                const serviceData = healthData.services?.find(s => s.name === args.service);
-                return serviceData ? { service: serviceData } : { error: `Service ${args.service} not found` };
-            }
-            
-            return healthData;
-        } catch (error) {
-            throw new Error(`Service status check failed: ${error.message}`);
+            return JSON.parse(result.stdout);
+        } catch (e) {
+            return { output: result.stdout, raw: true };
         }
     }
     
-    // Utility Methods
-    async executePythonScript(scriptPath, args) {
-        return new Promise((resolve, reject) => {
-            const pythonPath = path.join(this.projectRoot, 'venv/bin/python');
-            const fullScriptPath = path.join(this.projectRoot, scriptPath);
-            const process = spawn(pythonPath, [fullScriptPath, ...args]);
-            
-            let stdout = '';
-            let stderr = '';
-            
-            process.stdout.on('data', (data) => stdout += data.toString());
-            process.stderr.on('data', (data) => stderr += data.toString());
-            
-            process.on('close', (code) => {
-                if (code === 0) {
-                    try {
-                        resolve(JSON.parse(stdout));
-                    } catch (e) {
-                        resolve({ output: stdout, raw: true });
-                    }
-                } else {
-                    reject(new Error(`Script failed: ${stderr || stdout}`));
-                }
-            });
-        });
-    }
-    
-    async executeBashCommand(command) {
-        return new Promise((resolve, reject) => {
-            const process = spawn('bash', ['-c', command], { cwd: this.projectRoot });
-            
-            let stdout = '';
-            let stderr = '';
-            
-            process.stdout.on('data', (data) => stdout += data.toString());
-            process.stderr.on('data', (data) => stderr += data.toString());
-            
-            process.on('close', (code) => {
-                resolve({ code, stdout, stderr });
-            });
-        });
+    /**
+     * Run an allowlisted binary in the project root (no shell)
+     */
+    async runCommand(command, args = [], options = {}) {
+        return this.commandRunner.run(command, args, options);
     }
     
     async getSystemStatus() {
         try {
-            const response = await fetch('http://localhost:3000/api/self-awareness/health');
-            return await response.json();
+            return await this.core.getSelfAwarenessHealth();
         } catch (error) {
             return { error: error.message, available: false };
         }
@@ -1097,6 +748,7 @@ class UnifiedAutoWeaveMCPServer {
             categories: Object.fromEntries(
                 Object.entries(this.toolCategories).map(([cat, tools]) => [cat, tools.length])
             ),
+            ...this.usageStats.snapshot(),
             lastUpdated: new Date().toISOString()
         };
     }
@@ -1122,7 +774,10 @@ Please analyze the system and suggest appropriate actions using available AutoWe
     }
     
     async generatePerformanceOptimizationPrompt(focusArea) {
-        const stats = await this.getToolUsageStats();
+        const { totals, since } = this.usageStats.snapshot();
+        const summarize = tools => tools.map(({ tool, calls, errorRate, latency, lastError }) => ({
+            tool, calls, errorRate, latency, lastError
+        }));
         return {
             messages: [{
                 role: 'user',
@@ -1131,7 +786,10 @@ Please analyze the system and suggest appropriate actions using available AutoWe
                     text: `Optimize AutoWeave system performance.
                     
 Focus Area: ${focusArea || 'general'}
-Tool Statistics: ${JSON.stringify(stats, null, 2)}
+Tool Calls since ${since}: ${JSON.stringify(totals)}
+Slowest Tools (p95 latency, ms): ${JSON.stringify(summarize(this.usageStats.top('p95')), null, 2)}
+Least Reliable Tools: ${JSON.stringify(summarize(this.usageStats.top('errorRate')), null, 2)}
+Most Used Tools: ${JSON.stringify(this.usageStats.top('calls').map(({ tool, calls }) => ({ tool, calls })))}
 
 Suggest optimization strategies using available AutoWeave tools.`
                 }
@@ -1149,7 +807,7 @@ Suggest optimization strategies using available AutoWeave tools.`
                     
 System Type: ${systemType}
 Requirements: ${requirements || 'Standard integration'}
-Available Integration Tools: ${this.toolCategories.config.length + this.toolCategories.agents.length}
+Available Integration Tools: ${(this.toolCategories.config || []).length + (this.toolCategories.agents || []).length}
 
 Provide step-by-step integration setup using AutoWeave tools.`
                 }
@@ -0,0 +1,122 @@
+const UnifiedAutoWeaveMCPServer = require('./unified-autoweave-mcp-server');
+const { LogReader } = require('../utils/log-reader');
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+
+/**
+ * Pack de test : `wait` répond après input.ms sauf si son signal abandonne l'appel,
+ * `stubborn` ignore son signal
+ */
+function timingPack(calls) {
+    return {
+        category: 'timing',
+        tools: {
+            wait: {
+                description: 'Answer after ms',
+                schema: { type: 'object', properties: { ms: { type: 'integer', default: 1000 } } },
+                timeout: 50,
+                handler: (input, { signal }) => new Promise((resolve, reject) => {
+                    calls.push(signal);
+                    const timer = setTimeout(() => resolve('done'), input.ms);
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(signal.reason);
+                    }, { once: true });
+                })
+            },
+            stubborn: {
+                description: 'Ignore the signal',
+                schema: { type: 'object' },
+                timeout: 20,
+                handler: () => new Promise(resolve => setTimeout(() => resolve('late'), 300))
+            }
+        }
+    };
+}
+
+describe('UnifiedAutoWeaveMCPServer tool calls', () => {
+    let server;
+    let signals;
+
+    beforeEach(() => {
+        signals = [];
+        server = new UnifiedAutoWeaveMCPServer(null, {});
+        server.installToolPack(timingPack(signals));
+        ['info', 'success', 'warn'].forEach(level => jest.spyOn(server.logger, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('aborts a slow handler at the tool timeout, or the one asked by the caller', async () => {
+        await expect(server.callTool('autoweave-timing-wait', {})).rejects.toMatchObject({
+            code: 'TOOL_TIMEOUT',
+            message: 'Tool call timed out after 50ms: autoweave-timing-wait',
+            details: { tool: 'autoweave-timing-wait', timeout: 50 }
+        });
+        expect(signals[0].aborted).toBe(true);
+
+        await expect(server.callTool('autoweave-timing-wait', {}, { timeout: 10 })).rejects.toMatchObject({ details: { timeout: 10 } });
+        await expect(server.callTool('autoweave-timing-wait', { ms: 1 })).resolves.toBe('done');
+
+        expect(server.usageStats.getToolStats('autoweave-timing-wait')).toMatchObject({
+            calls: 3,
+            errors: 2,
+            lastError: { code: 'TOOL_TIMEOUT', message: 'Tool call timed out after 10ms: autoweave-timing-wait' }
+        });
+        expect(server.logger.warn).toHaveBeenCalledWith('⏱️ Tool call timed out after 50ms: autoweave-timing-wait');
+    });
+
+    test('does not wait for a handler that ignores its signal', async () => {
+        const startedAt = Date.now();
+
+        await expect(server.callTool('autoweave-timing-stubborn', {})).rejects.toMatchObject({ code: 'TOOL_TIMEOUT' });
+        expect(Date.now() - startedAt).toBeLessThan(250);
+    });
+
+    test('notifications/cancelled aborts the in-flight call of the same client', async () => {
+        const dispatcher = server.createDispatcher();
+        const context = { transport: 'stdio' };
+
+        const call = dispatcher.handle(request(7, 'tools/call', { name: 'autoweave-timing-wait', arguments: { ms: 10000 }, _meta: { timeout: 10000 } }), context);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(signals).toHaveLength(1);
+
+        await dispatcher.handle({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } }, { transport: 'http', sessionId: 'other' });
+        expect(signals[0].aborted).toBe(false);
+
+        await dispatcher.handle({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'user' } }, context);
+        const response = await call;
+
+        expect(signals[0].aborted).toBe(true);
+        expect(response.result.isError).toBe(true);
+        expect(JSON.parse(response.result.content[0].text)).toEqual({
+            error: 'Request 7 cancelled by the client: user',
+            code: 'TOOL_CANCELLED',
+            requestId: 7,
+            reason: 'user'
+        });
+        expect(server.usageStats.getToolStats('autoweave-timing-wait').lastError.code).toBe('TOOL_CANCELLED');
+    });
+
+    test('hands the call signal to the log reader of analyze-logs', async () => {
+        server.installToolPack(require('./tool-packs/debugging'));
+        jest.spyOn(server.commandRunner, 'resolvePath').mockResolvedValue('/var/log/autoweave.log');
+        let started;
+        const querying = new Promise(resolve => { started = resolve; });
+        const query = jest.spyOn(LogReader.prototype, 'query').mockImplementation((file, filters) => new Promise((resolve, reject) => {
+            filters.signal.addEventListener('abort', () => reject(filters.signal.reason), { once: true });
+            started();
+        }));
+        const controller = new AbortController();
+
+        const call = server.callTool('autoweave-debugging-analyze-logs', { log_file: 'logs/autoweave.log' }, { signal: controller.signal });
+        await querying;
+        controller.abort();
+
+        await expect(call).rejects.toMatchObject({ code: 'TOOL_CANCELLED' });
+        expect(query).toHaveBeenCalledWith('/var/log/autoweave.log', expect.objectContaining({ limit: 100, signal: expect.any(AbortSignal) }));
+        expect(query.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+});
\ No newline at end of file
@@ -1,3 +1,4 @@
+const { EventEmitter } = require('events');
 const { Logger } = require('../utils/logger');
 const { Validator } = require('../utils/validation');
 const { RetryHelper } = require('../utils/retry');
@@ -5,9 +6,11 @@ const { RetryHelper } = require('../utils/retry');
 /**
  * AgentService - Service de gestion centralisée des agents AutoWeave
  * Orchestration entre AgentWeaver, KagentBridge et HybridMemoryManager
+ * Émet 'agent-status-changed' ({ agentId, status, previousStatus }) et 'agent-updated' ({ agentId })
  */
-class AgentService {
+class AgentService extends EventEmitter {
     constructor(agentWeaver, kagentBridge, memoryManager) {
+        super();
         this.agentWeaver = agentWeaver;
         this.kagentBridge = kagentBridge;
         this.memoryManager = memoryManager;
@@ -16,6 +19,10 @@ class AgentService {
         // Agent registry
         this.agents = new Map();
         this.isInitialized = false;
+        
+        // Dernier statut observé par agent (registre ou kagent), pour détecter les changements
+        this.observedStatuses = new Map();
+        this.statusWatchTimer = null;
     }
     
     async initialize() {
@@ -79,6 +86,7 @@ class AgentService {
             };
             
             this.agents.set(workflow.id, agent);
+            this.observeStatus(workflow.id, agent.status);
             
             // 4. Add to memory system
             await this.memoryManager.createAgentWithMemory(agent, userId);
@@ -90,6 +98,7 @@ class AgentService {
             agent.status = 'deployed';
             agent.deployment = deployment;
             agent.lastUpdated = new Date();
+            this.observeStatus(workflow.id, agent.status);
             
             // 7. Add deployment memory
             await this.memoryManager.contextualMemory.addAgentMemory(
@@ -119,6 +128,7 @@ class AgentService {
                 agent.status = 'failed';
                 agent.error = error.message;
                 agent.lastUpdated = new Date();
+                this.observeStatus(workflow.id, agent.status);
             }
             
             throw error;
@@ -135,10 +145,12 @@ class AgentService {
             try {
                 // Get real-time status from kagent
                 const kagentStatus = await this.kagentBridge.getAgentStatus(id);
+                const status = kagentStatus?.status || agent.status;
+                this.observeStatus(id, status);
                 
                 agents.push({
                     ...agent,
-                    status: kagentStatus?.status || agent.status,
+                    status,
                     kagentDetails: kagentStatus
                 });
                 
@@ -163,10 +175,12 @@ class AgentService {
         try {
             // Get real-time status from kagent
             const kagentStatus = await this.kagentBridge.getAgentStatus(agentId);
+            const status = kagentStatus?.status || agent.status;
+            this.observeStatus(agentId, status);
             
             return {
                 ...agent,
-                status: kagentStatus?.status || agent.status,
+                status,
                 kagentDetails: kagentStatus,
                 lastUpdated: new Date()
             };
@@ -200,6 +214,11 @@ class AgentService {
             };
             
             this.agents.set(agentId, updatedAgent);
+            // Un changement de statut prévient déjà les abonnés
+            const statusChanged = updates.status ? this.observeStatus(agentId, updates.status) : false;
+            if (!statusChanged) {
+                this.emit('agent-updated', { agentId });
+            }
             
             // Add to memory
             await this.memoryManager.contextualMemory.addAgentMemory(
@@ -236,6 +255,8 @@ class AgentService {
             
             // Remove from registry
             this.agents.delete(agentId);
+            this.observeStatus(agentId, 'deleted');
+            this.observedStatuses.delete(agentId);
             
             // Add to memory
             await this.memoryManager.contextualMemory.addAgentMemory(
@@ -363,6 +384,48 @@ class AgentService {
         }
     }
     
+    /**
+     * Record the latest known status of an agent and emit 'agent-status-changed' when it differs
+     */
+    observeStatus(agentId, status) {
+        const previousStatus = this.observedStatuses.has(agentId) ? this.observedStatuses.get(agentId) : null;
+        if (previousStatus === status) {
+            return false;
+        }
+        
+        this.observedStatuses.set(agentId, status);
+        this.logger.debug(`Agent ${agentId} status: ${previousStatus || 'none'} -> ${status}`);
+        this.emit('agent-status-changed', { agentId, status, previousStatus });
+        return true;
+    }
+    
+    /**
+     * Poll kagent for status changes (the bridge does not watch the cluster)
+     */
+    watchStatus(interval = 15000) {
+        if (this.statusWatchTimer) {
+            return;
+        }
+        
+        this.statusWatchTimer = setInterval(() => {
+            this.refreshStatuses().catch(error => {
+                this.logger.warn('Failed to refresh agent statuses:', error.message);
+            });
+        }, interval);
+        this.statusWatchTimer.unref();
+    }
+    
+    stopWatchingStatus() {
+        clearInterval(this.statusWatchTimer);
+        this.statusWatchTimer = null;
+    }
+    
+    async refreshStatuses() {
+        for (const agentId of Array.from(this.agents.keys())) {
+            await this.getAgentStatus(agentId);
+        }
+    }
+    
     /**
      * Enhance workflow with available kagent tools
      */
@@ -425,7 +488,9 @@ class AgentService {
     async shutdown() {
         this.logger.info('Shutting down Agent Service...');
         this.isInitialized = false;
+        this.stopWatchingStatus();
         this.agents.clear();
+        this.observedStatuses.clear();
         this.logger.info('Agent Service shutdown complete');
     }
 }
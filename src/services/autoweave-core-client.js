@@ -0,0 +1,274 @@
+const { Logger } = require('../utils/logger');
+const { RetryHelper } = require('../utils/retry');
+const fetch = require('node-fetch');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+class CoreApiError extends Error {
+    constructor(message, code = 'CORE_API_ERROR', details = {}) {
+        super(message);
+        this.name = 'CoreApiError';
+        this.code = code;
+        this.status = details.status || null;
+        this.method = details.method || null;
+        this.path = details.path || null;
+        this.body = details.body === undefined ? null : details.body;
+        this.retryable = Boolean(details.retryable);
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            status: this.status,
+            method: this.method,
+            path: this.path,
+            body: this.body
+        };
+    }
+}
+
+/**
+ * @typedef {Object} CoreClientConfig
+ * @property {string} [baseUrl] - URL de l'API core (AUTOWEAVE_CORE_URL, défaut http://localhost:3000)
+ * @property {string} [apiKey] - Jeton envoyé en "Authorization: Bearer" (AUTOWEAVE_CORE_API_KEY)
+ * @property {Object} [headers] - En-têtes additionnels envoyés à chaque requête
+ * @property {number} [timeout] - Timeout par tentative en ms (AUTOWEAVE_CORE_TIMEOUT, défaut 10000)
+ * @property {Object} [retry] - Options RetryHelper (maxAttempts, delay, backoff)
+ * @property {Function} [fetch] - Implémentation fetch (stub de test)
+ */
+
+/**
+ * AutoWeaveCoreClient - Client HTTP de l'API core AutoWeave
+ * Utilisé par les outils MCP : le serveur MCP peut tourner dans un autre pod que le core
+ */
+class AutoWeaveCoreClient {
+    /**
+     * @param {CoreClientConfig} config
+     */
+    constructor(config = {}) {
+        this.logger = new Logger('AutoWeaveCoreClient');
+        this.baseUrl = (config.baseUrl || process.env.AUTOWEAVE_CORE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || process.env.AUTOWEAVE_CORE_API_KEY || null;
+        this.headers = config.headers || {};
+        this.timeout = config.timeout || parseInt(process.env.AUTOWEAVE_CORE_TIMEOUT, 10) || 10000;
+        this.retry = {
+            maxAttempts: 3,
+            delay: 500,
+            backoff: 2,
+            ...config.retry
+        };
+        this.fetch = config.fetch || fetch;
+    }
+
+    /**
+     * Send a request to the core API and return the decoded body.
+     * Non-2xx responses, timeouts and network failures throw CoreApiError.
+     */
+    async request(method, path, options = {}) {
+        const httpMethod = method.toUpperCase();
+        const url = this.buildUrl(path, options.query);
+
+        return RetryHelper.withRetry(
+            () => this.send(httpMethod, path, url, options),
+            {
+                ...this.retry,
+                ...options.retry,
+                signal: options.signal,
+                shouldRetry: error => error instanceof CoreApiError && error.retryable
+            }
+        );
+    }
+
+    async send(method, path, url, options) {
+        if (options.signal?.aborted) {
+            throw new CoreApiError(`AutoWeave core ${method} ${path} cancelled`, 'CORE_REQUEST_CANCELLED', { method, path });
+        }
+
+        const controller = new AbortController();
+        const timeout = options.timeout || this.timeout;
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const headers = { Accept: 'application/json', ...this.headers, ...options.headers };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const idempotent = IDEMPOTENT_METHODS.includes(method);
+        let response;
+
+        try {
+            this.logger.debug(`${method} ${url}`);
+            response = await this.fetch(url, {
+                method,
+                headers,
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const cancelled = options.signal?.aborted;
+                throw new CoreApiError(
+                    cancelled ? `AutoWeave core ${method} ${path} cancelled` : `AutoWeave core ${method} ${path} timed out after ${timeout}ms`,
+                    cancelled ? 'CORE_REQUEST_CANCELLED' : 'CORE_TIMEOUT',
+                    { method, path, retryable: !cancelled && idempotent }
+                );
+            }
+            // Connexion refusée : la requête n'a pas été traitée, on peut la rejouer quelle que soit la méthode
+            throw new CoreApiError(`AutoWeave core unreachable at ${this.baseUrl}: ${error.message}`, 'CORE_UNREACHABLE', {
+                method,
+                path,
+                retryable: idempotent || error.code === 'ECONNREFUSED'
+            });
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        const body = await this.parseBody(response);
+
+        if (!response.ok) {
+            const detail = body && typeof body === 'object' ? body.error || body.message : body;
+            throw new CoreApiError(
+                `AutoWeave core ${method} ${path} failed: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`,
+                'CORE_HTTP_ERROR',
+                {
+                    status: response.status,
+                    method,
+                    path,
+                    body,
+                    retryable: response.status === 429 || (idempotent && response.status >= 500)
+                }
+            );
+        }
+
+        return body;
+    }
+
+    async parseBody(response) {
+        if (response.status === 204) {
+            return null;
+        }
+
+        const text = await response.text();
+        if (!text) {
+            return null;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('json')) {
+            return text;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new CoreApiError(`AutoWeave core returned invalid JSON: ${error.message}`, 'CORE_INVALID_RESPONSE', {
+                status: response.status,
+                body: text
+            });
+        }
+    }
+
+    buildUrl(path, query = {}) {
+        const url = new URL(`${this.baseUrl}${path.startsWith('/') ? path : `/${path}`}`);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        });
+        return url.toString();
+    }
+
+    get(path, options = {}) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, body = {}, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    }
+
+    // Endpoints typés : `options` ({ signal, timeout, retry, headers }) est transmis à request()
+
+    // Health
+    getHealth(options = {}) {
+        return this.get('/api/health', options);
+    }
+
+    // Agents
+    createAgent(spec, options = {}) {
+        return this.post('/api/agents', spec, options);
+    }
+
+    listAgents(filters = {}, options = {}) {
+        return this.get('/api/agents', { ...options, query: { status: filters.status } });
+    }
+
+    // Memory
+    searchMemory(params, options = {}) {
+        return this.post('/api/memory/search', params, options);
+    }
+
+    getMemoryMetrics(options = {}) {
+        return this.get('/api/memory/metrics', options);
+    }
+
+    // Configuration
+    generateConfigWithFreshSources(params, options = {}) {
+        return this.post('/api/config/generate-with-fresh', params, options);
+    }
+
+    searchConfigSources(params, options = {}) {
+        return this.post('/api/config/sources/search', params, options);
+    }
+
+    // Self-awareness
+    getSelfAwarenessHealth(options = {}) {
+        return this.get('/api/self-awareness/health', options);
+    }
+
+    scanSystem(scanOptions = {}, options = {}) {
+        return this.post('/api/self-awareness/scan', scanOptions, options);
+    }
+
+    discoverTools(filters = {}, options = {}) {
+        return this.get('/api/self-awareness/tools', { ...options, query: { category: filters.category } });
+    }
+
+    getOSEnvironment(options = {}) {
+        return this.get('/api/self-awareness/os-environment', options);
+    }
+
+    getDocumentation(options = {}) {
+        return this.get('/api/self-awareness/documentation', options);
+    }
+
+    syncDatabase(options = {}) {
+        return this.get('/api/self-awareness/sync', options);
+    }
+
+    ingestFile(params, options = {}) {
+        return this.post('/api/self-awareness/ingest', params, options);
+    }
+
+    searchFiles(params, options = {}) {
+        return this.get('/api/self-awareness/files', { ...options, query: { type: params.type || 'content', query: params.query } });
+    }
+
+    // Search
+    searchWeb(params, options = {}) {
+        return this.post('/api/search/web', params, options);
+    }
+}
+
+module.exports = { AutoWeaveCoreClient, CoreApiError };
\ No newline at end of file
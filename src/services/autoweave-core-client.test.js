@@ -0,0 +1,123 @@
+const express = require('express');
+const { AutoWeaveCoreClient, CoreApiError } = require('./autoweave-core-client');
+
+/**
+ * Local stub of the core API: records each request and answers from `routes`
+ */
+async function startStub(routes) {
+    const requests = [];
+    const app = express();
+    app.use(express.json());
+    app.use((req, res) => {
+        requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers, body: req.body });
+        const handler = routes[`${req.method} ${req.path}`];
+        if (!handler) {
+            return res.status(404).json({ error: 'not found' });
+        }
+        handler(req, res, requests.filter(request => request.path === req.path).length);
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, requests, url: `http://localhost:${server.address().port}` };
+}
+
+describe('AutoWeaveCoreClient', () => {
+    let stub;
+
+    afterEach(async () => {
+        await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    const client = (config = {}) => new AutoWeaveCoreClient({ baseUrl: stub.url, retry: { delay: 1 }, ...config });
+
+    test('calls the configured endpoint with the API key and decodes JSON', async () => {
+        stub = await startStub({
+            'GET /api/agents': (req, res) => res.json({ agents: [{ id: 'a1' }] }),
+            'POST /api/memory/search': (req, res) => res.json({ results: [], query: req.body.query })
+        });
+        const core = client({ baseUrl: `${stub.url}/`, apiKey: 'secret', headers: { 'X-Tenant': 'acme' } });
+
+        await expect(core.listAgents({ status: 'running' })).resolves.toEqual({ agents: [{ id: 'a1' }] });
+        await expect(core.searchMemory({ query: 'redis' })).resolves.toEqual({ results: [], query: 'redis' });
+
+        expect(stub.requests[0]).toMatchObject({
+            method: 'GET',
+            path: '/api/agents',
+            query: { status: 'running' },
+            headers: { authorization: 'Bearer secret', 'x-tenant': 'acme' }
+        });
+        expect(stub.requests[1]).toMatchObject({ method: 'POST', body: { query: 'redis' } });
+    });
+
+    test('reads the endpoint from AUTOWEAVE_CORE_URL', async () => {
+        stub = await startStub({ 'GET /api/health': (req, res) => res.json({ status: 'ok' }) });
+        const previous = process.env.AUTOWEAVE_CORE_URL;
+        process.env.AUTOWEAVE_CORE_URL = stub.url;
+        try {
+            await expect(new AutoWeaveCoreClient().getHealth()).resolves.toEqual({ status: 'ok' });
+        } finally {
+            if (previous === undefined) {
+                delete process.env.AUTOWEAVE_CORE_URL;
+            } else {
+                process.env.AUTOWEAVE_CORE_URL = previous;
+            }
+        }
+    });
+
+    test('retries idempotent requests on 5xx but never a failed POST', async () => {
+        stub = await startStub({
+            'GET /api/health': (req, res, attempt) => (attempt < 3 ? res.status(503).json({ error: 'starting' }) : res.json({ status: 'ok' })),
+            'POST /api/agents': (req, res) => res.status(500).json({ error: 'db down' })
+        });
+        const core = client();
+
+        await expect(core.getHealth()).resolves.toEqual({ status: 'ok' });
+        expect(stub.requests.filter(request => request.path === '/api/health')).toHaveLength(3);
+
+        const error = await core.createAgent({ name: 'a' }).catch(caught => caught);
+        expect(error).toBeInstanceOf(CoreApiError);
+        expect(error.toJSON()).toEqual({
+            error: 'AutoWeave core POST /api/agents failed: 500 Internal Server Error - db down',
+            code: 'CORE_HTTP_ERROR',
+            status: 500,
+            method: 'POST',
+            path: '/api/agents',
+            body: { error: 'db down' }
+        });
+        expect(stub.requests.filter(request => request.path === '/api/agents')).toHaveLength(1);
+    });
+
+    test('times out slow answers and honours cancellation', async () => {
+        stub = await startStub({
+            'GET /api/health': (req, res) => setTimeout(() => res.json({ status: 'late' }), 200)
+        });
+        const core = client({ timeout: 20, retry: { maxAttempts: 1 } });
+
+        await expect(core.getHealth()).rejects.toMatchObject({ code: 'CORE_TIMEOUT' });
+
+        const controller = new AbortController();
+        const pending = core.getHealth({ signal: controller.signal, timeout: 1000 });
+        controller.abort();
+        await expect(pending).rejects.toMatchObject({ code: 'CORE_REQUEST_CANCELLED' });
+    });
+
+    test('reports an unreachable core', async () => {
+        stub = await startStub({});
+        const core = client({ baseUrl: 'http://127.0.0.1:1', retry: { maxAttempts: 2, delay: 1 } });
+
+        await expect(core.getHealth()).rejects.toMatchObject({ code: 'CORE_UNREACHABLE' });
+    });
+
+    test('returns text bodies as is and rejects invalid JSON', async () => {
+        stub = await startStub({
+            'GET /api/self-awareness/documentation': (req, res) => res.type('text/plain').send('# Docs'),
+            'GET /api/self-awareness/sync': (req, res) => res.type('application/json').send('{broken')
+        });
+        const core = client();
+
+        await expect(core.getDocumentation()).resolves.toBe('# Docs');
+        await expect(core.syncDatabase()).rejects.toMatchObject({ code: 'CORE_INVALID_RESPONSE' });
+    });
+});
\ No newline at end of file
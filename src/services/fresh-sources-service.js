@@ -1,7 +1,31 @@
 const { Logger } = require('../utils/logger');
 const { RetryHelper } = require('../utils/retry');
+const { VersionCache } = require('./version-cache');
 const fetch = require('node-fetch');
 
+const DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Registry -> lookup method, and the latest version and tags kept in the version cache
+const LOOKUP_METHODS = {
+    docker: 'getDockerLatestTags',
+    npm: 'getNpmLatestVersion',
+    helm: 'getHelmChartVersions',
+    github: 'getGitHubPackageVersions'
+};
+
+const VERSION_SUMMARIES = {
+    docker: value => ({ latest: value.latest, tags: value.tags.map(tag => tag.name) }),
+    npm: value => ({
+        latest: value.latest,
+        tags: value.tags ? Array.from(new Set(Object.values(value.tags))) : value.versions
+    }),
+    helm: value => ({
+        latest: value.latestVersion,
+        tags: (value.availableVersions || []).map(version => version.version || version)
+    }),
+    github: value => ({ latest: value.latest?.name, tags: value.versions.map(version => version.name) })
+};
+
 /**
  * FreshSourcesService - Service pour découvrir les dernières versions
  * Intègre les APIs de Docker Hub, NPM, GitHub Container Registry, et Artifact Hub
@@ -28,12 +52,25 @@ class FreshSourcesService {
         };
         
         // RetryHelper is used statically, no need to instantiate
+        
+        // Every lookup lands in the version cache, persisted when versionCacheFile is set
+        this.versionCache = config.versionCache || new VersionCache({
+            file: config.versionCacheFile || process.env.AUTOWEAVE_VERSION_CACHE_FILE || null,
+            ttl: config.versionCacheTtl,
+            logger: this.logger.child('version-cache')
+        });
+        Object.entries(config.watchedPackages || {}).forEach(([registry, names]) => {
+            names.forEach(name => this.versionCache.watch(registry, name));
+        });
+        this.refreshTimer = null;
+        this.refreshing = null;
     }
 
     /**
      * Trouve les dernières versions pour un ensemble de requirements
+     * options.signal annule les requêtes en cours
      */
-    async findLatestVersions(requirements) {
+    async findLatestVersions(requirements, options = {}) {
         this.logger.info('Finding latest versions for requirements:', requirements);
         
         const results = {
@@ -49,7 +86,7 @@ class FreshSourcesService {
         if (requirements.docker) {
             for (const image of requirements.docker) {
                 promises.push(
-                    this.getDockerLatestTags(image)
+                    this.getDockerLatestTags(image, options)
                         .then(tags => { results.docker[image] = tags; })
                         .catch(err => { 
                             this.logger.error(`Failed to get Docker tags for ${image}:`, err);
@@ -62,7 +99,7 @@ class FreshSourcesService {
         if (requirements.npm) {
             for (const pkg of requirements.npm) {
                 promises.push(
-                    this.getNpmLatestVersion(pkg)
+                    this.getNpmLatestVersion(pkg, options)
                         .then(version => { results.npm[pkg] = version; })
                         .catch(err => {
                             this.logger.error(`Failed to get NPM version for ${pkg}:`, err);
@@ -75,7 +112,7 @@ class FreshSourcesService {
         if (requirements.helm) {
             for (const chart of requirements.helm) {
                 promises.push(
-                    this.getHelmChartVersions(chart)
+                    this.getHelmChartVersions(chart, options)
                         .then(versions => { results.helm[chart] = versions; })
                         .catch(err => {
                             this.logger.error(`Failed to get Helm versions for ${chart}:`, err);
@@ -88,7 +125,7 @@ class FreshSourcesService {
         if (requirements.github && this.config.github.token) {
             for (const pkg of requirements.github) {
                 promises.push(
-                    this.getGitHubPackageVersions(pkg)
+                    this.getGitHubPackageVersions(pkg, options)
                         .then(versions => { results.github[pkg] = versions; })
                         .catch(err => {
                             this.logger.error(`Failed to get GitHub versions for ${pkg}:`, err);
@@ -107,165 +144,312 @@ class FreshSourcesService {
     /**
      * Récupère les derniers tags Docker Hub
      */
-    async getDockerLatestTags(imageName) {
+    async getDockerLatestTags(imageName, options = {}) {
         const [namespace, repo] = imageName.includes('/') 
             ? imageName.split('/')
             : ['library', imageName];
 
         const url = `${this.config.dockerHub.baseUrl}/repositories/${namespace}/${repo}/tags?page_size=10&ordering=-last_updated`;
         
-        this.logger.debug(`Fetching Docker tags from: ${url}`);
-
-        const response = await RetryHelper.withRetry(async () => {
-            const res = await fetch(url);
-            if (!res.ok) {
-                throw new Error(`Docker Hub API error: ${res.status} ${res.statusText}`);
+        return this.cachedLookup('docker', imageName, options, async cached => {
+            this.logger.debug(`Fetching Docker tags from: ${url}`);
+            
+            const response = await this.fetchJson(url, {
+                signal: options.signal,
+                cached,
+                errorFor: res => new Error(`Docker Hub API error: ${res.status} ${res.statusText}`)
+            });
+            if (response.notModified) {
+                return response;
             }
-            return res.json();
+            
+            const tags = response.body.results.map(tag => ({
+                name: tag.name,
+                size: tag.full_size,
+                lastUpdated: tag.last_updated,
+                digest: tag.digest
+            }));
+            
+            return {
+                ...response,
+                value: {
+                    latest: tags[0]?.name || 'latest',
+                    tags: tags.slice(0, 5), // Top 5 most recent
+                    totalCount: response.body.count
+                }
+            };
         });
-
-        const tags = response.results.map(tag => ({
-            name: tag.name,
-            size: tag.full_size,
-            lastUpdated: tag.last_updated,
-            digest: tag.digest
-        }));
-
-        return {
-            latest: tags[0]?.name || 'latest',
-            tags: tags.slice(0, 5), // Top 5 most recent
-            totalCount: response.count
-        };
     }
 
     /**
      * Récupère la dernière version NPM
      */
-    async getNpmLatestVersion(packageName) {
+    async getNpmLatestVersion(packageName, options = {}) {
         // D'abord essayer l'endpoint rapide dist-tags
         const distTagsUrl = `${this.config.npm.baseUrl}/-/package/${packageName}/dist-tags`;
         
-        try {
-            const response = await RetryHelper.withRetry(async () => {
-                const res = await fetch(distTagsUrl);
-                if (res.status === 404) {
-                    throw new Error(`NPM package not found: ${packageName}`);
+        return this.cachedLookup('npm', packageName, options, async cached => {
+            try {
+                const response = await this.fetchJson(distTagsUrl, {
+                    signal: options.signal,
+                    cached,
+                    errorFor: res => res.status === 404
+                        ? new Error(`NPM package not found: ${packageName}`)
+                        : new Error(`NPM API error: ${res.status}`)
+                });
+                if (response.notModified) {
+                    return response;
                 }
-                if (!res.ok) {
-                    throw new Error(`NPM API error: ${res.status}`);
+                
+                return {
+                    ...response,
+                    value: {
+                        latest: response.body.latest,
+                        tags: response.body,
+                        registry: 'npmjs.org'
+                    }
+                };
+            } catch (err) {
+                // Fallback sur l'API complète
+                this.logger.debug(`dist-tags failed, trying full API for ${packageName}`);
+                
+                const fullUrl = `${this.config.npm.baseUrl}/${packageName}`;
+                const response = await this.fetchJson(fullUrl, {
+                    signal: options.signal,
+                    cached,
+                    errorFor: res => new Error(`NPM API error: ${res.status}`)
+                });
+                if (response.notModified) {
+                    return response;
                 }
-                return res.json();
-            });
-
-            return {
-                latest: response.latest,
-                tags: response,
-                registry: 'npmjs.org'
-            };
-        } catch (err) {
-            // Fallback sur l'API complète
-            this.logger.debug(`dist-tags failed, trying full API for ${packageName}`);
-            
-            const fullUrl = `${this.config.npm.baseUrl}/${packageName}`;
-            const response = await RetryHelper.withRetry(async () => {
-                const res = await fetch(fullUrl);
-                if (!res.ok) {
-                    throw new Error(`NPM API error: ${res.status}`);
-                }
-                return res.json();
-            });
-
-            return {
-                latest: response['dist-tags']?.latest,
-                versions: Object.keys(response.versions || {}).slice(-5).reverse(),
-                description: response.description,
-                homepage: response.homepage
-            };
-        }
+                
+                return {
+                    ...response,
+                    value: {
+                        latest: response.body['dist-tags']?.latest,
+                        versions: Object.keys(response.body.versions || {}).slice(-5).reverse(),
+                        description: response.body.description,
+                        homepage: response.body.homepage
+                    }
+                };
+            }
+        });
     }
 
     /**
      * Récupère les versions d'un chart Helm via Artifact Hub
      */
-    async getHelmChartVersions(chartName) {
+    async getHelmChartVersions(chartName, options = {}) {
         const searchUrl = `${this.config.artifactHub.baseUrl}/packages/search?kind=0&ts_query=${chartName}&limit=5`;
         
-        this.logger.debug(`Searching Helm charts: ${searchUrl}`);
-
-        const searchResponse = await RetryHelper.withRetry(async () => {
-            const res = await fetch(searchUrl);
-            if (!res.ok) {
-                throw new Error(`Artifact Hub API error: ${res.status}`);
+        return this.cachedLookup('helm', chartName, options, async cached => {
+            this.logger.debug(`Searching Helm charts: ${searchUrl}`);
+            
+            const response = await this.fetchJson(searchUrl, {
+                signal: options.signal,
+                cached,
+                errorFor: res => new Error(`Artifact Hub API error: ${res.status}`)
+            });
+            if (response.notModified) {
+                return response;
             }
-            return res.json();
+            
+            if (!response.body.packages || response.body.packages.length === 0) {
+                throw new Error(`No Helm chart found for: ${chartName}`);
+            }
+            
+            // Prendre le premier résultat le plus pertinent
+            const chart = response.body.packages[0];
+            
+            return {
+                ...response,
+                value: {
+                    name: chart.name,
+                    repository: chart.repository.name,
+                    latestVersion: chart.version,
+                    availableVersions: chart.available_versions?.slice(0, 5),
+                    appVersion: chart.app_version,
+                    description: chart.description
+                }
+            };
         });
-
-        if (!searchResponse.packages || searchResponse.packages.length === 0) {
-            throw new Error(`No Helm chart found for: ${chartName}`);
-        }
-
-        // Prendre le premier résultat le plus pertinent
-        const chart = searchResponse.packages[0];
-        
-        return {
-            name: chart.name,
-            repository: chart.repository.name,
-            latestVersion: chart.version,
-            availableVersions: chart.available_versions?.slice(0, 5),
-            appVersion: chart.app_version,
-            description: chart.description
-        };
     }
 
     /**
      * Récupère les versions GitHub Container Registry
      */
-    async getGitHubPackageVersions(packageName) {
+    async getGitHubPackageVersions(packageName, options = {}) {
         if (!this.config.github.token) {
             throw new Error('GitHub token required for GHCR access');
         }
 
         const url = `${this.config.github.baseUrl}/user/packages/container/${packageName}/versions`;
         
-        this.logger.debug(`Fetching GitHub package versions: ${url}`);
-
-        const response = await RetryHelper.withRetry(async () => {
-            const res = await fetch(url, {
+        return this.cachedLookup('github', packageName, options, async cached => {
+            this.logger.debug(`Fetching GitHub package versions: ${url}`);
+            
+            const response = await this.fetchJson(url, {
+                signal: options.signal,
+                cached,
                 headers: {
                     'Authorization': `Bearer ${this.config.github.token}`,
                     'Accept': 'application/vnd.github.v3+json'
+                },
+                errorFor: res => {
+                    if (res.status === 401) {
+                        return new Error('GitHub authentication failed - check token');
+                    }
+                    if (res.status === 404) {
+                        return new Error(`GitHub package not found: ${packageName}`);
+                    }
+                    return new Error(`GitHub API error: ${res.status}`);
                 }
             });
-            
-            if (res.status === 401) {
-                throw new Error('GitHub authentication failed - check token');
+            if (response.notModified) {
+                return response;
             }
-            if (res.status === 404) {
-                throw new Error(`GitHub package not found: ${packageName}`);
+            
+            const versions = response.body.map(v => ({
+                id: v.id,
+                name: v.name || v.metadata?.container?.tags?.[0] || 'untagged',
+                created: v.created_at,
+                updated: v.updated_at,
+                tags: v.metadata?.container?.tags || []
+            }));
+            
+            return {
+                ...response,
+                value: {
+                    latest: versions[0],
+                    versions: versions.slice(0, 5),
+                    totalCount: response.body.length
+                }
+            };
+        });
+    }
+
+    /**
+     * Answer from the version cache while the entry is fresh (unless options.refresh),
+     * otherwise run lookup(cachedEntry) and store its { value, source, etag }.
+     * A lookup resolving { notModified: true } keeps the cached versions for another TTL.
+     */
+    async cachedLookup(registry, name, options, lookup) {
+        await this.versionCache.load();
+        const cached = this.versionCache.get(registry, name);
+        if (cached && !options.refresh && this.versionCache.isFresh(cached)) {
+            this.logger.debug(`Version cache hit for ${registry}:${name}`);
+            return cached.value;
+        }
+        
+        const answer = await lookup(cached);
+        if (answer.notModified) {
+            this.logger.debug(`${registry}:${name} not modified since ${new Date(cached.fetchedAt).toISOString()}`);
+            return this.versionCache.revalidate(registry, name).value;
+        }
+        
+        this.versionCache.set(registry, name, {
+            ...VERSION_SUMMARIES[registry](answer.value),
+            value: answer.value,
+            source: answer.source,
+            etag: answer.etag
+        });
+        return answer.value;
+    }
+
+    /**
+     * GET a registry JSON document with retries: { body, source, etag }.
+     * Conditional (If-None-Match) when the cached entry came from the same URL;
+     * a 304 then resolves { notModified: true }. errorFor(res) builds the error of a failed status.
+     */
+    async fetchJson(url, options = {}) {
+        const { signal, cached, headers = {}, errorFor } = options;
+        const conditional = cached?.etag && cached.source === url ? { 'If-None-Match': cached.etag } : {};
+        
+        return RetryHelper.withRetry(async () => {
+            const res = await fetch(url, { signal, headers: { ...headers, ...conditional } });
+            if (res.status === 304 && conditional['If-None-Match']) {
+                return { notModified: true };
             }
             if (!res.ok) {
-                throw new Error(`GitHub API error: ${res.status}`);
+                throw errorFor(res);
             }
-            return res.json();
-        });
+            return { body: await res.json(), source: url, etag: res.headers.get('etag') };
+        }, { signal });
+    }
 
-        const versions = response.map(v => ({
-            id: v.id,
-            name: v.name || v.metadata?.container?.tags?.[0] || 'untagged',
-            created: v.created_at,
-            updated: v.updated_at,
-            tags: v.metadata?.container?.tags || []
-        }));
-
-        return {
-            latest: versions[0],
-            versions: versions.slice(0, 5),
-            totalCount: response.length
-        };
+    /**
+     * Keep a package refreshed in the background (see startRefresher)
+     */
+    watch(registry, name) {
+        this.versionCache.watch(registry, name);
+    }
+
+    unwatch(registry, name) {
+        return this.versionCache.unwatch(registry, name);
+    }
+
+    /**
+     * Refresh watched packages every interval ms, before their cache entry expires
+     */
+    startRefresher(interval = this.config.versionRefreshInterval || DEFAULT_REFRESH_INTERVAL) {
+        if (this.refreshTimer) {
+            return;
+        }
+        
+        this.refreshTimer = setInterval(() => {
+            this.refreshWatched({ within: interval }).catch(error => {
+                this.logger.warn('Failed to refresh watched packages:', error.message);
+            });
+        }, interval);
+        this.refreshTimer.unref();
+    }
+
+    stopRefresher() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Look up again, one at a time, the watched packages whose entry is missing or expires
+     * within options.within ms. Resolves { refreshed, failed } (lists of registry:package).
+     */
+    refreshWatched(options = {}) {
+        if (!this.refreshing) {
+            this.refreshing = this.runRefresh(options).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async runRefresh(options) {
+        await this.versionCache.load();
+        const deadline = Date.now() + (options.within || 0);
+        const due = this.versionCache.listWatched().filter(({ registry, package: name }) => {
+            const entry = this.versionCache.get(registry, name);
+            return !entry || entry.expiresAt <= deadline;
+        });
+        
+        const result = { refreshed: [], failed: [] };
+        for (const { registry, package: name } of due) {
+            try {
+                await this[LOOKUP_METHODS[registry]](name, { refresh: true, signal: options.signal });
+                result.refreshed.push(`${registry}:${name}`);
+            } catch (error) {
+                this.logger.warn(`Cannot refresh ${registry}:${name}:`, error.message);
+                result.failed.push(`${registry}:${name}`);
+            }
+        }
+        
+        if (due.length > 0) {
+            this.logger.info(`🔄 Refreshed ${result.refreshed.length}/${due.length} watched packages`);
+        }
+        return result;
     }
 
     /**
      * Recherche intelligente multi-registres
+     * Les registres en échec restent vides et sont listés dans errors (registre -> message)
      */
     async searchPackage(query, options = {}) {
         this.logger.info(`Searching for package: ${query}`);
@@ -283,27 +467,36 @@ class FreshSourcesService {
         // Docker Hub search
         if (options.includeDocker !== false) {
             promises.push(
-                this.searchDockerHub(query)
+                this.searchDockerHub(query, options)
                     .then(res => { results.docker = res; })
-                    .catch(err => this.logger.warn('Docker search failed:', err))
+                    .catch(err => {
+                        this.logger.warn('Docker search failed:', err);
+                        results.errors = { ...results.errors, docker: err.message };
+                    })
             );
         }
 
         // NPM search
         if (options.includeNpm !== false) {
             promises.push(
-                this.searchNpm(query)
+                this.searchNpm(query, options)
                     .then(res => { results.npm = res; })
-                    .catch(err => this.logger.warn('NPM search failed:', err))
+                    .catch(err => {
+                        this.logger.warn('NPM search failed:', err);
+                        results.errors = { ...results.errors, npm: err.message };
+                    })
             );
         }
 
         // Helm search
         if (options.includeHelm !== false) {
             promises.push(
-                this.searchHelm(query)
+                this.searchHelm(query, options)
                     .then(res => { results.helm = res; })
-                    .catch(err => this.logger.warn('Helm search failed:', err))
+                    .catch(err => {
+                        this.logger.warn('Helm search failed:', err);
+                        results.errors = { ...results.errors, helm: err.message };
+                    })
             );
         }
 
@@ -318,11 +511,13 @@ class FreshSourcesService {
     /**
      * Recherche Docker Hub
      */
-    async searchDockerHub(query) {
+    async searchDockerHub(query, options = {}) {
         const url = `${this.config.dockerHub.baseUrl}/search/repositories/?query=${encodeURIComponent(query)}&page_size=5`;
         
-        const response = await fetch(url);
-        if (!response.ok) return [];
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`Docker Hub search error: ${response.status} ${response.statusText}`);
+        }
         
         const data = await response.json();
         return data.results?.map(r => ({
@@ -337,11 +532,13 @@ class FreshSourcesService {
     /**
      * Recherche NPM
      */
-    async searchNpm(query) {
+    async searchNpm(query, options = {}) {
         const url = `https://registry.npmjs.org/-/v1/search?text=${encodeURIComponent(query)}&size=5`;
         
-        const response = await fetch(url);
-        if (!response.ok) return [];
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`NPM search error: ${response.status}`);
+        }
         
         const data = await response.json();
         return data.objects?.map(o => ({
@@ -355,11 +552,13 @@ class FreshSourcesService {
     /**
      * Recherche Helm
      */
-    async searchHelm(query) {
+    async searchHelm(query, options = {}) {
         const url = `${this.config.artifactHub.baseUrl}/packages/search?kind=0&ts_query=${encodeURIComponent(query)}&limit=5`;
         
-        const response = await fetch(url);
-        if (!response.ok) return [];
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`Artifact Hub search error: ${response.status}`);
+        }
         
         const data = await response.json();
         return data.packages?.map(p => ({
@@ -410,23 +609,23 @@ class FreshSourcesService {
     /**
      * Vérifie si une version est obsolète
      */
-    async checkIfOutdated(type, name, currentVersion) {
+    async checkIfOutdated(type, name, currentVersion, options = {}) {
         try {
             let latestVersion;
             
             switch (type) {
                 case 'docker':
-                    const dockerInfo = await this.getDockerLatestTags(name);
+                    const dockerInfo = await this.getDockerLatestTags(name, options);
                     latestVersion = dockerInfo.latest;
                     break;
                     
                 case 'npm':
-                    const npmInfo = await this.getNpmLatestVersion(name);
+                    const npmInfo = await this.getNpmLatestVersion(name, options);
                     latestVersion = npmInfo.latest;
                     break;
                     
                 case 'helm':
-                    const helmInfo = await this.getHelmChartVersions(name);
+                    const helmInfo = await this.getHelmChartVersions(name, options);
                     latestVersion = helmInfo.latestVersion;
                     break;
                     
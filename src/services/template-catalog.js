@@ -0,0 +1,394 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('yaml');
+const { Logger } = require('../utils/logger');
+const { unifiedDiff } = require('../utils/text-diff');
+const { ToolInputValidator, ToolValidationError } = require('../mcp/tool-validator');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '../../templates');
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const VERSION_PATTERN = '^\\d+\\.\\d+\\.\\d+(-[0-9A-Za-z.-]+)?$';
+
+// Placeholder {{ param }} ou {{ param.field }} ; les expressions Helm ({{ .Values.x }}, {{- end }}) ne correspondent pas
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*(?:\.\w+)*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([A-Za-z_]\w*(?:\.\w+)*)\s*\}\}$/;
+
+const DEFINITION_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+        version: { type: 'string', pattern: VERSION_PATTERN },
+        platform: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' }, default: [] },
+        parameters: { type: 'object', default: { type: 'object' } },
+        files: {
+            type: 'object',
+            minProperties: 1
+        }
+    },
+    required: ['name', 'version', 'platform', 'files']
+};
+
+class TemplateCatalogError extends Error {
+    constructor(message, code = 'TEMPLATE_ERROR', details = {}) {
+        super(message);
+        this.name = 'TemplateCatalogError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * TemplateCatalog - Catalogue versionné de templates de configuration
+ * Chargé depuis des répertoires de fichiers YAML/JSON (un fichier par version) :
+ * { name, version, platform, description?, tags?, parameters (JSON Schema), files: { chemin: contenu } }
+ * Le contenu d'un fichier est un document, une liste de documents ou du texte ; les chaînes
+ * "{{ param }}" sont remplacées par la valeur typée du paramètre, et {{ param }} est interpolé
+ * dans les chaînes plus longues. Seuls les paramètres déclarés sont substitués.
+ * Les répertoires plus tardifs remplacent un même name@version des précédents.
+ */
+class TemplateCatalog {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('TemplateCatalog');
+        this.directories = options.directories || [BUILTIN_TEMPLATES_DIR];
+        this.validator = options.validator || new ToolInputValidator();
+        this.templates = new Map();
+        this.errors = [];
+    }
+
+    /**
+     * (Re)load every directory. Invalid files are skipped and reported in `errors`.
+     */
+    async load() {
+        const templates = new Map();
+        const errors = [];
+
+        for (const directory of this.directories) {
+            for (const file of await this.listFiles(directory)) {
+                try {
+                    const definition = await this.readDefinition(file);
+                    const versions = templates.get(definition.name) || new Map();
+                    if (versions.has(definition.version)) {
+                        this.logger.info(`${definition.name}@${definition.version} from ${file} overrides ${versions.get(definition.version).file}`);
+                    }
+                    versions.set(definition.version, definition);
+                    templates.set(definition.name, versions);
+                } catch (error) {
+                    this.logger.warn(`Skipping template ${file}: ${error.message}`);
+                    errors.push({ file, error: error.message });
+                }
+            }
+        }
+
+        this.templates = new Map(Array.from(templates.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, versions]) => [name, Array.from(versions.values()).sort((a, b) => TemplateCatalog.compareVersions(a.version, b.version))]));
+        this.errors = errors;
+
+        this.logger.info(`📚 Loaded ${this.templates.size} configuration templates from ${this.directories.length} directories${errors.length ? ` (${errors.length} invalid)` : ''}`);
+        return this;
+    }
+
+    async listFiles(directory) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.logger.warn(`Template directory not found: ${directory}`);
+                return [];
+            }
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listFiles(file));
+            } else if (TEMPLATE_EXTENSIONS.includes(path.extname(entry.name))) {
+                files.push(file);
+            }
+        }
+        return files;
+    }
+
+    async readDefinition(file) {
+        const source = await fs.readFile(file, 'utf8');
+        const raw = path.extname(file) === '.json' ? JSON.parse(source) : yaml.parse(source);
+
+        let definition;
+        try {
+            definition = this.validator.validate('template-definition', DEFINITION_SCHEMA, raw);
+        } catch (error) {
+            if (error instanceof ToolValidationError) {
+                throw new Error(error.errors.map(e => `${e.field || '(root)'} ${e.message}`).join('; '));
+            }
+            throw error;
+        }
+
+        // Un schéma de paramètres invalide doit échouer au chargement, pas au rendu
+        this.validator.getValidator(TemplateCatalog.validatorKey(definition), definition.parameters);
+        return { ...definition, file, source };
+    }
+
+    static validatorKey(definition) {
+        return `template:${definition.name}@${definition.version}`;
+    }
+
+    /**
+     * "1.10.0" > "1.9.2"; a pre-release sorts before its release
+     */
+    static compareVersions(a, b) {
+        const split = version => {
+            const index = version.indexOf('-');
+            return index === -1 ? [version, null] : [version.slice(0, index), version.slice(index + 1)];
+        };
+        const [coreA, preA] = split(a);
+        const [coreB, preB] = split(b);
+        const partsA = coreA.split('.').map(Number);
+        const partsB = coreB.split('.').map(Number);
+        for (let i = 0; i < 3; i++) {
+            if (partsA[i] !== partsB[i]) {
+                return partsA[i] - partsB[i];
+            }
+        }
+        if (preA === preB) {
+            return 0;
+        }
+        if (!preA || !preB) {
+            return preA ? -1 : 1;
+        }
+        return preA.localeCompare(preB, undefined, { numeric: true });
+    }
+
+    /**
+     * Latest release of a template; pre-releases only count when there is no release yet
+     */
+    latest(versions) {
+        const releases = versions.filter(definition => !definition.version.includes('-'));
+        const candidates = releases.length > 0 ? releases : versions;
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * One version of a template; the latest release when version is omitted or "latest"
+     */
+    get(name, version) {
+        const versions = this.templates.get(name);
+        if (!versions) {
+            throw new TemplateCatalogError(`Unknown template: ${name}`, 'TEMPLATE_NOT_FOUND', { template: name });
+        }
+        if (!version || version === 'latest') {
+            return this.latest(versions);
+        }
+
+        const definition = versions.find(candidate => candidate.version === version);
+        if (!definition) {
+            throw new TemplateCatalogError(`Unknown version ${version} of template ${name}`, 'TEMPLATE_NOT_FOUND', {
+                template: name,
+                version,
+                versions: versions.map(candidate => candidate.version)
+            });
+        }
+        return definition;
+    }
+
+    summarize(definition) {
+        return {
+            name: definition.name,
+            version: definition.version,
+            versions: this.templates.get(definition.name).map(candidate => candidate.version),
+            platform: definition.platform,
+            description: definition.description || '',
+            tags: definition.tags,
+            variables: Object.keys(definition.parameters.properties || {}),
+            parameters: definition.parameters,
+            files: Object.keys(definition.files)
+        };
+    }
+
+    /**
+     * Latest release of each template, optionally filtered by platform and tags
+     */
+    list(filters = {}) {
+        return Array.from(this.templates.values())
+            .map(versions => this.latest(versions))
+            .filter(definition => this.matchesFilters(definition, filters))
+            .map(definition => this.summarize(definition));
+    }
+
+    matchesFilters(definition, { platform, tags = [], tag } = {}) {
+        const required = tag ? [...tags, tag] : tags;
+        return (!platform || definition.platform === platform)
+            && required.every(wanted => definition.tags.includes(wanted));
+    }
+
+    /**
+     * Every query term must appear in the name, tags or description; name and tag matches rank first
+     */
+    search(query, filters = {}) {
+        const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.list(filters)
+            .map(summary => {
+                let score = 0;
+                for (const term of terms) {
+                    const termScore = (summary.name.includes(term) ? 3 : 0)
+                        + (summary.tags.some(tag => tag.toLowerCase().includes(term)) ? 2 : 0)
+                        + (summary.description.toLowerCase().includes(term) ? 1 : 0);
+                    if (termScore === 0) {
+                        return null;
+                    }
+                    score += termScore;
+                }
+                return { ...summary, score };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Validate the parameters (defaults applied) and render every file of the template.
+     * Returns { name, version, platform, parameters, manifests, files } where manifests maps each
+     * path to the rendered value (as generate-gitops does) and files to its text.
+     */
+    render(name, parameters = {}, options = {}) {
+        const definition = this.get(name, options.version);
+
+        let values;
+        try {
+            values = this.validator.validate(TemplateCatalog.validatorKey(definition), definition.parameters, parameters);
+        } catch (error) {
+            if (error instanceof ToolValidationError) {
+                throw new TemplateCatalogError(`Invalid parameters for template ${definition.name}@${definition.version}`, 'INVALID_TEMPLATE_PARAMETERS', {
+                    template: definition.name,
+                    version: definition.version,
+                    errors: error.errors
+                });
+            }
+            throw error;
+        }
+
+        const declared = new Set(Object.keys(definition.parameters.properties || {}));
+        const manifests = {};
+        const files = {};
+        for (const [file, content] of Object.entries(definition.files)) {
+            manifests[file] = this.interpolate(content, values, declared);
+            files[file] = TemplateCatalog.toText(manifests[file]);
+        }
+
+        return {
+            name: definition.name,
+            version: definition.version,
+            platform: definition.platform,
+            parameters: values,
+            manifests,
+            files
+        };
+    }
+
+    interpolate(value, parameters, declared) {
+        if (typeof value === 'string') {
+            const whole = value.match(WHOLE_PLACEHOLDER);
+            if (whole && declared.has(whole[1].split('.')[0])) {
+                return this.lookup(parameters, whole[1]);
+            }
+            return value.replace(PLACEHOLDER, (placeholder, key) => {
+                if (!declared.has(key.split('.')[0])) {
+                    return placeholder;
+                }
+                const resolved = this.lookup(parameters, key);
+                if (resolved === undefined || resolved === null) {
+                    return '';
+                }
+                return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+            });
+        }
+        if (Array.isArray(value)) {
+            // Un élément "{{ param }}" dont le paramètre est absent disparaît de la liste
+            return value
+                .map(item => this.interpolate(item, parameters, declared))
+                .filter(item => item !== undefined);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                const rendered = this.interpolate(item, parameters, declared);
+                if (rendered !== undefined) {
+                    result[key] = rendered;
+                }
+            }
+            return result;
+        }
+        return value;
+    }
+
+    lookup(parameters, key) {
+        return key.split('.').reduce((current, segment) => (current === undefined || current === null ? undefined : current[segment]), parameters);
+    }
+
+    static toText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        return Array.isArray(content)
+            ? content.map(document => yaml.stringify(document)).join('---\n')
+            : yaml.stringify(content);
+    }
+
+    /**
+     * Unified diff between two versions of a template: of their definitions, or of their
+     * rendered files when parameters are given. `to` defaults to the latest release.
+     */
+    diff(name, from, to, options = {}) {
+        const before = this.get(name, from);
+        const after = this.get(name, to);
+        const label = definition => `${definition.name}@${definition.version}`;
+
+        let diff;
+        if (options.parameters) {
+            const renderedBefore = this.render(name, options.parameters, { version: before.version }).files;
+            const renderedAfter = this.render(name, options.parameters, { version: after.version }).files;
+            const files = Array.from(new Set([...Object.keys(renderedBefore), ...Object.keys(renderedAfter)])).sort();
+            diff = files
+                .map(file => unifiedDiff(renderedBefore[file] || '', renderedAfter[file] || '', {
+                    fromFile: file in renderedBefore ? `${label(before)}/${file}` : '/dev/null',
+                    toFile: file in renderedAfter ? `${label(after)}/${file}` : '/dev/null'
+                }))
+                .join('');
+        } else {
+            diff = unifiedDiff(before.source, after.source, { fromFile: label(before), toFile: label(after) });
+        }
+
+        return {
+            name,
+            from: before.version,
+            to: after.version,
+            rendered: Boolean(options.parameters),
+            changed: diff.length > 0,
+            diff
+        };
+    }
+
+    /**
+     * Content of the configuration-templates resource
+     */
+    describe() {
+        return {
+            templates: this.list(),
+            ...(this.errors.length > 0 ? { errors: this.errors } : {})
+        };
+    }
+}
+
+module.exports = { TemplateCatalog, TemplateCatalogError, BUILTIN_TEMPLATES_DIR };
\ No newline at end of file
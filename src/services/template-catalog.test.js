@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const yaml = require('yaml');
+const { TemplateCatalog, TemplateCatalogError } = require('./template-catalog');
+
+// Template "web" d'exemple : un Service dont le port et les labels viennent des paramètres
+const web = (version, overrides = {}) => ({
+    name: 'web',
+    version,
+    platform: 'kubernetes',
+    description: 'Web service',
+    tags: ['web', 'service'],
+    parameters: {
+        type: 'object',
+        properties: {
+            appName: { type: 'string' },
+            port: { type: 'integer', default: 8080 },
+            labels: { type: 'object' }
+        },
+        required: ['appName'],
+        additionalProperties: false
+    },
+    files: {
+        'service.yaml': {
+            apiVersion: 'v1',
+            kind: 'Service',
+            metadata: { name: '{{ appName }}-svc', labels: '{{ labels }}' },
+            spec: { ports: [{ port: '{{ port }}' }], note: '{{ .Values.kept }} {{ undeclared }}' }
+        }
+    },
+    ...overrides
+});
+
+describe('TemplateCatalog', () => {
+    let root;
+    let catalog;
+
+    const write = async (file, definition) => {
+        await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+        await fs.writeFile(path.join(root, file), typeof definition === 'string' ? definition : yaml.stringify(definition));
+    };
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-template-catalog-test-'));
+        await write('base/web/1.0.0.yaml', web('1.0.0'));
+        await write('base/web/1.10.0.yaml', web('1.10.0'));
+        await write('base/web/1.9.2.json', JSON.stringify(web('1.9.2')));
+        await write('base/web/2.0.0-rc.1.yaml', web('2.0.0-rc.1'));
+        await write('base/worker/0.1.0-beta.yaml', web('0.1.0-beta', { name: 'worker', platform: 'docker-compose', tags: ['batch'], description: 'Queue worker' }));
+        await write('base/broken.yaml', { name: 'Broken', version: '1', files: {} });
+        await write('local/web-1.0.0.yaml', web('1.0.0', { description: 'Local web service' }));
+
+        catalog = new TemplateCatalog({ directories: [path.join(root, 'base'), path.join(root, 'local'), path.join(root, 'missing')] });
+        ['info', 'warn'].forEach(level => jest.spyOn(catalog.logger, level).mockImplementation(() => {}));
+        await catalog.load();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('looks up the latest release, a given version, and reports unknown ones', () => {
+        expect(catalog.get('web').version).toBe('1.10.0');
+        expect(catalog.get('web', 'latest').version).toBe('1.10.0');
+        expect(catalog.get('web', '2.0.0-rc.1').version).toBe('2.0.0-rc.1');
+        expect(catalog.get('worker').version).toBe('0.1.0-beta');
+        expect(catalog.get('web', '1.0.0').description).toBe('Local web service');
+
+        expect(() => catalog.get('db')).toThrow(new TemplateCatalogError('Unknown template: db'));
+        expect(() => catalog.get('web', '3.0.0')).toThrow(expect.objectContaining({
+            message: 'Unknown version 3.0.0 of template web',
+            code: 'TEMPLATE_NOT_FOUND',
+            details: { template: 'web', version: '3.0.0', versions: ['1.0.0', '1.9.2', '1.10.0', '2.0.0-rc.1'] }
+        }));
+    });
+
+    test('lists and searches the latest releases, and reports invalid files', () => {
+        expect(catalog.list().map(summary => `${summary.name}@${summary.version}`)).toEqual(['web@1.10.0', 'worker@0.1.0-beta']);
+        expect(catalog.list({ platform: 'docker-compose' }).map(summary => summary.name)).toEqual(['worker']);
+        expect(catalog.list({ tags: ['web'], tag: 'service' })).toEqual([expect.objectContaining({
+            name: 'web',
+            versions: ['1.0.0', '1.9.2', '1.10.0', '2.0.0-rc.1'],
+            variables: ['appName', 'port', 'labels'],
+            files: ['service.yaml']
+        })]);
+        expect(catalog.search('queue worker').map(result => [result.name, result.score])).toEqual([['worker', 5]]);
+        expect(catalog.search('service').map(result => [result.name, result.score])).toEqual([['web', 3]]);
+        expect(catalog.search('web nothing')).toEqual([]);
+
+        expect(catalog.errors).toEqual([{ file: path.join(root, 'base/broken.yaml'), error: expect.stringContaining('name must match pattern') }]);
+        expect(catalog.describe().errors).toHaveLength(1);
+    });
+
+    test('renders typed parameters and their defaults, and rejects invalid ones', () => {
+        const rendered = catalog.render('web', { appName: 'shop', labels: { team: 'a' } });
+
+        expect(rendered).toMatchObject({ name: 'web', version: '1.10.0', parameters: { appName: 'shop', port: 8080, labels: { team: 'a' } } });
+        expect(rendered.manifests['service.yaml']).toEqual({
+            apiVersion: 'v1',
+            kind: 'Service',
+            metadata: { name: 'shop-svc', labels: { team: 'a' } },
+            spec: { ports: [{ port: 8080 }], note: '{{ .Values.kept }} {{ undeclared }}' }
+        });
+        expect(rendered.files['service.yaml']).toContain('name: shop-svc\n');
+
+        expect(() => catalog.render('web', { port: 'http' })).toThrow(expect.objectContaining({
+            code: 'INVALID_TEMPLATE_PARAMETERS',
+            details: expect.objectContaining({ template: 'web', version: '1.10.0', errors: expect.arrayContaining([expect.objectContaining({ field: 'appName' })]) })
+        }));
+    });
+
+    test('diffs two versions, as definitions or as rendered files', async () => {
+        await write('local/web-1.11.0.yaml', web('1.11.0', { files: { 'service.yaml': web('1.11.0').files['service.yaml'], 'NOTES.txt': 'Serving {{ appName }}\n' } }));
+        await catalog.load();
+
+        expect(catalog.diff('web', '1.10.0', '1.10.0')).toMatchObject({ changed: false, diff: '' });
+
+        const definitions = catalog.diff('web', '1.10.0');
+        expect(definitions).toMatchObject({ from: '1.10.0', to: '1.11.0', rendered: false, changed: true });
+        expect(definitions.diff).toContain('-version: 1.10.0\n+version: 1.11.0\n');
+
+        const rendered = catalog.diff('web', '1.10.0', '1.11.0', { parameters: { appName: 'shop' } });
+        expect(rendered.diff).toBe('--- /dev/null\n+++ web@1.11.0/NOTES.txt\n@@ -0,0 +1 @@\n+Serving shop\n');
+    });
+
+    test('loads the built-in templates', async () => {
+        const builtin = new TemplateCatalog();
+        jest.spyOn(builtin.logger, 'info').mockImplementation(() => {});
+        await builtin.load();
+
+        expect(builtin.errors).toEqual([]);
+        expect(builtin.list().map(summary => summary.name)).toEqual(['docker-compose-stack', 'gitops-application', 'helm-chart', 'kubernetes-deployment']);
+        expect(builtin.get('kubernetes-deployment').version).toBe('1.1.0');
+    });
+});
\ No newline at end of file
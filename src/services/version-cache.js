@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const REGISTRIES = ['docker', 'npm', 'helm', 'github'];
+const DEFAULT_TTL = 60 * 60 * 1000;
+
+/**
+ * VersionCache - Dernières versions connues, par registre et package
+ * Entrée : { registry, package, latest, tags, value, source, etag, fetchedAt, expiresAt }
+ * où value est la réponse complète de FreshSourcesService et source l'URL interrogée.
+ * Persistée dans un fichier JSON (écriture différée) quand `file` est défini, sinon en mémoire.
+ * Emits 'updated' (entry) when the versions of a package change.
+ */
+class VersionCache extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.logger = options.logger || new Logger('VersionCache');
+        this.file = options.file || null;
+        // ms, or { docker, npm, helm, github } per registry
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.maxEntries = options.maxEntries || 1000;
+        this.saveDelay = options.saveDelay ?? 1000;
+        this.entries = new Map();
+        this.watched = new Map();
+        this.loading = null;
+        this.saveTimer = null;
+    }
+
+    static keyFor(registry, name) {
+        return `${registry}:${name}`;
+    }
+
+    ttlFor(registry) {
+        return typeof this.ttl === 'object' ? this.ttl[registry] || DEFAULT_TTL : this.ttl;
+    }
+
+    /**
+     * Restore the persisted cache once; entries stored meanwhile win over the file
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.restore();
+        }
+        return this.loading;
+    }
+
+    async restore() {
+        if (!this.file) {
+            return false;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            (data.entries || []).forEach(entry => {
+                const key = VersionCache.keyFor(entry.registry, entry.package);
+                if (!this.entries.has(key)) {
+                    this.entries.set(key, entry);
+                }
+            });
+            (data.watched || []).forEach(({ registry, package: name }) => {
+                this.watched.set(VersionCache.keyFor(registry, name), { registry, package: name });
+            });
+            this.logger.info(`📦 Restored ${this.entries.size} cached package versions`);
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Cannot restore the version cache from ${this.file}:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    get(registry, name) {
+        return this.entries.get(VersionCache.keyFor(registry, name)) || null;
+    }
+
+    isFresh(entry, now = Date.now()) {
+        return Boolean(entry) && now < entry.expiresAt;
+    }
+
+    /**
+     * Store a registry answer: { latest, tags, value, source?, etag? }
+     */
+    set(registry, name, record) {
+        const key = VersionCache.keyFor(registry, name);
+        const previous = this.entries.get(key);
+        const now = Date.now();
+        const entry = {
+            registry,
+            package: name,
+            latest: record.latest ?? null,
+            tags: record.tags || [],
+            value: record.value,
+            source: record.source || null,
+            etag: record.etag || null,
+            fetchedAt: now,
+            expiresAt: now + this.ttlFor(registry)
+        };
+
+        // Ordre de la Map = ordre de mise à jour : les plus anciennes entrées sont évincées
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) {
+                break;
+            }
+            this.entries.delete(oldest);
+        }
+
+        this.scheduleSave();
+        if (!previous || previous.latest !== entry.latest || JSON.stringify(previous.tags) !== JSON.stringify(entry.tags)) {
+            this.emit('updated', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * The registry answered 304 Not Modified: same versions, new TTL
+     */
+    revalidate(registry, name) {
+        const entry = this.get(registry, name);
+        if (!entry) {
+            return null;
+        }
+        entry.fetchedAt = Date.now();
+        entry.expiresAt = entry.fetchedAt + this.ttlFor(registry);
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * Packages kept fresh by FreshSourcesService.refreshWatched()
+     */
+    watch(registry, name) {
+        if (!REGISTRIES.includes(registry)) {
+            throw new Error(`Unknown registry: ${registry}`);
+        }
+        const key = VersionCache.keyFor(registry, name);
+        if (!this.watched.has(key)) {
+            this.watched.set(key, { registry, package: name });
+            this.scheduleSave();
+        }
+    }
+
+    unwatch(registry, name) {
+        const removed = this.watched.delete(VersionCache.keyFor(registry, name));
+        if (removed) {
+            this.scheduleSave();
+        }
+        return removed;
+    }
+
+    isWatched(registry, name) {
+        return this.watched.has(VersionCache.keyFor(registry, name));
+    }
+
+    listWatched() {
+        return Array.from(this.watched.values());
+    }
+
+    /**
+     * Entries of one registry and/or fetched at most maxAge ms ago, sorted by registry and package
+     */
+    list(filters = {}) {
+        const now = Date.now();
+        return Array.from(this.entries.values())
+            .filter(entry => !filters.registry || entry.registry === filters.registry)
+            .filter(entry => filters.maxAge === undefined || now - entry.fetchedAt <= filters.maxAge)
+            .sort((a, b) => a.registry.localeCompare(b.registry) || a.package.localeCompare(b.package));
+    }
+
+    /**
+     * Cache content for agents (registry answers without their raw payload)
+     */
+    describe(filters = {}) {
+        const now = Date.now();
+        const entries = this.list(filters).map(entry => ({
+            registry: entry.registry,
+            package: entry.package,
+            latest: entry.latest,
+            tags: entry.tags,
+            fetchedAt: new Date(entry.fetchedAt).toISOString(),
+            age: now - entry.fetchedAt,
+            expiresAt: new Date(entry.expiresAt).toISOString(),
+            fresh: this.isFresh(entry, now),
+            etag: entry.etag,
+            source: entry.source,
+            watched: this.isWatched(entry.registry, entry.package)
+        }));
+
+        return {
+            cached: entries.length > 0,
+            persistent: Boolean(this.file),
+            filters,
+            total: this.entries.size,
+            watched: this.listWatched(),
+            entries
+        };
+    }
+
+    scheduleSave() {
+        if (!this.file || this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+        this.saveTimer.unref();
+    }
+
+    async save() {
+        if (!this.file) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        // Ne jamais écraser le fichier avant de l'avoir relu
+        await this.load();
+
+        const data = { entries: Array.from(this.entries.values()), watched: this.listWatched() };
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(tmpFile, JSON.stringify(data));
+            await fs.rename(tmpFile, this.file);
+        } catch (error) {
+            this.logger.warn(`Cannot persist the version cache to ${this.file}:`, error.message);
+        }
+    }
+}
+
+module.exports = { VersionCache, REGISTRIES };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const express = require('express');
+const { VersionCache } = require('./version-cache');
+const { FreshSourcesService } = require('./fresh-sources-service');
+
+/**
+ * Docker Hub stand-in: tags of library/<repo> from `state[repo]` ({ etag, tags }),
+ * answering 304 when If-None-Match matches the current ETag
+ */
+async function startRegistry(state) {
+    const requests = [];
+    const app = express();
+    app.get('/repositories/library/:repo/tags', (req, res) => {
+        const { etag, tags } = state[req.params.repo];
+        requests.push({ repo: req.params.repo, ifNoneMatch: req.get('if-none-match') || null });
+        res.set('ETag', etag);
+        if (req.get('if-none-match') === etag) {
+            return res.status(304).end();
+        }
+        res.json({ count: tags.length, results: tags.map(name => ({ name, full_size: 1, last_updated: '2026-01-01T00:00:00Z', digest: `sha256:${name}` })) });
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return { server, requests, url: `http://localhost:${server.address().port}` };
+}
+
+describe('VersionCache', () => {
+    test('expires entries after the ttl of their registry and evicts the oldest', () => {
+        const cache = new VersionCache({ ttl: { npm: 500 }, maxEntries: 2 });
+        const updated = [];
+        cache.on('updated', entry => updated.push(`${entry.registry}:${entry.package}`));
+
+        const npmEntry = cache.set('npm', 'express', { latest: '4.19.2', tags: ['4.19.2'] });
+        const dockerEntry = cache.set('docker', 'redis', { latest: '7.2.4', tags: ['7.2.4'] });
+
+        expect(cache.isFresh(npmEntry, npmEntry.fetchedAt + 499)).toBe(true);
+        expect(cache.isFresh(npmEntry, npmEntry.fetchedAt + 500)).toBe(false);
+        expect(cache.isFresh(dockerEntry, dockerEntry.fetchedAt + 500)).toBe(true);
+
+        cache.set('docker', 'redis', { latest: '7.2.4', tags: ['7.2.4'] });
+        cache.set('helm', 'nginx', { latest: '15.0.0' });
+        expect(cache.get('npm', 'express')).toBeNull();
+        expect(cache.list().map(entry => entry.package)).toEqual(['redis', 'nginx']);
+        expect(updated).toEqual(['npm:express', 'docker:redis', 'helm:nginx']);
+    });
+});
+
+describe('FreshSourcesService version lookups', () => {
+    let now;
+    let state;
+    let registry;
+    let service;
+
+    beforeEach(async () => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        state = { redis: { etag: '"redis-1"', tags: ['7.2.4', '7.2.3'] }, nginx: { etag: '"nginx-1"', tags: ['1.25.4'] } };
+        registry = await startRegistry(state);
+        service = new FreshSourcesService({ dockerHub: { baseUrl: registry.url }, versionCacheTtl: 1000 });
+    });
+
+    afterEach(async () => {
+        service.stopRefresher();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        await new Promise(resolve => registry.server.close(resolve));
+    });
+
+    test('answers from the cache within the ttl, then revalidates with If-None-Match', async () => {
+        const updated = jest.fn();
+        await service.getDockerLatestTags('redis');
+        service.versionCache.on('updated', updated);
+
+        now += 999;
+        await expect(service.getDockerLatestTags('redis')).resolves.toMatchObject({ latest: '7.2.4' });
+        expect(registry.requests).toEqual([{ repo: 'redis', ifNoneMatch: null }]);
+
+        now += 1;
+        await expect(service.getDockerLatestTags('redis')).resolves.toMatchObject({ latest: '7.2.4', totalCount: 2 });
+        expect(registry.requests[1]).toEqual({ repo: 'redis', ifNoneMatch: '"redis-1"' });
+        expect(service.versionCache.get('docker', 'redis')).toMatchObject({ etag: '"redis-1"', fetchedAt: now, expiresAt: now + 1000 });
+        expect(updated).not.toHaveBeenCalled();
+    });
+
+    test('replaces an expired entry when the registry has new versions', async () => {
+        const updated = jest.fn();
+        await service.getDockerLatestTags('redis');
+        service.versionCache.on('updated', updated);
+
+        state.redis = { etag: '"redis-2"', tags: ['7.4.0', '7.2.4'] };
+        now += 1000;
+
+        await expect(service.getDockerLatestTags('redis')).resolves.toMatchObject({ latest: '7.4.0' });
+        expect(updated).toHaveBeenCalledWith(expect.objectContaining({ package: 'redis', latest: '7.4.0', tags: ['7.4.0', '7.2.4'], etag: '"redis-2"' }));
+    });
+
+    test('refreshes the watched packages that are missing or expire within the interval', async () => {
+        service.watch('docker', 'redis');
+        service.watch('docker', 'nginx');
+        await service.getDockerLatestTags('redis');
+        now += 600;
+
+        await expect(service.refreshWatched({ within: 300 })).resolves.toEqual({ refreshed: ['docker:nginx'], failed: [] });
+        await expect(service.refreshWatched({ within: 500 })).resolves.toEqual({ refreshed: ['docker:redis'], failed: [] });
+
+        expect(registry.requests).toEqual([
+            { repo: 'redis', ifNoneMatch: null },
+            { repo: 'nginx', ifNoneMatch: null },
+            { repo: 'redis', ifNoneMatch: '"redis-1"' }
+        ]);
+        expect(service.versionCache.get('docker', 'redis').expiresAt).toBe(now + 1000);
+    });
+
+    test('runs the refresher every interval until stopped', () => {
+        jest.useFakeTimers({ doNotFake: ['Date'] });
+        const refresh = jest.spyOn(service, 'refreshWatched').mockResolvedValue({ refreshed: [], failed: [] });
+
+        service.startRefresher(1000);
+        service.startRefresher(1000);
+        jest.advanceTimersByTime(2500);
+        service.stopRefresher();
+        jest.advanceTimersByTime(1000);
+
+        expect(refresh).toHaveBeenCalledTimes(2);
+        expect(refresh).toHaveBeenCalledWith({ within: 1000 });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const ignore = require('ignore');
+const minimatch = require('minimatch');
+const { Logger } = require('./logger');
+
+const ALWAYS_IGNORED = ['.git'];
+const BINARY_SNIFF_BYTES = 1024;
+
+class CodeSearchError extends Error {
+    constructor(message, code = 'CODE_SEARCH_ERROR', details = {}) {
+        super(message);
+        this.name = 'CodeSearchError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * CodeSearch - Recherche regex dans les fichiers du projet, sans ripgrep
+ * Parcours streaming, globs d'inclusion, lignes de contexte, respect des .gitignore
+ */
+class CodeSearch {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('CodeSearch');
+        this.root = path.resolve(options.root || process.cwd());
+        this.maxFileSize = options.maxFileSize || 2 * 1024 * 1024;
+        this.maxLineLength = options.maxLineLength || 500;
+    }
+
+    /**
+     * Search a regex in every non-ignored text file under `directory` (default: root).
+     * Returns { pattern, matches: [{ file, line, column, text, before, after }], filesScanned, truncated }
+     */
+    async search(pattern, options = {}) {
+        const regex = this.compile(pattern, options.ignoreCase);
+        const directory = options.directory || this.root;
+        const includes = this.parseIncludes(options.include);
+        const contextLines = options.contextLines || 0;
+        const maxResults = options.maxResults || 100;
+
+        const result = { pattern, matches: [], filesScanned: 0, truncated: false };
+
+        for await (const file of this.walk(directory, [])) {
+            if (options.signal?.aborted) {
+                throw new CodeSearchError('Code search cancelled', 'CODE_SEARCH_CANCELLED');
+            }
+
+            const relative = path.relative(this.root, file);
+            if (includes.length > 0 && !includes.some(glob => minimatch(relative, glob, { matchBase: true, dot: true }))) {
+                continue;
+            }
+
+            const scanned = await this.searchFile(file, relative, regex, contextLines, maxResults - result.matches.length, result.matches);
+            if (scanned) {
+                result.filesScanned++;
+            }
+
+            if (result.matches.length >= maxResults) {
+                result.truncated = true;
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    compile(pattern, ignoreCase = false) {
+        try {
+            return new RegExp(pattern, ignoreCase ? 'i' : '');
+        } catch (error) {
+            throw new CodeSearchError(`Invalid search pattern: ${error.message}`, 'INVALID_PATTERN', { pattern });
+        }
+    }
+
+    parseIncludes(include) {
+        if (!include) {
+            return [];
+        }
+        const globs = Array.isArray(include) ? include : include.split(',');
+        return globs.map(glob => glob.trim()).filter(Boolean);
+    }
+
+    /**
+     * Yield file paths depth-first, in name order. Symlinks are not followed.
+     * `rules` holds the .gitignore of every ancestor directory.
+     */
+    async *walk(directory, rules) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            this.logger.debug(`Skipping unreadable directory ${directory}: ${error.message}`);
+            return;
+        }
+
+        const localRules = [...rules];
+        if (entries.some(entry => entry.isFile() && entry.name === '.gitignore')) {
+            const content = await fs.promises.readFile(path.join(directory, '.gitignore'), 'utf8');
+            localRules.push({ base: directory, matcher: ignore().add(content) });
+        }
+
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const fullPath = path.join(directory, entry.name);
+            const isDirectory = entry.isDirectory();
+
+            if (ALWAYS_IGNORED.includes(entry.name) || this.isIgnored(fullPath, isDirectory, localRules)) {
+                continue;
+            }
+
+            if (isDirectory) {
+                yield* this.walk(fullPath, localRules);
+            } else if (entry.isFile()) {
+                yield fullPath;
+            }
+        }
+    }
+
+    isIgnored(fullPath, isDirectory, rules) {
+        return rules.some(({ base, matcher }) => {
+            const relative = path.relative(base, fullPath).split(path.sep).join('/');
+            return matcher.ignores(isDirectory ? `${relative}/` : relative);
+        });
+    }
+
+    /**
+     * Stream one file line by line; returns false when the file was skipped (binary or too large)
+     */
+    async searchFile(file, relative, regex, contextLines, remaining, matches) {
+        const stat = await fs.promises.stat(file);
+        if (stat.size > this.maxFileSize || await this.isBinary(file)) {
+            return false;
+        }
+
+        const input = fs.createReadStream(file, { encoding: 'utf8' });
+        const reader = readline.createInterface({ input, crlfDelay: Infinity });
+
+        const before = [];
+        let pending = [];
+        let found = 0;
+        let lineNumber = 0;
+
+        try {
+            for await (const text of reader) {
+                lineNumber++;
+                const line = { line: lineNumber, text: this.clip(text) };
+
+                pending.forEach(match => match.after.push(line));
+                pending = pending.filter(match => match.after.length < contextLines);
+
+                const result = found < remaining ? regex.exec(text) : null;
+                if (result) {
+                    const match = {
+                        file: relative,
+                        line: lineNumber,
+                        column: result.index + 1,
+                        text: line.text,
+                        before: [...before],
+                        after: []
+                    };
+                    matches.push(match);
+                    found++;
+                    if (contextLines > 0) {
+                        pending.push(match);
+                    }
+                }
+
+                if (found >= remaining && pending.length === 0) {
+                    break;
+                }
+
+                before.push(line);
+                if (before.length > contextLines) {
+                    before.shift();
+                }
+            }
+        } finally {
+            reader.close();
+            input.destroy();
+        }
+
+        return true;
+    }
+
+    async isBinary(file) {
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+            const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+            return buffer.subarray(0, bytesRead).includes(0);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    clip(text) {
+        return text.length > this.maxLineLength ? `${text.slice(0, this.maxLineLength)}…` : text;
+    }
+}
+
+module.exports = { CodeSearch, CodeSearchError };
\ No newline at end of file
@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CodeSearch, CodeSearchError } = require('./code-search');
+
+async function writeFiles(root, files) {
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(root, file);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+    }
+}
+
+describe('CodeSearch', () => {
+    let root;
+    let search;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-code-search-test-'));
+        await writeFiles(root, {
+            '.gitignore': 'dist/\n*.log\n',
+            'src/app.js': 'const a = 1;\n// TODO: remove\nconst b = 2;\nconst c = 3;\n',
+            'src/lib/util.ts': 'export const todo = "TODO later";\n',
+            'src/lib/.gitignore': 'generated.js\n',
+            'src/lib/generated.js': '// TODO generated\n',
+            'dist/bundle.js': '// TODO bundled\n',
+            'debug.log': 'TODO in log\n',
+            '.git/HEAD': 'TODO in git\n',
+            'image.bin': Buffer.from([0x54, 0x4f, 0x44, 0x4f, 0x00, 0x01])
+        });
+        search = new CodeSearch({ root });
+    });
+
+    afterEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    test('finds matches in text files, skipping ignored, git and binary files', async () => {
+        const result = await search.search('TODO');
+
+        expect(result.matches.map(match => [match.file, match.line, match.column])).toEqual([
+            [path.join('src', 'app.js'), 2, 4],
+            [path.join('src', 'lib', 'util.ts'), 1, 22]
+        ]);
+        expect(result.truncated).toBe(false);
+    });
+
+    test('filters files with include globs and ignores case on demand', async () => {
+        const result = await search.search('todo', { include: '*.ts', ignoreCase: true });
+
+        expect(result.matches).toHaveLength(1);
+        expect(result.matches[0].file).toBe(path.join('src', 'lib', 'util.ts'));
+        expect(result.filesScanned).toBe(1);
+    });
+
+    test('returns context lines around each match', async () => {
+        const result = await search.search('TODO', { include: ['src/app.js'], contextLines: 1 });
+
+        expect(result.matches[0]).toMatchObject({
+            text: '// TODO: remove',
+            before: [{ line: 1, text: 'const a = 1;' }],
+            after: [{ line: 3, text: 'const b = 2;' }]
+        });
+    });
+
+    test('stops at maxResults and clips long lines', async () => {
+        const clipped = new CodeSearch({ root, maxLineLength: 5 });
+
+        const result = await clipped.search('const', { maxResults: 2 });
+
+        expect(result.matches).toHaveLength(2);
+        expect(result.truncated).toBe(true);
+        expect(result.matches[0].text).toBe('const…');
+    });
+
+    test('rejects invalid patterns and cancelled searches', async () => {
+        await expect(search.search('(')).rejects.toMatchObject({ code: 'INVALID_PATTERN' });
+
+        const controller = new AbortController();
+        controller.abort();
+        await expect(search.search('TODO', { signal: controller.signal })).rejects.toBeInstanceOf(CodeSearchError);
+    });
+});
\ No newline at end of file
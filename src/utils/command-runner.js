@@ -0,0 +1,197 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('./logger');
+
+const KILL_GRACE_PERIOD = 2000;
+
+class CommandError extends Error {
+    constructor(message, code = 'COMMAND_ERROR', details = {}) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...this.details
+        };
+    }
+}
+
+/**
+ * CommandRunner - Exécution de commandes sans shell
+ * argv uniquement, binaires en liste blanche, chemins confinés à la racine du projet,
+ * timeout, plafond de sortie et arrêt du processus sur annulation
+ */
+class CommandRunner {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('CommandRunner');
+        this.root = path.resolve(options.root || process.cwd());
+        this.allowedCommands = new Set(options.allowedCommands || []);
+        this.timeout = options.timeout || 30000;
+        this.maxOutput = options.maxOutput || 1024 * 1024;
+
+        this.running = new Set();
+    }
+
+    allow(command) {
+        this.allowedCommands.add(command);
+    }
+
+    isAllowed(command) {
+        return this.allowedCommands.has(command);
+    }
+
+    /**
+     * Resolve a path relative to the root, refusing anything (symlinks included) that escapes it.
+     * The path does not have to exist yet.
+     */
+    async resolvePath(relativePath) {
+        if (typeof relativePath !== 'string' || relativePath.length === 0 || relativePath.includes('\0')) {
+            throw new CommandError('Invalid path', 'INVALID_PATH', { path: relativePath });
+        }
+
+        const root = await fs.realpath(this.root);
+        const target = path.resolve(root, relativePath);
+        const real = await this.realpathAllowMissing(target);
+
+        if (real !== root && !real.startsWith(root + path.sep)) {
+            throw new CommandError(`Path escapes project root: ${relativePath}`, 'PATH_OUTSIDE_ROOT', { path: relativePath });
+        }
+        return real;
+    }
+
+    async realpathAllowMissing(target) {
+        try {
+            return await fs.realpath(target);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            const parent = path.dirname(target);
+            if (parent === target) {
+                return target;
+            }
+            return path.join(await this.realpathAllowMissing(parent), path.basename(target));
+        }
+    }
+
+    /**
+     * Run an allowlisted binary with an argv array.
+     * Resolves { code, signal, stdout, stderr, truncated, duration } whatever the exit code;
+     * rejects with CommandError on refusal, spawn failure, timeout or cancellation.
+     */
+    async run(command, args = [], options = {}) {
+        if (!this.isAllowed(command)) {
+            throw new CommandError(`Command not allowed: ${command}`, 'COMMAND_NOT_ALLOWED', { command });
+        }
+        if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+            throw new CommandError('Command arguments must be an array of strings', 'INVALID_ARGUMENTS', { command });
+        }
+        if (options.signal?.aborted) {
+            throw new CommandError(`Command cancelled: ${command}`, 'COMMAND_CANCELLED', { command });
+        }
+
+        const cwd = options.cwd ? await this.resolvePath(options.cwd) : this.root;
+        const timeout = options.timeout || this.timeout;
+        const maxOutput = options.maxOutput || this.maxOutput;
+        const startTime = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, {
+                cwd,
+                env: options.env ? { ...process.env, ...options.env } : process.env,
+                shell: false,
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            this.running.add(child);
+
+            const output = { stdout: '', stderr: '' };
+            let truncated = false;
+            let failure = null;
+            let killed = false;
+            let killTimer = null;
+
+            const terminate = (error) => {
+                if (killed) {
+                    return;
+                }
+                killed = true;
+                failure = error;
+                child.kill('SIGTERM');
+                killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+                killTimer.unref();
+            };
+
+            const collect = (stream) => (data) => {
+                const remaining = maxOutput - Buffer.byteLength(output[stream]);
+                if (remaining <= 0) {
+                    return;
+                }
+                if (data.length > remaining) {
+                    output[stream] += data.subarray(0, remaining).toString();
+                    truncated = true;
+                    // Sortie plafonnée : inutile de laisser tourner le processus
+                    terminate(null);
+                    return;
+                }
+                output[stream] += data.toString();
+            };
+            child.stdout.on('data', collect('stdout'));
+            child.stderr.on('data', collect('stderr'));
+
+            const timer = setTimeout(() => {
+                terminate(new CommandError(`Command timed out after ${timeout}ms: ${command}`, 'COMMAND_TIMEOUT', { command, timeout }));
+            }, timeout);
+
+            const onAbort = () => terminate(new CommandError(`Command cancelled: ${command}`, 'COMMAND_CANCELLED', { command }));
+            if (options.signal) {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const cleanup = () => {
+                clearTimeout(timer);
+                clearTimeout(killTimer);
+                this.running.delete(child);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onAbort);
+                }
+            };
+
+            child.on('error', (error) => {
+                cleanup();
+                reject(error.code === 'ENOENT'
+                    ? new CommandError(`Command not found: ${command}`, 'COMMAND_NOT_FOUND', { command })
+                    : new CommandError(`Failed to run ${command}: ${error.message}`, 'COMMAND_ERROR', { command }));
+            });
+
+            child.on('close', (code, signal) => {
+                cleanup();
+                const duration = Date.now() - startTime;
+
+                if (failure) {
+                    failure.details = { ...failure.details, duration, stdout: output.stdout, stderr: output.stderr };
+                    this.logger.warn(`${failure.message} (${duration}ms)`);
+                    return reject(failure);
+                }
+
+                this.logger.debug(`${command} exited with ${code} in ${duration}ms`);
+                resolve({ code, signal, stdout: output.stdout, stderr: output.stderr, truncated, duration });
+            });
+        });
+    }
+
+    /**
+     * Kill every running command (shutdown)
+     */
+    killAll() {
+        this.running.forEach(child => child.kill('SIGKILL'));
+        this.running.clear();
+    }
+}
+
+module.exports = { CommandRunner, CommandError };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CommandRunner, CommandError } = require('./command-runner');
+
+const NODE = process.execPath;
+
+describe('CommandRunner', () => {
+    let root;
+    let outside;
+    let runner;
+
+    beforeEach(async () => {
+        const base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-runner-test-')));
+        root = path.join(base, 'project');
+        outside = path.join(base, 'outside');
+        await fs.mkdir(path.join(root, 'src'), { recursive: true });
+        await fs.mkdir(outside);
+        await fs.symlink(outside, path.join(root, 'escape'));
+        runner = new CommandRunner({ root, allowedCommands: [NODE], timeout: 5000 });
+    });
+
+    afterEach(async () => {
+        runner.killAll();
+        await fs.rm(path.dirname(root), { recursive: true, force: true });
+    });
+
+    describe('resolvePath', () => {
+        test('resolves paths inside the root, existing or not', async () => {
+            await expect(runner.resolvePath('src')).resolves.toBe(path.join(root, 'src'));
+            await expect(runner.resolvePath('src/new/file.js')).resolves.toBe(path.join(root, 'src/new/file.js'));
+            await expect(runner.resolvePath('.')).resolves.toBe(root);
+        });
+
+        test('refuses paths escaping the root, through .. , absolute paths or symlinks', async () => {
+            for (const escaping of ['..', '../outside', outside, 'escape', 'escape/missing.txt', 'src/../../outside']) {
+                await expect(runner.resolvePath(escaping)).rejects.toMatchObject({ code: 'PATH_OUTSIDE_ROOT' });
+            }
+        });
+
+        test('refuses empty and NUL paths', async () => {
+            await expect(runner.resolvePath('')).rejects.toMatchObject({ code: 'INVALID_PATH' });
+            await expect(runner.resolvePath('src\0')).rejects.toMatchObject({ code: 'INVALID_PATH' });
+            await expect(runner.resolvePath(undefined)).rejects.toBeInstanceOf(CommandError);
+        });
+    });
+
+    describe('run', () => {
+        test('runs an allowlisted binary without a shell and reports its exit code', async () => {
+            const result = await runner.run(NODE, ['-e', 'console.log(process.cwd()); console.error("warn"); process.exit(3)'], { cwd: 'src' });
+
+            expect(result).toMatchObject({ code: 3, stdout: `${path.join(root, 'src')}\n`, stderr: 'warn\n', truncated: false });
+        });
+
+        test('passes shell syntax through as plain arguments', async () => {
+            const result = await runner.run(NODE, ['-e', 'console.log(process.argv[1])', '$(touch pwned); rm -rf /']);
+
+            expect(result.stdout).toBe('$(touch pwned); rm -rf /\n');
+            await expect(fs.access(path.join(root, 'pwned'))).rejects.toThrow();
+        });
+
+        test('refuses commands outside the allowlist, bad arguments and a cwd outside the root', async () => {
+            await expect(runner.run('sh', ['-c', 'id'])).rejects.toMatchObject({ code: 'COMMAND_NOT_ALLOWED' });
+            await expect(runner.run(NODE, 'oops')).rejects.toMatchObject({ code: 'INVALID_ARGUMENTS' });
+            await expect(runner.run(NODE, ['-v'], { cwd: 'escape' })).rejects.toMatchObject({ code: 'PATH_OUTSIDE_ROOT' });
+        });
+
+        test('caps the output and stops the process', async () => {
+            const started = Date.now();
+            const result = await runner.run(NODE, ['-e', 'process.stdout.write("x".repeat(100000)); setTimeout(() => {}, 10000)'], { maxOutput: 1000 });
+
+            expect(result.truncated).toBe(true);
+            expect(result.stdout).toHaveLength(1000);
+            expect(result.code).toBeNull();
+            expect(Date.now() - started).toBeLessThan(5000);
+        });
+
+        test('kills the process on timeout and on cancellation', async () => {
+            await expect(runner.run(NODE, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 100 }))
+                .rejects.toMatchObject({ code: 'COMMAND_TIMEOUT', details: { timeout: 100 } });
+
+            const controller = new AbortController();
+            const pending = runner.run(NODE, ['-e', 'setTimeout(() => {}, 10000)']);
+            const cancelled = runner.run(NODE, ['-e', 'setTimeout(() => {}, 10000)'], { signal: controller.signal });
+            controller.abort();
+            await expect(cancelled).rejects.toMatchObject({ code: 'COMMAND_CANCELLED' });
+            runner.killAll();
+            await expect(pending).resolves.toMatchObject({ signal: 'SIGKILL' });
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const { Logger } = require('./logger');
+
+// Format produit par Logger.formatMessage : [timestamp] [LEVEL] [Component           ] message
+const LOG_LINE_PATTERN = /^\[(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\] \[([A-Z]+)\s*\] \[(.*?)\s*\] ?(.*)$/;
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+const LEVEL_SEVERITY = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    success: 2,
+    perf: 2,
+    startup: 2,
+    shutdown: 2,
+    debug: 3
+};
+
+const CHUNK_SIZE = 64 * 1024;
+const MAX_DATA_LINES = 500;
+
+/**
+ * LogReader - Lit un fichier de log AutoWeave depuis la fin
+ * Reconstitue les entrées (avec leurs données JSON multi-lignes) et les filtre
+ * par niveau, composant et intervalle de temps
+ */
+class LogReader {
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger('LogReader');
+        this.chunkSize = options.chunkSize || CHUNK_SIZE;
+    }
+
+    /**
+     * Yield the lines of a file, last line first
+     */
+    async *readLinesReverse(file) {
+        const handle = await fs.open(file, 'r');
+        try {
+            const { size } = await handle.stat();
+            let position = size;
+            let remainder = Buffer.alloc(0);
+
+            while (position > 0) {
+                const length = Math.min(this.chunkSize, position);
+                position -= length;
+
+                const chunk = Buffer.alloc(length);
+                await handle.read(chunk, 0, length, position);
+
+                // Découpage sur l'octet \n : sûr en UTF-8, un caractère multi-octets ne le contient jamais
+                let buffer = Buffer.concat([chunk, remainder]);
+                let index;
+                while ((index = buffer.lastIndexOf(0x0a)) !== -1) {
+                    const line = buffer.subarray(index + 1);
+                    buffer = buffer.subarray(0, index);
+                    if (line.length > 0) {
+                        yield line.toString('utf8').replace(/\r$/, '');
+                    }
+                }
+                remainder = buffer;
+            }
+
+            if (remainder.length > 0) {
+                yield remainder.toString('utf8').replace(/\r$/, '');
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Yield parsed entries, newest first. Lines that follow a header line are its data.
+     */
+    async *readEntriesReverse(file) {
+        let dataLines = [];
+
+        for await (const rawLine of this.readLinesReverse(file)) {
+            const line = rawLine.replace(ANSI_PATTERN, '');
+            const entry = LogReader.parseLine(line);
+
+            if (!entry) {
+                if (dataLines.length < MAX_DATA_LINES) {
+                    dataLines.unshift(line);
+                }
+                continue;
+            }
+
+            if (dataLines.length > 0) {
+                entry.data = LogReader.parseData(dataLines.join('\n'));
+                dataLines = [];
+            }
+            yield entry;
+        }
+    }
+
+    /**
+     * Query a log file. Filters:
+     * - level: minimum severity ('error' keeps errors only, 'warn' errors and warnings, ...)
+     * - levels: explicit list of levels
+     * - component: component name, child loggers ("Component:child") included
+     * - since / until: Date or ISO string
+     * - limit: maximum number of entries returned (newest first)
+     * - signal: AbortSignal stopping the scan, which rejects with the abort reason
+     */
+    async query(file, filters = {}) {
+        const since = LogReader.toDate(filters.since, 'since');
+        const until = LogReader.toDate(filters.until, 'until');
+        const limit = filters.limit || 100;
+        const levels = filters.levels ? filters.levels.map(level => level.toLowerCase()) : null;
+        const maxSeverity = filters.level ? LEVEL_SEVERITY[filters.level.toLowerCase()] : null;
+
+        const entries = [];
+        let scanned = 0;
+
+        for await (const entry of this.readEntriesReverse(file)) {
+            filters.signal?.throwIfAborted();
+            scanned++;
+            const timestamp = new Date(entry.timestamp);
+
+            // Le fichier est chronologique : au-delà de "since", plus rien ne peut correspondre
+            if (since && timestamp < since) {
+                break;
+            }
+            if (until && timestamp > until) {
+                continue;
+            }
+            if (levels && !levels.includes(entry.level)) {
+                continue;
+            }
+            if (maxSeverity !== null && maxSeverity !== undefined && (LEVEL_SEVERITY[entry.level] ?? 2) > maxSeverity) {
+                continue;
+            }
+            if (filters.component && entry.component !== filters.component && !entry.component.startsWith(`${filters.component}:`)) {
+                continue;
+            }
+
+            entries.push(entry);
+            if (entries.length >= limit) {
+                break;
+            }
+        }
+
+        return { entries, scanned };
+    }
+
+    static parseLine(line) {
+        const match = LOG_LINE_PATTERN.exec(line);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            timestamp: match[1],
+            level: match[2].toLowerCase(),
+            component: match[3],
+            message: match[4]
+        };
+    }
+
+    static parseData(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    static toDate(value, name) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid ${name} date: ${value}`);
+        }
+        return date;
+    }
+}
+
+module.exports = { LogReader, LEVEL_SEVERITY };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LogReader } = require('./log-reader');
+
+const LOG = [
+    '[2025-01-01T10:00:00.000Z] [INFO ] [Server              ] Started',
+    '[2025-01-01T10:01:00.000Z] [WARN ] [Server:http         ] Slow request',
+    '{',
+    '  "path": "/api",',
+    '  "duration": 1200',
+    '}',
+    '\u001b[31m[2025-01-01T10:02:00.000Z] [ERROR] [Database            ] Connection lost\u001b[0m',
+    '[2025-01-01T10:03:00.000Z] [DEBUG] [Server              ] Tick',
+    '[2025-01-01T10:04:00.000Z] [ERROR] [Server              ] Crash ✗',
+    'plain text detail',
+    ''
+].join('\n');
+
+describe('LogReader', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'autoweave-log-reader-test-'));
+        file = path.join(dir, 'autoweave.log');
+        await fs.writeFile(file, LOG);
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('reads entries newest first with their multi-line data, across small chunks', async () => {
+        const reader = new LogReader({ chunkSize: 7 });
+
+        const { entries, scanned } = await reader.query(file);
+
+        expect(scanned).toBe(5);
+        expect(entries.map(entry => entry.message)).toEqual(['Crash ✗', 'Tick', 'Connection lost', 'Slow request', 'Started']);
+        expect(entries[0].data).toBe('plain text detail');
+        expect(entries[3]).toEqual({
+            timestamp: '2025-01-01T10:01:00.000Z',
+            level: 'warn',
+            component: 'Server:http',
+            message: 'Slow request',
+            data: { path: '/api', duration: 1200 }
+        });
+    });
+
+    test('filters by minimum level, explicit levels and component', async () => {
+        const reader = new LogReader();
+
+        const errors = await reader.query(file, { level: 'error' });
+        expect(errors.entries.map(entry => entry.component)).toEqual(['Server', 'Database']);
+
+        const warnings = await reader.query(file, { levels: ['WARN', 'debug'] });
+        expect(warnings.entries.map(entry => entry.level)).toEqual(['debug', 'warn']);
+
+        const server = await reader.query(file, { component: 'Server', level: 'warn' });
+        expect(server.entries.map(entry => entry.message)).toEqual(['Crash ✗', 'Slow request']);
+    });
+
+    test('filters by time range and limit, stopping at "since"', async () => {
+        const reader = new LogReader();
+
+        const range = await reader.query(file, { since: '2025-01-01T10:01:00Z', until: new Date('2025-01-01T10:03:00Z') });
+        expect(range.entries.map(entry => entry.message)).toEqual(['Tick', 'Connection lost', 'Slow request']);
+        expect(range.scanned).toBe(5);
+
+        const limited = await reader.query(file, { limit: 2 });
+        expect(limited.entries).toHaveLength(2);
+        expect(limited.scanned).toBe(2);
+
+        await expect(reader.query(file, { since: 'yesterday' })).rejects.toThrow('Invalid since date: yesterday');
+    });
+
+    test('stops scanning once its signal aborts', async () => {
+        const controller = new AbortController();
+        const reason = new Error('call cancelled');
+        controller.abort(reason);
+
+        await expect(new LogReader().query(file, { signal: controller.signal })).rejects.toBe(reason);
+    });
+});
\ No newline at end of file
@@ -43,7 +43,7 @@ class Logger {
                 });
                 this.sentryClient = Sentry;
                 this.sentryEnabled = true;
-                console.log('Sentry error monitoring initialized');
+                this.write('Sentry error monitoring initialized');
             } catch (error) {
                 console.warn('Failed to initialize Sentry:', error.message);
                 this.sentryEnabled = false;
@@ -57,7 +57,7 @@ class Logger {
             this.securityServiceUrl = process.env.SECURITY_SERVICE_URL;
             this.securityServiceToken = process.env.SECURITY_SERVICE_TOKEN;
             this.securityServiceEnabled = true;
-            console.log('Security service integration enabled');
+            this.write('Security service integration enabled');
         } else {
             this.securityServiceEnabled = false;
         }
@@ -114,6 +114,28 @@ class Logger {
         process.env.LOG_LEVEL = level;
     }
 
+    /**
+     * Redirige toute la sortie vers stderr (ex: transport MCP stdio)
+     */
+    static setOutput(output) {
+        process.env.LOG_OUTPUT = output;
+    }
+
+    static isStderrOutput() {
+        return process.env.LOG_OUTPUT === 'stderr';
+    }
+
+    /**
+     * Écrit une ligne sur la sortie configurée
+     */
+    write(text) {
+        if (Logger.isStderrOutput()) {
+            console.error(text);
+        } else {
+            console.log(text);
+        }
+    }
+
     /**
      * Formate un message de log
      */
@@ -177,7 +199,7 @@ class Logger {
         if (!this.shouldLog('info')) return;
         
         const formatted = this.formatMessage('info', message, data);
-        console.log(this.colors.info(formatted));
+        this.write(this.colors.info(formatted));
     }
 
     /**
@@ -187,7 +209,7 @@ class Logger {
         if (!this.shouldLog('debug')) return;
         
         const formatted = this.formatMessage('debug', message, data);
-        console.log(this.colors.debug(formatted));
+        this.write(this.colors.debug(formatted));
     }
 
     /**
@@ -197,7 +219,7 @@ class Logger {
         if (!this.shouldLog('info')) return;
         
         const formatted = this.formatMessage('success', message, data);
-        console.log(this.colors.success(formatted));
+        this.write(this.colors.success(formatted));
     }
 
     /**
@@ -208,7 +230,7 @@ class Logger {
         
         const message = `${operation} completed in ${duration}ms`;
         const formatted = this.formatMessage('perf', message, data);
-        console.log(this.colors.info(formatted));
+        this.write(this.colors.info(formatted));
     }
 
     /**
@@ -216,7 +238,7 @@ class Logger {
      */
     startup(message, data = null) {
         const formatted = this.formatMessage('startup', message, data);
-        console.log(chalk.cyan.bold(formatted));
+        this.write(chalk.cyan.bold(formatted));
     }
 
     /**
@@ -224,7 +246,7 @@ class Logger {
      */
     shutdown(message, data = null) {
         const formatted = this.formatMessage('shutdown', message, data);
-        console.log(chalk.magenta.bold(formatted));
+        this.write(chalk.magenta.bold(formatted));
     }
 
     /**
@@ -249,7 +271,11 @@ class Logger {
         if (!this.shouldLog('info')) return;
         
         this.info(`${title}:`);
-        console.table(data);
+        if (Logger.isStderrOutput()) {
+            this.write(JSON.stringify(data, null, 2));
+        } else {
+            console.table(data);
+        }
     }
 
     /**
@@ -274,7 +300,7 @@ class Logger {
         
         const message = `${method} ${url} ${status} (${duration}ms)`;
         const formatted = this.formatMessage('api', message, data);
-        console.log(statusColor(formatted));
+        this.write(statusColor(formatted));
     }
 
     /**
@@ -285,7 +311,7 @@ class Logger {
         
         const message = `DB ${operation} on ${table} (${duration}ms)`;
         const formatted = this.formatMessage('db', message, data);
-        console.log(this.colors.debug(formatted));
+        this.write(this.colors.debug(formatted));
     }
 
     /**
@@ -297,7 +323,7 @@ class Logger {
         const hitStatus = hit ? 'HIT' : 'MISS';
         const message = `Cache ${operation} ${key} (${hitStatus})`;
         const formatted = this.formatMessage('cache', message, data);
-        console.log(this.colors.debug(formatted));
+        this.write(this.colors.debug(formatted));
     }
 
     /**
@@ -305,7 +331,7 @@ class Logger {
      */
     security(event, details = null) {
         const formatted = this.formatMessage('security', event, details);
-        console.log(chalk.red.bold(formatted));
+        this.write(chalk.red.bold(formatted));
         
         // En production, les événements de sécurité sont envoyés immédiatement
         if (process.env.NODE_ENV === 'production' && this.securityServiceEnabled) {
@@ -318,7 +344,7 @@ class Logger {
      */
     deployment(event, details = null) {
         const formatted = this.formatMessage('deploy', event, details);
-        console.log(chalk.blue.bold(formatted));
+        this.write(chalk.blue.bold(formatted));
     }
 
     /**
@@ -328,7 +354,7 @@ class Logger {
         const color = status === 'healthy' ? this.colors.success : this.colors.error;
         const message = `Health check: ${component} is ${status}`;
         const formatted = this.formatMessage('health', message, details);
-        console.log(color(formatted));
+        this.write(color(formatted));
     }
 
     /**
@@ -362,7 +388,7 @@ class Logger {
                      status === 'failed' ? this.colors.error :
                      this.colors.info;
         
-        console.log(color(formatted));
+        this.write(color(formatted));
     }
 
     /**
@@ -371,7 +397,7 @@ class Logger {
     agent(agentId, event, data = null) {
         const message = `Agent ${agentId}: ${event}`;
         const formatted = this.formatMessage('agent', message, data);
-        console.log(this.colors.info(formatted));
+        this.write(this.colors.info(formatted));
     }
 
     /**
@@ -382,7 +408,7 @@ class Logger {
         
         const message = `Memory ${operation} (${type})`;
         const formatted = this.formatMessage('memory', message, data);
-        console.log(this.colors.debug(formatted));
+        this.write(this.colors.debug(formatted));
     }
 
     /**
@@ -391,7 +417,7 @@ class Logger {
     kagent(operation, data = null) {
         const message = `kagent: ${operation}`;
         const formatted = this.formatMessage('kagent', message, data);
-        console.log(this.colors.info(formatted));
+        this.write(this.colors.info(formatted));
     }
 
     /**
@@ -405,7 +431,7 @@ class Logger {
         const formatted = this.formatMessage('test', message, data);
         
         const color = status === 'passed' ? this.colors.success : this.colors.error;
-        console.log(color(formatted));
+        this.write(color(formatted));
     }
 
     /**
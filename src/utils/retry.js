@@ -4,7 +4,8 @@ class RetryHelper {
             maxAttempts = 3,
             delay = 1000,
             backoff = 2,
-            shouldRetry = () => true
+            shouldRetry = () => true,
+            signal = null
         } = options;
 
         let lastError;
@@ -15,12 +16,16 @@ class RetryHelper {
             } catch (error) {
                 lastError = error;
 
-                if (attempt === maxAttempts || !shouldRetry(error)) {
+                // Opération annulée : inutile de réessayer
+                if (attempt === maxAttempts || signal?.aborted || !shouldRetry(error)) {
                     throw error;
                 }
 
                 const waitTime = delay * Math.pow(backoff, attempt - 1);
                 await new Promise(resolve => setTimeout(resolve, waitTime));
+                if (signal?.aborted) {
+                    throw error;
+                }
             }
         }
 
@@ -0,0 +1,130 @@
+// Au-delà, la comparaison ligne à ligne (LCS) coûterait trop cher : remplacement en bloc
+const MAX_LCS_CELLS = 4 * 1024 * 1024;
+
+function splitLines(text) {
+    const lines = String(text).split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Line edits ({ type: ' ' | '-' | '+', line }) turning a into b.
+ * Common prefix and suffix are skipped before the LCS table is built.
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const x = a.slice(start, endA);
+    const y = b.slice(start, endB);
+    const middle = [];
+
+    if (x.length * y.length > MAX_LCS_CELLS) {
+        x.forEach(line => middle.push({ type: '-', line }));
+        y.forEach(line => middle.push({ type: '+', line }));
+    } else {
+        // lengths[i][j] = longest common subsequence of x[i..] and y[j..]
+        const lengths = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+        for (let i = x.length - 1; i >= 0; i--) {
+            for (let j = y.length - 1; j >= 0; j--) {
+                lengths[i][j] = x[i] === y[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < x.length && j < y.length) {
+            if (x[i] === y[j]) {
+                middle.push({ type: ' ', line: x[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                middle.push({ type: '-', line: x[i++] });
+            } else {
+                middle.push({ type: '+', line: y[j++] });
+            }
+        }
+        while (i < x.length) {
+            middle.push({ type: '-', line: x[i++] });
+        }
+        while (j < y.length) {
+            middle.push({ type: '+', line: y[j++] });
+        }
+    }
+
+    return [
+        ...a.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(endA).map(line => ({ type: ' ', line }))
+    ];
+}
+
+function hunkRange(start, count) {
+    if (count === 0) {
+        return `${start},0`;
+    }
+    return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Unified diff (git style, without the "diff --git" header) of two texts; '' when they are equal
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+    const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+    if (oldText === newText) {
+        return '';
+    }
+
+    const edits = diffLines(splitLines(oldText), splitLines(newText));
+    let oldLine = 0;
+    let newLine = 0;
+    for (const edit of edits) {
+        edit.oldLine = oldLine;
+        edit.newLine = newLine;
+        if (edit.type !== '+') oldLine++;
+        if (edit.type !== '-') newLine++;
+    }
+
+    const hunks = [];
+    let current = null;
+    edits.forEach((edit, index) => {
+        if (edit.type === ' ') {
+            return;
+        }
+        const from = Math.max(0, index - context);
+        const to = Math.min(edits.length - 1, index + context);
+        if (current && from <= current.end + 1) {
+            current.end = to;
+        } else {
+            current = { start: from, end: to };
+            hunks.push(current);
+        }
+    });
+    if (hunks.length === 0) {
+        return '';
+    }
+
+    const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+    for (const hunk of hunks) {
+        const slice = edits.slice(hunk.start, hunk.end + 1);
+        const oldCount = slice.filter(edit => edit.type !== '+').length;
+        const newCount = slice.filter(edit => edit.type !== '-').length;
+        output.push(`@@ -${hunkRange(slice[0].oldLine, oldCount)} +${hunkRange(slice[0].newLine, newCount)} @@`);
+        slice.forEach(edit => output.push(`${edit.type}${edit.line}`));
+    }
+    return output.join('\n') + '\n';
+}
+
+module.exports = { unifiedDiff, diffLines };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const { unifiedDiff, diffLines } = require('./text-diff');
+
+describe('diffLines', () => {
+    test('keeps unchanged lines and marks removed and added ones', () => {
+        expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd'])).toEqual([
+            { type: ' ', line: 'a' },
+            { type: '-', line: 'b' },
+            { type: ' ', line: 'c' },
+            { type: '+', line: 'x' },
+            { type: ' ', line: 'd' }
+        ]);
+        expect(diffLines([], ['a'])).toEqual([{ type: '+', line: 'a' }]);
+        expect(diffLines(['a'], [])).toEqual([{ type: '-', line: 'a' }]);
+    });
+});
+
+describe('unifiedDiff', () => {
+    const lines = count => Array.from({ length: count }, (value, index) => `line ${index + 1}`);
+
+    test('is empty for equal texts, whatever the trailing newline', () => {
+        expect(unifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+        expect(unifiedDiff('a\nb', 'a\nb\n')).toBe('');
+    });
+
+    test('prints one hunk with its context lines and ranges', () => {
+        const before = lines(5).join('\n');
+        const after = lines(5).map(line => (line === 'line 3' ? 'line three' : line)).concat('line 6').join('\n');
+
+        expect(unifiedDiff(before, after, { fromFile: 'v1/app.yaml', toFile: 'v2/app.yaml', context: 1 })).toBe([
+            '--- v1/app.yaml',
+            '+++ v2/app.yaml',
+            '@@ -2,4 +2,5 @@',
+            ' line 2',
+            '-line 3',
+            '+line three',
+            ' line 4',
+            ' line 5',
+            '+line 6',
+            ''
+        ].join('\n'));
+    });
+
+    test('splits distant changes into hunks and diffs from or to an empty file', () => {
+        const before = lines(12);
+        const after = [...before];
+        after[0] = 'first';
+        after[11] = 'last';
+
+        const diff = unifiedDiff(before.join('\n'), after.join('\n'));
+        expect(diff.split('\n').filter(line => line.startsWith('@@'))).toEqual(['@@ -1,4 +1,4 @@', '@@ -9,4 +9,4 @@']);
+
+        expect(unifiedDiff('', 'new\n', { fromFile: '/dev/null' })).toBe('--- /dev/null\n+++ b\n@@ -0,0 +1 @@\n+new\n');
+        expect(unifiedDiff('old\n', '')).toBe('--- a\n+++ b\n@@ -1 +0,0 @@\n-old\n');
+    });
+});
\ No newline at end of file